@@ -1,4 +1,13 @@
 import Softphone from './components/Softphone.vue'
+import softphoneMixin from './mixins/softphoneMixin'
+import { CALL_STATES } from './services/callStateMachine'
+import {
+    registerSoftphoneProvider,
+    getSoftphoneService,
+    getSupportedSoftphoneProviders
+} from './services/softphoneFactory'
+import SalesforceAdapter from './services/crm/salesforceAdapter'
+import HubSpotAdapter from './services/crm/hubspotAdapter'
 import './assets/tailwind.css'
 
 export default {
@@ -7,4 +16,13 @@ export default {
     }
 }
 
-export { Softphone }
\ No newline at end of file
+export {
+    Softphone,
+    softphoneMixin,
+    CALL_STATES,
+    registerSoftphoneProvider,
+    getSoftphoneService,
+    getSupportedSoftphoneProviders,
+    SalesforceAdapter,
+    HubSpotAdapter
+}
\ No newline at end of file
@@ -0,0 +1,26 @@
+/**
+ * The `capabilities` prop and `supports()` check shared by the components that hide or
+ * disable actions the active provider cannot perform.
+ */
+export default {
+    props: {
+        /**
+         * Actions the active provider supports (see getCapabilities).
+         * When omitted every action is offered.
+         */
+        capabilities: {
+            type: Object,
+            default: null
+        }
+    },
+    methods: {
+        /**
+         * Whether the active provider supports an action.
+         * @param {string} capability - A SoftphoneCapabilities key.
+         * @returns {boolean}
+         */
+        supports(capability) {
+            return !this.capabilities || this.capabilities[capability] === true;
+        }
+    }
+};
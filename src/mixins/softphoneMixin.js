@@ -0,0 +1,2094 @@
+/**
+ * Headless softphone core: diagnostics gating, provider initialization and callbacks, call
+ * state, agent operations and toasts, without any markup. `Softphone.vue` is built on it;
+ * hosts that want their own UI mix it into a component and bind to its state and methods.
+ *
+ * Amazon Connect embeds its CCP iframe in the element with `ref="ccpContainer"`, so
+ * components using it with that provider must render one (it can be hidden).
+ */
+import CallUtils from "../services/callUtils";
+import {getSoftphoneService, isSupportedSoftphoneProvider} from '../services/softphoneFactory';
+import WebRTCDiagnosticsService from "../services/diagnostics/WebRTCDiagnosticsService";
+import CallQualityMonitor from "../services/diagnostics/CallQualityMonitor";
+import {resolveCapabilities} from "../services/providers/capabilities";
+import {updateCallSession, CALL_SESSION_STATES} from "../services/callSession";
+import CallStateMachine, {CALL_STATES, CALL_EVENTS, ACTIVE_CALL_STATES} from "../services/callStateMachine";
+import {isPbxAddress, splitExtension} from "../services/phoneNumbers";
+import CallHistoryStore, {CallActivity, createCallHistoryEntry, DEFAULT_HISTORY_LIMIT} from "../services/callHistory";
+import {resolveDispositionCodes, validateDisposition, createDisposition} from "../services/dispositions";
+import {getMissingCrmMethods, openCrmRecord, createCrmCallActivity, SCREEN_POP_MODES} from "../services/crm/crmAdapter";
+import {normalizeAttributeFields, getDisplayedAttributes} from "../services/contactAttributes";
+import AudioDeviceManager, {AUDIO_DEVICE_KINDS, resolveAudioDevices} from "../services/audioDevices";
+import RingtonePlayer from "../services/ringtone";
+import MicrophoneLevelMonitor from "../services/microphoneLevel";
+
+// How audio devices are named in messages to the agent
+const AUDIO_DEVICE_NAMES = {
+    [AUDIO_DEVICE_KINDS.INPUT]: 'microphone',
+    [AUDIO_DEVICE_KINDS.OUTPUT]: 'speaker',
+    [AUDIO_DEVICE_KINDS.RINGER]: 'ringer'
+};
+
+// How call quality metrics are named in warnings to the agent
+const CALL_QUALITY_METRICS = {
+    jitter: { name: 'jitter', unit: ' ms' },
+    packetLoss: { name: 'packet loss', unit: '%' },
+    rtt: { name: 'latency', unit: ' ms' },
+    mos: { name: 'estimated MOS', unit: '' }
+};
+
+export default {
+    props: {
+        /**
+         * Telephony provider name, as understood by getSoftphoneService.
+         * Changing it at runtime tears down the current provider and initializes the new one.
+         */
+        provider: {
+            type: String,
+            default: 'amazon-connect',
+            validator: value => isSupportedSoftphoneProvider(value)
+        },
+        /**
+         * Provider-specific configuration merged into the provider's initialize options
+         * (e.g. `ccpUrl` and `region` for Amazon Connect, `token` and `workerToken` for Twilio).
+         * A `capabilities` object overrides the actions the provider reports it supports.
+         */
+        providerConfig: {
+            type: Object,
+            default: () => ({})
+        },
+        /**
+         * ISO country code (e.g. `GB`) for numbers dialled without a country code.
+         */
+        defaultCountry: {
+            type: String,
+            default: 'US'
+        },
+        /**
+         * Number of finished calls kept in the call history.
+         */
+        callHistoryLimit: {
+            type: Number,
+            default: DEFAULT_HISTORY_LIMIT
+        },
+        /**
+         * Disposition codes for after-call work, replacing the provider's: a list of
+         * `{ id, label, requiresNote?, children? }`, an object of lists keyed by queue ID or name
+         * (with a `default` list), or a callback receiving `{ queue, session }` and returning
+         * either, possibly through a promise.
+         */
+        dispositions: {
+            type: [Array, Object, Function],
+            default: null
+        },
+        /**
+         * CRM adapter (see services/crm/crmAdapter.js) used to look up callers and create
+         * and update records. Without one, the CRM methods reject and no screen pop happens.
+         */
+        crmAdapter: {
+            type: Object,
+            default: null,
+            validator: adapter => !getMissingCrmMethods(adapter).length
+        },
+        /**
+         * What to do with the caller's CRM records when a call rings or is dialled:
+         * `emit` only emits `crm-screen-pop`, `open` also opens the record when exactly one matches.
+         */
+        crmScreenPop: {
+            type: String,
+            default: SCREEN_POP_MODES.EMIT,
+            validator: value => Object.values(SCREEN_POP_MODES).includes(value)
+        },
+        /**
+         * Contact attributes shown while a call rings and is connected, e.g. IVR selections or a
+         * customer ID: a list of `{ key, label?, format?, options? }`, or an object keyed by attribute
+         * name with a label or `{ label?, format?, options? }` (see services/contactAttributes.js).
+         * Attributes not listed are not shown.
+         */
+        contactAttributeFields: {
+            type: [Array, Object],
+            default: null
+        },
+        /**
+         * Ringtone played while a call rings, on the agent's ringer device: `{ src?, volume? }` with
+         * the URL of an audio file (a built-in ring by default) and a volume from 0 to 1. The provider's
+         * own ringtone is silenced meanwhile; `false` keeps the provider's instead.
+         */
+        ringtone: {
+            type: [Object, Boolean],
+            default: () => ({})
+        },
+        /**
+         * Meter the agent's microphone during calls and warn when they speak while muted. The meter
+         * captures the microphone on the host page, so the browser may ask for permission even where
+         * the provider already has it (e.g. in the Amazon Connect CCP iframe).
+         */
+        microphoneMeter: {
+            type: Boolean,
+            default: true
+        },
+        /**
+         * Media quality monitoring during calls, where the provider reports the `callQuality` capability:
+         * `{ interval?, warningSamples?, thresholds? }` as taken by CallQualityMonitor, read when the
+         * component is created. `false` turns it off.
+         */
+        callQualityMonitoring: {
+            type: [Object, Boolean],
+            default: () => ({})
+        },
+    },
+    data() {
+        return {
+            ccpContainer: null,
+            softphone: null,
+            initialized: false,
+            callState: CALL_STATES.IDLE,
+            callDuration: null,
+            agent: {
+                status: 'Initializing',
+                muted: false,
+            },
+            contactId: null,
+            callSession: null,
+            endedContactIds: [],
+            // Finished calls, newest first
+            callHistory: [],
+            phoneNumber: null,
+            transferNumber: null,
+            conferenceParticipants: [],
+            availableQueues: [],
+            // Provider transfer directory (e.g. Amazon Connect quick connects)
+            transferEndpoints: [],
+            transferEndpointsLoading: false,
+            contactAttributes: null,
+            // CRM records matching the current or last call's number
+            crmRecords: [],
+            // After-call work: disposition codes to pick from, seconds left before it times out
+            // (null when it has no limit) and seconds spent in it so far
+            dispositionCodes: [],
+            afterCallWorkRemainingTime: null,
+            afterCallWorkDuration: 0,
+            agentStates: [],
+            // When the agent status last changed (ms since epoch), for the time in status
+            agentStatusChangedAt: null,
+            agentConfiguration: null,
+            agentStatistics: null,
+            // Microphones and speakers the browser reports, and the ones in use
+            audioDevices: { inputs: [], outputs: [] },
+            selectedAudioDevices: { input: null, output: null, ringer: null },
+            // Microphone level from 0 to 1 during calls, null while it is not metered
+            microphoneLevel: null,
+            speakingWhileMuted: false,
+            // Latest media quality sample of the call in progress
+            callQuality: null,
+            // Set when the provider needs the agent to log in through its own window
+            showCcpLoginPopup: false,
+            // Diagnostics related state
+            diagnosticsService: null,
+            showDiagnosticsModal: false,
+            diagnosticsAllPassed: true,
+            diagnosticsFailedTests: [],
+            diagnosticsDismissible: true,
+            diagnosticsCompleted: false,
+            // Track current diagnostic test and statuses
+            currentDiagnosticTest: null,
+            diagnosticTests: [
+                { id: 'microphone', name: 'Microphone', status: 'pending', result: null },
+                { id: 'connectivity', name: 'Network Connectivity', status: 'pending', result: null },
+                { id: 'webrtc', name: 'WebRTC Stability', status: 'pending', result: null },
+                { id: 'speed', name: 'Network Speed', status: 'pending', result: null }
+            ],
+        };
+    },
+    created() {
+        // Kept off `data` so Vue does not observe it; `callState` mirrors its state
+        this.callMachine = new CallStateMachine();
+        this.callMachine.onTransition(({ from, to, event }) => {
+            this.callState = to;
+            this.trackCallActivity({ from, to, event });
+
+            if (to === CALL_STATES.IDLE) {
+                this.contactAttributes = null;
+            }
+
+            const active = ACTIVE_CALL_STATES.includes(to);
+            if (active && !ACTIVE_CALL_STATES.includes(from)) {
+                this.startCallQualityMonitor();
+            } else if (!active && ACTIVE_CALL_STATES.includes(from)) {
+                this.stopCallQualityMonitor();
+            }
+
+            if (to === CALL_STATES.RINGING) {
+                this.startRingtone();
+            } else if (from === CALL_STATES.RINGING) {
+                // Accepted, declined or missed
+                this.stopRingtone();
+            }
+
+            if (to === CALL_STATES.AFTER_CALL_WORK) {
+                this.startAfterCallWork();
+            } else if (from === CALL_STATES.AFTER_CALL_WORK) {
+                this.stopAfterCallWork();
+                this.flushCrmCallLog();
+            }
+
+            this.$emit('call-state-changed', { state: to, previousState: from, event });
+        });
+
+        this.callHistoryStore = new CallHistoryStore({ limit: this.callHistoryLimit });
+        this.callActivity = null;
+        this.loadCallHistory();
+
+        this.afterCallWorkTimer = null;
+        this.afterCallWorkStartedAt = null;
+
+        // Call the CRM was last searched for, so each call pops once
+        this.crmLookupSessionId = null;
+        // Ended call held back from the CRM until its after-call work is done
+        this.crmCallLog = null;
+
+        this.audioDeviceManager = new AudioDeviceManager();
+        // Stops following devices being plugged in and out
+        this.stopWatchingAudioDevices = null;
+
+        this.ringtonePlayer = new RingtonePlayer(this.ringtone || {});
+
+        this.microphoneMonitor = new MicrophoneLevelMonitor({
+            onLevel: level => {
+                this.microphoneLevel = level;
+            },
+            onSpeech: () => this.handleSpeechDetected()
+        });
+
+        this.callQualityMonitor = new CallQualityMonitor({
+            ...(this.callQualityMonitoring || {}),
+            getStats: () => (this.softphone ? this.softphone.getCallStats() : Promise.resolve(null)),
+            onSample: sample => {
+                this.callQuality = sample;
+            },
+            onWarning: warning => this.handleCallQualityWarning(warning)
+        });
+        // Quality summary of the last call, for its call-ended event: { contactId, summary }
+        this.callQualityReport = null;
+        // Settles once the last provider torn down has been destroyed
+        this.softphoneTeardown = Promise.resolve();
+    },
+    mounted() {
+        // Run diagnostics before initializing the softphone
+        this.runDiagnostics();
+    },
+    beforeDestroy() {
+        this.stopAfterCallWork();
+        this.stopWatchingAudioDevices?.();
+        this.ringtonePlayer.destroy();
+        this.microphoneMonitor.stop();
+        this.callQualityMonitor.stop();
+        this.teardownSoftphone();
+    },
+    computed: {
+        /**
+         * Whether the agent is dialing or on a call
+         */
+        contactActive() {
+            return ACTIVE_CALL_STATES.includes(this.callState);
+        },
+        /**
+         * Whether the agent has a contact: ringing, on a call or in after-call work
+         */
+        hasContact() {
+            return this.callState !== CALL_STATES.IDLE;
+        },
+        onHold() {
+            return this.callState === CALL_STATES.ON_HOLD;
+        },
+        transferActive() {
+            return this.callState === CALL_STATES.TRANSFERRING;
+        },
+        conferenceActive() {
+            return this.callState === CALL_STATES.CONFERENCING;
+        },
+        afterCallWorkActive() {
+            return this.callState === CALL_STATES.AFTER_CALL_WORK;
+        },
+        attributeFields() {
+            return normalizeAttributeFields(this.contactAttributeFields);
+        },
+        /**
+         * The call's whitelisted contact attributes, labelled and formatted
+         */
+        displayedContactAttributes() {
+            return getDisplayedAttributes(this.contactAttributes, this.attributeFields);
+        },
+        /**
+         * Whether to show the contact attributes: while the call rings or is connected
+         */
+        showContactAttributes() {
+            return this.attributeFields.length > 0
+                    && (this.callState === CALL_STATES.RINGING || this.contactActive);
+        },
+        /**
+         * Whether the softphone rings itself rather than leaving it to the provider
+         */
+        ringtoneEnabled() {
+            return this.ringtone !== false;
+        },
+        /**
+         * Actions the active provider can perform, with `providerConfig.capabilities` applied
+         */
+        capabilities() {
+            return resolveCapabilities(
+                    this.softphone?.getCapabilities(),
+                    this.providerConfig.capabilities
+            );
+        },
+    },
+    watch: {
+        'agent.status'(newStatus, oldStatus) {
+            this.setupContactStatus(newStatus); // Pass the new status to setupContactStatus
+        },
+        provider(newProvider, oldProvider) {
+            if (newProvider !== oldProvider) {
+                this.switchProvider();
+            }
+        },
+        ringtone: {
+            handler(ringtone) {
+                this.ringtonePlayer.configure(ringtone || {});
+            },
+            deep: true
+        },
+        'selectedAudioDevices.ringer'(deviceId) {
+            this.ringtonePlayer.setDevice(deviceId);
+        },
+        contactActive(active) {
+            if (active) {
+                this.startMicrophoneMeter();
+            } else {
+                this.stopMicrophoneMeter();
+            }
+        },
+        microphoneMeter(enabled) {
+            if (enabled) {
+                this.startMicrophoneMeter();
+            } else {
+                this.stopMicrophoneMeter();
+            }
+        },
+        'selectedAudioDevices.input'() {
+            // Follow the call onto the new microphone
+            if (this.microphoneLevel !== null) {
+                this.startMicrophoneMeter();
+            }
+        },
+        'agent.muted'(muted) {
+            if (!muted) {
+                this.speakingWhileMuted = false;
+            }
+        },
+    },
+    methods: {
+        /**
+         * Run diagnostic tests to check microphone, connectivity, WebRTC, and speed
+         * @returns {Promise<void>}
+         */
+        async runDiagnostics() {
+            try {
+                // Reset diagnostics state
+                this.diagnosticsAllPassed = true;
+                this.diagnosticsFailedTests = [];
+                this.diagnosticsCompleted = false;
+                this.diagnosticsDismissible = true;
+                
+                // Reset test statuses
+                this.diagnosticTests.forEach(test => {
+                    test.status = 'pending';
+                    test.result = null;
+                });
+                
+                // Create diagnostics service if it doesn't exist
+                if (!this.diagnosticsService) {
+                    this.diagnosticsService = new WebRTCDiagnosticsService();
+                }
+                
+                // Run tests sequentially
+                for (const test of this.diagnosticTests) {
+                    // Update current test
+                    this.currentDiagnosticTest = test.id;
+                    test.status = 'running';
+                    
+                    // Run the test
+                    let result;
+                    switch (test.id) {
+                        case 'microphone':
+                            result = await this.diagnosticsService.checkMicrophonePermissions();
+                            break;
+                        case 'connectivity':
+                            result = await this.diagnosticsService.testNetworkConnectivity();
+                            break;
+                        case 'webrtc':
+                            result = await this.diagnosticsService.testWebRTCStability();
+                            break;
+                        case 'speed':
+                            result = await this.diagnosticsService.performSpeedTest();
+                            break;
+                    }
+                    
+                    // Update test status and result
+                    test.status = result.success ? 'success' : 'failed';
+                    test.result = result;
+                    
+                    // If test failed, add to failed tests
+                    if (!result.success) {
+                        this.diagnosticsAllPassed = false;
+                        this.diagnosticsFailedTests.push({
+                            test: test.name,
+                            message: result.message,
+                            solution: result.solution
+                        });
+                    }
+                }
+                
+                // If tests failed, make the modal non-dismissible for critical failures
+                if (!this.diagnosticsAllPassed) {
+                    // Check if there are critical failures (microphone or WebRTC)
+                    const hasCriticalFailures = this.diagnosticsFailedTests.some(test => 
+                        test.test === 'Microphone' || test.test === 'WebRTC Stability'
+                    );
+                    
+                    this.diagnosticsDismissible = !hasCriticalFailures;
+                    
+                    // Show the diagnostics modal with results
+                    this.showDiagnosticsModal = true;
+                }
+                
+                // Mark diagnostics as completed
+                this.diagnosticsCompleted = true;
+                this.currentDiagnosticTest = null;
+                
+                // If all tests passed, proceed with initialization
+                if (this.diagnosticsAllPassed) {
+                    // Wait a moment to show all tests completed
+                    setTimeout(() => {
+                        this.proceedWithInitialization();
+                    }, 1500);
+                }
+            } catch (error) {
+                console.error('Error running diagnostics:', error);
+                
+                // Show error in modal
+                this.diagnosticsAllPassed = false;
+                this.diagnosticsFailedTests = [{
+                    test: 'Diagnostics',
+                    message: 'An error occurred while running diagnostic tests',
+                    solution: 'Please refresh the page and try again. If the problem persists, contact your administrator.'
+                }];
+                
+                // Allow dismissing the error
+                this.diagnosticsDismissible = true;
+                this.diagnosticsCompleted = true;
+                this.currentDiagnosticTest = null;
+                
+                // Show the diagnostics modal with error
+                this.showDiagnosticsModal = true;
+            }
+        },
+        
+        /**
+         * Handle closing the diagnostics modal
+         */
+        handleDiagnosticsClose() {
+            this.showDiagnosticsModal = false;
+            
+            // If diagnostics are completed, proceed with initialization
+            if (this.diagnosticsCompleted) {
+                this.proceedWithInitialization();
+            }
+        },
+        
+        /**
+         * Proceed with softphone initialization after diagnostics
+         */
+        proceedWithInitialization() {
+            this.initializeSoftphone();
+            this.initializedContactStatus();
+            this.loadAgentStates();
+            this.getAgentConfiguration();
+        },
+        
+        /**
+         * Initialize the softphone service
+         */
+        initializeSoftphone() {
+            // Release listeners from any previous initialization before re-initializing
+            this.teardownSoftphone();
+
+            this.ccpContainer = this.$refs.ccpContainer;
+            this.softphone = getSoftphoneService(this.provider);
+
+            Promise.resolve(this.softphone.initialize({
+                ...this.providerConfig,
+                container: this.$refs.ccpContainer,
+                disableRingtone: this.ringtoneEnabled,
+                onStatusChange: (status) => {
+                    this.handleStatusChange(status)
+                },
+                onMuteChange: (muted) => (this.agent.muted = muted),
+                onIncomingCall: (session) => {
+                    this.callSession = session;
+                    this.callMachine.send(CALL_EVENTS.INCOMING);
+                    this.screenPopCrmRecord(session);
+                    this.loadContactAttributes(session);
+                },
+                onConnecting: (session) => {
+                    this.callSession = session;
+                    this.screenPopCrmRecord(session);
+                    this.$emit('call-started', {
+                        contactId: session.id,
+                        patient_phone_number: this.phoneNumber || session.remoteNumber,
+                        status: 'connecting',
+                        session
+                    });
+                },
+                onConnected: (session) => {
+                    this.callSession = session;
+                    this.callMachine.send(CALL_EVENTS.CONNECT);
+                    // The contact flow may have set more attributes since the call rang
+                    this.loadContactAttributes(session);
+                },
+                onMissed: (session) => {
+                    this.callSession = session;
+                    this.finishCall();
+                },
+                onCallEnded: (session) => {
+                    this.callSession = session;
+                    this.finishCall();
+                    this.emitCallEnded(session.id, session);
+                },
+                onLoginRequired: () => {
+                    this.showCcpLoginPopup = true;
+                    this.openLogin()
+                },
+                onLoginSuccess: () => {
+                    this.showCcpLoginPopup = false;
+                }
+            })).then(() => this.initializeAudioDevices()).catch(error => {
+                this.agent.status = 'Offline';
+                this.toast(
+                        `Failed to initialize the softphone: ${error.message}`,
+                        "Softphone Error",
+                        "danger"
+                );
+            });
+
+            this.initialized = true;
+        },
+
+        /**
+         * Tear down the active provider's listeners and SDK session, if any
+         * @returns {Promise} Resolves once the provider is destroyed; errors are logged, not thrown
+         */
+        teardownSoftphone() {
+            if (!this.softphone) {
+                return this.softphoneTeardown;
+            }
+
+            const softphone = this.softphone;
+            this.softphone = null;
+            this.initialized = false;
+            // The next provider starts from the saved devices
+            this.selectedAudioDevices = { input: null, output: null, ringer: null };
+
+            this.softphoneTeardown = new Promise(resolve => resolve(softphone.destroy())).catch(error => {
+                console.error('Error tearing down softphone provider:', error);
+            });
+
+            return this.softphoneTeardown;
+        },
+
+        /**
+         * Switch to the provider currently set in the `provider` prop
+         * @returns {Promise} Resolves once the new provider is initializing
+         */
+        switchProvider() {
+            const provider = this.provider;
+            const teardown = this.teardownSoftphone();
+
+            this.callMachine.reset();
+            this.conferenceParticipants = [];
+            this.callSession = null;
+            this.agent.status = 'Initializing';
+            this.agent.muted = false;
+            this.agentStates = [];
+            this.agentStatusChangedAt = null;
+            this.agentConfiguration = null;
+            this.showCcpLoginPopup = false;
+
+            // Start the new provider once the previous one has released its SDK session
+            return teardown.then(() => {
+                // Switched again or destroyed meanwhile: the latest switch initializes its provider
+                if (provider !== this.provider || this.softphone || this._isDestroyed) {
+                    return;
+                }
+
+                // Diagnostics still running will initialize the new provider once they complete
+                if (this.diagnosticsCompleted && !this.showDiagnosticsModal) {
+                    this.proceedWithInitialization();
+                }
+            });
+        },
+
+        /**
+         * Dial a number. An extension (`;ext=123`, `x123`) is passed to the provider separately,
+         * which sends it as DTMF once the call connects.
+         * @param {string} phoneNumber - The number, in international or `defaultCountry` format,
+         * or a SIP URI or extension (see toDialTarget)
+         */
+        placeCall(phoneNumber) {
+            // A SIP URI such as sip:1002@box1 would otherwise lose "x1" as an extension
+            const { number, extension } = isPbxAddress(phoneNumber)
+                    ? { number: String(phoneNumber).trim(), extension: null }
+                    : splitExtension(phoneNumber);
+            this.phoneNumber = this.toDialTarget(number);
+
+            this.callMachine.send(CALL_EVENTS.DIAL);
+            Promise.resolve(this.softphone.placeCall(
+                    this.phoneNumber,
+                    { extension }
+            )).catch(error => {
+                // The call never started: leave dialing without going to after-call work
+                this.callMachine.send(CALL_EVENTS.END);
+                this.toast(
+                        `Error placing call: ${error.message}`,
+                        "Call Error",
+                        "danger"
+                );
+            });
+        },
+
+        /**
+         * The address the provider dials for a number entered by the agent. SIP URIs and bare
+         * extensions (`1001`) are dialled as entered, as is every target of the SIP provider, whose
+         * PBX applies its own dial plan; other numbers are normalized to E.164.
+         * @param {string} target - The number as entered
+         * @returns {string}
+         */
+        toDialTarget(target) {
+            const value = String(target ?? '').trim();
+
+            if (isPbxAddress(value)) {
+                return value;
+            }
+
+            if (this.provider === 'sip') {
+                // Keep the digits and any leading "+", without the formatting
+                return value.replace(/[\s().-]/g, '');
+            }
+
+            return CallUtils.normalizeToE164(value, this.defaultCountry);
+        },
+
+        handleEndCall() {
+            const softphone = this.softphone;
+            const transferActive = this.transferActive;
+
+            // Snapshot the contacts before hanging up so the ended call is still listed
+            const contacts = softphone.getAgentContacts();
+
+            softphone.hangUpCall();
+
+            this.finishCall();
+
+            const session = this.callSession;
+
+            contacts
+                    .then(contacts => {
+                        contacts.forEach((contact) => {
+                            const endedSession = session?.id === contact.contactId
+                                    ? updateCallSession(session, { state: CALL_SESSION_STATES.ENDED })
+                                    : null;
+
+                            this.emitCallEnded(contact.contactId, endedSession, softphone);
+                        });
+                    })
+                    .catch(error => {
+                        console.error('Error getting agent contacts:', error);
+                    });
+
+            if (this.agent.muted) {
+                this.handleUnmuteAudio()
+            }
+
+            if (transferActive) {
+                this.handleEndCallTransfer();
+            }
+        },
+
+        /**
+         * Move the call state on once the call is over: to after-call work while the provider
+         * reports it, otherwise straight back to idle
+         */
+        finishCall() {
+            this.callMachine.send(CALL_EVENTS.END);
+
+            if (this.agent.status !== 'AfterCallWork') {
+                this.callMachine.send(CALL_EVENTS.COMPLETE);
+            }
+        },
+
+        /**
+         * Emit `call-ended` once per contact, whether the agent hung up or the provider reported the end
+         * @param {string} contactId - The provider contact ID
+         * @param {Object|null} session - The ended call session, if known
+         * @param {Object} [softphone] - The provider service to read the logs from
+         */
+        emitCallEnded(contactId, session, softphone = this.softphone) {
+            if (this.endedContactIds.includes(contactId)) {
+                return;
+            }
+
+            // Only the most recent calls can still be reported twice
+            this.endedContactIds = [...this.endedContactIds.slice(-9), contactId];
+
+            this.$emit('call-ended', {
+                contactId,
+                ccpLogs: softphone?.getLogs() || [],
+                session,
+                quality: this.callQualityReport?.contactId === contactId ? this.callQualityReport.summary : null
+            });
+
+            if (session) {
+                this.recordCallHistory(session);
+                this.queueCrmCallLog(session);
+            }
+        },
+
+        /**
+         * Start recording hold time and transfer/conference events when a call begins,
+         * and feed later transitions to it
+         * @param {{from: string, to: string, event: string}} transition - The call state transition
+         */
+        trackCallActivity(transition) {
+            const { from, to } = transition;
+            const callStarted = [CALL_STATES.RINGING, CALL_STATES.DIALING].includes(to)
+                    || (from === CALL_STATES.IDLE && to === CALL_STATES.CONNECTED);
+
+            if (callStarted) {
+                this.callActivity = new CallActivity();
+                return;
+            }
+
+            this.callActivity?.record(transition);
+        },
+
+        /**
+         * Store a finished call in the call history
+         * @param {Object} session - The ended call session
+         */
+        recordCallHistory(session) {
+            // Activity belongs to the current call; other contacts ending are stored without it
+            const activity = this.callSession?.id === session.id ? this.callActivity : null;
+
+            return this.callHistoryStore.add(createCallHistoryEntry(session, activity))
+                    .then(() => this.loadCallHistory())
+                    .catch(error => {
+                        console.error('Error saving call history:', error);
+                    });
+        },
+
+        /**
+         * Load the disposition codes for the call's queue and start the after-call work clock
+         */
+        startAfterCallWork() {
+            this.stopAfterCallWork();
+
+            this.afterCallWorkStartedAt = Date.now();
+            this.updateAfterCallWorkTime();
+            this.afterCallWorkTimer = setInterval(() => this.updateAfterCallWorkTime(), 1000);
+
+            const source = this.dispositions || (() => this.softphone?.getDispositionCodes());
+
+            resolveDispositionCodes(source, { queue: this.callSession?.queue || null, session: this.callSession })
+                    .then(codes => {
+                        this.dispositionCodes = codes;
+                    })
+                    .catch(error => {
+                        console.error('Error loading disposition codes:', error);
+                        this.dispositionCodes = [];
+                    });
+        },
+
+        stopAfterCallWork() {
+            clearInterval(this.afterCallWorkTimer);
+            this.afterCallWorkTimer = null;
+            this.afterCallWorkRemainingTime = null;
+            this.afterCallWorkDuration = 0;
+        },
+
+        updateAfterCallWorkTime() {
+            const remaining = this.softphone?.getAfterCallWorkRemainingTime() ?? -1;
+
+            this.afterCallWorkRemainingTime = remaining >= 0 ? Math.ceil(remaining) : null;
+            this.afterCallWorkDuration = Math.floor((Date.now() - this.afterCallWorkStartedAt) / 1000);
+        },
+
+        /**
+         * Save the disposition of the call in after-call work, complete it and make the agent available.
+         * Emits `call-dispositioned` when a disposition was picked and stores it in the call history.
+         * @param {Object} [wrapUp]
+         * @param {string|null} [wrapUp.dispositionId] - The disposition code
+         * @param {string} [wrapUp.notes] - The agent's notes
+         * @returns {Promise<void>}
+         */
+        completeAfterCallWork({ dispositionId = null, notes = '' } = {}) {
+            const invalid = validateDisposition(this.dispositionCodes, { dispositionId, notes });
+            if (invalid) {
+                this.toast(invalid, "After Call Work", "warning");
+                return Promise.resolve();
+            }
+
+            const session = this.callSession;
+            const disposition = createDisposition(this.dispositionCodes, { dispositionId, notes });
+
+            return this.softphone.completeAfterCallWork(disposition)
+                    .then(() => {
+                        if (disposition) {
+                            this.$emit('call-dispositioned', { contactId: session?.id || null, disposition, session });
+                            this.saveCallDisposition(session, disposition);
+                        }
+
+                        if (this.crmCallLog) {
+                            this.crmCallLog.disposition = disposition;
+                        }
+
+                        this.callMachine.send(CALL_EVENTS.COMPLETE);
+                    })
+                    .catch(error => {
+                        this.toast(
+                                `Error completing after-call work: ${error.message}`,
+                                "Call Error",
+                                "danger"
+                        );
+                    });
+        },
+
+        saveCallDisposition(session, disposition) {
+            if (!session) {
+                return Promise.resolve();
+            }
+
+            return this.callHistoryStore.update(session.id, { disposition })
+                    .then(() => this.loadCallHistory())
+                    .catch(error => {
+                        console.error('Error saving call disposition:', error);
+                    });
+        },
+
+        loadCallHistory() {
+            return this.callHistoryStore.list()
+                    .then(entries => {
+                        this.callHistory = entries;
+                    })
+                    .catch(error => {
+                        console.error('Error loading call history:', error);
+                    });
+        },
+
+        clearCallHistory() {
+            return this.callHistoryStore.clear().then(() => {
+                this.callHistory = [];
+            });
+        },
+
+        /**
+         * Call back the number of a call in the history
+         * @param {Object} entry - The call history entry
+         */
+        redial(entry) {
+            this.placeCall(entry.number);
+        },
+        handleMuteAudio() {
+            this.softphone.muteConnection()
+                .then(() => {
+                    this.agent.muted = true;
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error muting audio: ${error.message}`,
+                        "Audio Error",
+                        "danger"
+                    );
+                });
+        },
+        handleUnmuteAudio() {
+            this.softphone.unmuteConnection()
+                .then(() => {
+                    this.agent.muted = false;
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error unmuting audio: ${error.message}`,
+                        "Audio Error",
+                        "danger"
+                    );
+                });
+        },
+        handleSendDigits(digits) {
+            this.softphone.sendDigits(digits)
+                .catch(error => {
+                    this.toast(
+                        `Error sending digits: ${error.message}`,
+                        "Call Error",
+                        "danger"
+                    );
+                });
+        },
+        handleHoldCall() {
+            this.softphone.holdCall()
+                .then(() => {
+                    this.callMachine.send(CALL_EVENTS.HOLD);
+                    this.toast(
+                        "Call placed on hold",
+                        "Call Status",
+                        "info"
+                    );
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error placing call on hold: ${error.message}`,
+                        "Call Error",
+                        "danger"
+                    );
+                });
+        },
+        handleResumeCall() {
+            this.softphone.resumeCall()
+                .then(() => {
+                    this.callMachine.send(CALL_EVENTS.RESUME);
+                    this.toast(
+                        "Call resumed",
+                        "Call Status",
+                        "info"
+                    );
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error resuming call: ${error.message}`,
+                        "Call Error",
+                        "danger"
+                    );
+                });
+        },
+        handleAcceptIncomingCall() {
+            this.softphone.acceptIncomingCall()
+                .then(() => {
+                    this.toast(
+                        "Call accepted",
+                        "Call Status",
+                        "success"
+                    );
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error accepting call: ${error.message}`,
+                        "Call Error",
+                        "danger"
+                    );
+                });
+        },
+        handleDeclineIncomingCall() {
+            this.softphone.declineIncomingCall()
+                .then(() => {
+                    this.finishCall();
+                    this.toast(
+                        "Call declined",
+                        "Call Status",
+                        "info"
+                    );
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error declining call: ${error.message}`,
+                        "Call Error",
+                        "danger"
+                    );
+                });
+        },
+        handleCallTransfer(transferNumber) {
+            this.callMachine.send(CALL_EVENTS.TRANSFER);
+            this.transferNumber = transferNumber;
+
+            this.softphone
+                .transferCall(
+                        this.toDialTarget(transferNumber.phoneNumber),
+                        transferNumber.warm
+                )
+                .then(() => {
+                    this.toast(
+                            "Transferring call...",
+                            "Call Transfer",
+                            "warning"
+                    );
+                })
+                .catch(error => {
+                    this.callMachine.send(CALL_EVENTS.TRANSFER_END);
+                    this.toast(
+                            `Error occurred while trying to transfer call: ${error.message}`,
+                            "Call Transfer",
+                            "danger"
+                    );
+                });
+        },
+        handleDisconnectAgent() {
+            this.softphone
+                .endTransferCall(true)
+                .then(() => {
+                    this.toast(
+                            "Agent disconnected from call",
+                            "Call Transfer",
+                            "info"
+                    );
+                })
+                .catch(error => {
+                    this.toast(
+                            `Error disconnecting agent: ${error.message}`,
+                            "Call Transfer",
+                            "danger"
+                    );
+                });
+        },
+        handleEndCallTransfer() {
+            this.softphone.endTransferCall()
+                .then(() => {
+                    this.callMachine.send(CALL_EVENTS.TRANSFER_END);
+                    this.toast(
+                            "Transfer ended",
+                            "Call Transfer",
+                            "info"
+                    );
+                })
+                .catch(error => {
+                    this.toast(
+                            `Error ending transfer: ${error.message}`,
+                            "Call Transfer",
+                            "danger"
+                    );
+                });
+        },
+        handleRestoreCall() {
+            this.softphone.restoreCall()
+                .then(() => {
+                    this.toast(
+                            "Call restored",
+                            "Call Transfer",
+                            "success"
+                    );
+                })
+                .catch(error => {
+                    this.toast(
+                            `Error restoring call: ${error.message}`,
+                            "Call Transfer",
+                            "danger"
+                    );
+                });
+        },
+        handleTransferToQueue(queueId) {
+            this.callMachine.send(CALL_EVENTS.TRANSFER);
+            
+            this.softphone.transferToQueue(queueId)
+                .then(() => {
+                    this.toast(
+                            "Transferring call to queue...",
+                            "Queue Transfer",
+                            "warning"
+                    );
+                })
+                .catch(error => {
+                    this.callMachine.send(CALL_EVENTS.TRANSFER_END);
+                    this.toast(
+                            `Error transferring to queue: ${error.message}`,
+                            "Queue Transfer",
+                            "danger"
+                    );
+                });
+        },
+        handleWarmTransferToQueue(queueId) {
+            this.callMachine.send(CALL_EVENTS.TRANSFER);
+            
+            this.softphone.warmTransferToQueue(queueId)
+                .then(() => {
+                    this.toast(
+                            "Initiating warm transfer to queue...",
+                            "Queue Transfer",
+                            "warning"
+                    );
+                })
+                .catch(error => {
+                    this.callMachine.send(CALL_EVENTS.TRANSFER_END);
+                    this.toast(
+                            `Error initiating warm transfer to queue: ${error.message}`,
+                            "Queue Transfer",
+                            "danger"
+                    );
+                });
+        },
+        loadAvailableQueues() {
+            return this.softphone.getAvailableQueues()
+                .then(queues => {
+                    this.availableQueues = queues;
+                    return queues;
+                })
+                .catch(error => {
+                    this.toast(
+                            `Error loading available queues: ${error.message}`,
+                            "Queue Error",
+                            "danger"
+                    );
+                });
+        },
+
+        /**
+         * Load the provider's transfer directory into `transferEndpoints`
+         * @returns {Promise<Array>} Resolves with the endpoints
+         */
+        loadTransferEndpoints() {
+            this.transferEndpointsLoading = true;
+
+            return this.softphone.getTransferEndpoints()
+                .then(endpoints => {
+                    this.transferEndpoints = endpoints;
+                    return endpoints;
+                })
+                .catch(error => {
+                    this.toast(
+                            `Error loading transfer directory: ${error.message}`,
+                            "Call Transfer",
+                            "danger"
+                    );
+                })
+                .finally(() => {
+                    this.transferEndpointsLoading = false;
+                });
+        },
+
+        /**
+         * Transfer the call to a directory endpoint
+         * @param {{endpoint: Object, warm: boolean}} selection - The endpoint and transfer type
+         */
+        handleEndpointTransfer({ endpoint, warm }) {
+            this.callMachine.send(CALL_EVENTS.TRANSFER);
+            this.transferNumber = { description: endpoint.name, phoneNumber: endpoint.phoneNumber, warm };
+
+            this.softphone.transferToEndpoint(endpoint.endpointId, warm)
+                .then(() => {
+                    this.toast(
+                            `Transferring call to ${endpoint.name}...`,
+                            "Call Transfer",
+                            "warning"
+                    );
+                })
+                .catch(error => {
+                    this.callMachine.send(CALL_EVENTS.TRANSFER_END);
+                    this.toast(
+                            `Error occurred while trying to transfer call: ${error.message}`,
+                            "Call Transfer",
+                            "danger"
+                    );
+                });
+        },
+        handleInitiateConference(phoneNumber) {
+            this.callMachine.send(CALL_EVENTS.CONFERENCE);
+            
+            this.softphone.initiateConference(phoneNumber)
+                .then(() => {
+                    this.toast(
+                            "Initiating conference call...",
+                            "Conference",
+                            "info"
+                    );
+                    
+                    // Add participant to the list
+                    this.conferenceParticipants.push({
+                        phoneNumber,
+                        timestamp: new Date().toISOString(),
+                        status: 'connecting'
+                    });
+                })
+                .catch(error => {
+                    this.callMachine.send(CALL_EVENTS.CONFERENCE_END);
+                    this.toast(
+                            `Error initiating conference: ${error.message}`,
+                            "Conference",
+                            "danger"
+                    );
+                });
+        },
+        handleMergeConnections() {
+            this.softphone.mergeConnections()
+                .then(() => {
+                    this.toast(
+                            "Conference participants merged",
+                            "Conference",
+                            "success"
+                    );
+                    
+                    // Update all participants status
+                    this.conferenceParticipants.forEach(participant => {
+                        participant.status = 'connected';
+                    });
+                })
+                .catch(error => {
+                    this.toast(
+                            `Error merging connections: ${error.message}`,
+                            "Conference",
+                            "danger"
+                    );
+                });
+        },
+        handleRemoveFromConference(participant) {
+            // Extract connectionId from participant object if it's an object, otherwise use it directly
+            const connectionId = participant.connectionId || participant;
+            
+            this.softphone.removeFromConference(connectionId)
+                .then(() => {
+                    this.toast(
+                            "Participant removed from conference",
+                            "Conference",
+                            "info"
+                    );
+                    
+                    // Remove participant from the list or update status
+                    const index = this.conferenceParticipants.findIndex(p => 
+                        (p.connectionId === connectionId) || 
+                        (p.phoneNumber === participant.phoneNumber)
+                    );
+                    
+                    if (index !== -1) {
+                        this.conferenceParticipants.splice(index, 1);
+                    }
+                    
+                    // If no participants left, end conference
+                    if (this.conferenceParticipants.length === 0) {
+                        this.callMachine.send(CALL_EVENTS.CONFERENCE_END);
+                    }
+                })
+                .catch(error => {
+                    this.toast(
+                            `Error removing participant: ${error.message}`,
+                            "Conference",
+                            "danger"
+                    );
+                });
+        },
+        handleStatusChange(status) {
+            const previousStatus = this.agent.status;
+
+            if (status !== previousStatus) {
+                this.agentStatusChangedAt = Date.now();
+            }
+
+            this.agent.status = status;
+
+            // Providers can only list their states once the agent is ready
+            if (previousStatus === 'Initializing' && !this.agentStates.length) {
+                this.loadAgentStates();
+            }
+
+            if (status === 'FailedConnectCustomer') {
+
+                this.$emit('call-error', 'FailedToConnect')
+
+                this.toast(
+                        'Connection was blocked.',
+                        "Call Error",
+                        "danger"
+                )
+
+                this.handleEndCall()
+            }
+
+        },
+        openCcp() {
+            const ccpUrl = this.providerConfig.ccpUrl || `https://${process.env.MIX_AWS_CONNECT_URL}/connect/ccp-v2`;
+            const ccpWindow = window.open(
+                    `${ccpUrl}/softphone`,
+                    "Amazon Connect Control Panel",
+                    "toolbar=no, location=no, directories=no, status=no, menubar=no, scrollbars=no, resizable=no, copyhistory=no, close=no, width=393, height=572"
+            );
+
+            if (!ccpWindow) {
+                this.toast(
+                        "Failed to open the Amazon Connect Control Panel. Please check your popup blocker settings.",
+                        "CCP Error",
+                        "danger"
+                );
+            }
+
+            const checkWindowClosedInterval = setInterval(() => {
+                if (ccpWindow.closed) {
+                    clearInterval(checkWindowClosedInterval); // Clear interval
+
+                    this.showCcpLoginPopup = false;
+
+                    this.initializeSoftphone()
+                }
+            });
+        },
+        
+        openTwilioCcp() {
+            // URL for Twilio console or custom Twilio interface
+            const twilioUrl = process.env.MIX_TWILIO_CONSOLE_URL || 'https://www.twilio.com/console/voice';
+            
+            const ccpWindow = window.open(
+                    twilioUrl,
+                    "Twilio Control Panel",
+                    "toolbar=no, location=no, directories=no, status=no, menubar=no, scrollbars=no, resizable=yes, copyhistory=no, close=no, width=800, height=600"
+            );
+
+            if (!ccpWindow) {
+                this.toast(
+                        "Failed to open the Twilio Control Panel. Please check your popup blocker settings.",
+                        "Twilio Panel Error",
+                        "danger"
+                );
+            }
+
+            const checkWindowClosedInterval = setInterval(() => {
+                if (ccpWindow.closed) {
+                    clearInterval(checkWindowClosedInterval); // Clear interval
+                    
+                    // Reinitialize if needed
+                    if (this.provider === 'twilio') {
+                        this.initializeSoftphone();
+                    }
+                }
+            });
+        },
+        openSoftphone() {
+            this.showCcpLoginPopup = false;
+            this.softphone.openLogin();
+        },
+        initializedContactStatus() {
+            this.setupContactStatus();
+
+            if (this.agent.status === 'CallingCustomer') {
+                this.handleEndCall();
+            }
+        },
+        /**
+         * Keep the call state in step with the provider's agent status. The call itself has already
+         * ended when the agent enters after-call work, so nothing is hung up here.
+         */
+        setupContactStatus() {
+            if (this.agent?.status === 'Busy') {
+                this.callMachine.send(CALL_EVENTS.CONNECT);
+            }
+
+            if (this.agent?.status === 'AfterCallWork') {
+                this.callMachine.send(CALL_EVENTS.AFTER_CALL_WORK);
+
+                if (this.agent.muted) {
+                    this.handleUnmuteAudio();
+                }
+            } else if (this.callState === CALL_STATES.AFTER_CALL_WORK) {
+                this.callMachine.send(CALL_EVENTS.COMPLETE);
+            }
+        },
+        setCallDuration(duration) {
+            this.callDuration = duration
+        },
+        
+        // CRM Integration Methods
+        getContactAttributes() {
+            this.softphone.getContactAttributes()
+                .then(attributes => {
+                    this.contactAttributes = attributes;
+                    this.$emit('contact-attributes', attributes);
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error getting contact attributes: ${error.message}`,
+                        "CRM Error",
+                        "danger"
+                    );
+                });
+        },
+
+        /**
+         * Write attributes (e.g. notes or tags) to the current contact, or the contact in after-call
+         * work, so that they travel with it into the provider's reporting. Emits `contact-attributes-updated`.
+         * @param {Object} attributes - The attributes to set
+         * @returns {Promise<boolean>} Resolves with whether the attributes were saved
+         */
+        updateContactAttributes(attributes) {
+            const session = this.callSession;
+
+            if (!this.softphone || !this.hasContact) {
+                this.toast("There is no contact to update.", "Contact Attributes", "warning");
+                return Promise.resolve(false);
+            }
+
+            return this.softphone.updateContactAttributes(attributes)
+                .then(() => {
+                    if (this.callSession?.id === session?.id) {
+                        this.contactAttributes = { ...this.contactAttributes, ...attributes };
+                    }
+
+                    this.$emit('contact-attributes-updated', { contactId: session?.id || null, attributes, session });
+                    return true;
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error updating contact attributes: ${error.message}`,
+                        "Contact Attributes",
+                        "danger"
+                    );
+                    return false;
+                });
+        },
+
+        /**
+         * Load the attributes of a ringing or connected call for the contact attributes panel
+         * and emit `contact-attributes`. Nothing is loaded unless `contactAttributeFields` is set.
+         * @param {Object} session - The call session
+         * @returns {Promise<void>}
+         */
+        loadContactAttributes(session) {
+            if (!this.attributeFields.length || !this.softphone) {
+                return Promise.resolve();
+            }
+
+            return this.softphone.getContactAttributes()
+                .then(attributes => {
+                    // Another call may have started meanwhile
+                    if (this.callSession?.id !== session.id) {
+                        return;
+                    }
+
+                    this.contactAttributes = attributes || {};
+                    this.$emit('contact-attributes', this.contactAttributes);
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error getting contact attributes: ${error.message}`,
+                        "Contact Attributes",
+                        "warning"
+                    );
+                });
+        },
+        
+        /**
+         * List the audio devices, apply the agent's saved choices (or the defaults) to the provider
+         * and start following devices being plugged in and out
+         * @returns {Promise<void>}
+         */
+        initializeAudioDevices() {
+            if (!this.stopWatchingAudioDevices) {
+                this.stopWatchingAudioDevices = this.audioDeviceManager.watch(() => this.refreshAudioDevices());
+            }
+
+            return this.refreshAudioDevices();
+        },
+
+        /**
+         * Re-list the audio devices. A device in use that is gone, like an unplugged headset, is
+         * replaced by the default device, and a saved choice that is plugged back in is used again.
+         * @returns {Promise<void>}
+         */
+        refreshAudioDevices() {
+            return this.audioDeviceManager.listDevices()
+                .then(devices => {
+                    this.audioDevices = devices;
+
+                    // The provider may have been torn down meanwhile
+                    if (!this.softphone) {
+                        return;
+                    }
+
+                    const previous = this.selectedAudioDevices;
+                    const resolved = resolveAudioDevices(devices, this.audioDeviceManager.getPreferences());
+                    const changes = {};
+                    const reasons = {};
+
+                    Object.values(AUDIO_DEVICE_KINDS).forEach(kind => {
+                        if (!resolved[kind] || resolved[kind] === previous[kind]) {
+                            return;
+                        }
+
+                        const listed = kind === AUDIO_DEVICE_KINDS.INPUT ? devices.inputs : devices.outputs;
+                        changes[kind] = resolved[kind];
+
+                        if (!previous[kind]) {
+                            reasons[kind] = 'initial';
+                        } else if (!listed.some(device => device.deviceId === previous[kind])) {
+                            reasons[kind] = 'disconnected';
+                        } else {
+                            reasons[kind] = 'reconnected';
+                        }
+                    });
+
+                    const replaced = Object.keys(reasons)
+                            .filter(kind => reasons[kind] === 'disconnected')
+                            .map(kind => `${this.getAudioDeviceLabel(kind, changes[kind])} for the ${AUDIO_DEVICE_NAMES[kind]}`);
+
+                    if (replaced.length) {
+                        this.toast(`An audio device was disconnected. Now using ${replaced.join(', ')}.`, "Audio Devices", "warning");
+                    }
+
+                    return this.applyAudioDevices(changes, reasons);
+                })
+                .catch(error => {
+                    console.error('Error listing audio devices:', error);
+                });
+        },
+
+        /**
+         * Use a microphone, speaker or ringer and remember the choice in this browser
+         * @param {string} kind - `input`, `output` or `ringer`
+         * @param {string} deviceId - The device ID, from `audioDevices`
+         * @returns {Promise<boolean>} Resolves with whether the provider switched to the device
+         */
+        setAudioDevice(kind, deviceId) {
+            this.audioDeviceManager.savePreference(kind, deviceId);
+            return this.applyAudioDevices({ [kind]: deviceId }, { [kind]: 'selected' });
+        },
+
+        /**
+         * Switch the provider to the given devices and emit `audio-device-changed` for each
+         * @param {Object<string, string>} changes - Device IDs by kind
+         * @param {Object<string, string>} reasons - Why each device changed, by kind
+         * @returns {Promise<boolean>} Resolves with whether the provider switched
+         */
+        applyAudioDevices(changes, reasons) {
+            const kinds = Object.keys(changes);
+
+            if (!kinds.length || !this.softphone) {
+                return Promise.resolve(true);
+            }
+
+            const previous = this.selectedAudioDevices;
+            this.selectedAudioDevices = { ...previous, ...changes };
+
+            const applied = this.capabilities.audioDevices ? this.softphone.setAudioDevices(changes) : true;
+
+            return Promise.resolve(applied)
+                .then(() => {
+                    kinds.forEach(kind => {
+                        this.$emit('audio-device-changed', { kind, deviceId: changes[kind], reason: reasons[kind] });
+                    });
+                    return true;
+                })
+                .catch(error => {
+                    this.selectedAudioDevices = previous;
+                    this.toast(
+                        `Error switching the ${kinds.map(kind => AUDIO_DEVICE_NAMES[kind]).join(' and ')}: ${error.message}`,
+                        "Audio Devices",
+                        "danger"
+                    );
+                    return false;
+                });
+        },
+
+        /**
+         * Ring for an incoming call, unless the `ringtone` prop leaves it to the provider
+         * @returns {Promise<boolean>} Resolves with whether it rings
+         */
+        startRingtone() {
+            if (!this.ringtoneEnabled) {
+                return Promise.resolve(false);
+            }
+
+            return this.ringtonePlayer.play().catch(error => {
+                if (error?.name === 'NotAllowedError') {
+                    this.toast("The browser blocked the ringtone. Click anywhere on the page to allow sounds.", "Ringtone", "warning");
+                } else {
+                    console.error('Error playing the ringtone:', error);
+                }
+                return false;
+            });
+        },
+
+        stopRingtone() {
+            this.ringtonePlayer.stop();
+        },
+
+        /**
+         * Meter the agent's microphone while on a call, unless the `microphoneMeter` prop is off.
+         * Without microphone access there is no meter and no speaking-while-muted warning.
+         * @returns {Promise<boolean>} Resolves with whether it meters
+         */
+        startMicrophoneMeter() {
+            if (!this.microphoneMeter || !this.contactActive || !this.microphoneMonitor.isSupported()) {
+                return Promise.resolve(false);
+            }
+
+            return this.microphoneMonitor.start(this.selectedAudioDevices.input)
+                .then(metering => {
+                    if (metering) {
+                        this.microphoneLevel = 0;
+                    }
+                    return metering;
+                })
+                .catch(error => {
+                    console.warn('Could not meter the microphone:', error);
+                    this.microphoneLevel = null;
+                    return false;
+                });
+        },
+
+        stopMicrophoneMeter() {
+            this.microphoneMonitor.stop();
+            this.microphoneLevel = null;
+            this.speakingWhileMuted = false;
+        },
+
+        /**
+         * Warn the agent when they start speaking on a muted call
+         */
+        handleSpeechDetected() {
+            const onCall = this.callState === CALL_STATES.CONNECTED || this.callState === CALL_STATES.CONFERENCING;
+            if (!this.agent.muted || !onCall) {
+                return;
+            }
+
+            this.speakingWhileMuted = true;
+            this.$emit('speaking-while-muted', { contactId: this.callSession?.id || null, session: this.callSession });
+        },
+
+        dismissSpeakingWhileMuted() {
+            this.speakingWhileMuted = false;
+        },
+
+        /**
+         * Sample the call's media quality while it is up, unless the provider cannot report it
+         * or the `callQualityMonitoring` prop is off
+         */
+        startCallQualityMonitor() {
+            this.callQuality = null;
+
+            if (this.callQualityMonitoring === false || !this.capabilities.callQuality) {
+                return;
+            }
+
+            this.callQualityMonitor.start();
+        },
+
+        /**
+         * Stop sampling and keep the call's quality summary for its call-ended event
+         */
+        stopCallQualityMonitor() {
+            this.callQualityReport = {
+                contactId: this.callSession?.id || null,
+                summary: this.callQualityMonitor.stop()
+            };
+            this.callQuality = null;
+        },
+
+        /**
+         * Warn the agent when a quality metric stays past its threshold
+         * @param {{metric: string, value: number, threshold: number}} warning - From CallQualityMonitor
+         */
+        handleCallQualityWarning({ metric, value, threshold }) {
+            const { name, unit } = CALL_QUALITY_METRICS[metric];
+
+            this.toast(`Poor call quality: ${name} is ${value}${unit}. The caller may not hear you clearly.`, "Call Quality", "warning");
+            this.$emit('call-quality-warning', {
+                contactId: this.callSession?.id || null,
+                metric,
+                value,
+                threshold,
+                session: this.callSession
+            });
+        },
+
+        /**
+         * Name of a listed audio device
+         * @param {string} kind - `input`, `output` or `ringer`
+         * @param {string} deviceId - The device ID
+         * @returns {string} Its label, or the kind of device if it is not listed
+         */
+        getAudioDeviceLabel(kind, deviceId) {
+            const listed = kind === AUDIO_DEVICE_KINDS.INPUT ? this.audioDevices.inputs : this.audioDevices.outputs;
+            return listed.find(device => device.deviceId === deviceId)?.label || `the default ${AUDIO_DEVICE_NAMES[kind]}`;
+        },
+
+        /**
+         * Look up the caller of a ringing or dialled call in the CRM and emit `crm-screen-pop`.
+         * With `crmScreenPop` set to `open`, a single match is opened as well.
+         * @param {Object} session - The call session
+         * @returns {Promise<void>}
+         */
+        screenPopCrmRecord(session) {
+            if (!this.crmAdapter || this.crmScreenPop === SCREEN_POP_MODES.NONE || !session?.remoteNumber) {
+                return Promise.resolve();
+            }
+
+            // Outbound calls report connecting more than once
+            if (this.crmLookupSessionId === session.id) {
+                return Promise.resolve();
+            }
+            this.crmLookupSessionId = session.id;
+
+            return Promise.resolve(this.crmAdapter.searchByPhone(session.remoteNumber, { session }))
+                .then(records => {
+                    if (this.crmLookupSessionId !== session.id) {
+                        return;
+                    }
+
+                    this.crmRecords = records || [];
+                    const record = this.crmRecords.length === 1 ? this.crmRecords[0] : null;
+
+                    this.$emit('crm-screen-pop', { contactId: session.id, records: this.crmRecords, record, session });
+
+                    if (record && this.crmScreenPop === SCREEN_POP_MODES.OPEN) {
+                        return this.openCrmRecord(record);
+                    }
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error searching the CRM for ${session.remoteNumber}: ${error.message}`,
+                        "CRM Error",
+                        "danger"
+                    );
+                });
+        },
+
+        /**
+         * Log an ended call to the CRM, or hold it back until after-call work is complete so that
+         * it is logged with its disposition
+         * @param {Object} session - The ended call session
+         */
+        queueCrmCallLog(session) {
+            if (typeof this.crmAdapter?.logCall !== 'function') {
+                return;
+            }
+
+            const record = this.crmLookupSessionId === session.id && this.crmRecords.length === 1
+                ? this.crmRecords[0]
+                : null;
+            const callLog = { session, record, disposition: null };
+
+            if (this.callState === CALL_STATES.AFTER_CALL_WORK && this.callSession?.id === session.id) {
+                this.crmCallLog = callLog;
+            } else {
+                this.logCrmCall(callLog);
+            }
+        },
+
+        flushCrmCallLog() {
+            const callLog = this.crmCallLog;
+            this.crmCallLog = null;
+
+            if (callLog) {
+                this.logCrmCall(callLog);
+            }
+        },
+
+        /**
+         * Log a call through the adapter's `logCall` and emit `crm-call-logged`
+         * @param {{session: Object, record: Object|null, disposition: Object|null}} callLog - The call
+         * @returns {Promise<void>}
+         */
+        logCrmCall({ session, record, disposition }) {
+            const activity = createCrmCallActivity(session, { disposition, record });
+
+            return Promise.resolve()
+                .then(() => this.crmAdapter.logCall(activity, { session }))
+                .then(result => {
+                    this.$emit('crm-call-logged', { contactId: session.id, activity, result });
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error logging call to CRM: ${error.message}`,
+                        "CRM Error",
+                        "danger"
+                    );
+                });
+        },
+
+        openCrmRecord(record) {
+            if (!this.crmAdapter) {
+                return Promise.resolve(false);
+            }
+
+            return openCrmRecord(this.crmAdapter, record)
+                .catch(error => {
+                    this.toast(
+                        `Error opening CRM record: ${error.message}`,
+                        "CRM Error",
+                        "danger"
+                    );
+                    return false;
+                });
+        },
+
+        /**
+         * The `crmAdapter` prop
+         * @returns {Object}
+         * @throws {Error} If no adapter is configured
+         */
+        requireCrmAdapter() {
+            if (!this.crmAdapter) {
+                throw new Error("No CRM adapter configured.");
+            }
+
+            return this.crmAdapter;
+        },
+
+        createCrmRecord(recordData) {
+            return Promise.resolve()
+                .then(() => this.requireCrmAdapter().createRecord(recordData, { session: this.callSession }))
+                .then(record => {
+                    this.crmRecords.push(record);
+                    this.$emit('crm-record-created', record);
+                    this.toast(
+                        "CRM record created successfully",
+                        "CRM Integration",
+                        "success"
+                    );
+                    return record;
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error creating CRM record: ${error.message}`,
+                        "CRM Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        updateCrmRecord(recordId, updateData) {
+            return Promise.resolve()
+                .then(() => this.requireCrmAdapter().updateRecord(recordId, updateData, { session: this.callSession }))
+                .then(record => {
+                    // Update the record in the array
+                    const index = this.crmRecords.findIndex(r => r.id === recordId);
+                    if (index !== -1) {
+                        this.crmRecords.splice(index, 1, record);
+                    }
+                    
+                    this.$emit('crm-record-updated', record);
+                    this.toast(
+                        "CRM record updated successfully",
+                        "CRM Integration",
+                        "success"
+                    );
+                    return record;
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error updating CRM record: ${error.message}`,
+                        "CRM Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        searchCustomerByPhone(phoneNumber) {
+            return Promise.resolve()
+                .then(() => this.requireCrmAdapter().searchByPhone(phoneNumber, { session: this.callSession }))
+                .then(results => {
+                    this.$emit('customer-search-results', results);
+                    
+                    if (results.length > 0) {
+                        this.toast(
+                            `Found ${results.length} customer records`,
+                            "CRM Search",
+                            "info"
+                        );
+                    } else {
+                        this.toast(
+                            "No customer records found",
+                            "CRM Search",
+                            "warning"
+                        );
+                    }
+
+                    return results;
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error searching for customer: ${error.message}`,
+                        "CRM Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        // Agent State Management Methods
+        loadAgentStates() {
+            this.softphone.getAgentStates()
+                .then(states => {
+                    this.agentStates = states;
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error loading agent states: ${error.message}`,
+                        "Agent Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        getAgentConfiguration() {
+            this.softphone.getAgentConfiguration()
+                .then(config => {
+                    this.agentConfiguration = config;
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error getting agent configuration: ${error.message}`,
+                        "Agent Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        updateAgentConfiguration(configUpdates) {
+            this.softphone.updateAgentConfiguration(configUpdates)
+                .then(config => {
+                    this.agentConfiguration = config;
+                    this.toast(
+                        "Agent configuration updated",
+                        "Agent Configuration",
+                        "success"
+                    );
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error updating agent configuration: ${error.message}`,
+                        "Agent Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        getAgentStatistics() {
+            this.softphone.getAgentStatistics()
+                .then(stats => {
+                    this.agentStatistics = stats;
+                    this.$emit('agent-statistics', stats);
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error getting agent statistics: ${error.message}`,
+                        "Agent Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        getAgentSnapshot() {
+            this.softphone.getAgentSnapshot()
+                .then(snapshot => {
+                    // Update relevant component state with snapshot data
+                    this.$emit('agent-snapshot', snapshot);
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error getting agent snapshot: ${error.message}`,
+                        "Agent Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        getAgentContacts() {
+            this.softphone.getAgentContacts()
+                .then(contacts => {
+                    this.$emit('agent-contacts', contacts);
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error getting agent contacts: ${error.message}`,
+                        "Agent Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        getAgentPermissions() {
+            this.softphone.getAgentPermissions()
+                .then(permissions => {
+                    this.$emit('agent-permissions', permissions);
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error getting agent permissions: ${error.message}`,
+                        "Agent Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        /**
+         * Set the agent's state. Offline states are refused while the agent has a contact.
+         * @param {string} stateName - One of `agentStates`
+         */
+        setAgentRoutingState(stateName) {
+            const state = this.agentStates.find(agentState => agentState.name === stateName);
+
+            if (this.hasContact && (state?.type === 'offline' || stateName === 'Offline')) {
+                this.toast(
+                    "You can't go offline while you have a contact. Finish it first.",
+                    "Agent State",
+                    "warning"
+                );
+                return;
+            }
+
+            this.softphone.setAgentState(stateName)
+                .then(newState => {
+                    this.toast(
+                        `Agent state changed to: ${newState}`,
+                        "Agent State",
+                        "info"
+                    );
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error setting agent state: ${error.message}`,
+                        "Agent Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        logoutAgent() {
+            this.softphone.logoutAgent()
+                .then(() => {
+                    this.toast(
+                        "Agent logged out successfully",
+                        "Agent Logout",
+                        "success"
+                    );
+                    
+                    // Reset component state
+                    this.initialized = false;
+                    this.agent.status = 'Initializing';
+                    this.callMachine.reset();
+                    
+                    // Show login popup
+                    this.showCcpLoginPopup = true;
+                })
+                .catch(error => {
+                    this.toast(
+                        `Error logging out agent: ${error.message}`,
+                        "Agent Error",
+                        "danger"
+                    );
+                });
+        },
+        
+        // Helper method for toast notifications. Components using the mixin can override it.
+        toast(message, title, type) {
+            // This is a placeholder for a toast notification system
+            // In a real implementation, this would use a toast library or custom event
+            console.log(`[${type.toUpperCase()}] ${title}: ${message}`);
+            
+            // If a toast notification system is available, use it
+            if (this.$toast) {
+                this.$toast[type](message, title);
+            }
+        }
+    },
+};
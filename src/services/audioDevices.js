@@ -0,0 +1,204 @@
+/**
+ * Audio device selection. Microphones and speakers are listed with `enumerateDevices`, the
+ * agent's choices are applied through the provider's `setAudioDevices` and remembered in
+ * localStorage, so each browser keeps its own headset.
+ */
+
+/**
+ * The devices an agent can choose. The ringer is picked from the speakers.
+ * @type {Readonly<{INPUT: string, OUTPUT: string, RINGER: string}>}
+ */
+export const AUDIO_DEVICE_KINDS = Object.freeze({
+    INPUT: 'input',
+    OUTPUT: 'output',
+    RINGER: 'ringer'
+});
+
+/**
+ * ID of the browser's default device, which follows the operating system's choice.
+ * @type {string}
+ */
+export const DEFAULT_DEVICE_ID = 'default';
+
+const STORAGE_KEY = 'vue-softphone:audio-devices';
+
+/**
+ * @typedef {Object} AudioDevice
+ * @property {string} deviceId - The browser's ID for the device, stable for the origin.
+ * @property {string} label - The device's name.
+ */
+
+/**
+ * @typedef {Object} AudioDeviceList
+ * @property {Array<AudioDevice>} inputs - Microphones.
+ * @property {Array<AudioDevice>} outputs - Speakers and headphones; empty where the browser cannot choose them.
+ */
+
+/**
+ * @typedef {Object} AudioDeviceSelection
+ * @property {string|null} input - Microphone device ID.
+ * @property {string|null} output - Speaker device ID.
+ * @property {string|null} ringer - Device ID the ringtone plays on.
+ */
+
+/**
+ * Pick the device to use: the preferred one while it is plugged in, otherwise the default
+ * device, otherwise the first one.
+ * @param {Array<AudioDevice>} devices - The available devices.
+ * @param {string|null} [preferredId] - The device the agent chose.
+ * @returns {string|null} The device ID, or null if there are no devices.
+ */
+export function resolveAudioDevice(devices, preferredId = null) {
+    if (preferredId && devices.some(device => device.deviceId === preferredId)) {
+        return preferredId;
+    }
+
+    if (devices.some(device => device.deviceId === DEFAULT_DEVICE_ID)) {
+        return DEFAULT_DEVICE_ID;
+    }
+
+    return devices[0]?.deviceId ?? null;
+}
+
+/**
+ * Pick the microphone, speaker and ringer to use (see resolveAudioDevice).
+ * @param {AudioDeviceList} devices - The available devices.
+ * @param {Partial<AudioDeviceSelection>} [preferences] - The agent's choices.
+ * @returns {AudioDeviceSelection} The devices to use.
+ */
+export function resolveAudioDevices({ inputs, outputs }, preferences = {}) {
+    return {
+        input: resolveAudioDevice(inputs, preferences.input),
+        output: resolveAudioDevice(outputs, preferences.output),
+        ringer: resolveAudioDevice(outputs, preferences.ringer)
+    };
+}
+
+/**
+ * The browser's localStorage, or null where it is unavailable or blocked (e.g. sandboxed iframes).
+ * @returns {Storage|null}
+ */
+function getLocalStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Lists the browser's audio devices, follows them being plugged in and out, and stores the
+ * agent's choices.
+ */
+class AudioDeviceManager {
+    /**
+     * @param {Object} [options]
+     * @param {MediaDevices|null} [options.mediaDevices] - The browser's media devices.
+     * @param {Storage|null} [options.storage] - Where choices are kept; localStorage by default.
+     * Pass null to keep them for the page's lifetime only.
+     * @param {string} [options.storageKey] - Storage key of the choices.
+     */
+    constructor({
+        mediaDevices = globalThis.navigator?.mediaDevices,
+        storage = getLocalStorage(),
+        storageKey = STORAGE_KEY
+    } = {}) {
+        this.mediaDevices = mediaDevices || null;
+        this.storage = storage || null;
+        this.storageKey = storageKey;
+        this.preferences = null; // In-memory copy, also the fallback when storage fails
+    }
+
+    /**
+     * Whether the browser can list devices.
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof this.mediaDevices?.enumerateDevices === 'function';
+    }
+
+    /**
+     * List the microphones and speakers. Until the page has microphone permission, browsers
+     * hide device names, so devices are numbered instead.
+     * @returns {Promise<AudioDeviceList>}
+     */
+    listDevices() {
+        if (!this.isSupported()) {
+            return Promise.resolve({ inputs: [], outputs: [] });
+        }
+
+        return this.mediaDevices.enumerateDevices().then(devices => {
+            const list = (kind, name) => devices
+                .filter(device => device.kind === kind && device.deviceId)
+                .map((device, index) => ({
+                    deviceId: device.deviceId,
+                    label: device.label || `${name} ${index + 1}`
+                }));
+
+            return {
+                inputs: list('audioinput', 'Microphone'),
+                outputs: list('audiooutput', 'Speaker')
+            };
+        });
+    }
+
+    /**
+     * The agent's saved choices.
+     * @returns {AudioDeviceSelection}
+     */
+    getPreferences() {
+        if (!this.preferences) {
+            let saved = null;
+
+            try {
+                saved = JSON.parse(this.storage?.getItem(this.storageKey) || 'null');
+            } catch (error) {
+                console.warn('Could not read the saved audio devices:', error);
+            }
+
+            this.preferences = {
+                input: saved?.input || null,
+                output: saved?.output || null,
+                ringer: saved?.ringer || null
+            };
+        }
+
+        return { ...this.preferences };
+    }
+
+    /**
+     * Remember the agent's choice for one kind of device.
+     * @param {string} kind - One of AUDIO_DEVICE_KINDS.
+     * @param {string|null} deviceId - The chosen device, or null to go back to the default.
+     */
+    savePreference(kind, deviceId) {
+        this.preferences = { ...this.getPreferences(), [kind]: deviceId || null };
+
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(this.preferences));
+        } catch (error) {
+            // Storage full or blocked: the choice lasts until the page is reloaded
+            console.warn('Could not save the audio devices:', error);
+        }
+    }
+
+    /**
+     * Call back whenever a device is plugged in or out.
+     * @param {Function} onChange - Called with no arguments on each `devicechange` event.
+     * @returns {Function} Stops watching.
+     */
+    watch(onChange) {
+        const mediaDevices = this.mediaDevices;
+
+        if (typeof mediaDevices?.addEventListener !== 'function') {
+            return () => {};
+        }
+
+        const listener = () => onChange();
+        mediaDevices.addEventListener('devicechange', listener);
+
+        return () => mediaDevices.removeEventListener('devicechange', listener);
+    }
+}
+
+export default AudioDeviceManager;
@@ -0,0 +1,251 @@
+/**
+ * Call history. Finished calls are stored in IndexedDB so they survive reloads; where IndexedDB
+ * is unavailable (private browsing, server rendering, tests) they are kept in memory instead.
+ */
+import { CALL_EVENTS, CALL_STATES } from './callStateMachine';
+
+const DB_NAME = 'vue-softphone';
+const DB_VERSION = 1;
+const STORE_NAME = 'callHistory';
+
+/**
+ * Number of calls kept by default; older calls are dropped as new ones are added.
+ * @type {number}
+ */
+export const DEFAULT_HISTORY_LIMIT = 200;
+
+// Call state events worth keeping in a call's history
+const RECORDED_EVENTS = [
+    CALL_EVENTS.HOLD,
+    CALL_EVENTS.RESUME,
+    CALL_EVENTS.TRANSFER,
+    CALL_EVENTS.TRANSFER_END,
+    CALL_EVENTS.CONFERENCE,
+    CALL_EVENTS.CONFERENCE_END
+];
+
+/**
+ * @typedef {Object} CallHistoryEvent
+ * @property {string} type - The call state event (hold, resume, transfer, transfer-end, conference, conference-end).
+ * @property {string} at - ISO timestamp of the event.
+ */
+
+/**
+ * Collects what happens during a call that the call session does not record: time on hold
+ * and transfer and conference events. Fed with the call state machine's transitions.
+ */
+export class CallActivity {
+    constructor() {
+        this.holdDuration = 0; // Milliseconds on hold, excluding a hold still in progress
+        this.holdStartedAt = null;
+        this.events = [];
+    }
+
+    /**
+     * Record a call state transition.
+     * @param {{from: string, to: string, event: string}} transition - The transition.
+     * @param {Date} [at] - When it happened.
+     */
+    record({ from, to, event }, at = new Date()) {
+        if (to === CALL_STATES.ON_HOLD && from !== CALL_STATES.ON_HOLD) {
+            this.holdStartedAt = at;
+        } else if (from === CALL_STATES.ON_HOLD && to !== CALL_STATES.ON_HOLD) {
+            this._endHold(at);
+        }
+
+        if (RECORDED_EVENTS.includes(event)) {
+            this.events.push({ type: event, at: at.toISOString() });
+        }
+    }
+
+    /**
+     * Total time on hold, including a hold still in progress.
+     * @param {Date} [at] - The time to measure up to.
+     * @returns {number} Seconds on hold.
+     */
+    getHoldSeconds(at = new Date()) {
+        const ongoing = this.holdStartedAt ? at - this.holdStartedAt : 0;
+        return Math.round((this.holdDuration + ongoing) / 1000);
+    }
+
+    _endHold(at) {
+        if (this.holdStartedAt) {
+            this.holdDuration += at - this.holdStartedAt;
+            this.holdStartedAt = null;
+        }
+    }
+}
+
+/**
+ * @typedef {Object} CallHistoryEntry
+ * @property {string} id - The call session ID.
+ * @property {string} provider - Provider that handled the call.
+ * @property {string} direction - `inbound` or `outbound`.
+ * @property {string|null} number - The remote party's number.
+ * @property {string} outcome - Final session state: `ended`, `missed` or `failed`.
+ * @property {string} startedAt - ISO timestamp of when the call started ringing or dialing.
+ * @property {string|null} connectedAt - ISO timestamp of when the call connected.
+ * @property {string} endedAt - ISO timestamp of when the call ended.
+ * @property {number} holdSeconds - Time the customer spent on hold.
+ * @property {Array<CallHistoryEvent>} events - Hold, transfer and conference events.
+ * @property {Object|null} disposition - The call's disposition, once the agent has set one.
+ */
+
+/**
+ * Build a history entry for a finished call.
+ * @param {import('./callSession').CallSession} session - The ended call session.
+ * @param {CallActivity|null} [activity] - Activity recorded during the call.
+ * @returns {CallHistoryEntry} The entry.
+ */
+export function createCallHistoryEntry(session, activity = null) {
+    const endedAt = session.endedAt ? new Date(session.endedAt) : new Date();
+
+    return {
+        id: session.id,
+        provider: session.provider,
+        direction: session.direction,
+        number: session.remoteNumber,
+        outcome: session.state,
+        startedAt: session.startedAt,
+        connectedAt: session.connectedAt,
+        endedAt: endedAt.toISOString(),
+        holdSeconds: activity ? activity.getHoldSeconds(endedAt) : 0,
+        events: activity ? [...activity.events] : [],
+        disposition: null
+    };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request's result.
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Stores call history entries, newest first, up to a limit.
+ */
+class CallHistoryStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Number of calls to keep.
+     * @param {IDBFactory|null} [options.indexedDB] - IndexedDB implementation; the browser's by default.
+     * Pass null to keep history in memory only.
+     */
+    constructor({ limit = DEFAULT_HISTORY_LIMIT, indexedDB = globalThis.indexedDB } = {}) {
+        this.limit = limit;
+        this.indexedDB = indexedDB || null;
+        this.entries = new Map(); // In-memory fallback
+        this.db = null; // Promise of the open database, or of null when falling back to memory
+    }
+
+    /**
+     * All stored calls, newest first.
+     * @returns {Promise<Array<CallHistoryEntry>>}
+     */
+    async list() {
+        const db = await this._open();
+        const entries = db
+            ? await promisify(db.transaction(STORE_NAME).objectStore(STORE_NAME).getAll())
+            : [...this.entries.values()];
+
+        return entries.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    /**
+     * Add or replace a call, dropping the oldest calls beyond the limit.
+     * @param {CallHistoryEntry} entry - The call.
+     * @returns {Promise<CallHistoryEntry>} The stored entry.
+     */
+    async add(entry) {
+        const db = await this._open();
+
+        if (db) {
+            await promisify(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).put(entry));
+        } else {
+            this.entries.set(entry.id, entry);
+        }
+
+        await this._trim();
+        return entry;
+    }
+
+    /**
+     * Update fields of a stored call, e.g. its disposition.
+     * @param {string} id - The call ID.
+     * @param {Object} changes - Fields to set.
+     * @returns {Promise<CallHistoryEntry|null>} The updated entry, or null if the call is not stored.
+     */
+    async update(id, changes) {
+        const db = await this._open();
+        const entry = db
+            ? await promisify(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(id))
+            : this.entries.get(id);
+
+        if (!entry) {
+            return null;
+        }
+
+        return this.add({ ...entry, ...changes, id });
+    }
+
+    /**
+     * Remove all stored calls.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this._open();
+
+        if (db) {
+            await promisify(db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear());
+        } else {
+            this.entries.clear();
+        }
+    }
+
+    /**
+     * Open the database once, falling back to memory if IndexedDB is missing or fails to open.
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    _open() {
+        if (!this.db) {
+            this.db = this.indexedDB ? this._openDatabase() : Promise.resolve(null);
+        }
+
+        return this.db;
+    }
+
+    _openDatabase() {
+        const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        };
+
+        return promisify(request).catch(error => {
+            console.warn('Call history is not persisted, IndexedDB is unavailable:', error);
+            return null;
+        });
+    }
+
+    async _trim() {
+        const stale = (await this.list()).slice(this.limit);
+        if (!stale.length) {
+            return;
+        }
+
+        const db = await this._open();
+        if (db) {
+            const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+            await Promise.all(stale.map(entry => promisify(store.delete(entry.id))));
+        } else {
+            stale.forEach(entry => this.entries.delete(entry.id));
+        }
+    }
+}
+
+export default CallHistoryStore;
@@ -0,0 +1,141 @@
+/**
+ * Provider-neutral call session model. Contact services hand these to their callbacks
+ * instead of raw Streams contacts, Twilio connections or JsSIP sessions, so components
+ * and host applications never depend on a provider SDK object.
+ */
+
+/**
+ * Direction of a call, from the agent's point of view.
+ * @type {Readonly<{INBOUND: string, OUTBOUND: string}>}
+ */
+export const CALL_DIRECTIONS = Object.freeze({
+    INBOUND: 'inbound',
+    OUTBOUND: 'outbound'
+});
+
+/**
+ * States a call session moves through.
+ * @type {Readonly<Object<string, string>>}
+ */
+export const CALL_SESSION_STATES = Object.freeze({
+    RINGING: 'ringing',
+    DIALING: 'dialing',
+    CONNECTED: 'connected',
+    ON_HOLD: 'on-hold',
+    ENDED: 'ended',
+    MISSED: 'missed',
+    FAILED: 'failed'
+});
+
+/**
+ * Roles a participant can have on a call. The agent's own leg is not a participant.
+ * @type {Readonly<{CUSTOMER: string, THIRD_PARTY: string}>}
+ */
+export const PARTICIPANT_ROLES = Object.freeze({
+    CUSTOMER: 'customer',
+    THIRD_PARTY: 'third-party'
+});
+
+const TERMINAL_STATES = [CALL_SESSION_STATES.ENDED, CALL_SESSION_STATES.MISSED, CALL_SESSION_STATES.FAILED];
+
+/**
+ * @typedef {Object} CallParticipant
+ * @property {string} id - Provider connection ID.
+ * @property {string} role - One of PARTICIPANT_ROLES.
+ * @property {string|null} phoneNumber - Number or address of the participant, if known.
+ * @property {string} state - Provider connection state (e.g. connected, hold).
+ */
+
+/**
+ * @typedef {Object} CallSession
+ * @property {string} id - Provider contact or call ID.
+ * @property {string} provider - Name of the provider that handled the call.
+ * @property {string} direction - One of CALL_DIRECTIONS.
+ * @property {string|null} remoteNumber - Customer phone number or address.
+ * @property {{queueId: string, name: string}|null} queue - Queue the call was routed through, if any.
+ * @property {string} state - One of CALL_SESSION_STATES.
+ * @property {string} startedAt - ISO timestamp of when the call started ringing or dialing.
+ * @property {string|null} connectedAt - ISO timestamp of when the call was first connected.
+ * @property {string|null} endedAt - ISO timestamp of when the call ended.
+ * @property {Array<CallParticipant>} participants - Remote parties on the call, customer first.
+ * @property {Object|null} raw - The provider's own handle. Not enumerable, so it is left out of
+ * JSON payloads and Vue reactivity.
+ */
+
+/**
+ * Freezes a session and attaches the provider handle as a non-enumerable property.
+ * @param {Object} fields - Enumerable session fields.
+ * @param {Object|null} raw - The provider's own handle.
+ * @returns {CallSession} The frozen session.
+ */
+function freezeSession(fields, raw) {
+    const session = { ...fields, participants: Object.freeze([...fields.participants]) };
+    Object.defineProperty(session, 'raw', { value: raw, enumerable: false });
+    return Object.freeze(session);
+}
+
+/**
+ * Creates a call session.
+ * @param {Object} fields - Session fields.
+ * @param {string} fields.id - Provider contact or call ID.
+ * @param {string} fields.provider - Name of the provider.
+ * @param {string} fields.direction - One of CALL_DIRECTIONS.
+ * @param {string|null} [fields.remoteNumber] - Customer phone number or address.
+ * @param {{queueId: string, name: string}|null} [fields.queue] - Queue the call was routed through.
+ * @param {string} [fields.state] - Initial state; ringing for inbound calls, dialing for outbound ones.
+ * @param {Array<CallParticipant>} [fields.participants] - Connections on the call.
+ * @param {Object|null} [fields.raw] - The provider's own handle.
+ * @returns {CallSession} The new session.
+ */
+export function createCallSession({ id, provider, direction, remoteNumber = null, queue = null, state, participants = [], raw = null }) {
+    const initialState = state || (direction === CALL_DIRECTIONS.INBOUND
+        ? CALL_SESSION_STATES.RINGING
+        : CALL_SESSION_STATES.DIALING);
+
+    return updateCallSession(freezeSession({
+        id: String(id),
+        provider,
+        direction,
+        remoteNumber,
+        queue,
+        state: initialState,
+        startedAt: new Date().toISOString(),
+        connectedAt: null,
+        endedAt: null,
+        participants
+    }, raw));
+}
+
+/**
+ * Returns a copy of the session with the changes applied. Sessions are immutable, so a
+ * session passed to a callback or event keeps describing the call at that moment.
+ * The first transition to connected stamps `connectedAt`; ended, missed and failed stamp `endedAt`.
+ * @param {CallSession} session - The session to update.
+ * @param {Object} [changes] - Fields to change (`state`, `remoteNumber`, `queue`, `participants`, `raw`),
+ * or `id` for providers that only learn a call's ID once it is placed.
+ * @returns {CallSession} The updated session.
+ */
+export function updateCallSession(session, changes = {}) {
+    const { raw = session.raw, ...fields } = changes;
+    const next = { ...session, ...fields };
+    const now = new Date().toISOString();
+
+    if (next.state === CALL_SESSION_STATES.CONNECTED && !next.connectedAt) {
+        next.connectedAt = now;
+    }
+
+    if (TERMINAL_STATES.includes(next.state) && !next.endedAt) {
+        next.endedAt = now;
+    }
+
+    return freezeSession(next, raw);
+}
+
+/**
+ * Whether the session has ended, been missed or failed.
+ * @param {CallSession|null} session - The session to check.
+ * @returns {boolean} True if the call is over.
+ */
+export function isCallSessionEnded(session) {
+    return !!session && TERMINAL_STATES.includes(session.state);
+}
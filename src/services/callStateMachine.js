@@ -0,0 +1,187 @@
+/**
+ * Call lifecycle state machine. The softphone keeps a single call state and moves it
+ * only through the transitions below, driven by provider callbacks and agent actions,
+ * so combinations such as "transferring while idle" cannot occur.
+ */
+
+/**
+ * States of the agent's call lifecycle.
+ * @type {Readonly<Object<string, string>>}
+ */
+export const CALL_STATES = Object.freeze({
+    IDLE: 'idle',
+    RINGING: 'ringing',
+    DIALING: 'dialing',
+    CONNECTED: 'connected',
+    ON_HOLD: 'on-hold',
+    TRANSFERRING: 'transferring',
+    CONFERENCING: 'conferencing',
+    AFTER_CALL_WORK: 'after-call-work'
+});
+
+/**
+ * Events that move the call state.
+ * @type {Readonly<Object<string, string>>}
+ */
+export const CALL_EVENTS = Object.freeze({
+    INCOMING: 'incoming',
+    DIAL: 'dial',
+    CONNECT: 'connect',
+    HOLD: 'hold',
+    RESUME: 'resume',
+    TRANSFER: 'transfer',
+    TRANSFER_END: 'transfer-end',
+    CONFERENCE: 'conference',
+    CONFERENCE_END: 'conference-end',
+    END: 'end',
+    AFTER_CALL_WORK: 'after-call-work',
+    COMPLETE: 'complete'
+});
+
+const {
+    IDLE, RINGING, DIALING, CONNECTED, ON_HOLD, TRANSFERRING, CONFERENCING, AFTER_CALL_WORK
+} = CALL_STATES;
+
+/**
+ * Allowed transitions, as `state -> event -> next state`. Events missing from a state are rejected.
+ * A call that ends before it connects (declined, missed, failed) returns to idle; a call that
+ * ends after connecting goes to after-call work. `connect` is accepted while idle so that a call
+ * already in progress (e.g. after a page reload) is picked up when the provider reports it.
+ * @type {Readonly<Object<string, Object<string, string>>>}
+ */
+export const CALL_TRANSITIONS = Object.freeze({
+    [IDLE]: {
+        [CALL_EVENTS.INCOMING]: RINGING,
+        [CALL_EVENTS.DIAL]: DIALING,
+        [CALL_EVENTS.CONNECT]: CONNECTED,
+        [CALL_EVENTS.AFTER_CALL_WORK]: AFTER_CALL_WORK
+    },
+    [RINGING]: {
+        [CALL_EVENTS.CONNECT]: CONNECTED,
+        [CALL_EVENTS.END]: IDLE
+    },
+    [DIALING]: {
+        [CALL_EVENTS.CONNECT]: CONNECTED,
+        [CALL_EVENTS.END]: IDLE
+    },
+    [CONNECTED]: {
+        [CALL_EVENTS.HOLD]: ON_HOLD,
+        [CALL_EVENTS.TRANSFER]: TRANSFERRING,
+        [CALL_EVENTS.CONFERENCE]: CONFERENCING,
+        [CALL_EVENTS.END]: AFTER_CALL_WORK,
+        [CALL_EVENTS.AFTER_CALL_WORK]: AFTER_CALL_WORK
+    },
+    [ON_HOLD]: {
+        [CALL_EVENTS.RESUME]: CONNECTED,
+        [CALL_EVENTS.TRANSFER]: TRANSFERRING,
+        [CALL_EVENTS.CONFERENCE]: CONFERENCING,
+        [CALL_EVENTS.END]: AFTER_CALL_WORK,
+        [CALL_EVENTS.AFTER_CALL_WORK]: AFTER_CALL_WORK
+    },
+    [TRANSFERRING]: {
+        [CALL_EVENTS.TRANSFER_END]: CONNECTED,
+        [CALL_EVENTS.END]: AFTER_CALL_WORK,
+        [CALL_EVENTS.AFTER_CALL_WORK]: AFTER_CALL_WORK
+    },
+    [CONFERENCING]: {
+        [CALL_EVENTS.CONFERENCE_END]: CONNECTED,
+        [CALL_EVENTS.END]: AFTER_CALL_WORK,
+        [CALL_EVENTS.AFTER_CALL_WORK]: AFTER_CALL_WORK
+    },
+    [AFTER_CALL_WORK]: {
+        [CALL_EVENTS.COMPLETE]: IDLE,
+        [CALL_EVENTS.INCOMING]: RINGING,
+        [CALL_EVENTS.DIAL]: DIALING
+    }
+});
+
+/**
+ * States in which the agent is on a call, i.e. dialing or talking to a remote party.
+ * @type {ReadonlyArray<string>}
+ */
+export const ACTIVE_CALL_STATES = Object.freeze([DIALING, CONNECTED, ON_HOLD, TRANSFERRING, CONFERENCING]);
+
+/**
+ * @typedef {Object} CallStateTransition
+ * @property {string} from - State before the event.
+ * @property {string} to - State after the event.
+ * @property {string} event - The event that caused the transition.
+ */
+
+/**
+ * Holds the current call state and applies events against CALL_TRANSITIONS.
+ */
+class CallStateMachine {
+    /**
+     * @param {string} [initialState] - One of CALL_STATES; idle by default.
+     */
+    constructor(initialState = IDLE) {
+        if (!CALL_TRANSITIONS[initialState]) {
+            throw new Error(`Unknown call state: ${initialState}`);
+        }
+
+        this.state = initialState;
+        this.listeners = [];
+    }
+
+    /**
+     * Whether the current state accepts the event.
+     * @param {string} event - One of CALL_EVENTS.
+     * @returns {boolean} True if sending the event would change the state.
+     */
+    can(event) {
+        return !!CALL_TRANSITIONS[this.state][event];
+    }
+
+    /**
+     * Applies an event. Events the current state does not accept are ignored, since providers
+     * report some events more than once or out of order (e.g. an end after the agent hung up).
+     * @param {string} event - One of CALL_EVENTS.
+     * @returns {boolean} True if the state changed.
+     */
+    send(event) {
+        const next = CALL_TRANSITIONS[this.state][event];
+
+        if (!next) {
+            return false;
+        }
+
+        this._moveTo(next, event);
+        return true;
+    }
+
+    /**
+     * Returns to idle regardless of the current state, e.g. when the provider is switched or the agent logs out.
+     */
+    reset() {
+        if (this.state !== IDLE) {
+            this._moveTo(IDLE, 'reset');
+        }
+    }
+
+    /**
+     * Registers a listener called after every transition.
+     * @param {function(CallStateTransition): void} listener - The listener.
+     * @returns {function(): void} Function that removes the listener.
+     */
+    onTransition(listener) {
+        this.listeners.push(listener);
+
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== listener);
+        };
+    }
+
+    /**
+     * Sets the state and notifies listeners.
+     * @param {string} next - The new state.
+     * @param {string} event - The event that caused the transition.
+     */
+    _moveTo(next, event) {
+        const transition = { from: this.state, to: next, event };
+        this.state = next;
+        this.listeners.forEach(listener => listener(transition));
+    }
+}
+
+export default CallStateMachine;
@@ -1,6 +1,7 @@
 /**
  * Utility functions for handling calls.
  */
+import { parsePhoneNumber, isValidPhoneNumber as isValidForCountry, DEFAULT_COUNTRY } from './phoneNumbers';
 
 /**
  * Formats a raw phone number into a more readable format (e.g., (123) 456-7890).
@@ -17,27 +18,35 @@ export function formatPhoneNumber(phoneNumber) {
 }
 
 /**
- * Validates if a given phone number is in E.164 format.
- * @param {string} phoneNumber - The phone number to validate.
+ * Validates a phone number against its country's numbering plan (see phoneNumbers.js), or
+ * as an E.164 number for countries without one there.
+ * @param {string} phoneNumber - The phone number to validate (e.g., "+44 20 7123 4567" or "020 7123 4567").
+ * @param {string} [countryCode] - ISO country code for numbers without a country code (e.g., "GB").
  * @returns {boolean} Returns true if the phone number is valid, false otherwise.
  */
-export function isValidPhoneNumber(phoneNumber) {
-    const e164Regex = /^\+?[1-9]\d{1,14}$/; // E.164 format
-    return e164Regex.test(phoneNumber);
+export function isValidPhoneNumber(phoneNumber, countryCode = DEFAULT_COUNTRY) {
+    return isValidForCountry(phoneNumber, countryCode);
 }
 
 /**
- * Normalizes a phone number to E.164 format.
+ * Normalizes a phone number to E.164 format. Numbers with a `+` or `00` prefix keep their
+ * country code; others are treated as national numbers of `countryCode`, without their trunk prefix.
+ * Any extension is dropped; use splitExtension in phoneNumbers.js to keep it.
  * @param {string} phoneNumber - The phone number to normalize (e.g., "123-456-7890").
- * @param {string} countryCode - The country code to prepend if the phone number is missing one (e.g., "+1").
+ * @param {string} [countryCode] - ISO country code (e.g., "GB"), or a calling code such as "+44".
  * @returns {string} The normalized E.164 phone number.
  */
-export function normalizeToE164(phoneNumber, countryCode = "+1") {
-    const cleaned = ("" + phoneNumber).replace(/\D/g, "");
-    if (cleaned.startsWith("1")) {
-        return `+${cleaned}`; // Already has the country code
-    }
-    return `${countryCode}${cleaned}`;
+export function normalizeToE164(phoneNumber, countryCode = DEFAULT_COUNTRY) {
+    return parsePhoneNumber(phoneNumber, countryCode).e164;
+}
+
+/**
+ * Validates a string of DTMF digits (0-9, *, # and A-D).
+ * @param {string} digits - The digits to send (e.g., "1234#").
+ * @returns {boolean} Returns true if every character is a DTMF tone, false otherwise.
+ */
+export function isValidDtmf(digits) {
+    return /^[0-9*#A-D]+$/.test(digits);
 }
 
 /**
@@ -56,5 +65,7 @@ export function formatDuration(seconds) {
 
 export default {
     normalizeToE164,
+    isValidPhoneNumber,
     formatDuration,
+    isValidDtmf,
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * Contact attributes shown to the agent while a call rings and is connected. Hosts pick the
+ * attributes to show, their labels and formatting through the `contactAttributeFields` prop;
+ * anything not listed stays hidden.
+ */
+import { formatAsYouType } from './phoneNumbers';
+
+/**
+ * Built-in value formats.
+ * @type {Readonly<{TEXT: string, PHONE: string, DATE: string, DATETIME: string, BOOLEAN: string, NUMBER: string}>}
+ */
+export const ATTRIBUTE_FORMATS = Object.freeze({
+    TEXT: 'text',
+    PHONE: 'phone',
+    DATE: 'date',
+    DATETIME: 'datetime',
+    BOOLEAN: 'boolean',
+    NUMBER: 'number'
+});
+
+/**
+ * @typedef {Object} AttributeField
+ * @property {string} key - Attribute name as the provider reports it.
+ * @property {string} label - Label shown to the agent.
+ * @property {string|Function} format - One of ATTRIBUTE_FORMATS, or `(value, attributes) => string`.
+ * @property {Object<string, string>|null} options - Display values for coded values, e.g. IVR menu choices.
+ */
+
+/**
+ * @typedef {Object} DisplayedAttribute
+ * @property {string} key - Attribute name.
+ * @property {string} label - Label shown to the agent.
+ * @property {string} value - Formatted value.
+ */
+
+/**
+ * Normalize the host's field mapping. Fields are given as a list of `{ key, label?, format?, options? }`,
+ * or as an object keyed by attribute name whose values are a label or the rest of the field.
+ * @param {Array<Object>|Object<string, string|Object>|null} fields - The mapping.
+ * @returns {Array<AttributeField>} The fields, in display order.
+ */
+export function normalizeAttributeFields(fields) {
+    const list = Array.isArray(fields)
+        ? fields
+        : Object.entries(fields || {}).map(([key, field]) => (typeof field === 'string' ? { key, label: field } : { key, ...field }));
+
+    return list
+        .filter(field => field && field.key)
+        .map(field => ({
+            key: String(field.key),
+            label: field.label || String(field.key),
+            format: field.format || ATTRIBUTE_FORMATS.TEXT,
+            options: field.options || null
+        }));
+}
+
+/**
+ * Format a value for display.
+ * @param {*} value - The attribute's value; providers report most values as strings.
+ * @param {AttributeField} field - The attribute's field.
+ * @param {Object} [attributes] - All attributes, passed on to custom formatters.
+ * @returns {string} The formatted value.
+ */
+export function formatAttributeValue(value, field, attributes = {}) {
+    if (typeof field.format === 'function') {
+        return String(field.format(value, attributes) ?? '');
+    }
+
+    const text = String(value);
+
+    if (field.options && Object.prototype.hasOwnProperty.call(field.options, text)) {
+        return field.options[text];
+    }
+
+    switch (field.format) {
+        case ATTRIBUTE_FORMATS.PHONE:
+            return formatAsYouType(text) || text;
+        case ATTRIBUTE_FORMATS.BOOLEAN:
+            return ['true', '1', 'yes', 'y'].includes(text.toLowerCase()) ? 'Yes' : 'No';
+        case ATTRIBUTE_FORMATS.NUMBER:
+            return Number.isNaN(Number(text)) ? text : Number(text).toLocaleString();
+        case ATTRIBUTE_FORMATS.DATE:
+        case ATTRIBUTE_FORMATS.DATETIME: {
+            const date = new Date(/^\d+$/.test(text) ? Number(text) : text);
+            if (Number.isNaN(date.getTime())) {
+                return text;
+            }
+
+            return field.format === ATTRIBUTE_FORMATS.DATE
+                ? date.toLocaleDateString()
+                : date.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        }
+        default:
+            return text;
+    }
+}
+
+/**
+ * Pick and format the whitelisted attributes. Attributes the contact does not have, or that
+ * are empty, are left out.
+ * @param {Object|null} attributes - The contact's attributes, keyed by name.
+ * @param {Array<AttributeField>} fields - Normalized fields.
+ * @returns {Array<DisplayedAttribute>} The attributes to show, in field order.
+ */
+export function getDisplayedAttributes(attributes, fields) {
+    if (!attributes) {
+        return [];
+    }
+
+    return fields
+        .filter(field => attributes[field.key] !== undefined && attributes[field.key] !== null && attributes[field.key] !== '')
+        .map(field => ({
+            key: field.key,
+            label: field.label,
+            value: formatAttributeValue(attributes[field.key], field, attributes)
+        }));
+}
@@ -0,0 +1,120 @@
+/**
+ * CRM adapter contract. Hosts pass an adapter through the `crmAdapter` prop; the softphone
+ * looks up the caller when a call rings or is dialled and pops the matching record.
+ * Telephony providers know nothing about the CRM.
+ */
+
+/**
+ * @typedef {Object} CrmRecord
+ * @property {string} id - The record's ID in the CRM.
+ * @property {string} name - Display name.
+ * @property {string} [type] - Record type, e.g. `Contact` or `Lead`.
+ * @property {string|null} [phoneNumber] - The record's phone number.
+ * @property {string|null} [email] - The record's email address.
+ * @property {Object} [raw] - The record as returned by the CRM.
+ */
+
+/**
+ * @typedef {Object} CrmContext
+ * @property {import('../callSession').CallSession|null} session - The call the request is made for.
+ */
+
+/**
+ * @typedef {Object} CrmAdapter
+ * @property {(phoneNumber: string, context: CrmContext) => Promise<Array<CrmRecord>>} searchByPhone - Find
+ * records by an E.164 phone number.
+ * @property {(data: Object, context: CrmContext) => Promise<CrmRecord>} createRecord - Create a record.
+ * @property {(recordId: string, data: Object, context: CrmContext) => Promise<CrmRecord>} updateRecord - Update a record.
+ * @property {(record: CrmRecord) => string|null} getRecordUrl - URL of the record in the CRM's UI.
+ * @property {(record: CrmRecord) => (boolean|Promise<boolean>)} [openRecord] - Open the record itself
+ * (e.g. through the CRM's own softphone API) instead of in a new window.
+ * @property {(activity: CrmCallActivity, context: CrmContext) => Promise} [logCall] - Log a finished call,
+ * once its after-call work (if any) is complete.
+ */
+
+/**
+ * @typedef {Object} CrmCallActivity
+ * @property {string} contactId - Provider contact or call ID.
+ * @property {string} direction - `inbound` or `outbound`.
+ * @property {string|null} phoneNumber - The customer's number.
+ * @property {string|null} startedAt - ISO timestamp of when the call started ringing or dialling.
+ * @property {string|null} connectedAt - ISO timestamp of when it connected, null if it never did.
+ * @property {string|null} endedAt - ISO timestamp of when it ended.
+ * @property {number} durationSeconds - Seconds from connecting to ending, 0 if it never connected.
+ * @property {import('../dispositions').Disposition|null} disposition - The disposition picked in after-call work.
+ * @property {CrmRecord|null} record - The caller's record, when the screen pop matched exactly one.
+ */
+
+/**
+ * Methods every CRM adapter must implement.
+ * @type {Array<string>}
+ */
+export const REQUIRED_CRM_METHODS = Object.freeze(['searchByPhone', 'createRecord', 'updateRecord', 'getRecordUrl']);
+
+/**
+ * Screen pop behaviours for the `crmScreenPop` prop: emit `crm-screen-pop` only, or also open
+ * the record when the caller matches exactly one.
+ * @type {Readonly<{NONE: string, EMIT: string, OPEN: string}>}
+ */
+export const SCREEN_POP_MODES = Object.freeze({
+    NONE: 'none',
+    EMIT: 'emit',
+    OPEN: 'open'
+});
+
+/**
+ * Lists the required methods an adapter is missing.
+ * @param {Object} adapter - The adapter.
+ * @returns {Array<string>} Missing method names; empty if the adapter is complete.
+ */
+export function getMissingCrmMethods(adapter) {
+    if (!adapter || typeof adapter !== 'object') {
+        return [...REQUIRED_CRM_METHODS];
+    }
+
+    return REQUIRED_CRM_METHODS.filter(method => typeof adapter[method] !== 'function');
+}
+
+/**
+ * Describe a finished call for `logCall`.
+ * @param {import('../callSession').CallSession} session - The ended call session.
+ * @param {{disposition?: Object|null, record?: CrmRecord|null}} [details] - What the softphone knows besides the session.
+ * @returns {CrmCallActivity} The activity.
+ */
+export function createCrmCallActivity(session, { disposition = null, record = null } = {}) {
+    const connectedAt = session.connectedAt ? Date.parse(session.connectedAt) : null;
+    const endedAt = session.endedAt ? Date.parse(session.endedAt) : Date.now();
+
+    return {
+        contactId: session.id,
+        direction: session.direction,
+        phoneNumber: session.remoteNumber || null,
+        startedAt: session.startedAt || null,
+        connectedAt: session.connectedAt || null,
+        endedAt: session.endedAt || null,
+        durationSeconds: connectedAt ? Math.max(0, Math.round((endedAt - connectedAt) / 1000)) : 0,
+        disposition,
+        record
+    };
+}
+
+/**
+ * Open a record through the adapter's `openRecord`, or its URL in a new window.
+ * @param {CrmAdapter} adapter - The adapter.
+ * @param {CrmRecord} record - The record to open.
+ * @returns {Promise<boolean>} Resolves with whether the record was opened.
+ */
+export async function openCrmRecord(adapter, record) {
+    if (typeof adapter.openRecord === 'function') {
+        return (await adapter.openRecord(record)) !== false;
+    }
+
+    const url = adapter.getRecordUrl(record);
+    if (!url) {
+        return false;
+    }
+
+    // With noopener, window.open returns null even when the window opens
+    window.open(url, '_blank', 'noopener');
+    return true;
+}
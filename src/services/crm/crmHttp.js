@@ -0,0 +1,88 @@
+/**
+ * JSON requests to CRM REST APIs, shared by the bundled adapters. The access token comes from
+ * the host's `getAccessToken` callback, which is asked for a fresh one once when a request is
+ * rejected with 401.
+ */
+
+/**
+ * @typedef {Object} CrmHttpOptions
+ * @property {string} crm - CRM name used in error messages.
+ * @property {(options: {refresh: boolean}) => (string|Promise<string>)} getAccessToken - Returns an OAuth access token.
+ * @property {Function} fetch - Fetch implementation.
+ */
+
+// Longest part of a non-JSON error body (e.g. a proxy's HTML error page) quoted in errors
+const MAX_ERROR_TEXT = 200;
+
+/**
+ * Send a request and parse the JSON response.
+ * @param {CrmHttpOptions} options - How to reach the CRM.
+ * @param {string} method - HTTP method.
+ * @param {string} url - Absolute URL.
+ * @param {Object} [body] - JSON body.
+ * @returns {Promise<Object|null>} Resolves with the response body, or null when it is empty.
+ * @throws {Error} If the CRM rejects the request.
+ */
+export async function crmRequest({ crm, getAccessToken, fetch }, method, url, body) {
+    if (typeof fetch !== 'function') {
+        throw new Error(`${crm} adapter needs a fetch implementation.`);
+    }
+
+    const send = async refresh => fetch(url, {
+        method,
+        headers: {
+            Authorization: `Bearer ${await getAccessToken({ refresh })}`,
+            'Content-Type': 'application/json',
+            Accept: 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    let response = await send(false);
+    if (response.status === 401) {
+        response = await send(true);
+    }
+
+    const text = await response.text();
+    const data = parseJson(text);
+
+    if (!response.ok) {
+        const details = errorMessage(data) || text.trim().slice(0, MAX_ERROR_TEXT) || response.statusText || 'no details';
+        throw new Error(`${crm} request failed (${response.status}): ${details}`);
+    }
+
+    if (text && data === undefined) {
+        throw new Error(`${crm} returned a response that is not JSON (${response.status}): ${text.trim().slice(0, MAX_ERROR_TEXT)}`);
+    }
+
+    return data ?? null;
+}
+
+/**
+ * @param {string} text - A response body.
+ * @returns {*} The parsed body, null when it is empty, or undefined when it is not JSON.
+ */
+function parseJson(text) {
+    if (!text) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Pull the message out of Salesforce (`[{ message }]`) and HubSpot (`{ message }`) error bodies.
+ * @param {*} data - The parsed error body.
+ * @returns {string|null} The message.
+ */
+function errorMessage(data) {
+    if (Array.isArray(data)) {
+        return data.map(error => error.message).filter(Boolean).join('; ') || null;
+    }
+
+    return data?.message || null;
+}
@@ -0,0 +1,169 @@
+/**
+ * HubSpot CRM adapter: finds callers among contacts through the CRM search API and logs calls
+ * as call engagements associated with the caller's contact.
+ */
+import { crmRequest } from './crmHttp';
+import { parsePhoneNumber } from '../phoneNumbers';
+
+const CONTACT_PROPERTIES = ['firstname', 'lastname', 'email', 'phone', 'mobilephone'];
+
+// HubSpot-calculated digits of `phone` and `mobilephone` without the country code, whatever format they were entered in
+const SEARCHABLE_PHONE_PROPERTIES = ['hs_searchable_calculated_phone_number', 'hs_searchable_calculated_mobile_number'];
+
+// HubSpot-defined association type for a call to a contact
+const CALL_TO_CONTACT_ASSOCIATION = 194;
+
+class HubSpotAdapter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.getAccessToken - `({ refresh }) => token`, possibly through a promise;
+     * `refresh` is true when the previous token was rejected. Private app tokens work as well.
+     * @param {string|number} [options.portalId] - HubSpot account ID, needed for record URLs.
+     * @param {Object<string, string>} [options.dispositionOutcomes] - HubSpot call outcome IDs by
+     * disposition code; calls with unmapped codes are logged without an outcome.
+     * @param {string} [options.baseUrl='https://api.hubapi.com'] - API URL.
+     * @param {string} [options.appUrl='https://app.hubspot.com'] - App URL used for record links.
+     * @param {Function} [options.fetch] - Fetch implementation, defaults to the global one.
+     */
+    constructor({
+        getAccessToken,
+        portalId = null,
+        dispositionOutcomes = {},
+        baseUrl = 'https://api.hubapi.com',
+        appUrl = 'https://app.hubspot.com',
+        fetch = globalThis.fetch
+    } = {}) {
+        if (typeof getAccessToken !== 'function') {
+            throw new Error("HubSpot adapter needs a getAccessToken callback.");
+        }
+
+        this.portalId = portalId;
+        this.dispositionOutcomes = dispositionOutcomes;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.appUrl = appUrl.replace(/\/+$/, '');
+        this.http = { crm: 'HubSpot', getAccessToken, fetch: fetch && ((...args) => fetch(...args)) };
+    }
+
+    /**
+     * Find contacts whose phone or mobile phone is the number, however it is formatted in HubSpot.
+     * Numbers from countries the dialer has no numbering plan for are matched with a full-text
+     * query, as their country code cannot be told apart from the national number.
+     * @param {string} phoneNumber - E.164 number.
+     * @returns {Promise<Array<Object>>} The matching contacts.
+     */
+    async searchByPhone(phoneNumber) {
+        const { country, nationalNumber } = parsePhoneNumber(phoneNumber);
+        const search = country
+            ? {
+                filterGroups: SEARCHABLE_PHONE_PROPERTIES.map(propertyName => ({
+                    filters: [{ propertyName, operator: 'EQ', value: nationalNumber }]
+                }))
+            }
+            : { query: nationalNumber };
+
+        const data = await this._request('POST', '/crm/v3/objects/contacts/search', {
+            ...search,
+            properties: CONTACT_PROPERTIES,
+            limit: 10
+        });
+
+        return (data?.results || []).map(contact => this._toRecord(contact));
+    }
+
+    /**
+     * Create a contact.
+     * @param {Object} data - Contact properties. A `type` key, as used with other adapters, is ignored.
+     * @returns {Promise<Object>} The created contact.
+     */
+    async createRecord({ type, ...properties }) {
+        return this._toRecord(await this._request('POST', '/crm/v3/objects/contacts', { properties }));
+    }
+
+    /**
+     * Update a contact.
+     * @param {string} recordId - The contact's ID.
+     * @param {Object} data - Contact properties. A `type` key is ignored.
+     * @returns {Promise<Object>} The updated contact.
+     */
+    async updateRecord(recordId, { type, ...properties }) {
+        return this._toRecord(await this._request('PATCH', `/crm/v3/objects/contacts/${encodeURIComponent(recordId)}`, { properties }));
+    }
+
+    /**
+     * @param {Object} record - A contact returned by this adapter.
+     * @returns {string|null} The contact's URL, or null without a portal ID.
+     */
+    getRecordUrl(record) {
+        if (!this.portalId) {
+            return null;
+        }
+
+        return `${this.appUrl}/contacts/${this.portalId}/record/0-1/${encodeURIComponent(record.id)}`;
+    }
+
+    /**
+     * Log the call as a call engagement on the caller's contact.
+     * @param {Object} activity - The call (see createCrmCallActivity).
+     * @returns {Promise<{id: string}>} Resolves with the engagement's ID.
+     */
+    async logCall(activity) {
+        const { disposition, record } = activity;
+        const inbound = activity.direction === 'inbound';
+        const properties = {
+            hs_timestamp: activity.endedAt || new Date().toISOString(),
+            hs_call_title: `${inbound ? 'Inbound' : 'Outbound'} call ${inbound ? 'from' : 'to'} ${activity.phoneNumber || 'unknown number'}`,
+            hs_call_direction: inbound ? 'INBOUND' : 'OUTBOUND',
+            hs_call_duration: String(activity.durationSeconds * 1000),
+            hs_call_status: 'COMPLETED',
+            hs_call_body: disposition
+                ? [[disposition.category, disposition.label].filter(Boolean).join(': '), disposition.notes].filter(Boolean).join('\n\n')
+                : ''
+        };
+
+        properties[inbound ? 'hs_call_from_number' : 'hs_call_to_number'] = activity.phoneNumber || '';
+
+        const outcome = disposition && this.dispositionOutcomes[disposition.id];
+        if (outcome) {
+            properties.hs_call_disposition = outcome;
+        }
+
+        const associations = record ? [{
+            to: { id: record.id },
+            types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: CALL_TO_CONTACT_ASSOCIATION }]
+        }] : [];
+
+        const { id } = await this._request('POST', '/crm/v3/objects/calls', { properties, associations });
+        return { id };
+    }
+
+    /**
+     * @param {Object} contact - A contact from the CRM API.
+     * @returns {Object} The contact in the CRM adapter shape.
+     * @private
+     */
+    _toRecord(contact) {
+        const properties = contact.properties || {};
+
+        return {
+            id: contact.id,
+            type: 'Contact',
+            name: [properties.firstname, properties.lastname].filter(Boolean).join(' ') || properties.email || '',
+            phoneNumber: properties.phone || properties.mobilephone || null,
+            email: properties.email || null,
+            raw: contact
+        };
+    }
+
+    /**
+     * @param {string} method - HTTP method.
+     * @param {string} path - Path below the API URL.
+     * @param {Object} [body] - JSON body.
+     * @returns {Promise<Object|null>} The response body.
+     * @private
+     */
+    _request(method, path, body) {
+        return crmRequest(this.http, method, `${this.baseUrl}${path}`, body);
+    }
+}
+
+export default HubSpotAdapter;
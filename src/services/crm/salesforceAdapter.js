@@ -0,0 +1,174 @@
+/**
+ * Salesforce CRM adapter: finds callers with SOSL over the REST API, pops records through
+ * Open CTI when the softphone runs inside Salesforce, and logs calls as completed Tasks.
+ */
+import { crmRequest } from './crmHttp';
+
+const DEFAULT_API_VERSION = 'v59.0';
+
+// Characters SOSL treats as operators in a FIND clause
+const SOSL_RESERVED = /[?&|!{}[\]()^~*:\\"'+-]/g;
+
+class SalesforceAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.instanceUrl - The org's URL, e.g. `https://acme.my.salesforce.com`.
+     * @param {Function} options.getAccessToken - `({ refresh }) => token`, possibly through a promise;
+     * `refresh` is true when the previous token was rejected.
+     * @param {string} [options.apiVersion='v59.0'] - REST API version.
+     * @param {Array<string>} [options.objects] - Objects searched by phone, in order of preference.
+     * @param {Function} [options.fetch] - Fetch implementation, defaults to the global one.
+     */
+    constructor({
+        instanceUrl,
+        getAccessToken,
+        apiVersion = DEFAULT_API_VERSION,
+        objects = ['Contact', 'Lead', 'Account'],
+        fetch = globalThis.fetch
+    } = {}) {
+        if (!instanceUrl || typeof getAccessToken !== 'function') {
+            throw new Error("Salesforce adapter needs an instanceUrl and a getAccessToken callback.");
+        }
+
+        this.instanceUrl = instanceUrl.replace(/\/+$/, '');
+        this.apiVersion = apiVersion;
+        this.objects = objects;
+        this.http = { crm: 'Salesforce', getAccessToken, fetch: fetch && ((...args) => fetch(...args)) };
+    }
+
+    /**
+     * Find Contacts, Leads and Accounts by any of their phone fields.
+     * @param {string} phoneNumber - E.164 number.
+     * @returns {Promise<Array<Object>>} The matching records.
+     */
+    async searchByPhone(phoneNumber) {
+        const returning = this.objects.map(object => `${object}(Id, Name, Phone, ${object === 'Account' ? '' : 'Email, '}LastModifiedDate)`);
+        const query = `FIND {${phoneNumber.replace(SOSL_RESERVED, '\\$&')}} IN PHONE FIELDS RETURNING ${returning.join(', ')}`;
+
+        const data = await this._request('GET', `/search/?q=${encodeURIComponent(query)}`);
+
+        return (data?.searchRecords || []).map(record => this._toRecord(record));
+    }
+
+    /**
+     * Create a record.
+     * @param {Object} data - Field values, with `type` naming the object (defaults to `Contact`).
+     * @returns {Promise<Object>} The created record.
+     */
+    async createRecord({ type = 'Contact', ...fields }) {
+        const { id } = await this._request('POST', `/sobjects/${encodeURIComponent(type)}/`, fields);
+        return this._getRecord(type, id);
+    }
+
+    /**
+     * Update a record.
+     * @param {string} recordId - The record's ID.
+     * @param {Object} data - Field values, with `type` naming the object (defaults to `Contact`).
+     * @returns {Promise<Object>} The updated record.
+     */
+    async updateRecord(recordId, { type = 'Contact', ...fields }) {
+        await this._request('PATCH', `/sobjects/${encodeURIComponent(type)}/${encodeURIComponent(recordId)}`, fields);
+        return this._getRecord(type, recordId);
+    }
+
+    /**
+     * @param {Object} record - A record returned by this adapter.
+     * @returns {string} The record's Lightning URL.
+     */
+    getRecordUrl(record) {
+        return `${this.instanceUrl}/lightning/r/${encodeURIComponent(record.type || 'Contact')}/${encodeURIComponent(record.id)}/view`;
+    }
+
+    /**
+     * Pop the record in the Salesforce console through Open CTI, or open it in a new window
+     * when the softphone does not run inside Salesforce.
+     * @param {Object} record - A record returned by this adapter.
+     * @returns {Promise<boolean>} Resolves with whether the record was opened.
+     */
+    openRecord(record) {
+        const opencti = globalThis.sforce?.opencti;
+
+        if (!opencti) {
+            window.open(this.getRecordUrl(record), '_blank', 'noopener');
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            opencti.screenPop({
+                type: opencti.SCREENPOP_TYPE.SOBJECT,
+                params: { recordId: record.id },
+                callback: response => resolve(!!response?.success)
+            });
+        });
+    }
+
+    /**
+     * Log the call as a completed Task on the caller's record.
+     * @param {Object} activity - The call (see createCrmCallActivity).
+     * @returns {Promise<{id: string}>} Resolves with the Task's ID.
+     */
+    async logCall(activity) {
+        const { disposition, record } = activity;
+        const inbound = activity.direction === 'inbound';
+        const task = {
+            Subject: `${inbound ? 'Inbound' : 'Outbound'} call ${inbound ? 'from' : 'to'} ${activity.phoneNumber || 'unknown number'}`,
+            TaskSubtype: 'Call',
+            Status: 'Completed',
+            ActivityDate: (activity.endedAt || new Date().toISOString()).slice(0, 10),
+            CallType: inbound ? 'Inbound' : 'Outbound',
+            CallDurationInSeconds: activity.durationSeconds,
+            CallObject: activity.contactId,
+            CallDisposition: disposition
+                ? [disposition.category, disposition.label].filter(Boolean).join(': ').slice(0, 255)
+                : null,
+            Description: disposition?.notes || null
+        };
+
+        // Tasks name people (Contacts, Leads) in WhoId and anything else in WhatId
+        if (record) {
+            task[['Contact', 'Lead'].includes(record.type) ? 'WhoId' : 'WhatId'] = record.id;
+        }
+
+        const { id } = await this._request('POST', '/sobjects/Task/', task);
+        return { id };
+    }
+
+    /**
+     * @param {string} type - Object name.
+     * @param {string} id - Record ID.
+     * @returns {Promise<Object>} The record.
+     * @private
+     */
+    async _getRecord(type, id) {
+        return this._toRecord(await this._request('GET', `/sobjects/${encodeURIComponent(type)}/${encodeURIComponent(id)}`));
+    }
+
+    /**
+     * @param {Object} record - A record from the REST API.
+     * @returns {Object} The record in the CRM adapter shape.
+     * @private
+     */
+    _toRecord(record) {
+        return {
+            id: record.Id,
+            type: record.attributes?.type || null,
+            name: record.Name || '',
+            phoneNumber: record.Phone || null,
+            email: record.Email || null,
+            raw: record
+        };
+    }
+
+    /**
+     * @param {string} method - HTTP method.
+     * @param {string} path - Path below `/services/data/<version>`.
+     * @param {Object} [body] - JSON body.
+     * @returns {Promise<Object|null>} The response body.
+     * @private
+     */
+    _request(method, path, body) {
+        return crmRequest(this.http, method, `${this.instanceUrl}/services/data/${this.apiVersion}${path}`, body);
+    }
+}
+
+export default SalesforceAdapter;
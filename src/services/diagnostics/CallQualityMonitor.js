@@ -0,0 +1,314 @@
+/**
+ * CallQualityMonitor
+ *
+ * Samples the media statistics of the call in progress (the provider's `getCallStats()`, i.e.
+ * its peer connection's `getStats()`) and turns them into:
+ * - Jitter and packet loss of the audio the agent receives
+ * - Round-trip time
+ * - Inbound and outbound bitrate
+ * - An estimated MOS (mean opinion score, 1 to 4.5)
+ *
+ * Where WebRTCDiagnosticsService tests the network before the softphone starts, this watches
+ * the call itself, warns when a metric stays past its threshold and summarizes the call.
+ */
+
+// Default monitor configuration
+const DEFAULT_CONFIG = {
+  // How often to sample (in ms)
+  interval: 2000,
+  // Consecutive samples past a threshold before warning, so a single spike does not
+  warningSamples: 2,
+  // Warning thresholds
+  thresholds: {
+    // Maximum acceptable jitter in ms
+    jitter: 30,
+    // Maximum acceptable packet loss percentage
+    packetLoss: 3,
+    // Maximum acceptable round-trip time in ms
+    rtt: 400,
+    // Minimum acceptable MOS
+    mos: 3.5
+  }
+};
+
+/**
+ * How a call sounds, from its MOS.
+ * @type {Readonly<{GOOD: string, FAIR: string, POOR: string}>}
+ */
+export const CALL_QUALITY_RATINGS = Object.freeze({
+  GOOD: 'good',
+  FAIR: 'fair',
+  POOR: 'poor'
+});
+
+// Lowest MOS of each rating, after ITU-T G.107's "satisfied" and "many users dissatisfied"
+const GOOD_MOS = 4;
+const FAIR_MOS = 3.1;
+
+/**
+ * @typedef {Object} CallQualitySample
+ * @property {number} at - When it was taken (ms since epoch).
+ * @property {number|null} jitter - Jitter of the received audio in ms.
+ * @property {number} packetLoss - Percentage of received packets lost since the last sample.
+ * @property {number|null} rtt - Round-trip time in ms.
+ * @property {number|null} inboundBitrate - Received audio bitrate in kbps, null on the first sample.
+ * @property {number|null} outboundBitrate - Sent audio bitrate in kbps, null on the first sample.
+ * @property {number} mos - Estimated MOS, from 1 to 4.5.
+ * @property {string} rating - One of CALL_QUALITY_RATINGS.
+ */
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Estimate the MOS with a simplified E-model (ITU-T G.107), as commonly done for WebRTC calls.
+ * @param {Object} metrics
+ * @param {number|null} [metrics.rtt] - Round-trip time in ms.
+ * @param {number|null} [metrics.jitter] - Jitter in ms.
+ * @param {number} [metrics.packetLoss] - Packet loss percentage.
+ * @returns {number} The MOS, from 1 to 4.5.
+ */
+export function estimateMos({ rtt = 0, jitter = 0, packetLoss = 0 }) {
+  const latency = (rtt || 0) + 2 * (jitter || 0) + 10;
+  let r = latency < 160 ? 93.2 - latency / 40 : 93.2 - (latency - 120) / 10;
+  r = Math.min(100, Math.max(0, r - 2.5 * (packetLoss || 0)));
+
+  const mos = 1 + 0.035 * r + 0.000007 * r * (r - 60) * (100 - r);
+  return round(Math.min(4.5, Math.max(1, mos)));
+}
+
+/**
+ * Rate a MOS.
+ * @param {number} mos - The MOS.
+ * @returns {string} One of CALL_QUALITY_RATINGS.
+ */
+export function rateMos(mos) {
+  if (mos >= GOOD_MOS) {
+    return CALL_QUALITY_RATINGS.GOOD;
+  }
+
+  return mos >= FAIR_MOS ? CALL_QUALITY_RATINGS.FAIR : CALL_QUALITY_RATINGS.POOR;
+}
+
+/**
+ * Read the audio metrics from a `getStats()` report.
+ * @param {RTCStatsReport|Map} report - The report.
+ * @param {Object|null} [previous] - The counters of the previous sample, to measure loss and
+ * bitrate since then.
+ * @returns {{metrics: Object, counters: Object}|null} The metrics (a CallQualitySample without
+ * `at`) and the counters for the next sample, or null when the report has no audio.
+ */
+export function parseCallStats(report, previous = null) {
+  let inbound = null;
+  let outbound = null;
+  let remoteInbound = null;
+  let candidatePair = null;
+
+  report.forEach(stat => {
+    const audio = (stat.kind || stat.mediaType) === 'audio';
+
+    if (stat.type === 'inbound-rtp' && audio) {
+      inbound = stat;
+    } else if (stat.type === 'outbound-rtp' && audio) {
+      outbound = stat;
+    } else if (stat.type === 'remote-inbound-rtp' && audio) {
+      remoteInbound = stat;
+    } else if (stat.type === 'candidate-pair' && (stat.selected || (stat.nominated && stat.state === 'succeeded'))) {
+      candidatePair = stat;
+    }
+  });
+
+  if (!inbound && !outbound) {
+    return null;
+  }
+
+  const counters = {
+    timestamp: (inbound || outbound).timestamp,
+    packetsLost: inbound?.packetsLost || 0,
+    packetsReceived: inbound?.packetsReceived || 0,
+    bytesReceived: inbound?.bytesReceived || 0,
+    bytesSent: outbound?.bytesSent || 0
+  };
+
+  // Counters start over when the provider renegotiates the call
+  const base = previous && counters.packetsReceived >= previous.packetsReceived ? previous : null;
+  const since = name => counters[name] - (base?.[name] || 0);
+  const seconds = base ? (counters.timestamp - base.timestamp) / 1000 : 0;
+  const bitrate = name => (seconds > 0 ? Math.round(since(name) * 8 / seconds / 1000) : null);
+
+  const lost = Math.max(0, since('packetsLost'));
+  const received = since('packetsReceived');
+  const rtt = remoteInbound?.roundTripTime ?? candidatePair?.currentRoundTripTime;
+
+  const metrics = {
+    jitter: typeof inbound?.jitter === 'number' ? round(inbound.jitter * 1000) : null,
+    packetLoss: lost + received > 0 ? round(lost / (lost + received) * 100) : 0,
+    rtt: typeof rtt === 'number' ? Math.round(rtt * 1000) : null,
+    inboundBitrate: bitrate('bytesReceived'),
+    outboundBitrate: bitrate('bytesSent')
+  };
+  // Providers that score the call themselves (Twilio's samples) report a MOS on the inbound audio
+  metrics.mos = typeof inbound?.mos === 'number' ? round(inbound.mos) : estimateMos(metrics);
+  metrics.rating = rateMos(metrics.mos);
+
+  return { metrics, counters };
+}
+
+class CallQualityMonitor {
+  /**
+   * @param {Object} [options]
+   * @param {Function} options.getStats - Resolves with the call's `getStats()` report, or null
+   * while there is no media.
+   * @param {number} [options.interval] - How often to sample, in ms.
+   * @param {number} [options.warningSamples] - Consecutive samples past a threshold before warning.
+   * @param {Object} [options.thresholds] - `jitter`, `packetLoss` and `rtt` maximums and a `mos` minimum.
+   * @param {Function} [options.onSample] - Called with each CallQualitySample.
+   * @param {Function} [options.onWarning] - Called with `{ metric, value, threshold, sample }`
+   * once a metric stays past its threshold, again only after it has recovered.
+   * @param {Function} [options.now] - Current time in ms.
+   */
+  constructor({
+    getStats,
+    interval = DEFAULT_CONFIG.interval,
+    warningSamples = DEFAULT_CONFIG.warningSamples,
+    thresholds = {},
+    onSample = () => {},
+    onWarning = () => {},
+    now = () => Date.now()
+  } = {}) {
+    this.getStats = getStats;
+    this.interval = interval;
+    this.warningSamples = warningSamples;
+    this.thresholds = { ...DEFAULT_CONFIG.thresholds, ...thresholds };
+    this.onSample = onSample;
+    this.onWarning = onWarning;
+    this.now = now;
+
+    this.timer = null;
+    this.run = 0; // Bumped on every start and stop, so a late report is dropped
+    this.sampling = false;
+    this._reset();
+  }
+
+  /**
+   * Start sampling a new call.
+   */
+  start() {
+    this.stop();
+    this._reset();
+    this.timer = setInterval(() => this.sample(), this.interval);
+  }
+
+  /**
+   * Stop sampling.
+   * @returns {Object|null} The call's summary (see getSummary).
+   */
+  stop() {
+    this.run++;
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.getSummary();
+  }
+
+  /**
+   * Take a sample now. Skipped while the previous one is still being read.
+   * @returns {Promise<CallQualitySample|null>} The sample, or null when there were no statistics.
+   */
+  async sample() {
+    if (this.sampling) {
+      return null;
+    }
+
+    const run = this.run;
+    this.sampling = true;
+
+    try {
+      const report = await this.getStats();
+      const parsed = report && run === this.run ? parseCallStats(report, this.counters) : null;
+      if (!parsed) {
+        return null;
+      }
+
+      this.counters = parsed.counters;
+      const sample = { at: this.now(), ...parsed.metrics };
+      this.samples.push(sample);
+
+      this.onSample(sample);
+      this._checkThresholds(sample);
+      return sample;
+    } catch (error) {
+      console.warn('Could not read the call statistics:', error);
+      return null;
+    } finally {
+      this.sampling = false;
+    }
+  }
+
+  /**
+   * Summarize the call so far.
+   * @returns {{samples: number, averages: Object, worst: Object, rating: string, warnings: Array<string>}|null}
+   * Averages of every metric, the worst jitter, packet loss, round-trip time and MOS, the rating
+   * of the average MOS and the metrics that were warned about; null when nothing was sampled.
+   */
+  getSummary() {
+    if (!this.samples.length) {
+      return null;
+    }
+
+    const values = metric => this.samples.map(sample => sample[metric]).filter(value => value !== null);
+    const average = metric => {
+      const list = values(metric);
+      return list.length ? round(list.reduce((sum, value) => sum + value, 0) / list.length) : null;
+    };
+    const max = metric => (values(metric).length ? Math.max(...values(metric)) : null);
+
+    const averages = {
+      jitter: average('jitter'),
+      packetLoss: average('packetLoss'),
+      rtt: average('rtt'),
+      inboundBitrate: average('inboundBitrate'),
+      outboundBitrate: average('outboundBitrate'),
+      mos: average('mos')
+    };
+
+    return {
+      samples: this.samples.length,
+      averages,
+      worst: {
+        jitter: max('jitter'),
+        packetLoss: max('packetLoss'),
+        rtt: max('rtt'),
+        mos: Math.min(...values('mos'))
+      },
+      rating: rateMos(averages.mos),
+      warnings: [...this.warnings]
+    };
+  }
+
+  _reset() {
+    this.samples = [];
+    this.counters = null;
+    this.streaks = {}; // Consecutive samples past each threshold
+    this.warnings = new Set();
+  }
+
+  _checkThresholds(sample) {
+    const { thresholds } = this;
+    const exceeded = {
+      jitter: sample.jitter !== null && sample.jitter > thresholds.jitter,
+      packetLoss: sample.packetLoss > thresholds.packetLoss,
+      rtt: sample.rtt !== null && sample.rtt > thresholds.rtt,
+      mos: sample.mos < thresholds.mos
+    };
+
+    Object.keys(exceeded).forEach(metric => {
+      this.streaks[metric] = exceeded[metric] ? (this.streaks[metric] || 0) + 1 : 0;
+
+      if (this.streaks[metric] === this.warningSamples) {
+        this.warnings.add(metric);
+        this.onWarning({ metric, value: sample[metric], threshold: thresholds[metric], sample });
+      }
+    });
+  }
+}
+
+export default CallQualityMonitor;
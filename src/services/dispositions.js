@@ -0,0 +1,175 @@
+/**
+ * Disposition codes the agent picks from during after-call work. Hosts supply them through the
+ * `dispositions` prop as a list, a list per queue or a (possibly async) callback; providers fall
+ * back to DEFAULT_DISPOSITION_CODES. Codes can be grouped under categories and can require a note.
+ */
+
+/**
+ * Codes used when the host supplies none.
+ * @type {Array<Object>}
+ */
+export const DEFAULT_DISPOSITION_CODES = [
+    { id: 'resolved', label: 'Issue Resolved' },
+    { id: 'callback', label: 'Callback Required' },
+    { id: 'escalated', label: 'Escalated to Supervisor' },
+    { id: 'voicemail', label: 'Left Voicemail' },
+    { id: 'wrong_number', label: 'Wrong Number' },
+    { id: 'no_answer', label: 'No Answer' },
+    { id: 'technical_issue', label: 'Technical Issue' },
+    { id: 'follow_up', label: 'Follow-up Required' }
+];
+
+/**
+ * @typedef {Object} DispositionCode
+ * @property {string} id - Code saved with the contact.
+ * @property {string} label - Name shown to the agent.
+ * @property {boolean} requiresNote - The agent must add notes when picking it. Categories pass it on to their codes.
+ * @property {Array<DispositionCode>} children - Sub-codes; a category is not a disposition by itself.
+ */
+
+/**
+ * @typedef {Object} Disposition
+ * @property {string} id - The picked code.
+ * @property {string} label - Its label.
+ * @property {string|null} categoryId - The code's category, if it has one.
+ * @property {string|null} category - The category's label.
+ * @property {string} notes - The agent's notes.
+ * @property {string} at - ISO timestamp of when the disposition was set.
+ */
+
+/**
+ * Fill in defaults and pass `requiresNote` from categories on to their codes.
+ * @param {Array<Object>} codes - Codes as supplied (`{ id, label?, requiresNote?, children? }`).
+ * @param {boolean} [requiresNote] - Whether the enclosing category requires a note.
+ * @returns {Array<DispositionCode>} The normalized codes.
+ */
+export function normalizeDispositionCodes(codes, requiresNote = false) {
+    return (Array.isArray(codes) ? codes : []).map(code => {
+        const noteRequired = requiresNote || code.requiresNote === true;
+
+        return {
+            id: String(code.id),
+            label: code.label || String(code.id),
+            requiresNote: noteRequired,
+            children: normalizeDispositionCodes(code.children, noteRequired)
+        };
+    });
+}
+
+/**
+ * Pick the codes for a queue from a list, or from an object of lists keyed by queue ID or name
+ * with a `default` list for other queues.
+ * @param {Array<Object>|Object<string, Array<Object>>} codes - The codes.
+ * @param {{queueId: string, name: string}|null} [queue] - The call's queue.
+ * @returns {Array<Object>} The codes for the queue.
+ */
+export function selectDispositionCodes(codes, queue = null) {
+    if (Array.isArray(codes) || !codes) {
+        return codes || [];
+    }
+
+    return codes[queue?.queueId] || codes[queue?.name] || codes.default || [];
+}
+
+/**
+ * Resolve the codes for a call.
+ * @param {Array|Object|Function} source - A list, lists per queue, or a callback receiving
+ * `{ queue, session }` and returning either, possibly through a promise.
+ * @param {{queue: Object|null, session: Object|null}} [context] - The call.
+ * @returns {Promise<Array<DispositionCode>>} The normalized codes.
+ */
+export async function resolveDispositionCodes(source, context = {}) {
+    const codes = typeof source === 'function' ? await source(context) : source;
+    return normalizeDispositionCodes(selectDispositionCodes(codes, context.queue));
+}
+
+/**
+ * Find a code and the categories above it.
+ * @param {Array<DispositionCode>} codes - Normalized codes.
+ * @param {string} id - The code to find.
+ * @returns {Array<DispositionCode>|null} The path from the top-level category to the code, or null.
+ */
+export function findDispositionPath(codes, id) {
+    for (const code of codes) {
+        if (code.id === id) {
+            return [code];
+        }
+
+        const path = findDispositionPath(code.children, id);
+        if (path) {
+            return [code, ...path];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check a disposition against the codes' rules.
+ * @param {Array<DispositionCode>} codes - Normalized codes.
+ * @param {{dispositionId: string|null, notes: string}} selection - What the agent picked.
+ * @returns {string|null} Why the disposition cannot be saved, or null if it can.
+ */
+export function validateDisposition(codes, { dispositionId = null, notes = '' } = {}) {
+    if (!dispositionId) {
+        return codes.length ? 'Select a disposition.' : null;
+    }
+
+    const path = findDispositionPath(codes, dispositionId);
+    if (!path) {
+        return `Unknown disposition: ${dispositionId}`;
+    }
+
+    const code = path[path.length - 1];
+    if (code.children.length) {
+        return `Select a disposition under ${code.label}.`;
+    }
+
+    if (code.requiresNote && !notes.trim()) {
+        return `Add a note for ${code.label}.`;
+    }
+
+    return null;
+}
+
+/**
+ * Build the disposition saved with a contact.
+ * @param {Array<DispositionCode>} codes - Normalized codes.
+ * @param {{dispositionId: string|null, notes: string}} selection - What the agent picked.
+ * @param {Date} [at] - When it was picked.
+ * @returns {Disposition|null} The disposition, or null if none was picked.
+ */
+export function createDisposition(codes, { dispositionId = null, notes = '' } = {}, at = new Date()) {
+    if (!dispositionId) {
+        return null;
+    }
+
+    const path = findDispositionPath(codes, dispositionId) || [];
+    const code = path[path.length - 1];
+    const category = path.length > 1 ? path[path.length - 2] : null;
+
+    return {
+        id: dispositionId,
+        label: code?.label || dispositionId,
+        categoryId: category?.id || null,
+        category: category?.label || null,
+        notes: notes.trim(),
+        at: at.toISOString()
+    };
+}
+
+/**
+ * Flatten a disposition into the string attributes saved on Amazon Connect contacts and
+ * Twilio tasks.
+ * @param {Disposition} disposition - The disposition.
+ * @returns {Object<string, string>} The attributes.
+ */
+export function toDispositionAttributes(disposition) {
+    return {
+        dispositionCode: disposition.id,
+        dispositionLabel: disposition.label || disposition.id,
+        dispositionCategory: disposition.category || '',
+        dispositionNotes: disposition.notes || '',
+        dispositionTimestamp: disposition.at || new Date().toISOString()
+    };
+}
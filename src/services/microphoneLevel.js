@@ -0,0 +1,209 @@
+/**
+ * Microphone level meter and speech detection. The meter captures the agent's microphone by
+ * itself rather than tapping the call, whose track is silenced on mute, so it still hears the
+ * agent while the call is muted.
+ */
+
+/**
+ * Level at which sound counts as speech, from 0 to 1 (about -36 dBFS).
+ * @type {number}
+ */
+export const SPEECH_LEVEL = 0.4;
+
+/**
+ * Milliseconds of sound above SPEECH_LEVEL before it counts as speech, so coughs and clicks do not.
+ * @type {number}
+ */
+export const SPEECH_MIN_DURATION = 600;
+
+/**
+ * Milliseconds of quiet that end an utterance; shorter pauses are taken as gaps between words.
+ * @type {number}
+ */
+export const SPEECH_PAUSE = 400;
+
+// Levels span -60 dBFS (silence) to 0 dBFS (full scale)
+const LEVEL_FLOOR_DB = -60;
+const SAMPLE_INTERVAL = 100;
+
+/**
+ * The level of a block of samples, on the meter's 0 to 1 scale.
+ * @param {Float32Array|Array<number>} samples - Samples from -1 to 1.
+ * @returns {number}
+ */
+export function toLevel(samples) {
+    if (!samples.length) {
+        return 0;
+    }
+
+    const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+    const db = rms > 0 ? 20 * Math.log10(rms) : LEVEL_FLOOR_DB;
+
+    return Math.min(1, Math.max(0, 1 - db / LEVEL_FLOOR_DB));
+}
+
+/**
+ * Tells speech from silence and short noises, reporting each utterance once.
+ */
+export class SpeechDetector {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.threshold] - Level that counts as sound, from 0 to 1.
+     * @param {number} [options.minDuration] - Milliseconds of sound before it counts as speech.
+     * @param {number} [options.pause] - Milliseconds of quiet that end an utterance.
+     */
+    constructor({ threshold = SPEECH_LEVEL, minDuration = SPEECH_MIN_DURATION, pause = SPEECH_PAUSE } = {}) {
+        this.threshold = threshold;
+        this.minDuration = minDuration;
+        this.pause = pause;
+        this.reset();
+    }
+
+    /**
+     * Feed the next level.
+     * @param {number} level - The level, from 0 to 1.
+     * @param {number} now - Timestamp in milliseconds.
+     * @returns {boolean} Whether speech has just started.
+     */
+    update(level, now) {
+        if (level < this.threshold) {
+            if (this.lastSoundAt !== null && now - this.lastSoundAt >= this.pause) {
+                this.reset();
+            }
+            return false;
+        }
+
+        if (this.soundStartedAt === null) {
+            this.soundStartedAt = now;
+        }
+        this.lastSoundAt = now;
+
+        if (!this.speaking && now - this.soundStartedAt >= this.minDuration) {
+            this.speaking = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Forget the current utterance.
+     */
+    reset() {
+        this.soundStartedAt = null; // Start of the current stretch of sound
+        this.lastSoundAt = null;
+        this.speaking = false;
+    }
+}
+
+/**
+ * Samples the microphone's level with Web Audio and reports speech.
+ */
+class MicrophoneLevelMonitor {
+    /**
+     * @param {Object} [options]
+     * @param {MediaDevices|null} [options.mediaDevices] - The browser's media devices.
+     * @param {Function} [options.createAudioContext] - Creates the AudioContext.
+     * @param {Function} [options.onLevel] - Called with each level, from 0 to 1.
+     * @param {Function} [options.onSpeech] - Called when the agent starts speaking.
+     * @param {Object} [options.speech] - SpeechDetector options.
+     * @param {number} [options.interval] - Milliseconds between samples.
+     * @param {Function} [options.now] - Current time in milliseconds.
+     */
+    constructor({
+        mediaDevices = globalThis.navigator?.mediaDevices,
+        createAudioContext = () => new (globalThis.AudioContext || globalThis.webkitAudioContext)(),
+        onLevel = () => {},
+        onSpeech = () => {},
+        speech = {},
+        interval = SAMPLE_INTERVAL,
+        now = () => Date.now()
+    } = {}) {
+        this.mediaDevices = mediaDevices || null;
+        this.createAudioContext = createAudioContext;
+        this.onLevel = onLevel;
+        this.onSpeech = onSpeech;
+        this.detector = new SpeechDetector(speech);
+        this.interval = interval;
+        this.now = now;
+        this.stream = null;
+        this.context = null;
+        this.analyser = null;
+        this.samples = null;
+        this.timer = null;
+        this.run = 0; // Bumped on every start and stop, so a late getUserMedia is dropped
+    }
+
+    /**
+     * Whether the browser can capture the microphone.
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof this.mediaDevices?.getUserMedia === 'function';
+    }
+
+    /**
+     * Start metering a microphone, stopping any meter already running.
+     * @param {string|null} [deviceId] - The microphone, or null for the default one.
+     * @returns {Promise<boolean>} Resolves with whether it meters (false if stopped meanwhile);
+     * rejects if the microphone cannot be captured.
+     */
+    start(deviceId = null) {
+        this.stop();
+        const run = this.run;
+
+        return this.mediaDevices.getUserMedia({ audio: deviceId ? { deviceId: { exact: deviceId } } : true })
+            .then(stream => {
+                if (run !== this.run) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return false;
+                }
+
+                this.stream = stream;
+                try {
+                    this.context = this.createAudioContext();
+                    this.analyser = this.context.createAnalyser();
+                    this.analyser.fftSize = 1024;
+                    this.samples = new Float32Array(this.analyser.fftSize);
+                    this.context.createMediaStreamSource(stream).connect(this.analyser);
+                } catch (error) {
+                    // No Web Audio: release the microphone again
+                    this.stop();
+                    throw error;
+                }
+                // Contexts created before the agent interacts with the page start suspended
+                this.context.resume?.().catch(() => {});
+
+                this.timer = setInterval(() => this._sample(), this.interval);
+                return true;
+            });
+    }
+
+    /**
+     * Stop metering and release the microphone.
+     */
+    stop() {
+        this.run++;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.detector.reset();
+
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.context?.close?.().catch(() => {});
+        this.stream = null;
+        this.context = null;
+        this.analyser = null;
+    }
+
+    _sample() {
+        this.analyser.getFloatTimeDomainData(this.samples);
+        const level = toLevel(this.samples);
+
+        this.onLevel(level);
+        if (this.detector.update(level, this.now())) {
+            this.onSpeech();
+        }
+    }
+}
+
+export default MicrophoneLevelMonitor;
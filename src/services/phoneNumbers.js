@@ -0,0 +1,294 @@
+/**
+ * Country-aware phone number parsing, validation and formatting for the dialer.
+ * Each country lists its calling code, the national trunk prefix dropped when dialling
+ * internationally, a pattern for valid national significant numbers and display templates.
+ * International numbers from other countries are only checked against the E.164 length.
+ */
+
+/**
+ * @typedef {Object} CountryFormat
+ * @property {RegExp} [leading] - Applies when the national number matches; the last format has none.
+ * @property {string} template - Display template; each `#` is replaced by a digit.
+ */
+
+/**
+ * @typedef {Object} Country
+ * @property {string} code - ISO 3166-1 alpha-2 code.
+ * @property {string} name - Display name.
+ * @property {string} dialCode - Country calling code, without `+`.
+ * @property {string|null} trunkPrefix - National prefix dropped from numbers dialled in country format.
+ * @property {RegExp} pattern - Valid national significant numbers.
+ * @property {Array<CountryFormat>} formats - Display templates, most specific first.
+ */
+
+/**
+ * Countries the dialer knows about.
+ * @type {ReadonlyArray<Country>}
+ */
+export const COUNTRIES = Object.freeze([
+    { code: 'US', name: 'United States', dialCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, formats: [{ template: '(###) ###-####' }] },
+    { code: 'CA', name: 'Canada', dialCode: '1', trunkPrefix: '1', pattern: /^[2-9]\d{2}[2-9]\d{6}$/, formats: [{ template: '(###) ###-####' }] },
+    { code: 'MX', name: 'Mexico', dialCode: '52', trunkPrefix: null, pattern: /^[1-9]\d{9}$/, formats: [{ leading: /^(33|55|81)/, template: '## #### ####' }, { template: '### ### ####' }] },
+    { code: 'BR', name: 'Brazil', dialCode: '55', trunkPrefix: '0', pattern: /^[1-9]{2}\d{8,9}$/, formats: [{ template: '## #####-####' }] },
+    { code: 'GB', name: 'United Kingdom', dialCode: '44', trunkPrefix: '0', pattern: /^[1-9]\d{8,9}$/, formats: [{ leading: /^7/, template: '#### ######' }, { leading: /^2/, template: '## #### ####' }, { template: '#### ######' }] },
+    { code: 'IE', name: 'Ireland', dialCode: '353', trunkPrefix: '0', pattern: /^[1-9]\d{6,9}$/, formats: [{ leading: /^8/, template: '## ### ####' }, { template: '# ### ####' }] },
+    { code: 'FR', name: 'France', dialCode: '33', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, formats: [{ template: '# ## ## ## ##' }] },
+    { code: 'DE', name: 'Germany', dialCode: '49', trunkPrefix: '0', pattern: /^[1-9]\d{5,13}$/, formats: [{ leading: /^1[5-7]/, template: '### ########' }, { template: '## ##########' }] },
+    { code: 'ES', name: 'Spain', dialCode: '34', trunkPrefix: null, pattern: /^[5-9]\d{8}$/, formats: [{ template: '### ### ###' }] },
+    { code: 'IT', name: 'Italy', dialCode: '39', trunkPrefix: null, pattern: /^(0\d{5,10}|3\d{8,9})$/, formats: [{ template: '### ### ####' }] },
+    { code: 'NL', name: 'Netherlands', dialCode: '31', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, formats: [{ leading: /^6/, template: '# ########' }, { template: '## ### ####' }] },
+    { code: 'BE', name: 'Belgium', dialCode: '32', trunkPrefix: '0', pattern: /^[1-9]\d{7,8}$/, formats: [{ leading: /^4/, template: '### ## ## ##' }, { template: '# ### ## ##' }] },
+    { code: 'CH', name: 'Switzerland', dialCode: '41', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, formats: [{ template: '## ### ## ##' }] },
+    { code: 'ZA', name: 'South Africa', dialCode: '27', trunkPrefix: '0', pattern: /^[1-9]\d{8}$/, formats: [{ template: '## ### ####' }] },
+    { code: 'IN', name: 'India', dialCode: '91', trunkPrefix: '0', pattern: /^[1-9]\d{9}$/, formats: [{ template: '##### #####' }] },
+    { code: 'PH', name: 'Philippines', dialCode: '63', trunkPrefix: '0', pattern: /^[2-9]\d{7,9}$/, formats: [{ template: '### ### ####' }] },
+    { code: 'SG', name: 'Singapore', dialCode: '65', trunkPrefix: null, pattern: /^[3689]\d{7}$/, formats: [{ template: '#### ####' }] },
+    { code: 'JP', name: 'Japan', dialCode: '81', trunkPrefix: '0', pattern: /^[1-9]\d{8,9}$/, formats: [{ leading: /^[789]0/, template: '##-####-####' }, { template: '#-####-####' }] },
+    { code: 'AU', name: 'Australia', dialCode: '61', trunkPrefix: '0', pattern: /^[2-478]\d{8}$/, formats: [{ leading: /^4/, template: '### ### ###' }, { template: '# #### ####' }] },
+    { code: 'NZ', name: 'New Zealand', dialCode: '64', trunkPrefix: '0', pattern: /^[2-9]\d{7,9}$/, formats: [{ leading: /^2/, template: '## ### ####' }, { template: '# ### ####' }] }
+]);
+
+/**
+ * Country assumed for numbers without a country code when none is given.
+ * @type {string}
+ */
+export const DEFAULT_COUNTRY = 'US';
+
+// International numbers without a country above: a calling code and subscriber number of 8 to 15 digits
+const E164_PATTERN = /^[1-9]\d{7,14}$/;
+
+// Targets the PBX routes itself: SIP URIs and bare extensions such as 1001
+const SIP_URI_PATTERN = /^sips?:/i;
+const PBX_EXTENSION_PATTERN = /^\d{2,6}$/;
+
+const EXTENSION_PATTERN = /\s*(?:;\s*ext=|,|ext\.?|x)\s*(\d+)\s*$/i;
+const PARTIAL_EXTENSION_PATTERN = /\s*(?:;(?:e(?:x(?:t=?)?)?)?|,|e(?:x(?:t\.?)?)?|x)\s*$/i;
+
+/**
+ * Find a country by ISO code, or by calling code (e.g. `+44`) for callers that still pass one.
+ * @param {string} code - ISO 3166-1 alpha-2 code or `+` followed by a calling code.
+ * @returns {Country|undefined} The country, if known.
+ */
+export function getCountry(code) {
+    const value = String(code || '').trim().toUpperCase();
+
+    if (value.startsWith('+')) {
+        return COUNTRIES.find(country => country.dialCode === value.slice(1));
+    }
+
+    return COUNTRIES.find(country => country.code === value);
+}
+
+/**
+ * Split an extension (`;ext=123`, `ext. 123`, `x123` or `,123`) off a dialled number.
+ * @param {string} input - The number as entered.
+ * @returns {{number: string, extension: string|null}} The number without the extension, and the extension digits.
+ */
+export function splitExtension(input) {
+    const value = String(input ?? '');
+    const match = value.match(EXTENSION_PATTERN);
+
+    if (!match) {
+        return { number: value.trim(), extension: null };
+    }
+
+    return { number: value.slice(0, match.index).trim(), extension: match[1] };
+}
+
+/**
+ * Whether a dialled target is a `sip:`/`sips:` URI or a bare extension of 2 to 6 digits,
+ * which are dialled as entered rather than as phone numbers.
+ * @param {string} input - The target as entered.
+ * @returns {boolean}
+ */
+export function isPbxAddress(input) {
+    const value = String(input ?? '').trim();
+    return SIP_URI_PATTERN.test(value) || PBX_EXTENSION_PATTERN.test(value);
+}
+
+/**
+ * Match an international number's leading digits to a calling code. Numbers shared by several
+ * countries (e.g. +1) resolve to the preferred country when it uses that code.
+ * @param {string} digits - Digits after the `+`.
+ * @param {Country|undefined} preferred - The country selected in the dialer.
+ * @returns {Country|undefined} The country, if the calling code is known.
+ */
+function findCountryByDialCode(digits, preferred) {
+    for (let length = 3; length >= 1; length--) {
+        const dialCode = digits.slice(0, length);
+
+        if (preferred?.dialCode === dialCode) {
+            return preferred;
+        }
+
+        const country = COUNTRIES.find(candidate => candidate.dialCode === dialCode);
+        if (country) {
+            return country;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Drop the national trunk prefix from a number entered in country format.
+ * North American numbers only carry it as the 11th digit.
+ * @param {string} digits - Digits as entered.
+ * @param {Country} country - The country they were entered for.
+ * @returns {string} The national significant number.
+ */
+function stripTrunkPrefix(digits, country) {
+    const { trunkPrefix, dialCode } = country;
+
+    if (!trunkPrefix || !digits.startsWith(trunkPrefix)) {
+        return digits;
+    }
+
+    if (dialCode === '1' && digits.length !== 11) {
+        return digits;
+    }
+
+    return digits.slice(trunkPrefix.length);
+}
+
+/**
+ * @typedef {Object} ParsedPhoneNumber
+ * @property {Country|null} country - The country of the number, if its calling code is in COUNTRIES.
+ * @property {string} nationalNumber - The national significant number.
+ * @property {string|null} extension - Extension digits, dialled after the call connects.
+ * @property {string} e164 - The number in E.164 format, without the extension.
+ * @property {boolean} valid - Whether the number is valid for its country, or a valid E.164
+ * number when its country is not in COUNTRIES.
+ */
+
+/**
+ * Parse a number entered in international (`+44 20 7123 4567`, `0044...`) or national
+ * (`020 7123 4567`) format.
+ * @param {string} input - The number as entered, optionally with an extension.
+ * @param {string} [countryCode] - Country for numbers without a country code.
+ * @returns {ParsedPhoneNumber} The parsed number.
+ */
+export function parsePhoneNumber(input, countryCode = DEFAULT_COUNTRY) {
+    const { number, extension } = splitExtension(input);
+    const selected = getCountry(countryCode) || getCountry(DEFAULT_COUNTRY);
+    const international = /^\s*(\+|00)/.test(number);
+    let digits = number.replace(/\D/g, '');
+
+    if (international) {
+        digits = number.trim().startsWith('00') ? digits.slice(2) : digits;
+        const country = findCountryByDialCode(digits, selected) || null;
+        const nationalNumber = country ? digits.slice(country.dialCode.length) : digits;
+
+        return {
+            country,
+            nationalNumber,
+            extension,
+            e164: `+${digits}`,
+            valid: country ? country.pattern.test(nationalNumber) : E164_PATTERN.test(digits)
+        };
+    }
+
+    const nationalNumber = stripTrunkPrefix(digits, selected);
+
+    return {
+        country: selected,
+        nationalNumber,
+        extension,
+        e164: `+${selected.dialCode}${nationalNumber}`,
+        valid: selected.pattern.test(nationalNumber)
+    };
+}
+
+/**
+ * Whether a number is valid for its country. Numbers without a country code are checked
+ * against `countryCode`; international numbers from countries not in COUNTRIES only need a
+ * valid E.164 length.
+ * @param {string} input - The number as entered.
+ * @param {string} [countryCode] - Country for numbers without a country code.
+ * @returns {boolean} True if the number is valid.
+ */
+export function isValidPhoneNumber(input, countryCode = DEFAULT_COUNTRY) {
+    return !!String(input ?? '').trim() && parsePhoneNumber(input, countryCode).valid;
+}
+
+/**
+ * Fill a display template with digits, stopping after the last digit. Digits beyond the
+ * template are appended unformatted.
+ * @param {string} digits - The digits to format.
+ * @param {string} template - Template with `#` placeholders.
+ * @returns {string} The formatted digits.
+ */
+function applyTemplate(digits, template) {
+    let result = '';
+    let index = 0;
+
+    for (const character of template) {
+        if (index >= digits.length) {
+            break;
+        }
+
+        if (character === '#') {
+            result += digits[index++];
+        } else {
+            result += character;
+        }
+    }
+
+    return result + digits.slice(index);
+}
+
+/**
+ * Format a national significant number for display, e.g. `2071234567` as `20 7123 4567` for GB.
+ * Partial numbers are formatted as far as they go, so this also formats as the agent types.
+ * @param {string} nationalNumber - The national significant number.
+ * @param {string} [countryCode] - The number's country.
+ * @returns {string} The formatted number.
+ */
+export function formatNationalNumber(nationalNumber, countryCode = DEFAULT_COUNTRY) {
+    const country = getCountry(countryCode);
+    if (!country || !nationalNumber) {
+        return nationalNumber || '';
+    }
+
+    const format = country.formats.find(candidate => !candidate.leading || candidate.leading.test(nationalNumber));
+    return applyTemplate(nationalNumber, format.template);
+}
+
+/**
+ * Format a number while it is being typed. International numbers keep their `+` and calling
+ * code; national numbers keep a typed trunk prefix. A typed extension is kept as ` ext. 123`.
+ * @param {string} input - The number as entered so far.
+ * @param {string} [countryCode] - Country for numbers without a country code.
+ * @returns {string} The formatted input.
+ */
+export function formatAsYouType(input, countryCode = DEFAULT_COUNTRY) {
+    let { number, extension } = splitExtension(input);
+    let suffix = extension ? ` ext. ${extension}` : '';
+
+    // Keep an extension marker the agent is still typing (e.g. "x" or ";ext=")
+    const partial = !extension && number.match(PARTIAL_EXTENSION_PATTERN);
+    if (partial && /\d/.test(number.slice(0, partial.index))) {
+        suffix = ` ${partial[0].trim()}`;
+        number = number.slice(0, partial.index);
+    }
+
+    if (!/\d/.test(number)) {
+        return number.trim().startsWith('+') ? '+' : '';
+    }
+
+    const { country, nationalNumber } = parsePhoneNumber(number, countryCode);
+
+    if (/^\s*(\+|00)/.test(number)) {
+        if (!country) {
+            return `+${number.replace(/\D/g, '').replace(/^00/, '')}${suffix}`;
+        }
+
+        return `+${country.dialCode} ${formatNationalNumber(nationalNumber, country.code)}`.trim() + suffix;
+    }
+
+    const digits = number.replace(/\D/g, '');
+    const trunk = digits.slice(0, digits.length - nationalNumber.length);
+    const formatted = formatNationalNumber(nationalNumber, country.code);
+
+    return (trunk ? `${trunk} ${formatted}` : formatted).trim() + suffix;
+}
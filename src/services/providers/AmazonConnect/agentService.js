@@ -1,6 +1,8 @@
 let agentInstance = null; // Stores the current agent instance
 let callbacks = {}; // Callbacks for various agent events
 let agentConfig = {}; // Stores agent configuration
+let subscriptions = []; // Streams event subscriptions, released on teardown
+let audioDevices = {}; // Microphone, speaker and ringer chosen by the agent, applied when the agent arrives
 
 export default {
     /**
@@ -16,15 +18,28 @@ export default {
         }
 
         return new Promise((resolve) => {
-            window.connect.agent(agent => {
+            subscriptions.push(window.connect.agent(agent => {
                 agentInstance = agent;
+                this._applyAudioDevices(agent, audioDevices).catch(error => console.warn(error.message));
                 callbacks.onAgentAvailable?.(agent);
                 this._setupAgentEventListeners(agent);
                 resolve(agent);
-            });
+            }));
         });
     },
 
+    /**
+     * Release all Streams subscriptions and forget the current agent.
+     */
+    teardown() {
+        subscriptions.forEach(subscription => subscription?.unsubscribe?.());
+        subscriptions = [];
+        agentInstance = null;
+        agentConfig = {};
+        audioDevices = {};
+        callbacks = {};
+    },
+
     /**
      * Get the current agent instance.
      * @returns {Object|null} The current agent instance or null if not available.
@@ -316,6 +331,29 @@ export default {
         });
     },
 
+    /**
+     * Set the softphone's microphone, speaker and ringer. Before the agent is available the
+     * devices are kept and applied once it is.
+     * @param {{input?: string, output?: string, ringer?: string}} devices - Device IDs; kinds left out are unchanged.
+     * @returns {Promise} Resolves when the devices are set.
+     */
+    setAudioDevices(devices = {}) {
+        const changes = {};
+        Object.entries(devices).forEach(([kind, deviceId]) => {
+            if (deviceId) {
+                changes[kind] = deviceId;
+            }
+        });
+
+        audioDevices = { ...audioDevices, ...changes };
+
+        if (!agentInstance) {
+            return Promise.resolve(true);
+        }
+
+        return this._applyAudioDevices(agentInstance, changes);
+    },
+
     /**
      * Log out the agent from Amazon Connect.
      * @returns {Promise} Resolves when the agent is successfully logged out.
@@ -376,35 +414,69 @@ export default {
     },
 
     /**
-     * Sets up event listeners for the agent instance.
+     * Sends audio devices to the CCP.
      * @param {Object} agent - The agent instance.
+     * @param {{input?: string, output?: string, ringer?: string}} devices - Device IDs.
+     * @returns {Promise} Resolves when the devices are set.
      * @private
      */
-    _setupAgentEventListeners(agent) {
-        agent.onStateChange(state => {
-            callbacks.onStateChange?.(state.newState);
-        });
-
-        agent.onMuteToggle(() => {
-            const isMuted = agent.isMuted();
-            callbacks.onMuteChange?.(isMuted);
-        });
-
-        agent.onRefresh(agent => {
-            callbacks.onRefresh?.(agent);
-        });
+    _applyAudioDevices(agent, devices) {
+        if (!devices.input && !devices.output && !devices.ringer) {
+            return Promise.resolve(true);
+        }
 
-        agent.onSoftphoneError(error => {
-            callbacks.onSoftphoneError?.(error);
-        });
+        if (typeof agent.setMicrophoneDevice !== 'function') {
+            return Promise.reject(new Error("This version of Amazon Connect Streams cannot set audio devices."));
+        }
 
-        agent.onAfterCallWork(contact => {
-            callbacks.onAfterCallWork?.(contact);
-        });
+        try {
+            if (devices.input) {
+                agent.setMicrophoneDevice(devices.input);
+            }
+            if (devices.output) {
+                agent.setSpeakerDevice(devices.output);
+            }
+            if (devices.ringer) {
+                agent.setRingerDevice(devices.ringer);
+            }
+            return Promise.resolve(true);
+        } catch (error) {
+            return Promise.reject(new Error(`Failed to set audio devices: ${error}`));
+        }
+    },
 
-        agent.onContactPending(contact => {
-            callbacks.onContactPending?.(contact);
-        });
+    /**
+     * Sets up event listeners for the agent instance.
+     * @param {Object} agent - The agent instance.
+     * @private
+     */
+    _setupAgentEventListeners(agent) {
+        subscriptions.push(
+            agent.onStateChange(state => {
+                callbacks.onStateChange?.(state.newState);
+            }),
+
+            agent.onMuteToggle(() => {
+                const isMuted = agent.isMuted();
+                callbacks.onMuteChange?.(isMuted);
+            }),
+
+            agent.onRefresh(agent => {
+                callbacks.onRefresh?.(agent);
+            }),
+
+            agent.onSoftphoneError(error => {
+                callbacks.onSoftphoneError?.(error);
+            }),
+
+            agent.onAfterCallWork(contact => {
+                callbacks.onAfterCallWork?.(contact);
+            }),
+
+            agent.onContactPending(contact => {
+                callbacks.onContactPending?.(contact);
+            })
+        );
     },
 
     /**
@@ -1,30 +1,50 @@
 import agentService from './agentService';
 import contactService from './contactService';
+import { NO_CAPABILITIES } from '../capabilities';
+import { ENDPOINT_TYPES } from '../../transferDirectory';
+import { ExtensionDialer } from '../extensions';
 
 let callbacks = {};
+let quickConnects = new Map(); // Streams endpoints from the last getTransferEndpoints, by endpoint ID
+
+// Sends the extension of the call being placed once it connects
+const extensionDialer = new ExtensionDialer(digits => contactService.sendDigits(digits));
+
+// Streams endpoint types (connect.EndpointType) mapped to ENDPOINT_TYPES
+const STREAMS_ENDPOINT_TYPES = {
+    agent: ENDPOINT_TYPES.AGENT,
+    queue: ENDPOINT_TYPES.QUEUE,
+    phone_number: ENDPOINT_TYPES.PHONE_NUMBER
+};
 
 export default {
     /**
      * Initialize Amazon Connect service with callbacks and configuration.
      * @param {Object} options - Callbacks for managing agent and contact events.
+     * @param {HTMLElement} [options.container] - Element to mount the CCP iframe into.
+     * @param {string} [options.ccpUrl] - CCP URL, defaults to the MIX_AWS_CONNECT_URL instance.
+     * @param {string} [options.region='us-east-1'] - AWS region of the Connect instance.
+     * @param {Function} [options.updateContactAttributes] - `(contactId, attributes) => Promise`, calling
+     * the UpdateContactAttributes API from the host's backend; dispositions are only saved when it is set.
+     * @param {boolean} [options.disableRingtone] - Silence the CCP's ringtone, when the softphone rings itself.
+     * @returns {Promise} Resolves once the CCP is embedded, rejects if Streams is not loaded.
      */
     initialize(options = {}) {
         callbacks = options;
 
         if (!window.connect) {
-            alert("Amazon Connect Streams API not loaded.");
-            return;
+            return Promise.reject(new Error("Amazon Connect Streams API not loaded. Load amazon-connect-streams, or use the \"mock\" provider for offline development."));
         }
 
-        const container = document.getElementById('ccpContainer');
-        const ccpUrl = `https://${process.env.MIX_AWS_CONNECT_URL}/connect/ccp-v2`
+        const container = options.container || document.getElementById('ccpContainer');
+        const ccpUrl = options.ccpUrl || `https://${process.env.MIX_AWS_CONNECT_URL}/connect/ccp-v2`
 
         window.connect.core.initCCP(container, {
             ccpUrl: ccpUrl,
             loginPopup: true,
             loginPopupAutoClose: true,
-            region: 'us-east-1',
-            softphone: { allowFramedSoftphone: true },
+            region: options.region || 'us-east-1',
+            softphone: { allowFramedSoftphone: true, disableRingtone: Boolean(options.disableRingtone) },
         });
 
         // Initialize agent and set up event listeners
@@ -51,43 +71,51 @@ export default {
 
         // Initialize contact and set up event listeners
         contactService.initializeContact({
-            onIncomingCall: (contactInstance) => callbacks.onIncomingCall?.(contactInstance),
-            onConnecting: (contact) => callbacks.onConnecting?.(contact),
-            onConnected: (contact) => callbacks.onConnected?.(contact),
-            onAccepted: (contact) => callbacks.onCallAccepted?.(contact),
-            onMissed: (contact) => callbacks.onMissed?.(contact),
-            onPending: (contact) => callbacks.onPending?.(contact),
-            onRefresh: (contact) => callbacks.onRefresh?.(contact),
-            onCallEnded: (contact) => callbacks.onCallEnded?.(contact),
-            onError: (error, contact) => callbacks.onError?.(error, contact)
+            onIncomingCall: (session) => callbacks.onIncomingCall?.(session),
+            onConnecting: (session) => callbacks.onConnecting?.(session),
+            onConnected: (session) => {
+                extensionDialer.connected();
+                callbacks.onConnected?.(session);
+            },
+            onAccepted: (session) => callbacks.onCallAccepted?.(session),
+            onMissed: (session) => callbacks.onMissed?.(session),
+            onPending: (session) => callbacks.onPending?.(session),
+            onRefresh: (session) => callbacks.onRefresh?.(session),
+            onCallEnded: (session) => {
+                extensionDialer.cancel();
+                callbacks.onCallEnded?.(session);
+            },
+            onError: (error, session) => callbacks.onError?.(error, session),
+            updateContactAttributes: options.updateContactAttributes
         });
+
+        return Promise.resolve();
     },
 
     /**
      * Place an outbound call.
      * @param {string} phoneNumber - The phone number to call.
+     * @param {Object} [options]
+     * @param {string|null} [options.extension] - Extension sent as DTMF once the call connects.
      * @returns {Promise} Resolves when the call is successfully placed.
      */
-    placeCall(phoneNumber) {
+    placeCall(phoneNumber, { extension } = {}) {
         const agentInstance = agentService.getAgentInstance();
         if (!agentInstance) {
             return Promise.reject(new Error("Agent is not ready."));
         }
 
         const endpoint = window.connect.Endpoint.byPhoneNumber(phoneNumber);
-        
+        extensionDialer.dial(extension, callbacks.extensionDelay);
+
         return new Promise((resolve, reject) => {
             agentInstance.connect(endpoint, {
-                success: () => {
-                    // Monitor contact events
-                    window.connect.contact((contact) => {
-                        contact.onConnecting(() => callbacks.onConnecting?.(contact));
-                        contact.onConnected(() => callbacks.onConnected?.(contact));
-                        contact.onCallEnded(() => callbacks.onCallEnded?.(contact));
-                    });
-                    resolve(true);
-                },
-                failure: (err) => reject(new Error(`Failed to place call: ${err}`))
+                // Contact events for the new call are reported by contactService
+                success: () => resolve(true),
+                failure: (err) => {
+                    extensionDialer.cancel();
+                    reject(new Error(`Failed to place call: ${err}`));
+                }
             });
         });
     },
@@ -190,7 +218,7 @@ export default {
 
         return new Promise((resolve, reject) => {
             try {
-                const queueEndpoint = window.connect.Endpoint.byQueueId(queueId);
+                const queueEndpoint = quickConnects.get(queueId) || window.connect.Endpoint.byQueueId(queueId);
                 contactInstance.toggleActiveConnections(queueEndpoint, {
                     success: () => resolve(true),
                     failure: (error) => reject(new Error(`Failed to transfer to queue: ${error}`))
@@ -215,7 +243,7 @@ export default {
 
         return new Promise((resolve, reject) => {
             try {
-                const queueEndpoint = window.connect.Endpoint.byQueueId(queueId);
+                const queueEndpoint = quickConnects.get(queueId) || window.connect.Endpoint.byQueueId(queueId);
                 contactInstance.addConnection(queueEndpoint, {
                     success: () => resolve(true),
                     failure: (error) => reject(new Error(`Failed to initiate warm transfer to queue: ${error}`))
@@ -227,22 +255,83 @@ export default {
     },
 
     /**
-     * Gets a list of available queues for transfer.
+     * Gets the queue quick connects available for transfer.
      * @returns {Promise<Array>} Resolves with an array of available queues.
      */
     getAvailableQueues() {
+        return this.getTransferEndpoints().then(endpoints => endpoints
+            .filter(endpoint => endpoint.type === ENDPOINT_TYPES.QUEUE)
+            .map(endpoint => ({ queueId: endpoint.endpointId, name: endpoint.name })));
+    },
+
+    /**
+     * Gets the agent's quick connects (agents, queues and phone numbers) from `agent.getEndpoints`.
+     * @returns {Promise<Array<import('../../transferDirectory').TransferEndpoint>>} Resolves with the quick connects.
+     */
+    getTransferEndpoints() {
+        const agentInstance = agentService.getAgentInstance();
+        if (!agentInstance) {
+            return Promise.reject(new Error("Agent is not ready."));
+        }
+
         return new Promise((resolve, reject) => {
             try {
-                window.connect.core.getQueues({
-                    success: (queues) => resolve(queues),
-                    failure: (error) => reject(new Error(`Failed to get available queues: ${error}`))
+                agentInstance.getEndpoints(agentInstance.getAllQueueARNs(), {
+                    success: (data) => {
+                        quickConnects = new Map(data.endpoints.map(endpoint => [endpoint.endpointId, endpoint]));
+                        resolve(data.endpoints.map(endpoint => ({
+                            endpointId: endpoint.endpointId,
+                            name: endpoint.name,
+                            type: STREAMS_ENDPOINT_TYPES[endpoint.type] || ENDPOINT_TYPES.PHONE_NUMBER,
+                            phoneNumber: endpoint.phoneNumber || null
+                        })));
+                    },
+                    failure: (error) => reject(new Error(`Failed to get quick connects: ${error}`))
                 });
             } catch (error) {
-                reject(new Error(`Error getting available queues: ${error}`));
+                reject(new Error(`Error getting quick connects: ${error}`));
             }
         });
     },
 
+    /**
+     * Transfers the current call to a quick connect returned by getTransferEndpoints.
+     * @param {string} endpointId - The quick connect's endpoint ID.
+     * @param {boolean} [isWarmTransfer=false] - Whether to consult the endpoint before completing the transfer.
+     * @returns {Promise} Resolves when the transfer is successful or the consult call is started.
+     */
+    transferToEndpoint(endpointId, isWarmTransfer = false) {
+        const contactInstance = contactService.getContactInstance();
+        if (!contactInstance) {
+            return Promise.reject(new Error("No active contact available for transfer."));
+        }
+
+        const endpoint = quickConnects.get(endpointId);
+        if (!endpoint) {
+            return Promise.reject(new Error(`Unknown quick connect: ${endpointId}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            contactInstance.addConnection(endpoint, {
+                success: () => {
+                    if (isWarmTransfer) {
+                        resolve(true);
+                        return;
+                    }
+
+                    // Cold transfer: the agent drops out, leaving the customer with the endpoint
+                    contactInstance.getAgentConnection().destroy({
+                        success: () => resolve(false),
+                        failure: (error) => reject(new Error(`Failed to leave the transferred call: ${error}`))
+                    });
+                },
+                failure: (error) => reject(new Error(isWarmTransfer
+                    ? `Failed to initiate warm transfer: ${error}`
+                    : `Failed to transfer call: ${error}`))
+            });
+        });
+    },
+
     /**
      * Initiates a conference call by adding a third party to the current call.
      * @param {string} phoneNumber - The phone number to add to the conference.
@@ -328,8 +417,8 @@ export default {
     },
 
     /**
-     * Gets contact attributes that can be used for CRM integration.
-     * @returns {Promise<Object>} Resolves with contact attributes.
+     * Gets the attributes set on the contact by its contact flow (e.g. IVR selections).
+     * @returns {Promise<Object>} Resolves with the attribute values keyed by name.
      */
     getContactAttributes() {
         const contactInstance = contactService.getContactInstance();
@@ -337,100 +426,27 @@ export default {
             return Promise.reject(new Error("No active contact available."));
         }
 
-        return new Promise((resolve, reject) => {
-            try {
-                contactInstance.getAttributes({
-                    success: (attributes) => resolve(attributes),
-                    failure: (error) => reject(new Error(`Failed to get contact attributes: ${error}`))
-                });
-            } catch (error) {
-                reject(new Error(`Error getting contact attributes: ${error}`));
-            }
-        });
-    },
-
-    /**
-     * Creates a CRM record with contact information.
-     * @param {Object} crmSystem - The CRM system configuration object.
-     * @param {Object} recordData - The data to create the CRM record with.
-     * @returns {Promise<Object>} Resolves with the created CRM record.
-     */
-    createCrmRecord(crmSystem, recordData) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                // Get contact attributes to enrich the CRM record
-                const contactAttributes = await this.getContactAttributes().catch(() => ({}));
-
-                // Combine contact attributes with record data
-                const enrichedData = {
-                    ...recordData,
-                    contactId: contactService.getContactInstance()?.getContactId(),
-                    agentId: agentService.getAgentInstance()?.getAgentId(),
-                    timestamp: new Date().toISOString(),
-                    contactAttributes
-                };
-
-                // This would be replaced with actual API call to the CRM system
-                resolve({
-                    success: true,
-                    recordId: `crm-${Date.now()}`,
-                    data: enrichedData
-                });
-            } catch (error) {
-                reject(new Error(`Error creating CRM record: ${error}`));
-            }
-        });
-    },
+        try {
+            // Streams reports each attribute as { name, value }
+            const attributes = {};
+            Object.entries(contactInstance.getAttributes() || {}).forEach(([key, attribute]) => {
+                attributes[key] = attribute?.value ?? attribute;
+            });
 
-    /**
-     * Updates a CRM record with contact information.
-     * @param {Object} crmSystem - The CRM system configuration object.
-     * @param {string} recordId - The ID of the record to update.
-     * @param {Object} updateData - The data to update the CRM record with.
-     * @returns {Promise<Object>} Resolves with the updated CRM record.
-     */
-    updateCrmRecord(crmSystem, recordId, updateData) {
-        return new Promise((resolve, reject) => {
-            try {
-                // This would be replaced with actual API call to the CRM system
-                resolve({
-                    success: true,
-                    recordId,
-                    data: updateData,
-                    timestamp: new Date().toISOString()
-                });
-            } catch (error) {
-                reject(new Error(`Error updating CRM record: ${error}`));
-            }
-        });
+            return Promise.resolve(attributes);
+        } catch (error) {
+            return Promise.reject(new Error(`Error getting contact attributes: ${error.message || error}`));
+        }
     },
 
     /**
-     * Searches for a customer in the CRM based on phone number.
-     * @param {Object} crmSystem - The CRM system configuration object.
-     * @param {string} phoneNumber - The phone number to search for.
-     * @returns {Promise<Array>} Resolves with matching customer records.
+     * Merges attributes into the contact through the `updateContactAttributes` provider config
+     * callback, which calls the UpdateContactAttributes API from the host's backend.
+     * @param {Object<string, *>} attributes - The attributes to set.
+     * @returns {Promise<Object<string, string>>} Resolves with the attributes as saved.
      */
-    searchCustomerByPhone(crmSystem, phoneNumber) {
-        return new Promise((resolve, reject) => {
-            try {
-                // This would be replaced with actual API call to the CRM system
-                resolve({
-                    success: true,
-                    results: [
-                        {
-                            id: `customer-${Date.now()}`,
-                            phoneNumber,
-                            name: 'Sample Customer',
-                            email: 'customer@example.com',
-                            lastContact: new Date().toISOString()
-                        }
-                    ]
-                });
-            } catch (error) {
-                reject(new Error(`Error searching customer by phone: ${error}`));
-            }
-        });
+    updateContactAttributes(attributes) {
+        return contactService.updateContactAttributes(attributes);
     },
 
     /**
@@ -465,6 +481,164 @@ export default {
         return Promise.resolve(agentService.unmute());
     },
 
+    /**
+     * Switch the softphone's microphone, speaker and ringer (the CCP's audio device settings).
+     * Devices chosen before the agent logs in are applied once the agent is available.
+     * @param {{input?: string, output?: string, ringer?: string}} devices - Device IDs.
+     * @returns {Promise} Resolves when the devices are set.
+     */
+    setAudioDevices(devices) {
+        return agentService.setAudioDevices(devices);
+    },
+
+    /**
+     * Call media statistics are not available: the CCP iframe holds the softphone's peer connection.
+     * @returns {Promise} Resolves with null.
+     */
+    getCallStats() {
+        return Promise.resolve(null);
+    },
+
+    /**
+     * Send DTMF digits on the agent's connection.
+     * @param {string} digits - The digits to send.
+     * @returns {Promise} Resolves when the digits have been sent.
+     */
+    sendDigits(digits) {
+        return contactService.sendDigits(digits);
+    },
+
+    /**
+     * Get the disposition codes the agent can pick from during after-call work.
+     * @returns {Promise<Array>} Resolves with the disposition codes.
+     */
+    getDispositionCodes() {
+        return Promise.resolve(contactService.getDispositionCodes());
+    },
+
+    /**
+     * Save the disposition as contact attributes (through `updateContactAttributes`), complete the
+     * contact and make the agent available.
+     * @param {Object|null} [disposition] - The disposition (see dispositions.js).
+     * @returns {Promise} Resolves when after-call work is completed.
+     */
+    completeAfterCallWork(disposition = null) {
+        return contactService.completeAfterCallWork(disposition);
+    },
+
+    /**
+     * Get the time left before after-call work times out.
+     * @returns {number} Seconds remaining, or -1 if unknown.
+     */
+    getAfterCallWorkRemainingTime() {
+        return contactService.getAfterCallWorkRemainingTime();
+    },
+
+    /**
+     * Get all states the agent can be set to.
+     * @returns {Promise<Array>} Resolves with an array of agent states.
+     */
+    getAgentStates() {
+        return agentService.getAvailableAgentStates();
+    },
+
+    /**
+     * Set the agent's routing state.
+     * @param {string} stateName - The name of the state to set.
+     * @returns {Promise<string>} Resolves with the state that was set.
+     */
+    setAgentState(stateName) {
+        return agentService.setRoutingState(stateName);
+    },
+
+    /**
+     * Get the agent's configuration.
+     * @returns {Promise<Object>} Resolves with the agent's configuration.
+     */
+    getAgentConfiguration() {
+        return agentService.getAgentConfiguration();
+    },
+
+    /**
+     * Update the agent's configuration.
+     * @param {Object} configUpdates - The configuration updates to apply.
+     * @returns {Promise<Object>} Resolves with the updated configuration.
+     */
+    updateAgentConfiguration(configUpdates) {
+        return agentService.updateAgentConfiguration(configUpdates);
+    },
+
+    /**
+     * Get the agent's statistics.
+     * @returns {Promise<Object>} Resolves with the agent's statistics.
+     */
+    getAgentStatistics() {
+        return agentService.getAgentStatistics();
+    },
+
+    /**
+     * Get a snapshot of the agent's current state and contacts.
+     * @returns {Promise<Object>} Resolves with the agent snapshot.
+     */
+    getAgentSnapshot() {
+        return agentService.getAgentSnapshot();
+    },
+
+    /**
+     * Get the agent's current contacts.
+     * @returns {Promise<Array>} Resolves with an array of the agent's contacts.
+     */
+    getAgentContacts() {
+        return agentService.getAgentContacts();
+    },
+
+    /**
+     * Get the agent's permissions.
+     * @returns {Promise<Object>} Resolves with the agent's permissions.
+     */
+    getAgentPermissions() {
+        return agentService.getAgentPermissions();
+    },
+
+    /**
+     * Log the agent out.
+     * @returns {Promise} Resolves when the agent is logged out.
+     */
+    logoutAgent() {
+        return agentService.logout();
+    },
+
+    /**
+     * Get the actions Amazon Connect can perform. Transfers, queue transfers and
+     * conferences all go through quick connects and third-party connections.
+     * @returns {Object} The provider capabilities.
+     */
+    getCapabilities() {
+        return {
+            ...NO_CAPABILITIES,
+            mute: true,
+            hold: true,
+            coldTransfer: true,
+            warmTransfer: true,
+            queueTransfer: true,
+            warmQueueTransfer: true,
+            conference: true,
+            merge: true,
+            dtmf: true,
+            directory: true,
+            contactAttributes: true,
+            audioDevices: true
+        };
+    },
+
+    /**
+     * Get the Amazon Connect CCP logs.
+     * @returns {Array} Array of log entries.
+     */
+    getLogs() {
+        return agentService.getCcpLogs();
+    },
+
     /**
      * Restores the original call after a transfer has been initiated.
      * This cancels the current transfer and reconnects with the original caller.
@@ -531,5 +705,25 @@ export default {
         container?.click(); // Trigger iframe login if needed
         callbacks.onLoginRequired?.();
         return Promise.resolve();
+    },
+
+    /**
+     * Tear down the Amazon Connect session: unsubscribe all Streams listeners
+     * and terminate the CCP so another provider (or a fresh CCP) can take over.
+     * @returns {Promise} Resolves when the teardown is complete.
+     */
+    destroy() {
+        agentService.teardown();
+        contactService.teardown();
+        callbacks = {};
+        quickConnects = new Map();
+        extensionDialer.cancel();
+
+        try {
+            window.connect?.core?.terminate?.();
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(new Error(`Failed to terminate CCP: ${error}`));
+        }
     }
 };
\ No newline at end of file
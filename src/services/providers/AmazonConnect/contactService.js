@@ -1,23 +1,20 @@
 import agentService from "./agentService";
+import { isValidDtmf } from "../../callUtils";
+import { DEFAULT_DISPOSITION_CODES, toDispositionAttributes } from "../../dispositions";
+import {
+    createCallSession,
+    updateCallSession,
+    CALL_DIRECTIONS,
+    CALL_SESSION_STATES,
+    PARTICIPANT_ROLES
+} from "../../callSession";
 
 let contactInstance = null; // Stores the current contact instance
+let wrapUpContact = null; // Ended contact kept for after-call work until it is completed
+let callSession = null; // Normalized session for the current contact, passed to callbacks
 let callbacks = {}; // Callbacks for handling contact events
 let pendingTransfers = []; // Tracks pending transfers for warm transfer management
-
-/**
- * Available disposition codes for call outcomes.
- * @type {Array<Object>}
- */
-const DISPOSITION_CODES = [
-    { id: 'resolved', label: 'Issue Resolved' },
-    { id: 'callback', label: 'Callback Required' },
-    { id: 'escalated', label: 'Escalated to Supervisor' },
-    { id: 'voicemail', label: 'Left Voicemail' },
-    { id: 'wrong_number', label: 'Wrong Number' },
-    { id: 'no_answer', label: 'No Answer' },
-    { id: 'technical_issue', label: 'Technical Issue' },
-    { id: 'follow_up', label: 'Follow-up Required' }
-];
+let subscriptions = []; // Streams event subscriptions, released on teardown
 
 export default {
     /**
@@ -28,19 +25,34 @@ export default {
         callbacks = options;
 
         if (!window.connect) {
-            alert("Amazon Connect Streams API not loaded.");
-            return;
+            return Promise.reject(new Error("Amazon Connect Streams API not loaded."));
         }
 
-        window.connect.contact(contact => {
+        subscriptions.push(window.connect.contact(contact => {
             contactInstance = contact;
+            callSession = this._createCallSession(contact);
 
-            if (contact.getType() === window.connect.ContactType.INBOUND) {
-                callbacks.onIncomingCall?.(contact);
+            if (callSession.direction === CALL_DIRECTIONS.INBOUND) {
+                callbacks.onIncomingCall?.(callSession);
             }
 
             this.setupContactEventListeners(contact);
-        });
+        }));
+
+        return Promise.resolve();
+    },
+
+    /**
+     * Release all Streams subscriptions and forget the current contact.
+     */
+    teardown() {
+        subscriptions.forEach(subscription => subscription?.unsubscribe?.());
+        subscriptions = [];
+        contactInstance = null;
+        wrapUpContact = null;
+        callSession = null;
+        pendingTransfers = [];
+        callbacks = {};
     },
 
     /**
@@ -48,28 +60,37 @@ export default {
      * @param {Object} contact - The contact instance to configure.
      */
     setupContactEventListeners(contact) {
+        // Streams event => callback and the call session state it moves to, if any
         const eventHandlers = {
-            onConnecting: "Contact is connecting.",
-            onConnected: "Contact connected.",
-            onAccepted: "Contact accepted.",
-            onMissed: "Contact missed.",
-            onEnded: "Contact ended.",
-            onError: "Contact error:",
-            onPending: "Contact is pending.",
-            onDestroy: "Contact destroyed.",
-            onRefresh: "Contact refreshed.",
+            onConnecting: { callback: "onConnecting" },
+            onConnected: { callback: "onConnected", state: CALL_SESSION_STATES.CONNECTED },
+            onAccepted: { callback: "onAccepted" },
+            onMissed: { callback: "onMissed", state: CALL_SESSION_STATES.MISSED },
+            onEnded: { callback: "onCallEnded", state: CALL_SESSION_STATES.ENDED },
+            onError: { callback: "onError" },
+            onPending: { callback: "onPending" },
+            onDestroy: { callback: "onDestroy" },
+            onRefresh: { callback: "onRefresh" },
         };
 
         Object.keys(eventHandlers).forEach(event => {
-            const eventName = event.toLowerCase().replace(/^on/, "");
-            contact[eventName]?.(() => {
-                const logMessage = eventHandlers[event];
-                callbacks[event]?.(contact);
-            });
+            const { callback, state } = eventHandlers[event];
+            subscriptions.push(contact[event]?.(() => {
+                const session = this._refreshCallSession(contact, state);
+                callbacks[callback]?.(session);
+            }));
         });
 
-        contact.onEnded?.(() => (contactInstance = null));
-        contact.onDestroy?.(() => (contactInstance = null));
+        subscriptions.push(
+            contact.onEnded?.(() => {
+                wrapUpContact = contact;
+                contactInstance = null;
+            }),
+            contact.onDestroy?.(() => {
+                wrapUpContact = null;
+                contactInstance = null;
+            })
+        );
     },
 
     /**
@@ -80,6 +101,88 @@ export default {
         return contactInstance;
     },
 
+    /**
+     * Get the normalized session of the current or most recent contact.
+     * @returns {Object|null} The call session, or null before the first contact.
+     */
+    getCallSession() {
+        return callSession;
+    },
+
+    /**
+     * Builds the call session for a new Streams contact.
+     * @param {Object} contact - The Streams contact.
+     * @returns {Object} The call session.
+     * @private
+     */
+    _createCallSession(contact) {
+        const isInbound = typeof contact.isInbound === 'function'
+            ? contact.isInbound()
+            : contact.getType() === window.connect.ContactType.INBOUND;
+
+        const queue = contact.getQueue?.();
+
+        return createCallSession({
+            id: contact.getContactId?.(),
+            provider: 'amazon-connect',
+            direction: isInbound ? CALL_DIRECTIONS.INBOUND : CALL_DIRECTIONS.OUTBOUND,
+            remoteNumber: contact.getInitialConnection?.()?.getEndpoint?.()?.phoneNumber || null,
+            queue: queue?.queueId ? { queueId: queue.queueId, name: queue.name } : null,
+            participants: this._getParticipants(contact),
+            raw: contact
+        });
+    },
+
+    /**
+     * Updates the call session of a contact after a Streams event.
+     * Without an explicit state, a connected call follows the customer's hold status.
+     * @param {Object} contact - The Streams contact.
+     * @param {string} [state] - The state the event moves the call to.
+     * @returns {Object} The updated call session.
+     * @private
+     */
+    _refreshCallSession(contact, state) {
+        const session = callSession?.raw === contact ? callSession : this._createCallSession(contact);
+        let nextState = state || session.state;
+
+        if (!state && [CALL_SESSION_STATES.CONNECTED, CALL_SESSION_STATES.ON_HOLD].includes(session.state)) {
+            const onHold = contact.getInitialConnection?.()?.getStatus?.()?.type === 'hold';
+            nextState = onHold ? CALL_SESSION_STATES.ON_HOLD : CALL_SESSION_STATES.CONNECTED;
+        }
+
+        const updated = updateCallSession(session, {
+            state: nextState,
+            participants: this._getParticipants(contact)
+        });
+
+        if (contact === contactInstance || callSession?.raw === contact) {
+            callSession = updated;
+        }
+
+        return updated;
+    },
+
+    /**
+     * Maps the customer and third-party connections of a Streams contact to call participants.
+     * @param {Object} contact - The Streams contact.
+     * @returns {Array<Object>} The call participants.
+     * @private
+     */
+    _getParticipants(contact) {
+        const initialConnectionId = contact.getInitialConnection?.()?.getConnectionId?.();
+
+        return (contact.getConnections?.() || [])
+            .filter(connection => connection.getType() !== window.connect.ConnectionType?.AGENT)
+            .map(connection => ({
+                id: connection.getConnectionId(),
+                role: connection.getConnectionId() === initialConnectionId
+                    ? PARTICIPANT_ROLES.CUSTOMER
+                    : PARTICIPANT_ROLES.THIRD_PARTY,
+                phoneNumber: connection.getEndpoint?.()?.phoneNumber || null,
+                state: connection.getStatus?.()?.type || null
+            }));
+    },
+
     /**
      * Accept an incoming call.
      * @returns {Promise} Resolves when the call is successfully accepted.
@@ -159,45 +262,101 @@ export default {
         return this._handleCallAction("resume", "hold", "Call successfully resumed.", "Failed to resume the call.");
     },
 
+    /**
+     * Send DTMF digits on the agent's connection of the current contact.
+     * @param {string} digits - The digits to send (0-9, *, # and A-D).
+     * @return {Promise} Resolves once Streams has sent the digits, rejects otherwise.
+     */
+    sendDigits(digits) {
+        return new Promise((resolve, reject) => {
+            if (!isValidDtmf(digits)) {
+                return reject(new Error(`Invalid DTMF digits: ${digits}`));
+            }
+
+            if (!this._validateContactInstance()) {
+                return reject(new Error("No contact instance available."));
+            }
+
+            const connection = contactInstance.getAgentConnection();
+            if (!connection) {
+                return reject(new Error("No agent connection available to send digits."));
+            }
+
+            connection.sendDigits(digits, {
+                success: () => resolve(true),
+                failure: (err) => reject(new Error(`Failed to send digits. Error: ${err}`))
+            });
+        });
+    },
+
     /**
      * Gets all available disposition codes.
      * @returns {Array<Object>} Array of disposition code objects.
      */
     getDispositionCodes() {
-        return DISPOSITION_CODES;
+        return DEFAULT_DISPOSITION_CODES;
     },
 
     /**
-     * Sets a disposition code for the current contact.
-     * @param {string} dispositionId - The ID of the disposition code.
-     * @param {string} [notes] - Optional notes to add with the disposition.
-     * @returns {Promise} Resolves when the disposition is successfully set.
+     * Saves a disposition as attributes of the current contact, or the contact in after-call work.
+     * Streams cannot write contact attributes, so they are handed to the host's
+     * `updateContactAttributes(contactId, attributes)` callback, which calls the Amazon Connect
+     * UpdateContactAttributes API from its backend.
+     * @param {Object|string} disposition - The disposition (see dispositions.js), or a disposition code ID.
+     * @param {string} [notes] - Notes to save with a disposition code ID.
+     * @returns {Promise<boolean>} Resolves with true once saved, or false if no callback is configured.
      */
-    setDispositionCode(dispositionId, notes = '') {
-        if (!this._validateContactInstance()) {
-            return Promise.reject("No contact instance available.");
+    setDispositionCode(disposition, notes = '') {
+        const contact = this._getWrapUpContact();
+        if (!contact) {
+            return Promise.reject(new Error("No contact instance available."));
         }
 
-        return new Promise((resolve, reject) => {
-            try {
-                const attributes = {
-                    dispositionCode: dispositionId,
-                    dispositionNotes: notes,
-                    dispositionTimestamp: new Date().toISOString()
-                };
+        if (typeof callbacks.updateContactAttributes !== 'function') {
+            console.warn('Disposition not saved to Amazon Connect: providerConfig.updateContactAttributes is not set.');
+            return Promise.resolve(false);
+        }
 
-                contactInstance.updateAttributes(attributes, {
-                    success: () => {
-                        resolve(true);
-                    },
-                    failure: (error) => {
-                        reject(new Error(`Failed to set disposition code: ${error}`));
-                    },
-                });
-            } catch (error) {
-                reject(new Error(`Error setting disposition code: ${error}`));
-            }
+        const attributes = toDispositionAttributes(
+            typeof disposition === 'string' ? { id: disposition, notes } : disposition
+        );
+
+        return Promise.resolve()
+            .then(() => callbacks.updateContactAttributes(contact.getContactId(), attributes))
+            .then(() => true)
+            .catch(error => {
+                throw new Error(`Failed to set disposition code: ${error?.message || error}`);
+            });
+    },
+
+    /**
+     * Merges attributes into the current contact, or the contact in after-call work, through the
+     * host's `updateContactAttributes` callback (its backend calls the UpdateContactAttributes API).
+     * @param {Object<string, *>} attributes - The attributes to set. Values other than strings are
+     * sent as JSON, as the API only stores strings.
+     * @returns {Promise<Object<string, string>>} Resolves with the attributes as sent.
+     */
+    updateContactAttributes(attributes) {
+        const contact = this._getWrapUpContact();
+        if (!contact) {
+            return Promise.reject(new Error("No contact instance available."));
+        }
+
+        if (typeof callbacks.updateContactAttributes !== 'function') {
+            return Promise.reject(new Error("Contact attributes cannot be updated: providerConfig.updateContactAttributes is not set."));
+        }
+
+        const values = {};
+        Object.entries(attributes || {}).forEach(([key, value]) => {
+            values[key] = typeof value === 'string' ? value : JSON.stringify(value ?? null);
         });
+
+        return Promise.resolve()
+            .then(() => callbacks.updateContactAttributes(contact.getContactId(), values))
+            .then(() => values)
+            .catch(error => {
+                throw new Error(`Failed to update contact attributes: ${error?.message || error}`);
+            });
     },
     /**
      * Enters After Call Work (ACW) mode for the current contact.
@@ -223,28 +382,30 @@ export default {
 
     /**
      * Completes After Call Work and sets the agent back to the available state.
-     * @param {string} [dispositionId] - Optional disposition code to set before completing ACW.
-     * @param {string} [notes] - Optional notes to add with the disposition.
+     * @param {Object|string|null} [disposition] - Optional disposition, or disposition code ID, to save before completing ACW.
+     * @param {string} [notes] - Notes to save with a disposition code ID.
      * @returns {Promise} Resolves when ACW is completed.
      */
-    completeAfterCallWork(dispositionId = null, notes = '') {
-        if (!this._validateContactInstance()) {
-            return Promise.reject("No contact instance available.");
+    completeAfterCallWork(disposition = null, notes = '') {
+        const contact = this._getWrapUpContact();
+        if (!contact) {
+            return Promise.reject(new Error("No contact instance available."));
         }
 
         return new Promise(async (resolve, reject) => {
             try {
                 // Set disposition code if provided
-                if (dispositionId) {
-                    await this.setDispositionCode(dispositionId, notes);
+                if (disposition) {
+                    await this.setDispositionCode(disposition, notes);
                 }
 
                 // Complete the contact
-                contactInstance.complete({
+                contact.complete({
                     success: () => {
                         // Exit ACW and set agent back to available
-                        this._exitAfterCallWork();
-                        resolve(true);
+                        this._exitAfterCallWorkPromise()
+                            .then(() => resolve(true))
+                            .catch(reject);
                     },
                     failure: (error) => {
                         reject(new Error(`Failed to complete After Call Work: ${error}`));
@@ -258,19 +419,20 @@ export default {
 
     /**
      * Gets the remaining time in After Call Work mode.
-     * @returns {number} Seconds remaining in ACW, or -1 if not in ACW.
+     * @returns {number} Seconds remaining in ACW, or -1 if not in ACW or ACW has no time limit.
      */
     getAfterCallWorkRemainingTime() {
-        if (!this._validateContactInstance()) {
+        const contact = this._getWrapUpContact();
+        if (!contact) {
             return -1;
         }
 
-        const contactState = contactInstance.getState();
-        if (contactState.type !== 'afterCallWork') {
+        const contactState = contact.getState();
+        if (contactState.type !== 'afterCallWork' || !contactState.maxStateTime) {
             return -1;
         }
 
-        const maxStateTime = contactState.maxStateTime || 0;
+        const maxStateTime = contactState.maxStateTime;
         const stateStartTime = contactState.stateStartTime || Date.now();
         const elapsedTime = (Date.now() - stateStartTime) / 1000; // Convert to seconds
 
@@ -312,6 +474,15 @@ export default {
         });
     },
 
+    /**
+     * Gets the contact after-call work applies to: the active contact, or the one that just ended.
+     * @returns {Object|null} The contact instance.
+     * @private
+     */
+    _getWrapUpContact() {
+        return contactInstance || wrapUpContact;
+    },
+
     /**
      * Validates if a contact instance exists.
      * @returns {boolean} True if a valid contact instance exists, false otherwise.
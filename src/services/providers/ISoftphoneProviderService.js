@@ -8,18 +8,35 @@
  * @typedef {Object} TelephonyCallbacks
  * @property {(status: string) => void} [onStatusChange] - Triggered when agent status changes (e.g., Available, Busy).
  * @property {(muted: boolean) => void} [onMuteChange] - Triggered when the mute state changes.
- * @property {(contact: object) => void} [onIncomingCall] - Triggered when an inbound call arrives.
- * @property {(contact: object) => void} [onConnecting] - Triggered when a call is connecting.
- * @property {(contact: object) => void} [onConnected] - Triggered when a call is connected.
- * @property {(contact: object) => void} [onCallAccepted] - Triggered when a call is accepted.
- * @property {(contact: object) => void} [onMissed] - Triggered when a call is missed.
- * @property {(contact: object) => void} [onPending] - Triggered when a call is pending.
- * @property {(contact: object) => void} [onRefresh] - Triggered when a call is refreshed.
- * @property {(contact: object) => void} [onCallEnded] - Triggered when the call/contact ends.
- * @property {(error: any, contact: object) => void} [onError] - Triggered when an error occurs.
+ * @property {(session: CallSession) => void} [onIncomingCall] - Triggered when an inbound call arrives.
+ * @property {(session: CallSession) => void} [onConnecting] - Triggered when a call is connecting.
+ * @property {(session: CallSession) => void} [onConnected] - Triggered when a call is connected.
+ * @property {(session: CallSession) => void} [onCallAccepted] - Triggered when a call is accepted.
+ * @property {(session: CallSession) => void} [onMissed] - Triggered when a call is missed.
+ * @property {(session: CallSession) => void} [onPending] - Triggered when a call is pending.
+ * @property {(session: CallSession) => void} [onRefresh] - Triggered when a call is refreshed.
+ * @property {(session: CallSession) => void} [onCallEnded] - Triggered when the call/contact ends.
+ * @property {(error: any, session: CallSession|null) => void} [onError] - Triggered when an error occurs.
  * @property {() => void} [onLoginRequired] - Triggered when the agent must login to the softphone UI.
  * @property {() => void} [onLoginSuccess] - Triggered when login is successful.
  * @property {() => void} [onLogout] - Triggered when the agent logs out.
+ *
+ * Call callbacks receive a provider-neutral CallSession (see ../callSession.js), never a raw SDK object.
+ */
+
+/**
+ * @typedef {import('../callSession').CallSession} CallSession
+ */
+
+/**
+ * @typedef {TelephonyCallbacks & Object} TelephonyOptions
+ * @property {HTMLElement} [container] - Element the provider may mount its own UI (e.g. the CCP iframe) into.
+ * @property {boolean} [disableRingtone] - The softphone plays its own ringtone; providers that ring
+ * by themselves should stay silent.
+ * @property {number} [extensionDelay] - Milliseconds between an outbound call connecting and its
+ * extension being sent (DEFAULT_EXTENSION_DELAY in `extensions.js`).
+ * Any provider-specific configuration (the Softphone `providerConfig` prop, e.g. `ccpUrl` or `token`)
+ * is merged into the same options object.
  */
 
 /**
@@ -28,17 +45,20 @@
 export default class ITelephonyService {
     /**
      * Initialize the telephony service and attach event listeners.
-     * @param {TelephonyCallbacks} options
+     * @param {TelephonyOptions} options
      */
     initialize(options) {
         throw new Error('Not implemented');
     }
 
     /**
-     * Place an outbound call.
-     * @param {string} phoneNumber - The phone number to dial.
+     * Place an outbound call. An extension is sent as DTMF once the call connects, e.g. with
+     * `ExtensionDialer` from `extensions.js`.
+     * @param {string} phoneNumber - The phone number to dial, in E.164 format without an extension.
+     * @param {Object} [options]
+     * @param {string|null} [options.extension] - Extension digits dialled after the number.
      */
-    placeCall(phoneNumber) {
+    placeCall(phoneNumber, options) {
         throw new Error('Not implemented');
     }
 
@@ -96,17 +116,265 @@ export default class ITelephonyService {
         throw new Error('Not implemented');
     }
 
+    /**
+     * Restore the original call after a transfer has been initiated, cancelling the transfer.
+     * @returns {Promise} Resolves when the call is restored.
+     */
+    restoreCall() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Transfer the active call to a queue (cold transfer).
+     * @param {string} queueId - The ID of the queue to transfer to.
+     * @returns {Promise} Resolves when the queue transfer is successful.
+     */
+    transferToQueue(queueId) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Warm transfer the active call to a queue.
+     * @param {string} queueId - The ID of the queue to transfer to.
+     * @returns {Promise} Resolves when the warm queue transfer is initiated.
+     */
+    warmTransferToQueue(queueId) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the queues the active call can be transferred to.
+     * @returns {Promise<Array<{queueId: string, name: string, availableAgents?: number}>>} Resolves with
+     * an array of queues; `queueId` is what `transferToQueue` and `warmTransferToQueue` take.
+     */
+    getAvailableQueues() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the provider's transfer directory, e.g. Amazon Connect quick connects.
+     * Providers without a directory resolve with an empty array.
+     * @returns {Promise<Array<{endpointId: string, name: string, type: string, phoneNumber: string|null}>>}
+     * Resolves with the endpoints; `type` is one of ENDPOINT_TYPES in transferDirectory.js.
+     */
+    getTransferEndpoints() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Transfer the active call to an endpoint returned by getTransferEndpoints.
+     * @param {string} endpointId - The endpoint's ID.
+     * @param {boolean} [isWarmTransfer=false] - Whether to consult the endpoint before completing the transfer.
+     * @returns {Promise} Resolves when the transfer is successful or the consult call is started.
+     */
+    transferToEndpoint(endpointId, isWarmTransfer = false) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Add a third party to the active call.
+     * @param {string} phoneNumber - The phone number to add to the conference.
+     * @returns {Promise} Resolves when the conference is initiated.
+     */
+    initiateConference(phoneNumber) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Merge all connections of the active call into a conference.
+     * @returns {Promise} Resolves when the connections are merged.
+     */
+    mergeConnections() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Remove a participant from the conference.
+     * @param {string} connectionId - The ID of the connection to remove.
+     * @returns {Promise} Resolves when the participant is removed.
+     */
+    removeFromConference(connectionId) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the attributes of the active contact.
+     * @returns {Promise<Object>} Resolves with the contact attributes.
+     */
+    getContactAttributes() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Merge attributes into the active contact, or the contact in after-call work, so that they
+     * travel with it into the provider's reporting.
+     * @param {Object<string, *>} attributes - The attributes to set.
+     * @returns {Promise} Resolves when the attributes are saved.
+     */
+    updateContactAttributes(attributes) {
+        throw new Error('Not implemented');
+    }
+
     /**
      * Mute the microphone.
+     * @returns {Promise} Resolves when the microphone is muted.
      */
-    mute() {
+    muteConnection() {
         throw new Error('Not implemented');
     }
 
     /**
      * Unmute the microphone.
+     * @returns {Promise} Resolves when the microphone is unmuted.
+     */
+    unmuteConnection() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Switch the microphone, speaker and ringer, including on a call in progress.
+     * @param {{input?: string, output?: string, ringer?: string}} devices - Device IDs from
+     * `enumerateDevices`; kinds left out are unchanged.
+     * @returns {Promise} Resolves when the devices are in use.
+     */
+    setAudioDevices(devices) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Media statistics of the call in progress, from its peer connection's `getStats()` or, where the
+     * SDK keeps that private, a Map of the same `inbound-rtp`/`outbound-rtp`/`remote-inbound-rtp` entries.
+     * @returns {Promise<RTCStatsReport|Map|null>} Resolves with the report, or null when there is no
+     * call media or it is out of the page's reach.
+     */
+    getCallStats() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Send DTMF digits on the active call, e.g. to navigate an IVR.
+     * @param {string} digits - The digits to send (0-9, *, # and A-D).
+     * @returns {Promise} Resolves when the digits have been sent.
      */
-    unmute() {
+    sendDigits(digits) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the disposition codes the agent can pick from during after-call work, used when the
+     * host does not supply its own through the `dispositions` prop.
+     * @returns {Promise<Array<{id: string, label: string, requiresNote?: boolean, children?: Array}>>} Resolves
+     * with the codes; empty if the provider has none.
+     */
+    getDispositionCodes() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Save the disposition of the contact in after-call work, complete the contact and make the agent available.
+     * @param {import('../dispositions').Disposition|null} [disposition=null] - The disposition, if one was picked.
+     * @returns {Promise} Resolves when after-call work is completed.
+     */
+    completeAfterCallWork(disposition = null) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the time left before after-call work times out.
+     * @returns {number} Seconds remaining, or -1 if the agent is not in after-call work or it has no time limit.
+     */
+    getAfterCallWorkRemainingTime() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get all states the agent can be set to.
+     * @returns {Promise<Array<{name: string, type: string, isRoutable: boolean}>>}
+     */
+    getAgentStates() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Set the agent's routing state.
+     * @param {string} stateName - The name of the state to set.
+     * @returns {Promise<string>} Resolves with the state that was set.
+     */
+    setAgentState(stateName) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the agent's configuration (name, username, routing profile, etc.).
+     * @returns {Promise<Object>}
+     */
+    getAgentConfiguration() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Update the agent's configuration.
+     * @param {Object} configUpdates - The configuration updates to apply.
+     * @returns {Promise<Object>} Resolves with the updated configuration.
+     */
+    updateAgentConfiguration(configUpdates) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the agent's statistics.
+     * @returns {Promise<Object>}
+     */
+    getAgentStatistics() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get a snapshot of the agent's current state and contacts.
+     * @returns {Promise<Object>}
+     */
+    getAgentSnapshot() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the agent's current contacts.
+     * @returns {Promise<Array<{contactId: string}>>}
+     */
+    getAgentContacts() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the agent's permissions.
+     * @returns {Promise<Object>}
+     */
+    getAgentPermissions() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Log the agent out of the provider.
+     * @returns {Promise} Resolves when the agent is logged out.
+     */
+    logoutAgent() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the actions this provider can perform, so the UI can hide the ones it cannot.
+     * Start from NO_CAPABILITIES in ./capabilities.js so new capabilities default to unsupported.
+     * @returns {import('./capabilities').SoftphoneCapabilities}
+     */
+    getCapabilities() {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Get the provider's client-side logs, attached to `call-ended` events.
+     * @returns {Array} Array of log entries.
+     */
+    getLogs() {
         throw new Error('Not implemented');
     }
 
@@ -116,4 +384,13 @@ export default class ITelephonyService {
     openLogin() {
         throw new Error('Not implemented');
     }
+
+    /**
+     * Detach all provider event listeners and release the underlying SDK session,
+     * so that the service can be re-initialized or replaced by another provider.
+     * @returns {Promise} Resolves when the teardown is complete.
+     */
+    destroy() {
+        throw new Error('Not implemented');
+    }
 }
\ No newline at end of file
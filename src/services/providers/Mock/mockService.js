@@ -0,0 +1,1176 @@
+import { NO_CAPABILITIES } from '../capabilities';
+import { DEFAULT_EXTENSION_DELAY } from '../extensions';
+import { isValidDtmf } from '../../callUtils';
+import {
+    createCallSession,
+    updateCallSession,
+    CALL_DIRECTIONS,
+    CALL_SESSION_STATES,
+    PARTICIPANT_ROLES
+} from '../../callSession';
+import { ENDPOINT_TYPES } from '../../transferDirectory';
+import { toDispositionAttributes } from '../../dispositions';
+
+/**
+ * Default simulation settings. Every key can be overridden through `providerConfig`.
+ * Delays are in milliseconds.
+ * @type {Object}
+ */
+const DEFAULT_CONFIG = {
+    loginDelay: 500, // Until the agent becomes available after initialize/openLogin
+    ringDelay: 1000, // Until an outbound call reports "connecting"
+    answerDelay: 2000, // Until the customer or a third party answers
+    ringTimeout: 20000, // Until an unanswered inbound call is reported missed
+    extensionDelay: DEFAULT_EXTENSION_DELAY, // Until a dialled extension is sent once the call connects
+    incomingCallInterval: 0, // Between simulated inbound calls while available, 0 disables
+    callerNumbers: ['+15555550100', '+15555550101', '+15555550102'],
+    failNumbers: [], // Outbound numbers that fail with FailedConnectCustomer
+    agentName: 'Demo Agent',
+    queues: [
+        { queueId: 'mock-sales', name: 'Sales Queue', availableAgents: 4 },
+        { queueId: 'mock-support', name: 'Support Queue', availableAgents: 2 },
+        { queueId: 'mock-billing', name: 'Billing Queue', availableAgents: 0 }
+    ],
+    // Transfer directory entries besides the queues, which are listed too
+    quickConnects: [
+        { endpointId: 'mock-agent-alex', name: 'Alex Morgan', type: 'agent', phoneNumber: null },
+        { endpointId: 'mock-agent-sam', name: 'Sam Lee (Supervisor)', type: 'agent', phoneNumber: null },
+        { endpointId: 'mock-front-desk', name: 'Front Desk', type: 'phone-number', phoneNumber: '+15555550150' }
+    ],
+    afterCallWork: false, // Whether connected calls end in after-call work instead of the selected state
+    afterCallWorkTimeout: 120000, // Until after-call work completes by itself, 0 for no limit
+    dispositionCodes: [
+        { id: 'resolved', label: 'Issue Resolved' },
+        { id: 'callback', label: 'Callback Required' },
+        { id: 'escalated', label: 'Escalated to Supervisor' },
+        { id: 'no_answer', label: 'No Answer' }
+    ]
+};
+
+/**
+ * Network conditions of simulated calls: jitter and round-trip time in ms, packet loss in percent.
+ * @type {Object}
+ */
+const DEFAULT_NETWORK_CONDITIONS = { jitter: 4, packetLoss: 0, rtt: 60 };
+
+// Simulated calls send and receive 50 packets of 160 bytes a second (64 kbps G.711)
+const PACKETS_PER_SECOND = 50;
+const PACKET_BYTES = 160;
+
+let callbacks = {}; // Callbacks for agent and contact events
+let config = { ...DEFAULT_CONFIG }; // Simulation settings (DEFAULT_CONFIG merged with providerConfig)
+let agentState = 'Offline'; // State reported to the softphone
+let selectedState = 'Available'; // State chosen by the agent, restored after each call
+let stateStartTimestamp = Date.now(); // When the current state was entered
+let agentConfig = {}; // Stores agent configuration overrides
+let contact = null; // Simulated contact the agent is handling
+let wrapUp = null; // Ended contact in after-call work and when it entered it
+let muted = false; // Whether the agent's microphone is muted
+let audioDevices = {}; // Microphone, speaker and ringer the agent chose
+let networkConditions = { ...DEFAULT_NETWORK_CONDITIONS }; // Simulated call media quality
+let mediaCounters = null; // Simulated RTP counters of the connected call
+let timers = []; // Pending simulation timers, cleared on destroy
+let logs = []; // Log of simulated events
+let statistics = { contactsHandled: 0, onContactTime: 0 }; // Session statistics
+let sequence = 0; // Counter for contact and connection IDs
+
+/**
+ * States the simulated agent can select.
+ * @type {Array<Object>}
+ */
+const AGENT_STATES = [
+    { name: 'Available', type: 'routable' },
+    { name: 'Break', type: 'not-routable' },
+    { name: 'Lunch', type: 'not-routable' },
+    { name: 'Offline', type: 'offline' }
+];
+
+/**
+ * Simulated telephony provider for demos, UI work and tests. It needs no SDK:
+ * agent state changes, calls, transfers and conferences are played out on timers,
+ * and the `simulate*` methods and `runScript` let a host drive them on demand:
+ *
+ *     getSoftphoneService('mock').simulateIncomingCall('+15555550123');
+ */
+export default {
+    /**
+     * Initialize the simulation. The agent logs in after `loginDelay`.
+     * @param {Object} options - Callbacks for agent and contact events, plus any DEFAULT_CONFIG overrides.
+     * @returns {Promise} Resolves once the simulation is running.
+     */
+    initialize(options = {}) {
+        this.destroy();
+
+        callbacks = options;
+        config = { ...DEFAULT_CONFIG, ...options };
+
+        this._log('Mock provider initialized.');
+        this._scheduleLogin();
+        this._scheduleIncomingCall();
+
+        return Promise.resolve();
+    },
+
+    /**
+     * Place a simulated outbound call. Numbers listed in `failNumbers` fail to connect.
+     * @param {string} phoneNumber - The phone number to call.
+     * @param {Object} [options]
+     * @param {string|null} [options.extension] - Extension sent as DTMF once the call connects.
+     * @returns {Promise} Resolves when the call is placed.
+     */
+    placeCall(phoneNumber, { extension } = {}) {
+        if (contact) {
+            return Promise.reject(new Error("A call is already in progress."));
+        }
+
+        contact = this._createContact('outbound', phoneNumber);
+        contact.extension = extension || null;
+        this._setState('CallingCustomer');
+        this._log(`Calling ${phoneNumber}.`);
+
+        const placed = contact;
+        this._schedule(config.ringDelay, () => {
+            if (contact !== placed) return;
+            callbacks.onConnecting?.(this._toCallSession(placed));
+        });
+        this._schedule(config.ringDelay + config.answerDelay, () => {
+            if (contact !== placed) return;
+
+            if (config.failNumbers.includes(phoneNumber)) {
+                placed.state = 'error';
+                this._log(`Call to ${phoneNumber} failed.`);
+                this._setState('FailedConnectCustomer');
+                return;
+            }
+
+            this._connect(placed);
+        });
+
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Hang up the simulated call.
+     * @returns {Promise} Resolves when the call is ended.
+     */
+    hangUpCall() {
+        if (!contact) {
+            return Promise.reject(new Error("No contact instance available to end."));
+        }
+
+        this._endContact('agent');
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Accept the ringing inbound call.
+     * @returns {Promise} Resolves when the call is accepted.
+     */
+    acceptIncomingCall() {
+        if (!contact || contact.state !== 'incoming') {
+            return Promise.reject(new Error("No incoming call available to accept."));
+        }
+
+        const accepted = contact;
+        accepted.state = 'connecting';
+        callbacks.onConnecting?.(this._toCallSession(accepted));
+
+        // Give the UI a beat of "connecting" like a real media setup
+        this._schedule(Math.min(config.answerDelay, 500), () => {
+            if (contact !== accepted) return;
+            this._connect(accepted);
+            callbacks.onCallAccepted?.(this._toCallSession(accepted));
+        });
+
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Decline the ringing inbound call.
+     * @returns {Promise} Resolves when the call is declined.
+     */
+    declineIncomingCall() {
+        if (!contact || contact.state !== 'incoming') {
+            return Promise.reject(new Error("No incoming call available to decline."));
+        }
+
+        this._log(`Declined call from ${contact.phoneNumber}.`);
+        contact = null;
+        this._setState(selectedState);
+
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Put the customer on hold.
+     * @returns {Promise} Resolves if the hold call is successful, rejects otherwise.
+     */
+    holdCall() {
+        const customer = this._getCustomerConnection();
+        if (!customer || customer.state !== 'connected') {
+            return Promise.reject(new Error("No connected call available to hold."));
+        }
+
+        customer.state = 'hold';
+        return Promise.resolve("Call successfully put on hold.");
+    },
+
+    /**
+     * Take the customer off hold.
+     * @returns {Promise} Resolves if the resume call is successful, rejects otherwise.
+     */
+    resumeCall() {
+        const customer = this._getCustomerConnection();
+        if (!customer || customer.state !== 'hold') {
+            return Promise.reject(new Error("No held call available to resume."));
+        }
+
+        customer.state = 'connected';
+        return Promise.resolve("Call successfully resumed.");
+    },
+
+    /**
+     * Transfer the call. A cold transfer releases the agent once the target answers;
+     * a warm transfer holds the customer and rings the target.
+     * @param {string} number - The phone number to transfer the call to.
+     * @param {boolean} [isWarmTransfer=false] - Whether to perform a warm transfer.
+     * @returns {Promise} Resolves with true (cold) or the new connection ID (warm).
+     */
+    transferCall(number, isWarmTransfer = false) {
+        if (!this._isConnected()) {
+            return Promise.reject(new Error("No connected call available for transfer."));
+        }
+
+        if (isWarmTransfer) {
+            return Promise.resolve(this._addThirdParty(number).connectionId);
+        }
+
+        const transferred = contact;
+        this._log(`Cold transfer to ${number}.`);
+        this._schedule(config.answerDelay, () => {
+            if (contact === transferred) this._endContact('transfer');
+        });
+
+        return Promise.resolve(true);
+    },
+
+    /**
+     * End a transfer call.
+     * @param {boolean} [isAgentDisconnect=false] - Leave the customer with the third party
+     * instead of hanging up on everyone.
+     * @returns {Promise} Resolves when the transfer call is ended.
+     */
+    endTransferCall(isAgentDisconnect = false) {
+        if (!contact) {
+            return Promise.reject(new Error("No contact instance available."));
+        }
+
+        this._endContact(isAgentDisconnect ? 'transfer' : 'agent');
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Drop all third parties and take the customer off hold.
+     * @returns {Promise} Resolves when the call is successfully restored.
+     */
+    restoreCall() {
+        if (!contact) {
+            return Promise.reject(new Error("No active contact available to restore."));
+        }
+
+        contact.connections = contact.connections.filter(connection => connection.type === 'initial');
+        this._getCustomerConnection().state = 'connected';
+
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Cold transfer to a simulated queue.
+     * @param {string} queueId - The ID of the queue to transfer to.
+     * @returns {Promise} Resolves when the queue transfer is successful.
+     */
+    transferToQueue(queueId) {
+        if (!this._findQueue(queueId)) {
+            return Promise.reject(new Error(`Unknown queue: ${queueId}`));
+        }
+
+        return this.transferCall(queueId);
+    },
+
+    /**
+     * Warm transfer to a simulated queue.
+     * @param {string} queueId - The ID of the queue to transfer to.
+     * @returns {Promise} Resolves with the queue connection ID.
+     */
+    warmTransferToQueue(queueId) {
+        if (!this._findQueue(queueId)) {
+            return Promise.reject(new Error(`Unknown queue: ${queueId}`));
+        }
+
+        return this.transferCall(queueId, true);
+    },
+
+    /**
+     * Gets the simulated queues.
+     * @returns {Promise<Array>} Resolves with an array of available queues.
+     */
+    getAvailableQueues() {
+        return Promise.resolve([...config.queues]);
+    },
+
+    /**
+     * Gets the simulated transfer directory: the `quickConnects` and the queues.
+     * @returns {Promise<Array>} Resolves with the transfer endpoints.
+     */
+    getTransferEndpoints() {
+        return Promise.resolve(this._getTransferEndpoints());
+    },
+
+    /**
+     * Transfer to a simulated directory entry.
+     * @param {string} endpointId - The endpoint ID.
+     * @param {boolean} [isWarmTransfer=false] - Whether to consult the endpoint first.
+     * @returns {Promise} Resolves as transferCall does.
+     */
+    transferToEndpoint(endpointId, isWarmTransfer = false) {
+        const endpoint = this._getTransferEndpoints().find(candidate => candidate.endpointId === endpointId);
+        if (!endpoint) {
+            return Promise.reject(new Error(`Unknown transfer endpoint: ${endpointId}`));
+        }
+
+        return this.transferCall(endpoint.phoneNumber || endpointId, isWarmTransfer);
+    },
+
+    /**
+     * Ring a third party into the call.
+     * @param {string} phoneNumber - The phone number to add to the conference.
+     * @returns {Promise<string>} Resolves with the new connection ID.
+     */
+    initiateConference(phoneNumber) {
+        if (!this._isConnected()) {
+            return Promise.reject(new Error("No connected call available for a conference."));
+        }
+
+        return Promise.resolve(this._addThirdParty(phoneNumber).connectionId);
+    },
+
+    /**
+     * Join every connected party into one conversation.
+     * @returns {Promise} Resolves when the conference is merged.
+     */
+    mergeConnections() {
+        if (!contact || contact.connections.length < 2) {
+            return Promise.reject(new Error("No third party available to merge."));
+        }
+
+        contact.connections.forEach(connection => {
+            if (connection.state === 'hold') connection.state = 'connected';
+        });
+        this._log('Merged connections into a conference.');
+
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Remove a third party from the call.
+     * @param {string} connectionId - The ID of the connection to remove.
+     * @returns {Promise} Resolves when the connection is removed.
+     */
+    removeFromConference(connectionId) {
+        const connection = contact?.connections.find(connection => connection.connectionId === connectionId);
+        if (!connection || connection.type === 'initial') {
+            return Promise.reject(new Error(`Connection not found: ${connectionId}`));
+        }
+
+        contact.connections = contact.connections.filter(item => item !== connection);
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Gets the attributes of the simulated contact.
+     * @returns {Promise<Object>} Resolves with contact attributes.
+     */
+    getContactAttributes() {
+        if (!contact) {
+            return Promise.reject(new Error("No active contact available."));
+        }
+
+        return Promise.resolve({ ...contact.attributes });
+    },
+
+    /**
+     * Merges attributes into the simulated contact, or the contact in after-call work.
+     * @param {Object<string, *>} attributes - The attributes to set.
+     * @returns {Promise<Object>} Resolves with the contact's attributes.
+     */
+    updateContactAttributes(attributes) {
+        const target = contact || wrapUp?.contact;
+        if (!target) {
+            return Promise.reject(new Error("No active contact available."));
+        }
+
+        target.attributes = { ...target.attributes, ...attributes };
+        this._log(`Attributes updated on the call with ${target.phoneNumber}: ${Object.keys(attributes).join(', ')}.`);
+
+        return Promise.resolve({ ...target.attributes });
+    },
+
+    /**
+     * Mute the agent.
+     * @returns {Promise} Resolves when the call is muted.
+     */
+    muteConnection() {
+        muted = true;
+        callbacks.onMuteChange?.(true);
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Unmute the agent.
+     * @returns {Promise} Resolves when the call is unmuted.
+     */
+    unmuteConnection() {
+        muted = false;
+        callbacks.onMuteChange?.(false);
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Choose the agent's audio devices. They are only logged.
+     * @param {{input?: string, output?: string, ringer?: string}} devices - Device IDs; kinds left out are unchanged.
+     * @returns {Promise} Resolves when the devices are set.
+     */
+    setAudioDevices(devices = {}) {
+        const changed = Object.keys(devices).filter(kind => devices[kind]);
+        changed.forEach(kind => {
+            audioDevices[kind] = devices[kind];
+        });
+
+        if (changed.length) {
+            this._log(`Audio devices set: ${changed.map(kind => `${kind} ${devices[kind]}`).join(', ')}.`);
+        }
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Simulated media statistics of the connected call, following `simulateNetworkConditions`.
+     * @returns {Promise<Map|null>} Resolves with a `getStats()`-like report, or null without a connected call.
+     */
+    getCallStats() {
+        if (contact?.state !== 'connected') {
+            mediaCounters = null;
+            return Promise.resolve(null);
+        }
+
+        const now = Date.now();
+        if (!mediaCounters || mediaCounters.contactId !== contact.contactId) {
+            mediaCounters = { contactId: contact.contactId, timestamp: contact.connectedTimestamp, packetsReceived: 0, packetsLost: 0, packetsSent: 0 };
+        }
+
+        // Advance the counters under the current conditions
+        const packets = Math.round((now - mediaCounters.timestamp) / 1000 * PACKETS_PER_SECOND);
+        const lost = Math.round(packets * networkConditions.packetLoss / 100);
+        mediaCounters.timestamp = now;
+        mediaCounters.packetsReceived += packets - lost;
+        mediaCounters.packetsLost += lost;
+        mediaCounters.packetsSent += packets;
+
+        return Promise.resolve(new Map([
+            ['inbound-audio', {
+                id: 'inbound-audio',
+                type: 'inbound-rtp',
+                kind: 'audio',
+                timestamp: now,
+                jitter: networkConditions.jitter / 1000,
+                packetsReceived: mediaCounters.packetsReceived,
+                packetsLost: mediaCounters.packetsLost,
+                bytesReceived: mediaCounters.packetsReceived * PACKET_BYTES
+            }],
+            ['outbound-audio', {
+                id: 'outbound-audio',
+                type: 'outbound-rtp',
+                kind: 'audio',
+                timestamp: now,
+                packetsSent: mediaCounters.packetsSent,
+                bytesSent: mediaCounters.packetsSent * PACKET_BYTES
+            }],
+            ['remote-inbound-audio', {
+                id: 'remote-inbound-audio',
+                type: 'remote-inbound-rtp',
+                kind: 'audio',
+                timestamp: now,
+                roundTripTime: networkConditions.rtt / 1000
+            }]
+        ]));
+    },
+
+    /**
+     * Send DTMF digits to the customer. They are only logged.
+     * @param {string} digits - The digits to send.
+     * @returns {Promise} Resolves when the digits are sent.
+     */
+    sendDigits(digits) {
+        if (!isValidDtmf(digits)) {
+            return Promise.reject(new Error(`Invalid DTMF digits: ${digits}`));
+        }
+
+        const customer = this._getCustomerConnection();
+        if (!customer || customer.state !== 'connected') {
+            return Promise.reject(new Error("No connected call available to send digits."));
+        }
+
+        this._log(`Sent digits ${digits}.`);
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Get the simulated disposition codes.
+     * @returns {Promise<Array>} Resolves with the `dispositionCodes` setting.
+     */
+    getDispositionCodes() {
+        return Promise.resolve([...config.dispositionCodes]);
+    },
+
+    /**
+     * Store the disposition as attributes of the ended contact and make the agent available.
+     * @param {Object|null} [disposition] - The disposition (see dispositions.js).
+     * @returns {Promise} Resolves when after-call work is completed.
+     */
+    completeAfterCallWork(disposition = null) {
+        if (!wrapUp) {
+            return Promise.reject(new Error("No contact in after-call work."));
+        }
+
+        if (disposition) {
+            wrapUp.contact.attributes = { ...wrapUp.contact.attributes, ...toDispositionAttributes(disposition) };
+            this._log(`Call with ${wrapUp.contact.phoneNumber} dispositioned as ${disposition.id}.`);
+        }
+
+        this._completeAfterCallWork();
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Get the time left before after-call work completes by itself.
+     * @returns {number} Seconds remaining, or -1 if not in after-call work or it has no time limit.
+     */
+    getAfterCallWorkRemainingTime() {
+        if (!wrapUp || !(config.afterCallWorkTimeout > 0)) {
+            return -1;
+        }
+
+        return Math.max(0, (config.afterCallWorkTimeout - (Date.now() - wrapUp.startedAt)) / 1000);
+    },
+
+    /**
+     * Get all states the agent can be set to.
+     * @returns {Promise<Array>} Resolves with an array of agent states.
+     */
+    getAgentStates() {
+        return Promise.resolve(AGENT_STATES.map(state => ({
+            name: state.name,
+            type: state.type,
+            isRoutable: state.type === 'routable'
+        })));
+    },
+
+    /**
+     * Set the agent's routing state. During a call the new state applies once the call ends.
+     * @param {string} stateName - The name of the state to set.
+     * @returns {Promise<string>} Resolves with the state that was set.
+     */
+    setAgentState(stateName) {
+        if (!AGENT_STATES.some(state => state.name === stateName)) {
+            return Promise.reject(new Error(`Invalid agent state: ${stateName}`));
+        }
+
+        selectedState = stateName;
+        if (!contact) {
+            this._setState(stateName);
+        }
+
+        return Promise.resolve(stateName);
+    },
+
+    /**
+     * Get the agent's configuration.
+     * @returns {Promise<Object>} Resolves with the agent's configuration.
+     */
+    getAgentConfiguration() {
+        return Promise.resolve({
+            name: config.agentName,
+            username: 'demo.agent',
+            softphoneEnabled: true,
+            softphoneAutoAccept: false,
+            extension: '1000',
+            routingProfile: { name: 'Mock Routing Profile' },
+            ...agentConfig
+        });
+    },
+
+    /**
+     * Update the agent's configuration.
+     * @param {Object} configUpdates - The configuration updates to apply.
+     * @returns {Promise<Object>} Resolves with the updated configuration.
+     */
+    updateAgentConfiguration(configUpdates) {
+        agentConfig = { ...agentConfig, ...configUpdates };
+        return this.getAgentConfiguration();
+    },
+
+    /**
+     * Get the agent's statistics for the simulated session.
+     * @returns {Promise<Object>} Resolves with the agent's statistics.
+     */
+    getAgentStatistics() {
+        const { contactsHandled, onContactTime } = statistics;
+
+        return Promise.resolve({
+            contactsHandled,
+            averageHandleTime: contactsHandled ? onContactTime / contactsHandled : 0,
+            onContactTime
+        });
+    },
+
+    /**
+     * Get a snapshot of the agent's current state and contacts.
+     * @returns {Promise<Object>} Resolves with the agent snapshot.
+     */
+    getAgentSnapshot() {
+        return this.getAgentContacts().then(contacts => ({
+            state: agentState,
+            stateStartTimestamp,
+            contacts,
+            isMuted: muted,
+            audioDevices: { ...audioDevices },
+            configuration: agentConfig
+        }));
+    },
+
+    /**
+     * Get the agent's current contacts.
+     * @returns {Promise<Array>} Resolves with an array of the agent's contacts.
+     */
+    getAgentContacts() {
+        if (!contact) {
+            return Promise.resolve([]);
+        }
+
+        return Promise.resolve([{
+            contactId: contact.contactId,
+            type: 'voice',
+            state: contact.state,
+            isInbound: contact.direction === 'inbound',
+            isConnected: contact.state === 'connected',
+            connections: contact.connections.map(connection => ({ ...connection }))
+        }]);
+    },
+
+    /**
+     * Get the agent's permissions. The simulated agent may do everything.
+     * @returns {Promise<Object>} Resolves with the agent's permissions.
+     */
+    getAgentPermissions() {
+        return Promise.resolve({
+            canAccessReports: true,
+            canAccessRecordings: true,
+            canTransferCalls: true,
+            canCreateConferences: true,
+            canAccessCustomerProfiles: true
+        });
+    },
+
+    /**
+     * Log the agent out.
+     * @returns {Promise} Resolves when the agent is logged out.
+     */
+    logoutAgent() {
+        this._setState('Offline');
+        callbacks.onLogout?.();
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Get the actions the simulation can perform.
+     * @returns {Object} The provider capabilities.
+     */
+    getCapabilities() {
+        return {
+            ...NO_CAPABILITIES,
+            mute: true,
+            hold: true,
+            coldTransfer: true,
+            warmTransfer: true,
+            queueTransfer: true,
+            warmQueueTransfer: true,
+            conference: true,
+            merge: true,
+            dtmf: true,
+            directory: true,
+            contactAttributes: true,
+            audioDevices: true,
+            callQuality: true
+        };
+    },
+
+    /**
+     * Get the simulation log.
+     * @returns {Array} Array of log entries.
+     */
+    getLogs() {
+        return [...logs];
+    },
+
+    /**
+     * Log the agent back in after `loginDelay`.
+     * @returns {Promise} Resolves once the login is scheduled.
+     */
+    openLogin() {
+        this._scheduleLogin();
+        return Promise.resolve();
+    },
+
+    /**
+     * Stop the simulation and cancel pending timers.
+     * @returns {Promise} Resolves when the teardown is complete.
+     */
+    destroy() {
+        timers.forEach(timer => clearTimeout(timer));
+        timers = [];
+        callbacks = {};
+        agentState = 'Offline';
+        selectedState = 'Available';
+        agentConfig = {};
+        contact = null;
+        wrapUp = null;
+        muted = false;
+        audioDevices = {};
+        networkConditions = { ...DEFAULT_NETWORK_CONDITIONS };
+        mediaCounters = null;
+        logs = [];
+        statistics = { contactsHandled: 0, onContactTime: 0 };
+
+        return Promise.resolve();
+    },
+
+    /**
+     * Ring the agent with a simulated inbound call. It is reported missed after `ringTimeout`.
+     * @param {string} [phoneNumber] - Caller number, defaults to a random `callerNumbers` entry.
+     * @param {Object} [attributes] - Contact attributes of the call.
+     * @param {string} [queueId] - Queue the call came through, defaults to the first of `queues`.
+     * @returns {Object|null} The call session, or null if the agent is already on a call.
+     */
+    simulateIncomingCall(phoneNumber, attributes = {}, queueId) {
+        if (contact) {
+            this._log('Simulated incoming call ignored: agent is on a call.');
+            return null;
+        }
+
+        const { callerNumbers } = config;
+        const number = phoneNumber || callerNumbers[Math.floor(Math.random() * callerNumbers.length)];
+
+        contact = this._createContact('inbound', number, attributes);
+        contact.queue = (queueId ? this._findQueue(queueId) : config.queues[0]) || null;
+        this._log(`Incoming call from ${number}.`);
+
+        const session = this._toCallSession(contact);
+        callbacks.onIncomingCall?.(session);
+
+        const ringing = contact;
+        this._schedule(config.ringTimeout, () => {
+            if (contact !== ringing || ringing.state !== 'incoming') return;
+
+            this._log(`Missed call from ${number}.`);
+            contact = null;
+            ringing.state = 'missed';
+            callbacks.onMissed?.(this._toCallSession(ringing));
+            this._setState(selectedState);
+        });
+
+        return session;
+    },
+
+    /**
+     * End the call as if the customer hung up.
+     * @returns {boolean} True if there was a call to end.
+     */
+    simulateCustomerHangup() {
+        if (!contact) {
+            return false;
+        }
+
+        this._endContact('customer');
+        return true;
+    },
+
+    /**
+     * Answer a ringing third party (transfer or conference leg) immediately.
+     * @param {string} [connectionId] - The connection to answer, defaults to every ringing one.
+     */
+    simulateThirdPartyAnswer(connectionId) {
+        contact?.connections
+            .filter(connection => connection.type === 'thirdParty' && connection.state === 'connecting')
+            .filter(connection => !connectionId || connection.connectionId === connectionId)
+            .forEach(connection => { connection.state = 'connected'; });
+    },
+
+    /**
+     * Change the agent state as if it was changed elsewhere (e.g. by a supervisor).
+     * @param {string} stateName - The state to report.
+     */
+    simulateAgentState(stateName) {
+        if (AGENT_STATES.some(state => state.name === stateName)) {
+            selectedState = stateName;
+        }
+        this._setState(stateName);
+    },
+
+    /**
+     * Change the network conditions of simulated calls, e.g. to demo call quality warnings.
+     * @param {Object} [conditions] - `jitter` and `rtt` in ms and `packetLoss` in percent;
+     * left out values are unchanged. Without conditions, the defaults are restored.
+     */
+    simulateNetworkConditions(conditions) {
+        networkConditions = conditions
+            ? { ...networkConditions, ...conditions }
+            : { ...DEFAULT_NETWORK_CONDITIONS };
+        this._log(`Network conditions: ${networkConditions.jitter} ms jitter, ${networkConditions.packetLoss}% packet loss, ${networkConditions.rtt} ms round trip.`);
+    },
+
+    /**
+     * Report a provider error.
+     * @param {string} [message='Simulated softphone error'] - The error message.
+     */
+    simulateError(message = 'Simulated softphone error') {
+        this._log(message);
+        callbacks.onError?.(new Error(message), contact ? this._toCallSession(contact) : null);
+    },
+
+    /**
+     * Play a sequence of simulated events. Each step waits `after` milliseconds
+     * after the previous one, e.g.
+     *
+     *     runScript([
+     *         { after: 1000, action: 'incomingCall', args: ['+15555550123'] },
+     *         { after: 15000, action: 'customerHangup' }
+     *     ]);
+     *
+     * Actions: incomingCall, customerHangup, thirdPartyAnswer, agentState, networkConditions, error.
+     * @param {Array<Object>} steps - The steps to play.
+     * @returns {Promise} Resolves after the last step has run.
+     */
+    runScript(steps = []) {
+        const actions = {
+            incomingCall: (...args) => this.simulateIncomingCall(...args),
+            customerHangup: () => this.simulateCustomerHangup(),
+            thirdPartyAnswer: (...args) => this.simulateThirdPartyAnswer(...args),
+            agentState: (...args) => this.simulateAgentState(...args),
+            networkConditions: (...args) => this.simulateNetworkConditions(...args),
+            error: (...args) => this.simulateError(...args)
+        };
+
+        const unknown = steps.find(step => !actions[step.action]);
+        if (unknown) {
+            return Promise.reject(new Error(`Unknown mock script action: ${unknown.action}`));
+        }
+
+        return new Promise(resolve => {
+            let elapsed = 0;
+
+            steps.forEach((step, index) => {
+                elapsed += step.after || 0;
+                this._schedule(elapsed, () => {
+                    actions[step.action](...(step.args || []));
+                    if (index === steps.length - 1) resolve();
+                });
+            });
+
+            if (!steps.length) resolve();
+        });
+    },
+
+    /**
+     * Creates a simulated contact with its customer connection.
+     * @param {string} direction - "inbound" or "outbound".
+     * @param {string} phoneNumber - The customer's phone number.
+     * @param {Object} [attributes] - Contact attributes.
+     * @returns {Object} The contact.
+     * @private
+     */
+    _createContact(direction, phoneNumber, attributes = {}) {
+        const contactId = `mock-contact-${++sequence}`;
+
+        return {
+            contactId,
+            direction,
+            phoneNumber,
+            state: direction === 'inbound' ? 'incoming' : 'connecting',
+            attributes: { customerNumber: phoneNumber, ...attributes },
+            startTimestamp: Date.now(),
+            connectedTimestamp: null,
+            queue: null,
+            connections: [{
+                connectionId: `mock-connection-${++sequence}`,
+                type: 'initial',
+                phoneNumber,
+                state: 'connecting'
+            }],
+            session: null
+        };
+    },
+
+    /**
+     * Brings the contact's call session up to date and returns it.
+     * @param {Object} target - The simulated contact.
+     * @returns {Object} The call session.
+     * @private
+     */
+    _toCallSession(target) {
+        const customer = target.connections.find(connection => connection.type === 'initial');
+        const states = {
+            incoming: CALL_SESSION_STATES.RINGING,
+            connecting: target.direction === 'inbound' ? CALL_SESSION_STATES.RINGING : CALL_SESSION_STATES.DIALING,
+            connected: customer?.state === 'hold' ? CALL_SESSION_STATES.ON_HOLD : CALL_SESSION_STATES.CONNECTED,
+            missed: CALL_SESSION_STATES.MISSED,
+            error: CALL_SESSION_STATES.FAILED,
+            ended: CALL_SESSION_STATES.ENDED
+        };
+        const fields = {
+            state: states[target.state],
+            participants: target.connections.map(connection => ({
+                id: connection.connectionId,
+                role: connection.type === 'initial' ? PARTICIPANT_ROLES.CUSTOMER : PARTICIPANT_ROLES.THIRD_PARTY,
+                phoneNumber: connection.phoneNumber,
+                state: connection.state
+            }))
+        };
+
+        target.session = target.session
+            ? updateCallSession(target.session, fields)
+            : createCallSession({
+                ...fields,
+                id: target.contactId,
+                provider: 'mock',
+                direction: target.direction === 'inbound' ? CALL_DIRECTIONS.INBOUND : CALL_DIRECTIONS.OUTBOUND,
+                remoteNumber: target.phoneNumber,
+                queue: target.queue ? { queueId: target.queue.queueId, name: target.queue.name } : null,
+                raw: target
+            });
+
+        return target.session;
+    },
+
+    /**
+     * Adds a ringing third-party connection and holds the customer.
+     * @param {string} phoneNumber - The third party's number or queue ID.
+     * @returns {Object} The new connection.
+     * @private
+     */
+    _addThirdParty(phoneNumber) {
+        const connection = {
+            connectionId: `mock-connection-${++sequence}`,
+            type: 'thirdParty',
+            phoneNumber,
+            state: 'connecting'
+        };
+
+        this._getCustomerConnection().state = 'hold';
+        contact.connections.push(connection);
+        this._log(`Ringing third party ${phoneNumber}.`);
+
+        this._schedule(config.answerDelay, () => this.simulateThirdPartyAnswer(connection.connectionId));
+
+        return connection;
+    },
+
+    /**
+     * Marks the contact connected and reports it.
+     * @param {Object} connected - The contact.
+     * @private
+     */
+    _connect(connected) {
+        connected.state = 'connected';
+        connected.connectedTimestamp = Date.now();
+        this._getCustomerConnection().state = 'connected';
+        this._log(`Connected with ${connected.phoneNumber}.`);
+        this._setState('Busy');
+        callbacks.onConnected?.(this._toCallSession(connected));
+
+        if (connected.extension) {
+            this._schedule(config.extensionDelay, () => {
+                if (contact !== connected) return;
+                this.sendDigits(connected.extension).catch(error => this._log(error.message));
+            });
+        }
+    },
+
+    /**
+     * Ends the contact and returns the agent to the selected state.
+     * @param {string} reason - Who ended the call: agent, customer or transfer.
+     * @private
+     */
+    _endContact(reason) {
+        const ended = contact;
+        contact = null;
+
+        ended.state = 'ended';
+        ended.connections.forEach(connection => { connection.state = 'disconnected'; });
+
+        if (ended.connectedTimestamp) {
+            statistics.contactsHandled += 1;
+            statistics.onContactTime += (Date.now() - ended.connectedTimestamp) / 1000;
+        }
+
+        this._log(`Call with ${ended.phoneNumber} ended by ${reason}.`);
+        callbacks.onCallEnded?.(this._toCallSession(ended));
+
+        if (muted) {
+            this.unmuteConnection();
+        }
+
+        if (config.afterCallWork && ended.connectedTimestamp) {
+            this._startAfterCallWork(ended);
+        } else {
+            this._setState(selectedState);
+        }
+    },
+
+    /**
+     * Puts the agent in after-call work for an ended contact, completing it after `afterCallWorkTimeout`.
+     * @param {Object} ended - The ended contact.
+     * @private
+     */
+    _startAfterCallWork(ended) {
+        wrapUp = { contact: ended, startedAt: Date.now() };
+        this._setState('AfterCallWork');
+
+        if (config.afterCallWorkTimeout > 0) {
+            this._schedule(config.afterCallWorkTimeout, () => {
+                if (wrapUp?.contact === ended) {
+                    this._log('After-call work timed out.');
+                    this._completeAfterCallWork();
+                }
+            });
+        }
+    },
+
+    /**
+     * Ends after-call work and makes the agent available.
+     * @private
+     */
+    _completeAfterCallWork() {
+        wrapUp = null;
+        selectedState = 'Available';
+        this._setState(selectedState);
+    },
+
+    /**
+     * Gets the customer connection of the current contact.
+     * @returns {Object|undefined} The customer connection.
+     * @private
+     */
+    _getCustomerConnection() {
+        return contact?.connections.find(connection => connection.type === 'initial');
+    },
+
+    /**
+     * Whether the current contact is connected.
+     * @returns {boolean} True if connected.
+     * @private
+     */
+    _isConnected() {
+        return contact?.state === 'connected';
+    },
+
+    /**
+     * Finds a simulated queue.
+     * @param {string} queueId - The queue ID.
+     * @returns {Object|undefined} The queue.
+     * @private
+     */
+    _findQueue(queueId) {
+        return config.queues.find(queue => queue.queueId === queueId);
+    },
+
+    /**
+     * Lists the simulated quick connects followed by the queues.
+     * @returns {Array<Object>} The transfer endpoints.
+     * @private
+     */
+    _getTransferEndpoints() {
+        return [
+            ...config.quickConnects,
+            ...config.queues.map(queue => ({
+                endpointId: queue.queueId,
+                name: queue.name,
+                type: ENDPOINT_TYPES.QUEUE,
+                phoneNumber: null
+            }))
+        ];
+    },
+
+    /**
+     * Schedules the agent login.
+     * @private
+     */
+    _scheduleLogin() {
+        this._schedule(config.loginDelay, () => {
+            this._log('Agent logged in.');
+            this._setState(selectedState);
+            callbacks.onLoginSuccess?.();
+        });
+    },
+
+    /**
+     * Schedules the next automatic inbound call, if enabled.
+     * @private
+     */
+    _scheduleIncomingCall() {
+        if (!(config.incomingCallInterval > 0)) {
+            return;
+        }
+
+        this._schedule(config.incomingCallInterval, () => {
+            const routable = AGENT_STATES.find(state => state.name === agentState)?.type === 'routable';
+            if (routable && !contact) {
+                this.simulateIncomingCall();
+            }
+            this._scheduleIncomingCall();
+        });
+    },
+
+    /**
+     * Reports a new agent state.
+     * @param {string} state - The state.
+     * @private
+     */
+    _setState(state) {
+        agentState = state;
+        stateStartTimestamp = Date.now();
+        callbacks.onStatusChange?.(state);
+    },
+
+    /**
+     * Runs a callback after a delay, tracking the timer so destroy can cancel it.
+     * @param {number} delay - Delay in milliseconds.
+     * @param {Function} callback - The callback.
+     * @private
+     */
+    _schedule(delay, callback) {
+        const timer = setTimeout(() => {
+            timers = timers.filter(item => item !== timer);
+            callback();
+        }, delay);
+
+        timers.push(timer);
+    },
+
+    /**
+     * Appends an entry to the simulation log.
+     * @param {string} message - The log message.
+     * @private
+     */
+    _log(message) {
+        logs.push({ timestamp: new Date().toISOString(), level: 'info', message });
+    }
+};
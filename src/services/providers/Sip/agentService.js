@@ -0,0 +1,399 @@
+let agentInstance = null; // Registered SIP line, set once the user agent registers
+let callbacks = {}; // Callbacks for various agent events
+let agentConfig = {}; // Stores agent configuration overrides
+let userAgent = null; // JsSIP user agent shared with the contact service
+let userAgentListeners = []; // [event, handler] pairs registered on the user agent
+let selectedState = 'Offline'; // State chosen by the agent
+let callActivityState = null; // Overrides the selected state while a call is in progress
+let stateStartTimestamp = Date.now(); // When the current state was entered
+let registeredAt = null; // When the line was last registered
+let statistics = { contactsHandled: 0, onContactTime: 0 }; // Session statistics
+let logs = []; // Rolling log of SIP events
+
+/**
+ * States a SIP agent can select. A plain SIP line has no ACD routing, so
+ * "Away" keeps the line registered but rejects incoming calls with 486 Busy Here.
+ * @type {Array<Object>}
+ */
+const AGENT_STATES = [
+    { name: 'Available', type: 'routable' },
+    { name: 'Away', type: 'not-routable' },
+    { name: 'Offline', type: 'offline' }
+];
+
+/**
+ * Maximum number of entries kept in the rolling log.
+ * @type {number}
+ */
+const MAX_LOG_ENTRIES = 500;
+
+export default {
+    /**
+     * Initialize the agent service and listen for registration events.
+     * @param {Object} options - The JsSIP user agent and callbacks for agent events.
+     * @param {Object} options.userAgent - The JsSIP user agent (not yet started).
+     * @returns {Promise} Resolves when the listeners are attached.
+     */
+    initializeAgent(options = {}) {
+        callbacks = options;
+        userAgent = options.userAgent;
+
+        if (!userAgent) {
+            return Promise.reject(new Error("No SIP user agent available."));
+        }
+
+        userAgentListeners = [
+            ['registered', () => {
+                const firstRegistration = !agentInstance;
+                registeredAt = registeredAt || Date.now();
+                agentInstance = this._createAgentInstance();
+
+                if (selectedState === 'Offline') {
+                    selectedState = 'Available';
+                }
+
+                this.log('info', 'SIP line registered.');
+
+                if (firstRegistration) {
+                    callbacks.onAgentAvailable?.(agentInstance);
+                }
+                this._notifyStateChange();
+            }],
+            ['unregistered', () => {
+                selectedState = 'Offline';
+                registeredAt = null;
+                this.log('info', 'SIP line unregistered.');
+                this._notifyStateChange();
+            }],
+            ['registrationFailed', (event) => {
+                this.log('error', `SIP registration failed: ${event.cause}`);
+
+                if (event.cause === window.JsSIP?.C?.causes?.AUTHENTICATION_ERROR) {
+                    callbacks.onLoginRequired?.();
+                } else {
+                    callbacks.onSoftphoneError?.(new Error(`SIP registration failed: ${event.cause}`));
+                }
+            }],
+            ['disconnected', () => {
+                this.log('warn', 'SIP WebSocket disconnected, JsSIP will retry.');
+            }]
+        ];
+
+        userAgentListeners.forEach(([event, handler]) => userAgent.on(event, handler));
+
+        return Promise.resolve(userAgent);
+    },
+
+    /**
+     * Remove user agent listeners and reset the agent session.
+     */
+    teardown() {
+        userAgentListeners.forEach(([event, handler]) => userAgent?.removeListener?.(event, handler));
+        userAgentListeners = [];
+        userAgent = null;
+        agentInstance = null;
+        agentConfig = {};
+        callbacks = {};
+        selectedState = 'Offline';
+        callActivityState = null;
+        registeredAt = null;
+        statistics = { contactsHandled: 0, onContactTime: 0 };
+        logs = [];
+    },
+
+    /**
+     * Get the current agent instance.
+     * @returns {Object|null} The registered SIP line or null if not registered yet.
+     */
+    getAgentInstance() {
+        return agentInstance;
+    },
+
+    /**
+     * Get the current state of the agent.
+     * While a call is in progress this is "CallingCustomer" or "Busy", as with Amazon Connect.
+     * @returns {string|null} Agent's state or null if no agent exists.
+     */
+    getAgentState() {
+        if (!agentInstance) return null;
+
+        return callActivityState || selectedState;
+    },
+
+    /**
+     * Whether the agent currently accepts incoming calls.
+     * @returns {boolean} True if the selected state is routable.
+     */
+    isRoutable() {
+        return AGENT_STATES.find(state => state.name === selectedState)?.type === 'routable';
+    },
+
+    /**
+     * Whether incoming calls should be answered automatically.
+     * @returns {boolean} True if auto-accept is enabled.
+     */
+    isAutoAcceptEnabled() {
+        return agentConfig.softphoneAutoAccept === true;
+    },
+
+    /**
+     * Update the call activity state reported on top of the selected state.
+     * Called by the contact service as calls progress.
+     * @param {string|null} activity - "CallingCustomer", "Busy" or null when the call is over.
+     */
+    setCallActivity(activity) {
+        if (callActivityState === activity) {
+            return;
+        }
+
+        callActivityState = activity;
+        this._notifyStateChange();
+    },
+
+    /**
+     * Record a completed call in the agent statistics.
+     * @param {number} durationSeconds - Talk time of the call in seconds.
+     */
+    recordContact(durationSeconds) {
+        statistics.contactsHandled += 1;
+        statistics.onContactTime += Math.max(0, durationSeconds);
+    },
+
+    /**
+     * Get all available agent states.
+     * @returns {Promise<Array>} Resolves with an array of available agent states.
+     */
+    getAvailableAgentStates() {
+        if (!this._validateAgentInstance()) {
+            return Promise.reject(new Error("No agent instance available."));
+        }
+
+        return Promise.resolve(AGENT_STATES.map(state => ({
+            name: state.name,
+            type: state.type,
+            isRoutable: state.type === 'routable'
+        })));
+    },
+
+    /**
+     * Set the agent's status. "Offline" unregisters the line, any other state registers it.
+     * @param {string} status - The desired agent status.
+     * @returns {Promise} Resolves when the status is successfully set.
+     */
+    setAgentStatus(status) {
+        if (!this._validateAgentInstance()) {
+            return Promise.reject(new Error("No agent instance available to set status."));
+        }
+
+        const state = AGENT_STATES.find(state => state.name === status);
+        if (!state) {
+            return Promise.reject(new Error(`Invalid agent status: ${status}`));
+        }
+
+        try {
+            if (state.type === 'offline') {
+                userAgent.unregister();
+            } else if (!userAgent.isRegistered()) {
+                userAgent.register();
+            }
+        } catch (error) {
+            return Promise.reject(new Error(`Failed to set agent status: ${error}`));
+        }
+
+        selectedState = state.name;
+        callbacks.onStatusSet?.(status);
+        this._notifyStateChange();
+
+        return Promise.resolve(status);
+    },
+
+    /**
+     * Get the agent's current routing state.
+     * @returns {Promise<Object>} Resolves with the agent's routing state.
+     */
+    getRoutingState() {
+        if (!this._validateAgentInstance()) {
+            return Promise.reject(new Error("No agent instance available."));
+        }
+
+        const state = AGENT_STATES.find(state => state.name === selectedState);
+        return Promise.resolve({
+            name: state.name,
+            type: state.type,
+            isRoutable: state.type === 'routable',
+            startTimestamp: stateStartTimestamp
+        });
+    },
+
+    /**
+     * Set the agent's routing state.
+     * @param {string} stateName - The name of the routing state to set.
+     * @returns {Promise} Resolves when the routing state is successfully set.
+     */
+    setRoutingState(stateName) {
+        return this.setAgentStatus(stateName);
+    },
+
+    /**
+     * Get the agent's configuration.
+     * @returns {Promise<Object>} Resolves with the agent's configuration.
+     */
+    getAgentConfiguration() {
+        if (!this._validateAgentInstance()) {
+            return Promise.reject(new Error("No agent instance available."));
+        }
+
+        return Promise.resolve({
+            name: agentInstance.displayName,
+            username: agentInstance.username,
+            userId: agentInstance.uri,
+            softphoneEnabled: true,
+            softphoneAutoAccept: this.isAutoAcceptEnabled(),
+            extension: agentInstance.username,
+            routingProfile: { name: 'SIP' },
+            agentPreferences: agentConfig.agentPreferences || {}
+        });
+    },
+
+    /**
+     * Update the agent's configuration. Only `softphoneAutoAccept` and
+     * `agentPreferences` are meaningful for a SIP line.
+     * @param {Object} configUpdates - The configuration updates to apply.
+     * @returns {Promise<Object>} Resolves with the updated configuration.
+     */
+    updateAgentConfiguration(configUpdates) {
+        if (!this._validateAgentInstance()) {
+            return Promise.reject(new Error("No agent instance available."));
+        }
+
+        agentConfig = { ...agentConfig, ...configUpdates };
+        return this.getAgentConfiguration();
+    },
+
+    /**
+     * Get agent statistics for the current browser session.
+     * @returns {Promise<Object>} Resolves with the agent's statistics.
+     */
+    getAgentStatistics() {
+        if (!this._validateAgentInstance()) {
+            return Promise.reject(new Error("No agent instance available."));
+        }
+
+        const loggedInTime = registeredAt ? (Date.now() - registeredAt) / 1000 : 0;
+        const { contactsHandled, onContactTime } = statistics;
+
+        return Promise.resolve({
+            contactsHandled,
+            averageHandleTime: contactsHandled ? onContactTime / contactsHandled : 0,
+            onContactTime,
+            agentIdleTime: Math.max(0, loggedInTime - onContactTime),
+            occupancy: loggedInTime ? Math.min(1, onContactTime / loggedInTime) : 0
+        });
+    },
+
+    /**
+     * Get a snapshot of the agent's current state.
+     * Contacts are added by the SIP service, which owns the call sessions.
+     * @returns {Promise<Object>} Resolves with the agent snapshot.
+     */
+    getAgentSnapshot() {
+        if (!this._validateAgentInstance()) {
+            return Promise.reject(new Error("No agent instance available."));
+        }
+
+        return Promise.resolve({
+            state: this.getAgentState(),
+            contacts: [],
+            isMuted: false,
+            configuration: agentConfig
+        });
+    },
+
+    /**
+     * Log out the agent by unregistering the SIP line.
+     * @returns {Promise} Resolves when the agent is successfully logged out.
+     */
+    logout() {
+        if (!this._validateAgentInstance()) {
+            return Promise.reject(new Error("No agent instance available to log out."));
+        }
+
+        return this.setAgentStatus('Offline')
+            .then(() => {
+                callbacks.onLogout?.();
+                return true;
+            });
+    },
+
+    /**
+     * Get the agent's permissions.
+     * @returns {Promise<Object>} Resolves with the agent's permissions.
+     */
+    getAgentPermissions() {
+        if (!this._validateAgentInstance()) {
+            return Promise.reject(new Error("No agent instance available."));
+        }
+
+        return Promise.resolve({
+            canAccessReports: false,
+            canAccessRecordings: false,
+            canTransferCalls: true,
+            canCreateConferences: false,
+            canAccessCustomerProfiles: false
+        });
+    },
+
+    /**
+     * Append an entry to the rolling SIP event log.
+     * @param {string} level - Log level (info, warn, error).
+     * @param {string} message - The log message.
+     */
+    log(level, message) {
+        logs.push({ timestamp: new Date().toISOString(), level, message });
+
+        if (logs.length > MAX_LOG_ENTRIES) {
+            logs.splice(0, logs.length - MAX_LOG_ENTRIES);
+        }
+    },
+
+    /**
+     * Get the SIP event log.
+     * @returns {Array} Array of log entries.
+     */
+    getCcpLogs() {
+        return [...logs];
+    },
+
+    /**
+     * Builds the agent instance from the user agent configuration.
+     * @returns {Object} The registered SIP line.
+     * @private
+     */
+    _createAgentInstance() {
+        const uri = userAgent.configuration?.uri;
+
+        return {
+            uri: uri ? uri.toString() : '',
+            username: uri?.user || '',
+            displayName: userAgent.configuration?.display_name || uri?.user || ''
+        };
+    },
+
+    /**
+     * Resets the state timer and notifies listeners of the current state.
+     * @private
+     */
+    _notifyStateChange() {
+        stateStartTimestamp = Date.now();
+        callbacks.onStateChange?.(this.getAgentState());
+    },
+
+    /**
+     * Validates if an agent instance exists.
+     * @returns {boolean} True if the agent instance exists, otherwise false.
+     * @private
+     */
+    _validateAgentInstance() {
+        return !!agentInstance;
+    }
+};
@@ -0,0 +1,899 @@
+import agentService from "./agentService";
+import { isValidDtmf } from "../../callUtils";
+import {
+    createCallSession,
+    updateCallSession,
+    CALL_DIRECTIONS,
+    CALL_SESSION_STATES,
+    PARTICIPANT_ROLES
+} from "../../callSession";
+
+let contactInstance = null; // Active JsSIP RTCSession with the customer
+let callSession = null; // Normalized session for contactInstance, passed to callbacks
+let consultSession = null; // Consultation call placed during an attended transfer
+let callbacks = {}; // Callbacks for handling contact events
+let userAgent = null; // JsSIP user agent shared with the agent service
+let userAgentListeners = []; // [event, handler] pairs registered on the user agent
+let iceServers = []; // STUN/TURN servers used for every call
+let remoteAudio = null; // Audio element playing the remote party
+let audioDevices = {}; // Microphone and speaker chosen by the agent
+let swappedTrack = null; // Microphone track switched into the active call, stopped when it ends
+let incomingRequests = new WeakMap(); // Initial INVITE of each incoming session
+
+// JsSIP gives up on an unanswered re-INVITE after 32 seconds (Timer B); this only backs it up
+const REINVITE_TIMEOUT = 35000;
+
+export default {
+    /**
+     * Initialize the contact service and listen for new call sessions.
+     * @param {Object} options - The JsSIP user agent, media options and callbacks for contact events.
+     * @param {Object} options.userAgent - The JsSIP user agent (not yet started).
+     * @param {Array<RTCIceServer>} [options.iceServers] - STUN/TURN servers for the media path.
+     */
+    initializeContact(options = {}) {
+        callbacks = options;
+        userAgent = options.userAgent;
+        iceServers = options.iceServers || [];
+
+        if (!userAgent) {
+            return Promise.reject(new Error("No SIP user agent available."));
+        }
+
+        userAgentListeners = [
+            ['newRTCSession', data => this._handleNewSession(data)]
+        ];
+
+        userAgentListeners.forEach(([event, handler]) => userAgent.on(event, handler));
+
+        return Promise.resolve();
+    },
+
+    /**
+     * Remove user agent listeners, release the remote audio and forget the current sessions.
+     */
+    teardown() {
+        userAgentListeners.forEach(([event, handler]) => userAgent?.removeListener?.(event, handler));
+        userAgentListeners = [];
+
+        if (remoteAudio) {
+            remoteAudio.srcObject = null;
+            remoteAudio = null;
+        }
+
+        this._stopSwappedTrack();
+        audioDevices = {};
+
+        userAgent = null;
+        contactInstance = null;
+        callSession = null;
+        consultSession = null;
+        callbacks = {};
+        iceServers = [];
+        incomingRequests = new WeakMap();
+    },
+
+    /**
+     * Handles sessions created by the user agent. Outgoing sessions are set up
+     * where they are placed, so only incoming INVITEs are handled here.
+     * @param {Object} data - The JsSIP newRTCSession event.
+     * @private
+     */
+    _handleNewSession({ originator, session, request }) {
+        if (originator !== 'remote') {
+            return;
+        }
+
+        // A SIP line has no call waiting; anything beyond the current call gets busy
+        if (contactInstance || !agentService.isRoutable()) {
+            agentService.log('info', `Rejected incoming call from ${this._getRemoteAddress(session)}: agent busy or away.`);
+            session.terminate({ status_code: 486, reason_phrase: 'Busy Here' });
+            return;
+        }
+
+        contactInstance = session;
+        callSession = this._createCallSession(session);
+        incomingRequests.set(session, request);
+        this._setupSessionEventListeners(session);
+        agentService.log('info', `Incoming call from ${this._getRemoteAddress(session)}.`);
+
+        callbacks.onIncomingCall?.(callSession);
+
+        if (agentService.isAutoAcceptEnabled()) {
+            this.acceptContact().catch(error => callbacks.onError?.(error, callSession));
+        }
+    },
+
+    /**
+     * Sets up event listeners for a JsSIP session.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @private
+     */
+    _setupSessionEventListeners(session) {
+        this._attachRemoteAudio(session);
+
+        // Remote party is ringing
+        session.on('progress', () => {
+            if (session === contactInstance && session.direction === 'outgoing') {
+                callbacks.onConnecting?.(this._refreshCallSession());
+            }
+        });
+
+        // Call answered (2xx sent or received)
+        session.on('accepted', () => {
+            if (session !== contactInstance) {
+                return;
+            }
+
+            agentService.setCallActivity('Busy');
+            callbacks.onConnected?.(this._refreshCallSession(CALL_SESSION_STATES.CONNECTED));
+
+            if (session.direction === 'incoming') {
+                callbacks.onAccepted?.(callSession);
+            }
+        });
+
+        // Established call ended by either side
+        session.on('ended', event => this._handleSessionEnd(session, event, true));
+
+        // Call never got established (rejected, cancelled, unreachable)
+        session.on('failed', event => this._handleSessionEnd(session, event, false));
+
+        session.on('muted', () => callbacks.onMuteChange?.(true));
+        session.on('unmuted', () => callbacks.onMuteChange?.(false));
+    },
+
+    /**
+     * Routes the remote party's audio to the shared audio element.
+     * Outgoing sessions already have a peer connection when `call()` returns;
+     * incoming ones get theirs when answered.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @private
+     */
+    _attachRemoteAudio(session) {
+        const attach = peerconnection => {
+            peerconnection.addEventListener('track', event => {
+                this._playRemoteStream(event.streams[0]);
+            });
+        };
+
+        if (session.connection) {
+            attach(session.connection);
+        } else {
+            session.on('peerconnection', ({ peerconnection }) => attach(peerconnection));
+        }
+    },
+
+    /**
+     * Plays the given session's received tracks, e.g. after returning from a consultation call.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @private
+     */
+    _playSessionAudio(session) {
+        const receivers = session?.connection?.getReceivers?.() || [];
+        const tracks = receivers.map(receiver => receiver.track).filter(Boolean);
+
+        if (tracks.length && window.MediaStream) {
+            this._playRemoteStream(new window.MediaStream(tracks));
+        }
+    },
+
+    /**
+     * Plays a remote media stream.
+     * @param {MediaStream} stream - The stream to play.
+     * @private
+     */
+    _playRemoteStream(stream) {
+        if (!stream || !window.Audio) {
+            return;
+        }
+
+        if (!remoteAudio) {
+            remoteAudio = new window.Audio();
+            remoteAudio.autoplay = true;
+
+            if (audioDevices.output) {
+                this._setSpeaker(audioDevices.output).catch(error => agentService.log('warn', error.message));
+            }
+        }
+
+        remoteAudio.srcObject = stream;
+        remoteAudio.play?.()?.catch?.(() => {});
+    },
+
+    /**
+     * Handles the end of a session, whether or not it was ever established.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @param {Object} event - The JsSIP ended/failed event.
+     * @param {boolean} wasEstablished - Whether the call was answered.
+     * @private
+     */
+    _handleSessionEnd(session, event, wasEstablished) {
+        agentService.log('info', `Call with ${this._getRemoteAddress(session)} ${wasEstablished ? 'ended' : 'failed'}: ${event.cause}.`);
+
+        if (session === consultSession) {
+            consultSession = null;
+            return;
+        }
+
+        if (session !== contactInstance) {
+            return;
+        }
+
+        contactInstance = null;
+        this._stopSwappedTrack();
+
+        if (consultSession) {
+            // The customer left during a consultation; the consult call has nothing to hand over
+            this._terminate(consultSession);
+            consultSession = null;
+        }
+
+        if (wasEstablished) {
+            const duration = (session.end_time - session.start_time) / 1000;
+            agentService.recordContact(Number.isFinite(duration) ? duration : 0);
+            this._refreshCallSession(CALL_SESSION_STATES.ENDED);
+        } else if (session.direction === 'incoming' && event.originator === 'remote') {
+            // Caller hung up (or another device answered) before the agent accepted
+            callbacks.onMissed?.(this._refreshCallSession(CALL_SESSION_STATES.MISSED));
+        } else if (session.direction === 'outgoing' && event.originator !== 'local') {
+            const failed = this._refreshCallSession(CALL_SESSION_STATES.FAILED);
+            callbacks.onError?.(new Error(`Call failed: ${event.cause}`), failed);
+        } else {
+            this._refreshCallSession(CALL_SESSION_STATES.ENDED);
+        }
+
+        agentService.setCallActivity(null);
+        callbacks.onCallEnded?.(callSession);
+    },
+
+    /**
+     * Get the current contact instance.
+     * @returns {Object|null} The current JsSIP session or null if unavailable.
+     */
+    getContactInstance() {
+        return contactInstance;
+    },
+
+    /**
+     * Get the consultation session of an attended transfer.
+     * @returns {Object|null} The consultation JsSIP session or null if no transfer is in progress.
+     */
+    getConsultSession() {
+        return consultSession;
+    },
+
+    /**
+     * Get the normalized session of the current or most recent call.
+     * @returns {Object|null} The call session, or null before the first call.
+     */
+    getCallSession() {
+        return callSession;
+    },
+
+    /**
+     * Builds the call session for a new JsSIP session with the customer.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @returns {Object} The call session.
+     * @private
+     */
+    _createCallSession(session) {
+        return createCallSession({
+            id: session.id,
+            provider: 'sip',
+            direction: session.direction === 'incoming' ? CALL_DIRECTIONS.INBOUND : CALL_DIRECTIONS.OUTBOUND,
+            remoteNumber: this._getRemoteAddress(session),
+            participants: this._getParticipants(session),
+            raw: session
+        });
+    },
+
+    /**
+     * Updates the current call session. Without an explicit state, an established
+     * call follows its hold status.
+     * @param {string} [state] - The state the call moves to.
+     * @returns {Object} The updated call session.
+     * @private
+     */
+    _refreshCallSession(state) {
+        const session = callSession.raw;
+        let nextState = state || callSession.state;
+
+        if (!state && session.isEstablished()) {
+            nextState = session.isOnHold().local ? CALL_SESSION_STATES.ON_HOLD : CALL_SESSION_STATES.CONNECTED;
+        }
+
+        callSession = updateCallSession(callSession, {
+            state: nextState,
+            participants: this._getParticipants(session)
+        });
+
+        return callSession;
+    },
+
+    /**
+     * Lists the customer and any consultation party as call participants.
+     * @param {Object} session - The JsSIP RTCSession with the customer.
+     * @returns {Array<Object>} The call participants.
+     * @private
+     */
+    _getParticipants(session) {
+        return [session, session === contactInstance ? consultSession : null]
+            .filter(Boolean)
+            .map(participant => ({
+                id: participant.id,
+                role: participant === session ? PARTICIPANT_ROLES.CUSTOMER : PARTICIPANT_ROLES.THIRD_PARTY,
+                phoneNumber: this._getRemoteAddress(participant),
+                state: this._getSessionState(participant)
+            }));
+    },
+
+    /**
+     * Place an outbound call.
+     * @param {string} phoneNumber - Number, extension or SIP URI to call. Bare numbers are
+     * completed with the domain of the registered URI.
+     * @returns {Promise} Resolves when the INVITE has been sent.
+     */
+    placeCall(phoneNumber) {
+        if (!userAgent) {
+            return Promise.reject(new Error("SIP user agent not initialized."));
+        }
+        if (contactInstance) {
+            return Promise.reject(new Error("A call is already in progress."));
+        }
+
+        return new Promise((resolve, reject) => {
+            try {
+                const session = userAgent.call(phoneNumber, this._getCallOptions());
+                contactInstance = session;
+                callSession = this._createCallSession(session);
+                this._setupSessionEventListeners(session);
+                agentService.setCallActivity('CallingCustomer');
+                agentService.log('info', `Calling ${phoneNumber}.`);
+                resolve(true);
+            } catch (error) {
+                reject(new Error(`Failed to place call: ${error.message}`));
+            }
+        });
+    },
+
+    /**
+     * Accept an incoming call.
+     * @returns {Promise} Resolves when the call is successfully accepted.
+     */
+    acceptContact() {
+        if (!this._validateContactInstance()) {
+            return Promise.reject(new Error("No contact instance available to accept."));
+        }
+
+        return new Promise((resolve, reject) => {
+            try {
+                contactInstance.answer(this._getCallOptions());
+                resolve(true);
+            } catch (error) {
+                reject(new Error(`Failed to accept call: ${error.message}`));
+            }
+        });
+    },
+
+    /**
+     * Decline an incoming call with 486 Busy Here.
+     * @returns {Promise} Resolves when the call is successfully declined.
+     */
+    declineContact() {
+        if (!this._validateContactInstance()) {
+            return Promise.reject(new Error("No contact instance available to decline."));
+        }
+
+        return new Promise((resolve, reject) => {
+            try {
+                // The resulting "failed" event ends the call like any other
+                contactInstance.terminate({ status_code: 486, reason_phrase: 'Busy Here' });
+                resolve(true);
+            } catch (error) {
+                reject(new Error(`Failed to decline call: ${error.message}`));
+            }
+        });
+    },
+
+    /**
+     * Hang up the active call and any consultation call.
+     * @returns {Promise} Resolves when the contact is successfully ended.
+     */
+    endContact() {
+        if (!this._validateContactInstance()) {
+            return Promise.reject(new Error("No contact instance available to end."));
+        }
+
+        return new Promise((resolve, reject) => {
+            try {
+                if (consultSession) {
+                    this._terminate(consultSession);
+                }
+                contactInstance.terminate();
+                resolve(true);
+            } catch (error) {
+                reject(new Error(`Failed to end contact: ${error.message}`));
+            }
+        });
+    },
+
+    /**
+     * Put the current call on hold with a re-INVITE (a=sendonly).
+     * @return {Promise} Resolves once the remote side has accepted the re-INVITE.
+     */
+    holdCall() {
+        if (!this._validateEstablishedCall()) {
+            return Promise.reject(new Error("No established call available to hold."));
+        }
+
+        return this._hold(contactInstance).then(result => {
+            this._refreshCallSession();
+            return result;
+        });
+    },
+
+    /**
+     * Resume the current call from hold with a re-INVITE (a=sendrecv).
+     * @return {Promise} Resolves once the remote side has accepted the re-INVITE.
+     */
+    resumeCall() {
+        if (!this._validateEstablishedCall()) {
+            return Promise.reject(new Error("No established call available to resume."));
+        }
+
+        return this._unhold(contactInstance).then(result => {
+            this._refreshCallSession();
+            return result;
+        });
+    },
+
+    /**
+     * Mute the local microphone on the active call.
+     * @returns {Promise} Resolves when the call is muted.
+     */
+    muteCall() {
+        if (!this._validateContactInstance()) {
+            return Promise.reject(new Error("No active call to mute."));
+        }
+
+        contactInstance.mute({ audio: true });
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Unmute the local microphone on the active call.
+     * @returns {Promise} Resolves when the call is unmuted.
+     */
+    unmuteCall() {
+        if (!this._validateContactInstance()) {
+            return Promise.reject(new Error("No active call to unmute."));
+        }
+
+        contactInstance.unmute({ audio: true });
+        return Promise.resolve(true);
+    },
+
+    /**
+     * Set the microphone used for new calls and switch the active call to it, and the speaker
+     * the remote party plays on. JsSIP plays no ringtone, so there is no ringer.
+     * @param {{input?: string, output?: string}} devices - Device IDs; kinds left out are unchanged.
+     * @returns {Promise} Resolves when the devices are in use.
+     */
+    setAudioDevices(devices = {}) {
+        const pending = [];
+
+        if (devices.input) {
+            audioDevices.input = devices.input;
+            pending.push(this._switchMicrophone(devices.input));
+        }
+
+        if (devices.output) {
+            audioDevices.output = devices.output;
+            if (remoteAudio) {
+                pending.push(this._setSpeaker(devices.output));
+            }
+        }
+
+        return Promise.all(pending).then(() => true);
+    },
+
+    /**
+     * Read the call's media statistics from its peer connection.
+     * @returns {Promise<RTCStatsReport|null>} Resolves with the report, or null without a call.
+     */
+    getCallStats() {
+        const peerConnection = contactInstance?.connection;
+        return peerConnection ? peerConnection.getStats() : Promise.resolve(null);
+    },
+
+    /**
+     * Send DTMF digits on the established call.
+     * @param {string} digits - The digits to send (0-9, *, # and A-D).
+     * @returns {Promise} Resolves once JsSIP has queued the tones.
+     */
+    sendDigits(digits) {
+        if (!isValidDtmf(digits)) {
+            return Promise.reject(new Error(`Invalid DTMF digits: ${digits}`));
+        }
+
+        if (!this._validateEstablishedCall()) {
+            return Promise.reject(new Error("No established call available to send digits."));
+        }
+
+        try {
+            contactInstance.sendDTMF(digits);
+            return Promise.resolve(true);
+        } catch (error) {
+            return Promise.reject(new Error(`Failed to send digits: ${error.message}`));
+        }
+    },
+
+    /**
+     * Blind transfer: REFER the caller to the target. The agent's leg is
+     * released once the target answers (NOTIFY with a 2xx sipfrag).
+     * @param {string} phoneNumber - Number, extension or SIP URI to transfer to.
+     * @returns {Promise} Resolves when the REFER is accepted (202).
+     */
+    transferToPhoneNumber(phoneNumber) {
+        if (!this._validateEstablishedCall()) {
+            return Promise.reject(new Error("No established call available for transfer."));
+        }
+
+        const session = contactInstance;
+
+        return new Promise((resolve, reject) => {
+            try {
+                session.refer(phoneNumber, {
+                    eventHandlers: {
+                        requestSucceeded: () => {
+                            agentService.log('info', `Blind transfer to ${phoneNumber} accepted.`);
+                            resolve(true);
+                        },
+                        requestFailed: event => {
+                            reject(new Error(`Transfer was rejected: ${event.cause}`));
+                        },
+                        accepted: () => this._terminate(session),
+                        failed: event => {
+                            agentService.log('warn', `Blind transfer to ${phoneNumber} failed: ${event.cause}.`);
+                            callbacks.onError?.(new Error(`Transfer to ${phoneNumber} failed.`), session);
+                        }
+                    }
+                });
+            } catch (error) {
+                reject(new Error(`Error transferring call: ${error.message}`));
+            }
+        });
+    },
+
+    /**
+     * Attended transfer, step one: hold the caller and call the target.
+     * Finish with `completeTransfer()` or back out with `cancelTransfer()`.
+     * @param {string} phoneNumber - Number, extension or SIP URI to transfer to.
+     * @returns {Promise<string>} Resolves with the consultation session ID.
+     */
+    warmTransferToPhoneNumber(phoneNumber) {
+        if (!this._validateEstablishedCall()) {
+            return Promise.reject(new Error("No established call available for warm transfer."));
+        }
+        if (consultSession) {
+            return Promise.reject(new Error("A transfer is already in progress."));
+        }
+
+        const hold = contactInstance.isOnHold().local ? Promise.resolve() : this._hold(contactInstance);
+
+        return hold.then(() => new Promise((resolve, reject) => {
+            try {
+                consultSession = userAgent.call(phoneNumber, this._getCallOptions());
+                this._setupSessionEventListeners(consultSession);
+                agentService.log('info', `Consulting ${phoneNumber} for attended transfer.`);
+                resolve(consultSession.id);
+            } catch (error) {
+                reject(new Error(`Error initiating warm transfer: ${error.message}`));
+            }
+        }));
+    },
+
+    /**
+     * Attended transfer, step two: REFER the caller to the consulted party with
+     * a Replaces header so the PBX bridges them, then release both agent legs.
+     * Without a consultation call this simply hangs up, which completes a blind transfer.
+     * @returns {Promise} Resolves when the REFER is accepted (202).
+     */
+    completeTransfer() {
+        if (!this._validateContactInstance()) {
+            return Promise.reject(new Error("No contact instance available."));
+        }
+        if (!consultSession) {
+            return this.endContact();
+        }
+
+        const session = contactInstance;
+        const consult = consultSession;
+
+        return new Promise((resolve, reject) => {
+            try {
+                session.refer(consult.remote_identity.uri, {
+                    replaces: consult,
+                    eventHandlers: {
+                        requestSucceeded: () => {
+                            agentService.log('info', 'Attended transfer accepted.');
+                            resolve(true);
+                        },
+                        requestFailed: event => {
+                            reject(new Error(`Transfer was rejected: ${event.cause}`));
+                        },
+                        accepted: () => {
+                            this._terminate(consult);
+                            this._terminate(session);
+                        },
+                        failed: event => {
+                            agentService.log('warn', `Attended transfer failed: ${event.cause}.`);
+                            callbacks.onError?.(new Error('Attended transfer failed.'), session);
+                        }
+                    }
+                });
+            } catch (error) {
+                reject(new Error(`Error completing transfer: ${error.message}`));
+            }
+        });
+    },
+
+    /**
+     * Cancel an attended transfer: hang up the consultation call and take the caller off hold.
+     * @returns {Promise} Resolves when the caller is back on the line.
+     */
+    cancelTransfer() {
+        if (!this._validateContactInstance()) {
+            return Promise.reject(new Error("No contact instance available to restore."));
+        }
+
+        if (consultSession) {
+            this._terminate(consultSession);
+            consultSession = null;
+        }
+
+        const session = contactInstance;
+        const resume = session.isOnHold().local ? this._unhold(session) : Promise.resolve();
+
+        return resume.then(() => {
+            this._playSessionAudio(session);
+            return true;
+        });
+    },
+
+    /**
+     * Gets the SIP headers of the incoming call plus the caller identity.
+     * Custom `X-` headers set by the PBX (e.g. by an Asterisk dialplan) are returned as-is.
+     * @returns {Object} Contact attributes keyed by header name.
+     */
+    getContactAttributes() {
+        if (!this._validateContactInstance()) {
+            return {};
+        }
+
+        const attributes = {
+            callerNumber: contactInstance.remote_identity?.uri?.user,
+            callerName: contactInstance.remote_identity?.display_name
+        };
+
+        const request = incomingRequests.get(contactInstance);
+        Object.entries(request?.headers || {}).forEach(([name, values]) => {
+            if (/^x-/i.test(name) && values.length) {
+                attributes[name] = values[0].raw;
+            }
+        });
+
+        return attributes;
+    },
+
+    /**
+     * Gets the calls currently handled by the agent, in the shape used by the other providers.
+     * @returns {Array<Object>} The active call and any consultation call.
+     */
+    getContacts() {
+        return [contactInstance, consultSession]
+            .filter(Boolean)
+            .map(session => ({
+                contactId: session.id,
+                type: 'voice',
+                state: this._getSessionState(session),
+                isInbound: session.direction === 'incoming',
+                isConnected: session.isEstablished(),
+                connections: [{
+                    connectionId: session.id,
+                    type: session === consultSession ? 'thirdParty' : 'initial',
+                    state: this._getSessionState(session),
+                    endpoint: this._getRemoteAddress(session)
+                }]
+            }));
+    },
+
+    /**
+     * Builds the media options for `call()` and `answer()`.
+     * @returns {Object} JsSIP call options.
+     * @private
+     */
+    _getCallOptions() {
+        return {
+            mediaConstraints: { audio: audioDevices.input ? { deviceId: audioDevices.input } : true, video: false },
+            pcConfig: { iceServers },
+            rtcOfferConstraints: { offerToReceiveAudio: true, offerToReceiveVideo: false }
+        };
+    },
+
+    /**
+     * Plays the remote party on a speaker.
+     * @param {string} deviceId - The speaker's device ID.
+     * @returns {Promise} Resolves once the audio plays on it; browsers without `setSinkId` keep the default.
+     * @private
+     */
+    _setSpeaker(deviceId) {
+        if (typeof remoteAudio?.setSinkId !== 'function') {
+            return Promise.resolve();
+        }
+
+        return remoteAudio.setSinkId(deviceId).catch(error => {
+            throw new Error(`Failed to switch speaker: ${error.message}`);
+        });
+    },
+
+    /**
+     * Replaces the microphone track sent on the active call, keeping it muted if it was.
+     * @param {string} deviceId - The microphone's device ID.
+     * @returns {Promise} Resolves once the new microphone is sent, or right away without a call.
+     * @private
+     */
+    _switchMicrophone(deviceId) {
+        const sender = contactInstance?.connection?.getSenders?.().find(sender => sender.track?.kind === 'audio');
+        const mediaDevices = window.navigator?.mediaDevices;
+
+        if (!sender || !mediaDevices?.getUserMedia) {
+            return Promise.resolve();
+        }
+
+        return mediaDevices.getUserMedia({ audio: { deviceId: { exact: deviceId } }, video: false })
+            .then(stream => {
+                const track = stream.getAudioTracks()[0];
+                const previous = sender.track;
+                track.enabled = previous ? previous.enabled : true;
+
+                return sender.replaceTrack(track).then(() => {
+                    previous?.stop();
+                    swappedTrack = track;
+                });
+            })
+            .catch(error => {
+                throw new Error(`Failed to switch microphone: ${error.message}`);
+            });
+    },
+
+    /**
+     * Stops a microphone track switched into the call, which JsSIP does not know to release.
+     * @private
+     */
+    _stopSwappedTrack() {
+        swappedTrack?.stop();
+        swappedTrack = null;
+    },
+
+    /**
+     * Sends a hold re-INVITE for the given session.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @returns {Promise} Resolves when the re-INVITE succeeds, rejects when it fails or times out.
+     * @private
+     */
+    _hold(session) {
+        return this._sendHoldReinvite(session, 'hold', "Call successfully put on hold.",
+            "Failed to put call on hold", "call is already on hold or busy.");
+    },
+
+    /**
+     * Sends a resume re-INVITE for the given session.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @returns {Promise} Resolves when the re-INVITE succeeds, rejects when it fails or times out.
+     * @private
+     */
+    _unhold(session) {
+        return this._sendHoldReinvite(session, 'unhold', "Call successfully resumed.",
+            "Failed to resume call", "call is not on hold or busy.");
+    },
+
+    /**
+     * Sends a hold or resume re-INVITE. JsSIP only calls back on success: when the re-INVITE
+     * fails it terminates the call, so the end of the session rejects instead.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @param {string} method - `hold` or `unhold`.
+     * @param {string} result - Resolved on success.
+     * @param {string} failure - Start of the error messages.
+     * @param {string} busyReason - Why JsSIP refused to send the re-INVITE.
+     * @returns {Promise}
+     * @private
+     */
+    _sendHoldReinvite(session, method, result, failure, busyReason) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let timer = null;
+
+            const onEnd = () => settle(new Error(`${failure}: the call ended.`));
+            const settle = error => {
+                if (settled) {
+                    return;
+                }
+
+                settled = true;
+                clearTimeout(timer);
+                session.removeListener('ended', onEnd);
+                session.removeListener('failed', onEnd);
+                error ? reject(error) : resolve(result);
+            };
+
+            session.on('ended', onEnd);
+            session.on('failed', onEnd);
+            timer = setTimeout(() => settle(new Error(`${failure}: the remote party did not answer.`)), REINVITE_TIMEOUT);
+
+            try {
+                if (!session[method]({}, () => settle(null))) {
+                    settle(new Error(`${failure}: ${busyReason}`));
+                }
+            } catch (error) {
+                settle(new Error(`${failure}: ${error.message}`));
+            }
+        });
+    },
+
+    /**
+     * Terminates a session, ignoring sessions that have already ended.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @private
+     */
+    _terminate(session) {
+        try {
+            if (!session.isEnded()) {
+                session.terminate();
+            }
+        } catch (error) {
+            agentService.log('warn', `Failed to terminate session: ${error.message}`);
+        }
+    },
+
+    /**
+     * Maps a JsSIP session to a contact state name.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @returns {string} The contact state.
+     * @private
+     */
+    _getSessionState(session) {
+        if (session.isEnded()) return 'ended';
+        if (session.isEstablished()) return session.isOnHold().local ? 'hold' : 'connected';
+        return session.direction === 'incoming' ? 'incoming' : 'connecting';
+    },
+
+    /**
+     * Gets the remote party's address for logging and display.
+     * @param {Object} session - The JsSIP RTCSession.
+     * @returns {string} The remote SIP URI user or full URI.
+     * @private
+     */
+    _getRemoteAddress(session) {
+        const uri = session?.remote_identity?.uri;
+        return uri?.user || (uri ? uri.toString() : 'unknown');
+    },
+
+    /**
+     * Validates if a contact instance exists.
+     * @returns {boolean} True if the contact instance exists, otherwise false.
+     * @private
+     */
+    _validateContactInstance() {
+        return !!contactInstance;
+    },
+
+    /**
+     * Validates if the contact instance is an established call.
+     * @returns {boolean} True if the call is established, otherwise false.
+     * @private
+     */
+    _validateEstablishedCall() {
+        return !!contactInstance && contactInstance.isEstablished();
+    }
+};
@@ -0,0 +1,499 @@
+import agentService from './agentService';
+import contactService from './contactService';
+import { NO_CAPABILITIES } from '../capabilities';
+import { ExtensionDialer } from '../extensions';
+
+let callbacks = {};
+let userAgent = null; // JsSIP user agent shared by the agent and contact services
+
+// Sends the extension of the call being placed once it connects
+const extensionDialer = new ExtensionDialer(digits => contactService.sendDigits(digits));
+
+export default {
+    /**
+     * Initialize the SIP service: connect to the PBX over WebSocket (RFC 7118)
+     * and register the line. Requires JsSIP to be loaded as `window.JsSIP`.
+     * @param {Object} options - Callbacks for managing agent and contact events.
+     * @param {string} options.server - WebSocket URL of the PBX, e.g. wss://pbx.example.com:8089/ws.
+     * @param {string} options.uri - SIP address of record, e.g. sip:1001@pbx.example.com.
+     * @param {string} [options.password] - SIP password.
+     * @param {string} [options.authorizationUser] - Authorization user, if different from the URI user.
+     * @param {string} [options.displayName] - Display name presented on outbound calls.
+     * @param {number} [options.registerExpires=600] - Registration expiry in seconds.
+     * @param {Array<RTCIceServer>} [options.iceServers] - STUN/TURN servers for the media path.
+     * @param {Array<Object>} [options.queues] - Queue extensions offered for queue transfers.
+     * @returns {Promise} Resolves when the user agent has started.
+     */
+    initialize(options = {}) {
+        callbacks = options;
+
+        if (!window.JsSIP) {
+            return Promise.reject(new Error("JsSIP library not loaded."));
+        }
+
+        if (!options.server || !options.uri) {
+            return Promise.reject(new Error("SIP provider requires `server` and `uri` in providerConfig."));
+        }
+
+        try {
+            userAgent = this._createUserAgent(options);
+        } catch (error) {
+            return Promise.reject(new Error(`Failed to create SIP user agent: ${error.message}`));
+        }
+
+        // Initialize agent and set up event listeners
+        return agentService.initializeAgent({
+            userAgent,
+            onAgentAvailable: (agentInstance) => {
+                // Automatically close login modal after the line is registered
+                callbacks.onLoginSuccess?.();
+            },
+            onStateChange: (newState) => {
+                callbacks.onStatusChange?.(newState);
+            },
+            onLoginRequired: () => {
+                callbacks.onLoginRequired?.();
+            },
+            onLogout: () => {
+                callbacks.onLogout?.();
+            },
+            onSoftphoneError: (error) => {
+                callbacks.onError?.(error);
+            }
+        }).then(() => {
+            // Initialize contact and set up event listeners
+            return contactService.initializeContact({
+                userAgent,
+                iceServers: options.iceServers,
+                onIncomingCall: (session) => callbacks.onIncomingCall?.(session),
+                onConnecting: (session) => callbacks.onConnecting?.(session),
+                onConnected: (session) => {
+                    extensionDialer.connected();
+                    callbacks.onConnected?.(session);
+                },
+                onAccepted: (session) => callbacks.onCallAccepted?.(session),
+                onMissed: (session) => callbacks.onMissed?.(session),
+                onCallEnded: (session) => {
+                    extensionDialer.cancel();
+                    callbacks.onCallEnded?.(session);
+                },
+                onMuteChange: (isMuted) => callbacks.onMuteChange?.(isMuted),
+                onError: (error, session) => callbacks.onError?.(error, session)
+            });
+        }).then(() => {
+            userAgent.start();
+        });
+    },
+
+    /**
+     * Create the JsSIP user agent from the provider configuration.
+     * @param {Object} options - The provider configuration.
+     * @returns {Object} The JsSIP user agent.
+     * @private
+     */
+    _createUserAgent(options) {
+        const socket = new window.JsSIP.WebSocketInterface(options.server);
+
+        return new window.JsSIP.UA({
+            sockets: [socket],
+            uri: options.uri,
+            password: options.password,
+            authorization_user: options.authorizationUser,
+            display_name: options.displayName,
+            register: true,
+            register_expires: options.registerExpires || 600,
+            session_timers: false
+        });
+    },
+
+    /**
+     * Place an outbound call.
+     * @param {string} phoneNumber - Number, extension or SIP URI to call.
+     * @param {Object} [options]
+     * @param {string|null} [options.extension] - Extension sent as DTMF once the call connects.
+     * @returns {Promise} Resolves when the call is successfully placed.
+     */
+    placeCall(phoneNumber, { extension } = {}) {
+        extensionDialer.dial(extension, callbacks.extensionDelay);
+
+        return contactService.placeCall(phoneNumber).catch(error => {
+            extensionDialer.cancel();
+            throw error;
+        });
+    },
+
+    /**
+     * Hang up the current active call.
+     * @returns {Promise} Resolves when the call is successfully ended.
+     */
+    hangUpCall() {
+        return contactService.endContact();
+    },
+
+    /**
+     * Accept an incoming call.
+     * @returns {Promise} Resolves when the call is successfully accepted.
+     */
+    acceptIncomingCall() {
+        return contactService.acceptContact();
+    },
+
+    /**
+     * Decline an incoming call.
+     * @returns {Promise} Resolves when the call is successfully declined.
+     */
+    declineIncomingCall() {
+        return contactService.declineContact();
+    },
+
+    /**
+     * Hold Call (re-INVITE with a=sendonly).
+     * @returns {Promise} Resolves if the hold call is successful, rejects otherwise.
+     */
+    holdCall() {
+        return contactService.holdCall();
+    },
+
+    /**
+     * Resume Call (re-INVITE with a=sendrecv).
+     * @returns {Promise} Resolves if the resume call is successful, rejects otherwise.
+     */
+    resumeCall() {
+        return contactService.resumeCall();
+    },
+
+    /**
+     * Transfer the current call to another number.
+     * A cold transfer sends a REFER; a warm transfer holds the caller and places a
+     * consultation call that `endTransferCall(true)` later joins with REFER/Replaces.
+     * @param {string} number - The phone number to transfer the call to.
+     * @param {boolean} [isWarmTransfer=false] - Whether to perform a warm transfer.
+     * @returns {Promise} Resolves when the transfer is successful.
+     */
+    transferCall(number, isWarmTransfer = false) {
+        if (isWarmTransfer) {
+            return contactService.warmTransferToPhoneNumber(number);
+        } else {
+            return contactService.transferToPhoneNumber(number);
+        }
+    },
+
+    /**
+     * End a transfer call.
+     * @param {boolean} [isAgentDisconnect=false] - Complete the transfer and drop the agent,
+     * rather than hanging up on everyone.
+     * @returns {Promise} Resolves when the transfer call is ended.
+     */
+    endTransferCall(isAgentDisconnect = false) {
+        if (isAgentDisconnect) {
+            return contactService.completeTransfer();
+        }
+
+        return contactService.endContact();
+    },
+
+    /**
+     * Restores the original call after a transfer has been initiated.
+     * This hangs up the consultation call and takes the caller off hold.
+     * @returns {Promise} Resolves when the call is successfully restored.
+     */
+    restoreCall() {
+        return contactService.cancelTransfer();
+    },
+
+    /**
+     * Transfers the current call to a queue. On a PBX a queue is a dialable
+     * extension, so this is a blind transfer to the queue's `queueId`.
+     * @param {string} queueId - The extension of the queue to transfer to.
+     * @returns {Promise} Resolves when the queue transfer is successful.
+     */
+    transferToQueue(queueId) {
+        return contactService.transferToPhoneNumber(queueId);
+    },
+
+    /**
+     * Performs an attended transfer to a queue extension.
+     * @param {string} queueId - The extension of the queue to transfer to.
+     * @returns {Promise} Resolves when the warm queue transfer is initiated.
+     */
+    warmTransferToQueue(queueId) {
+        return contactService.warmTransferToPhoneNumber(queueId);
+    },
+
+    /**
+     * Gets the queues configured in `providerConfig.queues`.
+     * @returns {Promise<Array>} Resolves with an array of available queues.
+     */
+    getAvailableQueues() {
+        return Promise.resolve(callbacks.queues || []);
+    },
+
+    /**
+     * A plain SIP line has no transfer directory.
+     * @returns {Promise<Array>} Resolves with an empty array.
+     */
+    getTransferEndpoints() {
+        return Promise.resolve([]);
+    },
+
+    /**
+     * A plain SIP line has no transfer directory.
+     * @returns {Promise} Always rejects.
+     */
+    transferToEndpoint() {
+        return Promise.reject(new Error("Transfer directories are not supported by the SIP provider."));
+    },
+
+    /**
+     * Conference calls need a mixing bridge on the PBX and are not available on a plain SIP line.
+     * @returns {Promise} Always rejects.
+     */
+    initiateConference() {
+        return Promise.reject(new Error("Conference calls are not supported by the SIP provider."));
+    },
+
+    /**
+     * Conference calls are not available on a plain SIP line.
+     * @returns {Promise} Always rejects.
+     */
+    mergeConnections() {
+        return Promise.reject(new Error("Conference calls are not supported by the SIP provider."));
+    },
+
+    /**
+     * Conference calls are not available on a plain SIP line.
+     * @returns {Promise} Always rejects.
+     */
+    removeFromConference() {
+        return Promise.reject(new Error("Conference calls are not supported by the SIP provider."));
+    },
+
+    /**
+     * Gets the caller identity and custom `X-` headers of the current call.
+     * @returns {Promise<Object>} Resolves with contact attributes.
+     */
+    getContactAttributes() {
+        if (!contactService.getContactInstance()) {
+            return Promise.reject(new Error("No active contact available."));
+        }
+
+        return Promise.resolve(contactService.getContactAttributes());
+    },
+
+    /**
+     * SIP calls carry no attributes beyond their headers, which cannot be changed mid-call.
+     * @returns {Promise} Always rejects.
+     */
+    updateContactAttributes() {
+        return Promise.reject(new Error("Updating contact attributes is not supported by the SIP provider."));
+    },
+
+    /**
+     * Mute the active call.
+     * @returns {Promise} Resolves when the call is successfully muted.
+     */
+    muteConnection() {
+        return contactService.muteCall();
+    },
+
+    /**
+     * Unmute the active call.
+     * @returns {Promise} Resolves when the call is successfully unmuted.
+     */
+    unmuteConnection() {
+        return contactService.unmuteCall();
+    },
+
+    /**
+     * Switch the microphone and speaker, including on the active call. JsSIP plays no ringtone,
+     * so the ringer is left to the softphone's own.
+     * @param {{input?: string, output?: string, ringer?: string}} devices - Device IDs; kinds left out are unchanged.
+     * @returns {Promise} Resolves when the devices are in use.
+     */
+    setAudioDevices(devices) {
+        return contactService.setAudioDevices(devices);
+    },
+
+    /**
+     * Read the call's media statistics from the JsSIP session's peer connection.
+     * @returns {Promise<RTCStatsReport|null>} Resolves with the report, or null without a call.
+     */
+    getCallStats() {
+        return contactService.getCallStats();
+    },
+
+    /**
+     * Send DTMF digits on the active call (RFC 2833 or SIP INFO, as configured in JsSIP).
+     * @param {string} digits - The digits to send.
+     * @returns {Promise} Resolves when the digits have been sent.
+     */
+    sendDigits(digits) {
+        return contactService.sendDigits(digits);
+    },
+
+    /**
+     * A plain SIP line has no after-call work, so there are no disposition codes.
+     * @returns {Promise<Array>} Resolves with an empty array.
+     */
+    getDispositionCodes() {
+        return Promise.resolve([]);
+    },
+
+    /**
+     * A plain SIP line has no after-call work.
+     * @returns {Promise} Always rejects.
+     */
+    completeAfterCallWork() {
+        return Promise.reject(new Error("After-call work is not supported by the SIP provider."));
+    },
+
+    /**
+     * A plain SIP line has no after-call work.
+     * @returns {number} Always -1.
+     */
+    getAfterCallWorkRemainingTime() {
+        return -1;
+    },
+
+    /**
+     * Get all states the agent can be set to.
+     * @returns {Promise<Array>} Resolves with an array of agent states.
+     */
+    getAgentStates() {
+        return agentService.getAvailableAgentStates();
+    },
+
+    /**
+     * Set the agent's routing state.
+     * @param {string} stateName - The name of the state to set.
+     * @returns {Promise<string>} Resolves with the state that was set.
+     */
+    setAgentState(stateName) {
+        return agentService.setRoutingState(stateName);
+    },
+
+    /**
+     * Get the agent's configuration.
+     * @returns {Promise<Object>} Resolves with the agent's configuration.
+     */
+    getAgentConfiguration() {
+        return agentService.getAgentConfiguration();
+    },
+
+    /**
+     * Update the agent's configuration.
+     * @param {Object} configUpdates - The configuration updates to apply.
+     * @returns {Promise<Object>} Resolves with the updated configuration.
+     */
+    updateAgentConfiguration(configUpdates) {
+        return agentService.updateAgentConfiguration(configUpdates);
+    },
+
+    /**
+     * Get the agent's statistics.
+     * @returns {Promise<Object>} Resolves with the agent's statistics.
+     */
+    getAgentStatistics() {
+        return agentService.getAgentStatistics();
+    },
+
+    /**
+     * Get a snapshot of the agent's current state and contacts.
+     * @returns {Promise<Object>} Resolves with the agent snapshot.
+     */
+    getAgentSnapshot() {
+        return agentService.getAgentSnapshot()
+            .then(snapshot => ({ ...snapshot, contacts: contactService.getContacts() }));
+    },
+
+    /**
+     * Get the agent's current contacts.
+     * @returns {Promise<Array>} Resolves with an array of the agent's contacts.
+     */
+    getAgentContacts() {
+        return Promise.resolve(contactService.getContacts());
+    },
+
+    /**
+     * Get the agent's permissions.
+     * @returns {Promise<Object>} Resolves with the agent's permissions.
+     */
+    getAgentPermissions() {
+        return agentService.getAgentPermissions();
+    },
+
+    /**
+     * Log the agent out.
+     * @returns {Promise} Resolves when the agent is logged out.
+     */
+    logoutAgent() {
+        return agentService.logout();
+    },
+
+    /**
+     * Get the actions a plain SIP line can perform. Conferences need a PBX bridge.
+     * @returns {Object} The provider capabilities.
+     */
+    getCapabilities() {
+        return {
+            ...NO_CAPABILITIES,
+            mute: true,
+            hold: true,
+            coldTransfer: true,
+            warmTransfer: true,
+            queueTransfer: true,
+            warmQueueTransfer: true,
+            dtmf: true,
+            audioDevices: true,
+            callQuality: true
+        };
+    },
+
+    /**
+     * Get the SIP event log.
+     * @returns {Array} Array of log entries.
+     */
+    getLogs() {
+        return agentService.getCcpLogs();
+    },
+
+    /**
+     * Retry registration, e.g. after the host has refreshed the credentials.
+     * There is no login window for a SIP line.
+     * @returns {Promise} Resolves when the REGISTER has been sent.
+     */
+    openLogin() {
+        if (!userAgent) {
+            return Promise.reject(new Error("SIP user agent not initialized."));
+        }
+
+        try {
+            userAgent.register();
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(new Error(`Failed to register SIP line: ${error.message}`));
+        }
+    },
+
+    /**
+     * Tear down the SIP session: remove listeners and stop the user agent,
+     * which hangs up any calls and unregisters the line.
+     * @returns {Promise} Resolves when the teardown is complete.
+     */
+    destroy() {
+        contactService.teardown();
+        agentService.teardown();
+        callbacks = {};
+        extensionDialer.cancel();
+
+        const ua = userAgent;
+        userAgent = null;
+
+        try {
+            ua?.stop();
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(new Error(`Failed to stop SIP user agent: ${error.message}`));
+        }
+    }
+};
@@ -3,11 +3,13 @@ let callbacks = {}; // Callbacks for various agent events
 let agentConfig = {}; // Stores agent configuration
 let workerInstance = null; // Twilio Worker instance
 let workspaceInstance = null; // Twilio TaskRouter Workspace instance
+let currentTask = null; // Task of the agent's current or most recent reservation
 
 export default {
     /**
      * Initialize the agent service.
      * @param {Object} options - Callbacks for agent events (e.g., state change, mute toggle, etc.).
+     * @param {string} options.token - TaskRouter token for the worker and workspace.
      * @returns {Promise} Resolves when the agent is initialized.
      */
     initializeAgent(options = {}) {
@@ -17,10 +19,14 @@ export default {
             return Promise.reject(new Error("Twilio TaskRouter SDK not loaded."));
         }
 
+        if (!options.token) {
+            return Promise.reject(new Error("Twilio provider requires `workerToken` (a TaskRouter token) in providerConfig."));
+        }
+
         return new Promise((resolve, reject) => {
             try {
                 // Initialize Twilio TaskRouter Worker
-                const token = this._getTwilioToken(); // This would be provided by your backend
+                const token = this._getTwilioToken(); // Provided by your backend through providerConfig
                 
                 // Create a new TaskRouter Worker
                 workspaceInstance = new window.Twilio.TaskRouter.Workspace(token);
@@ -42,6 +48,19 @@ export default {
         });
     },
 
+    /**
+     * Remove worker listeners and forget the current worker and workspace.
+     */
+    teardown() {
+        workerInstance?.removeAllListeners?.();
+        workerInstance = null;
+        workspaceInstance = null;
+        currentTask = null;
+        agentInstance = null;
+        agentConfig = {};
+        callbacks = {};
+    },
+
     /**
      * Get the current agent instance.
      * @returns {Object|null} The current agent instance or null if not available.
@@ -50,6 +69,38 @@ export default {
         return agentInstance;
     },
 
+    /**
+     * Get the task of the agent's current or most recent reservation.
+     * @returns {Object|null} The TaskRouter task, or null if the agent has had none.
+     */
+    getCurrentTask() {
+        return currentTask;
+    },
+
+    /**
+     * Merge attributes into the current task's attributes, e.g. to save a disposition for reporting.
+     * @param {Object} attributes - The attributes to set.
+     * @returns {Promise<Object>} Resolves with the task's updated attributes.
+     */
+    updateTaskAttributes(attributes) {
+        return new Promise((resolve, reject) => {
+            if (!currentTask || !workspaceInstance) {
+                return reject(new Error("No task available to update."));
+            }
+
+            const merged = { ...currentTask.attributes, ...attributes };
+
+            workspaceInstance.tasks.update(currentTask.sid, { Attributes: JSON.stringify(merged) }, (error, task) => {
+                if (error) {
+                    return reject(new Error(`Failed to update task attributes: ${error.message || error}`));
+                }
+
+                currentTask.attributes = task?.attributes || merged;
+                resolve(currentTask.attributes);
+            });
+        });
+    },
+
     /**
      * Get the current state of the agent.
      * @returns {string|null} Agent's state (e.g., "Available", "Busy") or null if no agent exists.
@@ -482,10 +533,12 @@ export default {
         
         // Task (contact) events
         worker.on('reservationCreated', reservation => {
+            currentTask = reservation.task;
             callbacks.onContactPending?.(reservation.task);
         });
         
         worker.on('reservationAccepted', reservation => {
+            currentTask = reservation.task;
             // This is similar to after call work in Amazon Connect
             callbacks.onAfterCallWork?.(reservation.task);
         });
@@ -619,9 +672,8 @@ export default {
      * @private
      */
     _getTwilioToken() {
-        // In a real implementation, this would be provided by your backend
-        // For this example, we'll return a placeholder
-        return 'twilio-token-placeholder';
+        // The token is generated by your backend and passed in through providerConfig
+        return callbacks.token;
     },
 
     /**
@@ -1,24 +1,22 @@
 import agentService from "./agentService";
+import { isValidDtmf } from "../../callUtils";
+import { DEFAULT_DISPOSITION_CODES, toDispositionAttributes } from "../../dispositions";
+import {
+    createCallSession,
+    updateCallSession,
+    CALL_DIRECTIONS,
+    CALL_SESSION_STATES,
+    PARTICIPANT_ROLES
+} from "../../callSession";
 
 let contactInstance = null; // Stores the current contact/call instance
+let wrapUpContact = null; // Ended call kept for after-call work until it is completed
+let callSession = null; // Normalized session for the current connection, passed to callbacks
 let callbacks = {}; // Callbacks for handling contact events
 let pendingTransfers = []; // Tracks pending transfers for warm transfer management
 let activeConnection = null; // Active Twilio Voice connection
-
-/**
- * Available disposition codes for call outcomes.
- * @type {Array<Object>}
- */
-const DISPOSITION_CODES = [
-    { id: 'resolved', label: 'Issue Resolved' },
-    { id: 'callback', label: 'Callback Required' },
-    { id: 'escalated', label: 'Escalated to Supervisor' },
-    { id: 'voicemail', label: 'Left Voicemail' },
-    { id: 'wrong_number', label: 'Wrong Number' },
-    { id: 'no_answer', label: 'No Answer' },
-    { id: 'technical_issue', label: 'Technical Issue' },
-    { id: 'follow_up', label: 'Follow-up Required' }
-];
+let deviceListeners = []; // [event, handler] pairs registered on the Twilio Device
+let callSamples = new WeakMap(); // Latest 'sample' event (RTCSample) of each connection, for getCallStats
 
 export default {
     /**
@@ -44,27 +42,51 @@ export default {
      */
     _setupTwilioDeviceListeners() {
         const device = window.Twilio.Device;
-        
-        // Incoming call
-        device.on('incoming', connection => {
-            contactInstance = connection;
-            
-            // Set up connection event listeners
-            this._setupConnectionEventListeners(connection);
-            
-            // Notify of incoming call
-            callbacks.onIncomingCall?.(connection);
-        });
-        
-        // Ready event
-        device.on('ready', () => {
-            console.log('Twilio Device is ready for calls');
-        });
-        
-        // Error event
-        device.on('error', error => {
-            callbacks.onError?.(error);
-        });
+
+        deviceListeners = [
+            // Incoming call
+            ['incoming', connection => {
+                contactInstance = connection;
+                callSession = this._createCallSession(
+                    connection,
+                    CALL_DIRECTIONS.INBOUND,
+                    connection.parameters?.get('From')
+                );
+
+                // Set up connection event listeners
+                this._setupConnectionEventListeners(connection);
+
+                // Notify of incoming call
+                callbacks.onIncomingCall?.(callSession);
+            }],
+
+            // Ready event
+            ['ready', () => {
+                console.log('Twilio Device is ready for calls');
+            }],
+
+            // Error event
+            ['error', error => {
+                callbacks.onError?.(error);
+            }]
+        ];
+
+        deviceListeners.forEach(([event, handler]) => device.on(event, handler));
+    },
+
+    /**
+     * Remove the Device listeners and forget the current connection.
+     */
+    teardown() {
+        const device = window.Twilio?.Device;
+        deviceListeners.forEach(([event, handler]) => device?.removeListener?.(event, handler));
+        deviceListeners = [];
+        callSamples = new WeakMap();
+        contactInstance = null;
+        wrapUpContact = null;
+        callSession = null;
+        pendingTransfers = [];
+        callbacks = {};
     },
 
     /**
@@ -75,31 +97,129 @@ export default {
     _setupConnectionEventListeners(connection) {
         // Connection accepted
         connection.on('accept', () => {
-            callbacks.onConnected?.(connection);
-            callbacks.onCallAccepted?.(connection);
+            const session = this._updateCallSession(connection, CALL_SESSION_STATES.CONNECTED);
+            callbacks.onConnected?.(session);
+
+            if (session.direction === CALL_DIRECTIONS.INBOUND) {
+                callbacks.onAccepted?.(session);
+            }
         });
         
         // Connection is ringing/connecting
         connection.on('ringing', () => {
-            callbacks.onConnecting?.(connection);
+            callbacks.onConnecting?.(this._updateCallSession(connection));
         });
         
         // Connection disconnected
         connection.on('disconnect', () => {
-            callbacks.onCallEnded?.(connection);
+            callbacks.onCallEnded?.(this._updateCallSession(connection, CALL_SESSION_STATES.ENDED));
+            wrapUpContact = connection;
             contactInstance = null;
         });
         
         // Connection rejected/canceled
         connection.on('cancel', () => {
-            callbacks.onMissed?.(connection);
+            callbacks.onMissed?.(this._updateCallSession(connection, CALL_SESSION_STATES.MISSED));
             contactInstance = null;
         });
         
         // Connection error
         connection.on('error', error => {
-            callbacks.onError?.(error, connection);
+            callbacks.onError?.(error, this._updateCallSession(connection));
+        });
+
+        // Media statistics, sampled by the Voice SDK every second while the call is up
+        connection.on('sample', sample => {
+            callSamples.set(connection, sample);
+        });
+    },
+
+    /**
+     * Makes an outbound connection the current contact and starts reporting its events.
+     * @param {Object} connection - The Twilio connection returned by Device.connect.
+     * @param {string} phoneNumber - The number being called.
+     * @returns {Object} The call session of the new call.
+     */
+    trackOutboundCall(connection, phoneNumber) {
+        contactInstance = connection;
+        callSession = this._createCallSession(connection, CALL_DIRECTIONS.OUTBOUND, phoneNumber);
+
+        this._setupConnectionEventListeners(connection);
+
+        return callSession;
+    },
+
+    /**
+     * Get the normalized session of the current or most recent call.
+     * @returns {Object|null} The call session, or null before the first call.
+     */
+    getCallSession() {
+        return callSession;
+    },
+
+    /**
+     * Builds the call session for a new Twilio connection.
+     * @param {Object} connection - The Twilio connection.
+     * @param {string} direction - One of CALL_DIRECTIONS.
+     * @param {string} [remoteNumber] - The customer's number.
+     * @returns {Object} The call session.
+     * @private
+     */
+    _createCallSession(connection, direction, remoteNumber) {
+        // Outbound connections only get a CallSid once Twilio has accepted them
+        const callSid = connection.parameters?.get('CallSid') || `twilio-call-${Date.now()}`;
+        // Inbound calls are routed by TaskRouter, whose task knows the queue
+        const task = direction === CALL_DIRECTIONS.INBOUND ? agentService.getCurrentTask?.() : null;
+
+        return createCallSession({
+            id: callSid,
+            provider: 'twilio',
+            direction,
+            remoteNumber: remoteNumber || null,
+            queue: task?.taskQueueSid
+                ? { queueId: task.taskQueueSid, name: task.taskQueueFriendlyName || task.taskQueueSid }
+                : null,
+            participants: [{
+                id: `customer-${callSid}`,
+                role: PARTICIPANT_ROLES.CUSTOMER,
+                phoneNumber: remoteNumber || null,
+                state: direction === CALL_DIRECTIONS.INBOUND ? CALL_SESSION_STATES.RINGING : CALL_SESSION_STATES.DIALING
+            }],
+            raw: connection
+        });
+    },
+
+    /**
+     * Updates the call session of a connection after a Twilio event.
+     * @param {Object} connection - The Twilio connection.
+     * @param {string} [state] - The state the event moves the call to.
+     * @returns {Object} The updated call session.
+     * @private
+     */
+    _updateCallSession(connection, state) {
+        const session = callSession?.raw === connection
+            ? callSession
+            : this._createCallSession(connection, CALL_DIRECTIONS.INBOUND, connection.parameters?.get('From'));
+        const nextState = state || session.state;
+        // Outbound calls are created before Twilio assigns their CallSid: take it up once it has
+        const id = connection.parameters?.get('CallSid') || session.id;
+
+        // The Voice SDK only sees the agent's leg, so the customer follows the call state
+        const updated = updateCallSession(session, {
+            id,
+            state: nextState,
+            participants: session.participants.map(participant => (
+                participant.role === PARTICIPANT_ROLES.CUSTOMER
+                    ? { ...participant, id: `customer-${id}`, state: nextState }
+                    : participant
+            ))
         });
+
+        if (callSession?.raw === connection) {
+            callSession = updated;
+        }
+
+        return updated;
     },
 
     /**
@@ -165,6 +285,7 @@ export default {
             // Enter After Call Work mode
             await this._enterAfterCallWorkMode();
             
+            wrapUpContact = contactInstance;
             contactInstance = null;
             return true;
         } catch (error) {
@@ -214,40 +335,110 @@ export default {
         });
     },
 
+    /**
+     * Send DTMF digits on the active connection.
+     * @param {string} digits - The digits to send (0-9, *, # and A-D).
+     * @return {Promise} Resolves once the digits have been sent, rejects otherwise.
+     */
+    sendDigits(digits) {
+        if (!isValidDtmf(digits)) {
+            return Promise.reject(new Error(`Invalid DTMF digits: ${digits}`));
+        }
+
+        if (!this._validateContactInstance()) {
+            return Promise.reject(new Error("No contact instance available."));
+        }
+
+        try {
+            contactInstance.sendDigits(digits);
+            return Promise.resolve(true);
+        } catch (error) {
+            return Promise.reject(new Error(`Failed to send digits: ${error}`));
+        }
+    },
+
+    /**
+     * Read the active call's media statistics from the Voice SDK's latest `sample` event, as the
+     * `getStats()` entries CallQualityMonitor reads (jitter and round-trip time in seconds).
+     * @returns {Promise<Map|null>} Resolves with the report, or null before the first sample.
+     */
+    getCallStats() {
+        const sample = contactInstance ? callSamples.get(contactInstance) : null;
+        if (!sample) {
+            return Promise.resolve(null);
+        }
+
+        const totals = sample.totals || {};
+        const timestamp = sample.timestamp;
+        const report = new Map([
+            ['inbound-audio', {
+                id: 'inbound-audio',
+                type: 'inbound-rtp',
+                kind: 'audio',
+                timestamp,
+                jitter: typeof sample.jitter === 'number' ? sample.jitter / 1000 : undefined,
+                packetsReceived: totals.packetsReceived,
+                packetsLost: totals.packetsLost,
+                bytesReceived: totals.bytesReceived,
+                mos: sample.mos
+            }],
+            ['outbound-audio', {
+                id: 'outbound-audio',
+                type: 'outbound-rtp',
+                kind: 'audio',
+                timestamp,
+                packetsSent: totals.packetsSent,
+                bytesSent: totals.bytesSent
+            }]
+        ]);
+
+        if (typeof sample.rtt === 'number') {
+            report.set('remote-inbound-audio', {
+                id: 'remote-inbound-audio',
+                type: 'remote-inbound-rtp',
+                kind: 'audio',
+                timestamp,
+                roundTripTime: sample.rtt / 1000
+            });
+        }
+
+        return Promise.resolve(report);
+    },
+
     /**
      * Gets all available disposition codes.
      * @returns {Array<Object>} Array of disposition code objects.
      */
     getDispositionCodes() {
-        return DISPOSITION_CODES;
+        return DEFAULT_DISPOSITION_CODES;
     },
 
     /**
-     * Sets a disposition code for the current contact.
-     * @param {string} dispositionId - The ID of the disposition code.
-     * @param {string} [notes] - Optional notes to add with the disposition.
+     * Saves a disposition for the current contact, or the call in after-call work: on the
+     * connection, and as attributes of the TaskRouter task the call was routed by, if any.
+     * @param {Object|string} disposition - The disposition (see dispositions.js), or a disposition code ID.
+     * @param {string} [notes] - Notes to save with a disposition code ID.
      * @returns {Promise} Resolves when the disposition is successfully set.
      */
-    setDispositionCode(dispositionId, notes = '') {
-        if (!this._validateContactInstance()) {
+    setDispositionCode(disposition, notes = '') {
+        const contact = contactInstance || wrapUpContact;
+        if (!contact) {
             return Promise.reject(new Error("No contact instance available."));
         }
 
-        return new Promise((resolve, reject) => {
+        return new Promise(async (resolve, reject) => {
             try {
-                // In Twilio, we would typically store this in a task attribute
-                // For this implementation, we'll store it in the connection
-                const attributes = {
-                    dispositionCode: dispositionId,
-                    dispositionNotes: notes,
-                    dispositionTimestamp: new Date().toISOString()
-                };
+                const attributes = toDispositionAttributes(
+                    typeof disposition === 'string' ? { id: disposition, notes } : disposition
+                );
                 
                 // Store the disposition in the connection's custom parameters
-                contactInstance.customParameters = {
-                    ...contactInstance.customParameters,
-                    ...attributes
-                };
+                this._mergeCustomParameters(contact, attributes);
+
+                // Task attributes are what TaskRouter reports on
+                if (agentService.getCurrentTask?.()) {
+                    await agentService.updateTaskAttributes(attributes);
+                }
                 
                 resolve(true);
             } catch (error) {
@@ -256,6 +447,48 @@ export default {
         });
     },
 
+    /**
+     * Merges attributes into the TaskRouter task the current call, or the call in after-call work,
+     * was routed by, and into the connection's custom parameters so that getContactAttributes
+     * returns them.
+     * @param {Object<string, *>} attributes - The attributes to set.
+     * @returns {Promise<Object>} Resolves with the task's updated attributes.
+     */
+    updateContactAttributes(attributes) {
+        const contact = contactInstance || wrapUpContact;
+        if (!contact) {
+            return Promise.reject(new Error("No contact instance available."));
+        }
+
+        if (!agentService.getCurrentTask?.()) {
+            return Promise.reject(new Error("Contact attributes cannot be updated: the call has no TaskRouter task."));
+        }
+
+        return agentService.updateTaskAttributes(attributes)
+            .then(taskAttributes => {
+                this._mergeCustomParameters(contact, attributes);
+                return taskAttributes;
+            });
+    },
+
+    /**
+     * Merges values into a connection's custom parameters, a Map in the Voice SDK.
+     * @param {Object} contact - The connection.
+     * @param {Object} attributes - The values to merge.
+     * @private
+     */
+    _mergeCustomParameters(contact, attributes) {
+        if (contact.customParameters instanceof Map) {
+            Object.entries(attributes).forEach(([key, value]) => contact.customParameters.set(key, value));
+            return;
+        }
+
+        contact.customParameters = {
+            ...contact.customParameters,
+            ...attributes
+        };
+    },
+
     /**
      * Enters After Call Work (ACW) mode for the current contact.
      * @returns {Promise} Resolves when ACW mode is entered.
@@ -270,16 +503,16 @@ export default {
 
     /**
      * Completes After Call Work and sets the agent back to the available state.
-     * @param {string} [dispositionId] - Optional disposition code to set before completing ACW.
-     * @param {string} [notes] - Optional notes to add with the disposition.
+     * @param {Object|string|null} [disposition] - Optional disposition, or disposition code ID, to save before completing ACW.
+     * @param {string} [notes] - Notes to save with a disposition code ID.
      * @returns {Promise} Resolves when ACW is completed.
      */
-    completeAfterCallWork(dispositionId = null, notes = '') {
+    completeAfterCallWork(disposition = null, notes = '') {
         return new Promise(async (resolve, reject) => {
             try {
                 // Set disposition code if provided
-                if (dispositionId) {
-                    await this.setDispositionCode(dispositionId, notes);
+                if (disposition) {
+                    await this.setDispositionCode(disposition, notes);
                 }
                 
                 // Set agent back to available
@@ -729,6 +962,7 @@ export default {
                     success: () => {
                         // Clear ACW start time
                         delete agentInstance.attributes.acwStartTime;
+                        wrapUpContact = null;
                         resolve(true);
                     },
                     error: err => reject(new Error(`Failed to exit After Call Work: ${err}`))
@@ -1,26 +1,38 @@
 import agentService from './agentService';
 import contactService from './contactService';
+import { NO_CAPABILITIES } from '../capabilities';
+import { ExtensionDialer } from '../extensions';
 
 let callbacks = {};
 
+// Sends the extension of the call being placed once it connects
+const extensionDialer = new ExtensionDialer(digits => contactService.sendDigits(digits));
+
 export default {
     /**
      * Initialize Twilio service with callbacks and configuration.
      * @param {Object} options - Callbacks for managing agent and contact events.
+     * @param {string} options.token - Twilio Voice access token for the Device.
+     * @param {string} options.workerToken - TaskRouter token for the worker and workspace.
+     * @param {boolean} [options.disableRingtone] - Silence the Device's incoming sound, when the softphone rings itself.
      */
     initialize(options = {}) {
         callbacks = options;
 
         if (!window.Twilio) {
-            alert("Twilio SDK not loaded.");
             return Promise.reject(new Error("Twilio SDK not loaded."));
         }
 
+        if (!options.token) {
+            return Promise.reject(new Error("Twilio provider requires `token` (a Voice access token) in providerConfig."));
+        }
+
         // Initialize Twilio Device
         this._initializeTwilioDevice();
 
         // Initialize agent and set up event listeners
         return agentService.initializeAgent({
+            token: options.workerToken,
             onAgentAvailable: (agentInstance) => {
                 callbacks.onStatusChange?.(agentService.getAgentState());
 
@@ -51,15 +63,21 @@ export default {
         }).then(() => {
             // Initialize contact and set up event listeners
             return contactService.initializeContact({
-                onIncomingCall: (connection) => callbacks.onIncomingCall?.(connection),
-                onConnecting: (connection) => callbacks.onConnecting?.(connection),
-                onConnected: (connection) => callbacks.onConnected?.(connection),
-                onAccepted: (connection) => callbacks.onCallAccepted?.(connection),
-                onMissed: (connection) => callbacks.onMissed?.(connection),
-                onPending: (connection) => callbacks.onPending?.(connection),
-                onRefresh: (connection) => callbacks.onRefresh?.(connection),
-                onCallEnded: (connection) => callbacks.onCallEnded?.(connection),
-                onError: (error, connection) => callbacks.onError?.(error, connection)
+                onIncomingCall: (session) => callbacks.onIncomingCall?.(session),
+                onConnecting: (session) => callbacks.onConnecting?.(session),
+                onConnected: (session) => {
+                    extensionDialer.connected();
+                    callbacks.onConnected?.(session);
+                },
+                onAccepted: (session) => callbacks.onCallAccepted?.(session),
+                onMissed: (session) => callbacks.onMissed?.(session),
+                onPending: (session) => callbacks.onPending?.(session),
+                onRefresh: (session) => callbacks.onRefresh?.(session),
+                onCallEnded: (session) => {
+                    extensionDialer.cancel();
+                    callbacks.onCallEnded?.(session);
+                },
+                onError: (error, session) => callbacks.onError?.(error, session)
             });
         });
     },
@@ -78,29 +96,36 @@ export default {
             enableRingingState: true,
             warnings: true
         });
+
+        if (callbacks.disableRingtone) {
+            window.Twilio.Device.audio?.incoming(false);
+        }
     },
 
     /**
      * Get Twilio token from backend.
-     * @returns {string} Twilio token.
+     * @returns {string} Twilio token, checked by initialize.
      * @private
      */
     _getTwilioToken() {
-        // In a real implementation, this would be an API call to your backend
-        // For this example, we'll return a placeholder
-        return 'twilio-token-placeholder';
+        // The token is generated by your backend and passed in through providerConfig
+        return callbacks.token;
     },
 
     /**
      * Place an outbound call.
      * @param {string} phoneNumber - The phone number to call.
+     * @param {Object} [options]
+     * @param {string|null} [options.extension] - Extension sent as DTMF once the call connects.
      * @returns {Promise} Resolves when the call is successfully placed.
      */
-    placeCall(phoneNumber) {
+    placeCall(phoneNumber, { extension } = {}) {
         if (!window.Twilio || !window.Twilio.Device) {
             return Promise.reject(new Error("Twilio Device not initialized."));
         }
 
+        extensionDialer.dial(extension, callbacks.extensionDelay);
+
         return new Promise((resolve, reject) => {
             try {
                 // Make the call
@@ -109,11 +134,8 @@ export default {
                     Direction: 'outbound'
                 });
                 
-                // Store the connection
-                contactService.getContactInstance = () => connection;
-                
-                // Set up connection event listeners
-                contactService._setupConnectionEventListeners(connection);
+                // Make it the current contact and report its events
+                contactService.trackOutboundCall(connection, phoneNumber);
                 
                 // Resolve when the call is connecting
                 connection.on('accept', () => {
@@ -122,9 +144,11 @@ export default {
                 
                 // Reject if there's an error
                 connection.on('error', (error) => {
+                    extensionDialer.cancel();
                     reject(new Error(`Failed to place call: ${error.message}`));
                 });
             } catch (error) {
+                extensionDialer.cancel();
                 reject(new Error(`Error placing call: ${error.message}`));
             }
         });
@@ -220,6 +244,22 @@ export default {
         });
     },
 
+    /**
+     * Twilio Voice has no transfer directory.
+     * @returns {Promise<Array>} Resolves with an empty array.
+     */
+    getTransferEndpoints() {
+        return Promise.resolve([]);
+    },
+
+    /**
+     * Twilio Voice has no transfer directory.
+     * @returns {Promise} Always rejects.
+     */
+    transferToEndpoint() {
+        return Promise.reject(new Error("Transfer directories are not supported by the Twilio provider."));
+    },
+
     /**
      * Initiates a conference call by adding a third party to the current call.
      * @param {string} phoneNumber - The phone number to add to the conference.
@@ -266,9 +306,14 @@ export default {
                     attributes[key] = value;
                 });
                 
-                // Add custom parameters
-                if (contactInstance.customParameters) {
-                    Object.assign(attributes, contactInstance.customParameters);
+                // Add custom parameters, a Map in the Voice SDK
+                const customParameters = contactInstance.customParameters;
+                if (customParameters instanceof Map) {
+                    customParameters.forEach((value, key) => {
+                        attributes[key] = value;
+                    });
+                } else if (customParameters) {
+                    Object.assign(attributes, customParameters);
                 }
                 
                 resolve(attributes);
@@ -279,93 +324,13 @@ export default {
     },
 
     /**
-     * Creates a CRM record with contact information.
-     * @param {Object} crmSystem - The CRM system configuration object.
-     * @param {Object} recordData - The data to create the CRM record with.
-     * @returns {Promise<Object>} Resolves with the created CRM record.
-     */
-    createCrmRecord(crmSystem, recordData) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                // Get contact attributes to enrich the CRM record
-                const contactAttributes = await this.getContactAttributes().catch(() => ({}));
-                
-                // Get the contact instance
-                const contactInstance = contactService.getContactInstance();
-                
-                // Get the agent instance
-                const agentInstance = agentService.getAgentInstance();
-                
-                // Combine contact attributes with record data
-                const enrichedData = {
-                    ...recordData,
-                    contactId: contactInstance?.parameters.get('CallSid'),
-                    agentId: agentInstance?.sid,
-                    timestamp: new Date().toISOString(),
-                    contactAttributes
-                };
-                
-                // This would be replaced with actual API call to the CRM system
-                resolve({
-                    success: true,
-                    recordId: `crm-${Date.now()}`,
-                    data: enrichedData
-                });
-            } catch (error) {
-                reject(new Error(`Error creating CRM record: ${error.message}`));
-            }
-        });
-    },
-
-    /**
-     * Updates a CRM record with contact information.
-     * @param {Object} crmSystem - The CRM system configuration object.
-     * @param {string} recordId - The ID of the record to update.
-     * @param {Object} updateData - The data to update the CRM record with.
-     * @returns {Promise<Object>} Resolves with the updated CRM record.
-     */
-    updateCrmRecord(crmSystem, recordId, updateData) {
-        return new Promise((resolve, reject) => {
-            try {
-                // This would be replaced with actual API call to the CRM system
-                resolve({
-                    success: true,
-                    recordId,
-                    data: updateData,
-                    timestamp: new Date().toISOString()
-                });
-            } catch (error) {
-                reject(new Error(`Error updating CRM record: ${error.message}`));
-            }
-        });
-    },
-
-    /**
-     * Searches for a customer in the CRM based on phone number.
-     * @param {Object} crmSystem - The CRM system configuration object.
-     * @param {string} phoneNumber - The phone number to search for.
-     * @returns {Promise<Array>} Resolves with matching customer records.
+     * Merges attributes into the call's TaskRouter task, which TaskRouter and downstream
+     * reporting read.
+     * @param {Object<string, *>} attributes - The attributes to set.
+     * @returns {Promise<Object>} Resolves with the task's updated attributes.
      */
-    searchCustomerByPhone(crmSystem, phoneNumber) {
-        return new Promise((resolve, reject) => {
-            try {
-                // This would be replaced with actual API call to the CRM system
-                resolve({
-                    success: true,
-                    results: [
-                        {
-                            id: `customer-${Date.now()}`,
-                            phoneNumber,
-                            name: 'Sample Customer',
-                            email: 'customer@example.com',
-                            lastContact: new Date().toISOString()
-                        }
-                    ]
-                });
-            } catch (error) {
-                reject(new Error(`Error searching customer by phone: ${error.message}`));
-            }
-        });
+    updateContactAttributes(attributes) {
+        return contactService.updateContactAttributes(attributes);
     },
 
     /**
@@ -400,6 +365,184 @@ export default {
         return agentService.unmute();
     },
 
+    /**
+     * Switch the Device's microphone, speaker and ringer through its audio helper. The microphone
+     * is swapped on a call in progress. Browsers without `setSinkId` keep the default speaker and ringer.
+     * @param {{input?: string, output?: string, ringer?: string}} devices - Device IDs; kinds left out are unchanged.
+     * @returns {Promise} Resolves when the devices are in use.
+     */
+    setAudioDevices(devices = {}) {
+        const audio = window.Twilio?.Device?.audio;
+        if (!audio) {
+            return Promise.reject(new Error("Twilio Device audio is not available."));
+        }
+
+        return Promise.resolve()
+            .then(() => {
+                const pending = [];
+
+                if (devices.input) {
+                    pending.push(audio.setInputDevice(devices.input));
+                }
+                if (audio.isOutputSelectionSupported) {
+                    if (devices.output) {
+                        pending.push(audio.speakerDevices.set(devices.output));
+                    }
+                    if (devices.ringer) {
+                        pending.push(audio.ringtoneDevices.set(devices.ringer));
+                    }
+                }
+
+                return Promise.all(pending);
+            })
+            .then(() => true)
+            .catch(error => {
+                throw new Error(`Failed to set audio devices: ${error?.message || error}`);
+            });
+    },
+
+    /**
+     * Read the active call's media statistics from the Voice SDK's `sample` events.
+     * @returns {Promise<Map|null>} Resolves with the report, or null before the first sample.
+     */
+    getCallStats() {
+        return contactService.getCallStats();
+    },
+
+    /**
+     * Send DTMF digits on the active connection.
+     * @param {string} digits - The digits to send.
+     * @returns {Promise} Resolves when the digits have been sent.
+     */
+    sendDigits(digits) {
+        return contactService.sendDigits(digits);
+    },
+
+    /**
+     * Get the disposition codes the agent can pick from during after-call work.
+     * @returns {Promise<Array>} Resolves with the disposition codes.
+     */
+    getDispositionCodes() {
+        return Promise.resolve(contactService.getDispositionCodes());
+    },
+
+    /**
+     * Save the disposition on the ended call and its TaskRouter task, and make the agent available.
+     * @param {Object|null} [disposition] - The disposition (see dispositions.js).
+     * @returns {Promise} Resolves when after-call work is completed.
+     */
+    completeAfterCallWork(disposition = null) {
+        return contactService.completeAfterCallWork(disposition);
+    },
+
+    /**
+     * Get the time left before after-call work times out.
+     * @returns {number} Seconds remaining, or -1 if unknown.
+     */
+    getAfterCallWorkRemainingTime() {
+        return contactService.getAfterCallWorkRemainingTime();
+    },
+
+    /**
+     * Get all states the agent can be set to.
+     * @returns {Promise<Array>} Resolves with an array of agent states.
+     */
+    getAgentStates() {
+        return agentService.getAvailableAgentStates();
+    },
+
+    /**
+     * Set the agent's routing state.
+     * @param {string} stateName - The name of the state to set.
+     * @returns {Promise<string>} Resolves with the state that was set.
+     */
+    setAgentState(stateName) {
+        return agentService.setRoutingState(stateName);
+    },
+
+    /**
+     * Get the agent's configuration.
+     * @returns {Promise<Object>} Resolves with the agent's configuration.
+     */
+    getAgentConfiguration() {
+        return agentService.getAgentConfiguration();
+    },
+
+    /**
+     * Update the agent's configuration.
+     * @param {Object} configUpdates - The configuration updates to apply.
+     * @returns {Promise<Object>} Resolves with the updated configuration.
+     */
+    updateAgentConfiguration(configUpdates) {
+        return agentService.updateAgentConfiguration(configUpdates);
+    },
+
+    /**
+     * Get the agent's statistics.
+     * @returns {Promise<Object>} Resolves with the agent's statistics.
+     */
+    getAgentStatistics() {
+        return agentService.getAgentStatistics();
+    },
+
+    /**
+     * Get a snapshot of the agent's current state and contacts.
+     * @returns {Promise<Object>} Resolves with the agent snapshot.
+     */
+    getAgentSnapshot() {
+        return agentService.getAgentSnapshot();
+    },
+
+    /**
+     * Get the agent's current contacts.
+     * @returns {Promise<Array>} Resolves with an array of the agent's contacts.
+     */
+    getAgentContacts() {
+        return agentService.getAgentContacts();
+    },
+
+    /**
+     * Get the agent's permissions.
+     * @returns {Promise<Object>} Resolves with the agent's permissions.
+     */
+    getAgentPermissions() {
+        return agentService.getAgentPermissions();
+    },
+
+    /**
+     * Log the agent out.
+     * @returns {Promise} Resolves when the agent is logged out.
+     */
+    logoutAgent() {
+        return agentService.logout();
+    },
+
+    /**
+     * Get the actions the Twilio Voice SDK can perform on its own (mute and DTMF). Hold, transfers and
+     * conferences are sent as DTMF codes that only work if the Twilio application
+     * handles them, so they are off unless the host enables them in
+     * `providerConfig.capabilities`.
+     * @returns {Object} The provider capabilities.
+     */
+    getCapabilities() {
+        return {
+            ...NO_CAPABILITIES,
+            mute: true,
+            dtmf: true,
+            contactAttributes: true,
+            audioDevices: true,
+            callQuality: true
+        };
+    },
+
+    /**
+     * Get the Twilio client logs.
+     * @returns {Array} Array of log entries.
+     */
+    getLogs() {
+        return agentService.getCcpLogs();
+    },
+
     /**
      * Restores the original call after a transfer has been initiated.
      * This cancels the current transfer and reconnects with the original caller.
@@ -470,5 +613,24 @@ export default {
         // For this example, we'll just trigger the callback
         callbacks.onLoginRequired?.();
         return Promise.resolve();
+    },
+
+    /**
+     * Tear down the Twilio session: remove Device and worker listeners and
+     * destroy the Device so it stops receiving calls.
+     * @returns {Promise} Resolves when the teardown is complete.
+     */
+    destroy() {
+        contactService.teardown();
+        agentService.teardown();
+        callbacks = {};
+        extensionDialer.cancel();
+
+        try {
+            window.Twilio?.Device?.destroy?.();
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(new Error(`Failed to destroy Twilio Device: ${error.message}`));
+        }
     }
 };
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Capability flags published by telephony providers through `getCapabilities()`.
+ * Components use them to hide or disable actions the active provider cannot perform.
+ */
+
+/**
+ * @typedef {Object} SoftphoneCapabilities
+ * @property {boolean} mute - The agent's microphone can be muted and unmuted.
+ * @property {boolean} hold - The customer can be put on hold and resumed.
+ * @property {boolean} coldTransfer - The call can be blind transferred to a number.
+ * @property {boolean} warmTransfer - The agent can consult a number before completing the transfer.
+ * @property {boolean} queueTransfer - The call can be transferred to a queue.
+ * @property {boolean} warmQueueTransfer - The agent can consult a queue before completing the transfer.
+ * @property {boolean} conference - Third parties can be added to and removed from the call.
+ * @property {boolean} merge - Held connections can be merged into a conference.
+ * @property {boolean} dtmf - DTMF digits can be sent on the active call.
+ * @property {boolean} directory - The provider has a transfer directory (see getTransferEndpoints).
+ * @property {boolean} recordingControl - Call recording can be paused and resumed.
+ * @property {boolean} contactAttributes - Attributes can be written to the contact (see updateContactAttributes).
+ * @property {boolean} audioDevices - The microphone, speaker and ringer can be chosen (see setAudioDevices).
+ * @property {boolean} callQuality - The call's media statistics can be read (see getCallStats).
+ */
+
+/**
+ * Every capability, switched off. Providers spread this and switch on what they support,
+ * so that capabilities added later default to unsupported.
+ * @type {Readonly<SoftphoneCapabilities>}
+ */
+export const NO_CAPABILITIES = Object.freeze({
+    mute: false,
+    hold: false,
+    coldTransfer: false,
+    warmTransfer: false,
+    queueTransfer: false,
+    warmQueueTransfer: false,
+    conference: false,
+    merge: false,
+    dtmf: false,
+    directory: false,
+    recordingControl: false,
+    contactAttributes: false,
+    audioDevices: false,
+    callQuality: false
+});
+
+/**
+ * Combines a provider's capabilities with host overrides (the `capabilities` key of the
+ * Softphone `providerConfig` prop), e.g. to switch off conferencing for a team or to
+ * switch on hold when the Twilio application implements it.
+ * Unknown keys are ignored and missing keys are unsupported.
+ *
+ * @param {Partial<SoftphoneCapabilities>} [capabilities] - Capabilities reported by the provider.
+ * @param {Partial<SoftphoneCapabilities>} [overrides] - Host overrides, applied last.
+ * @returns {SoftphoneCapabilities} The resolved capabilities.
+ */
+export function resolveCapabilities(capabilities = {}, overrides = {}) {
+    return Object.keys(NO_CAPABILITIES).reduce((resolved, name) => {
+        const value = overrides?.[name] ?? capabilities?.[name];
+        resolved[name] = value === true;
+        return resolved;
+    }, {});
+}
@@ -0,0 +1,64 @@
+/**
+ * Extensions dialled after a number (`;ext=204`, `x204`). The softphone passes them to a
+ * provider's `placeCall`, which sends them as DTMF once the far end answers.
+ */
+
+/**
+ * Time between the call connecting and its extension being sent, in milliseconds, so the
+ * far end's menu has started listening. Providers take `extensionDelay` from `providerConfig`.
+ * @type {number}
+ */
+export const DEFAULT_EXTENSION_DELAY = 1500;
+
+/**
+ * Holds the extension of the outbound call being placed and sends it once the call connects.
+ */
+export class ExtensionDialer {
+    /**
+     * @param {function(string): Promise} sendDigits - Sends DTMF on the provider's active call.
+     */
+    constructor(sendDigits) {
+        this.sendDigits = sendDigits;
+        this.extension = null;
+        this.delay = DEFAULT_EXTENSION_DELAY;
+        this.timer = null;
+    }
+
+    /**
+     * Remember the extension of the call being placed, replacing any earlier one.
+     * @param {string|null} [extension] - The extension digits, if any.
+     * @param {number} [delay] - Milliseconds to wait after the call connects.
+     */
+    dial(extension, delay = DEFAULT_EXTENSION_DELAY) {
+        this.cancel();
+        this.extension = extension || null;
+        this.delay = delay;
+    }
+
+    /**
+     * Send the extension, if any, once `delay` has passed. Call when the call connects.
+     */
+    connected() {
+        const extension = this.extension;
+        this.extension = null;
+
+        if (!extension) {
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            new Promise(resolve => resolve(this.sendDigits(extension)))
+                .catch(error => console.error(`Failed to dial extension ${extension}:`, error));
+        }, this.delay);
+    }
+
+    /**
+     * Forget the extension, e.g. when the call fails or ends before it is sent.
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.extension = null;
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * Ringtone for incoming calls. The softphone rings itself instead of leaving it to the provider,
+ * so hosts can pick the sound and volume and ring on a different device than the call audio,
+ * e.g. the speakers while the call is on a headset.
+ */
+
+/**
+ * Volume used when the host does not set one, from 0 to 1.
+ * @type {number}
+ */
+export const DEFAULT_RINGTONE_VOLUME = 0.8;
+
+// The default ring: 440 + 480 Hz, two seconds on and four off
+const RING_FREQUENCIES = [440, 480];
+const RING_SECONDS = 2;
+const RING_CYCLE_SECONDS = 6;
+const SAMPLE_RATE = 8000;
+
+let defaultRingtone = null; // Generated on first use
+
+/**
+ * The default ringtone, generated as a WAV data URL so the package ships no audio file.
+ * @returns {string} The data URL, one ring cycle long.
+ */
+export function createDefaultRingtone() {
+    if (defaultRingtone) {
+        return defaultRingtone;
+    }
+
+    const samples = SAMPLE_RATE * RING_CYCLE_SECONDS;
+    const ringSamples = SAMPLE_RATE * RING_SECONDS;
+    const fadeSamples = SAMPLE_RATE / 100; // 10 ms, so the ring starts and stops without a click
+    const view = new DataView(new ArrayBuffer(44 + samples * 2));
+    const writeText = (offset, text) => [...text].forEach((char, index) => view.setUint8(offset + index, char.charCodeAt(0)));
+
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + samples * 2, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true); // Format chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // Mono
+    view.setUint32(24, SAMPLE_RATE, true);
+    view.setUint32(28, SAMPLE_RATE * 2, true); // Bytes per second
+    view.setUint16(32, 2, true); // Bytes per sample
+    view.setUint16(34, 16, true); // Bits per sample
+    writeText(36, 'data');
+    view.setUint32(40, samples * 2, true);
+
+    for (let i = 0; i < ringSamples; i++) {
+        const t = i / SAMPLE_RATE;
+        const envelope = Math.min(1, i / fadeSamples, (ringSamples - i) / fadeSamples);
+        const tone = RING_FREQUENCIES.reduce((sum, frequency) => sum + Math.sin(2 * Math.PI * frequency * t), 0) / RING_FREQUENCIES.length;
+        view.setInt16(44 + i * 2, Math.round(tone * envelope * 0.5 * 0x7fff), true);
+    }
+
+    const bytes = new Uint8Array(view.buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+
+    defaultRingtone = `data:audio/wav;base64,${btoa(binary)}`;
+    return defaultRingtone;
+}
+
+/**
+ * Plays the ringtone in a loop on the chosen output device.
+ */
+class RingtonePlayer {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.src] - URL of the ringtone file; the default ring when not set.
+     * @param {number} [options.volume] - Volume from 0 to 1.
+     * @param {Function} [options.createAudio] - Creates the audio element; `new Audio()` by default.
+     */
+    constructor({ src = null, volume = DEFAULT_RINGTONE_VOLUME, createAudio = () => new globalThis.Audio() } = {}) {
+        this.createAudio = createAudio;
+        this.audio = null; // Created on first ring
+        this.loadedSource = null; // Source the audio element was given; browsers rewrite `src`
+        this.deviceId = null; // Output device, the browser's default when null
+        this.playing = false;
+        this.configure({ src, volume });
+    }
+
+    /**
+     * Change the ringtone or its volume, also while it rings.
+     * @param {Object} [options]
+     * @param {string|null} [options.src] - URL of the ringtone file.
+     * @param {number} [options.volume] - Volume from 0 to 1.
+     */
+    configure({ src = null, volume = DEFAULT_RINGTONE_VOLUME } = {}) {
+        this.src = src || null;
+        this.volume = Math.min(1, Math.max(0, Number.isFinite(volume) ? volume : DEFAULT_RINGTONE_VOLUME));
+
+        if (this.audio) {
+            this.audio.volume = this.volume;
+            if (this.loadedSource !== this._getSource()) {
+                this._load();
+                if (this.playing) {
+                    this.audio.play()?.catch?.(() => {});
+                }
+            }
+        }
+    }
+
+    /**
+     * Ring on an output device. Browsers without `setSinkId` ring on the default device.
+     * @param {string|null} deviceId - The device ID, or null for the default device.
+     * @returns {Promise} Resolves once the device is used.
+     */
+    setDevice(deviceId) {
+        this.deviceId = deviceId || null;
+        return this._applyDevice();
+    }
+
+    /**
+     * Start ringing, from the start of the ringtone.
+     * @returns {Promise<boolean>} Resolves with whether it rings (false if stopped meanwhile or
+     * there is no audio support); rejects if the browser refuses to play, e.g. with a
+     * `NotAllowedError` before the agent has interacted with the page.
+     */
+    play() {
+        const audio = this._getAudio();
+        if (!audio) {
+            return Promise.resolve(false);
+        }
+
+        this.playing = true;
+        audio.currentTime = 0;
+
+        return this._applyDevice()
+            .then(() => (this.playing ? audio.play() : null))
+            .then(() => this.playing)
+            .catch(error => {
+                this.playing = false;
+                throw error;
+            });
+    }
+
+    /**
+     * Stop ringing.
+     */
+    stop() {
+        this.playing = false;
+
+        if (this.audio) {
+            this.audio.pause();
+            this.audio.currentTime = 0;
+        }
+    }
+
+    /**
+     * Stop ringing and release the audio element.
+     */
+    destroy() {
+        this.stop();
+
+        if (this.audio) {
+            this.audio.removeAttribute?.('src');
+            this.audio = null;
+            this.loadedSource = null;
+        }
+    }
+
+    _getSource() {
+        return this.src || createDefaultRingtone();
+    }
+
+    _getAudio() {
+        if (!this.audio) {
+            try {
+                this.audio = this.createAudio();
+            } catch (error) {
+                // No Audio outside the browser
+                return null;
+            }
+
+            this.audio.loop = true;
+            this.audio.volume = this.volume;
+            this._load();
+        }
+
+        return this.audio;
+    }
+
+    _load() {
+        this.loadedSource = this._getSource();
+        this.audio.src = this.loadedSource;
+    }
+
+    _applyDevice() {
+        const audio = this.audio;
+        const sinkId = this.deviceId || '';
+
+        if (typeof audio?.setSinkId !== 'function' || audio.sinkId === sinkId) {
+            return Promise.resolve();
+        }
+
+        return audio.setSinkId(sinkId).catch(error => {
+            // Ringing on the default device beats not ringing
+            console.warn(`Could not ring on the chosen device: ${error.message}`);
+        });
+    }
+}
+
+export default RingtonePlayer;
@@ -1,6 +1,54 @@
 import amazonConnectService from './providers/AmazonConnect/amazonConnectService';
 import twilioService from './providers/Twilio/twilioService';
-// import eightByEightService from './eightByEightService';
+import sipService from './providers/Sip/sipService';
+import mockService from './providers/Mock/mockService';
+import ITelephonyService from './providers/ISoftphoneProviderService';
+
+/**
+ * Registered provider services, keyed by provider name.
+ * @type {Map<string, Object>}
+ */
+const providers = new Map();
+
+/**
+ * Method names every provider service must implement, taken from ITelephonyService.
+ * @type {Array<string>}
+ */
+const REQUIRED_METHODS = Object.getOwnPropertyNames(ITelephonyService.prototype)
+    .filter(method => method !== 'constructor');
+
+/**
+ * Registers a telephony provider so it can be selected by name (e.g. through the
+ * Softphone `provider` prop). Registering an existing name replaces that provider.
+ *
+ * @param {string} name - The name of the telephony provider.
+ * @param {Function|Object} factory - Function returning the provider service, or the service itself.
+ * @returns {Object} - The registered provider service.
+ * @throws {Error} If the name is invalid or the service does not implement ITelephonyService.
+ */
+export function registerSoftphoneProvider(name, factory) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new Error('Telephony provider name must be a non-empty string.');
+    }
+
+    const service = typeof factory === 'function' ? factory() : factory;
+    if (!service || typeof service !== 'object') {
+        throw new Error(`Telephony provider "${name}" factory did not return a service object.`);
+    }
+
+    const missingMethods = REQUIRED_METHODS.filter(method => typeof service[method] !== 'function');
+    if (missingMethods.length) {
+        throw new Error(`Telephony provider "${name}" is missing required methods: ${missingMethods.join(', ')}`);
+    }
+
+    providers.set(name, service);
+    return service;
+}
+
+registerSoftphoneProvider('amazon-connect', () => amazonConnectService);
+registerSoftphoneProvider('twilio', () => twilioService);
+registerSoftphoneProvider('sip', () => sipService);
+registerSoftphoneProvider('mock', () => mockService);
 
 /**
  * Returns a telephony service instance based on provider name.
@@ -9,14 +57,28 @@ import twilioService from './providers/Twilio/twilioService';
  * @returns {Object} - Telephony service instance implementing ITelephonyService.
  */
 export function getSoftphoneService(provider = 'amazon-connect') {
-    switch (provider) {
-        case 'amazon-connect':
-            return amazonConnectService;
-        case 'twilio':
-            return twilioService;
-        // case '8x8':
-        //   return eightByEightService;
-        default:
-            throw new Error(`Unknown telephony provider: ${provider}`);
+    if (!providers.has(provider)) {
+        throw new Error(`Unknown telephony provider: ${provider}`);
     }
+
+    return providers.get(provider);
+}
+
+/**
+ * Checks whether getSoftphoneService can resolve the given provider name.
+ *
+ * @param {string} provider - The name of the telephony provider.
+ * @returns {boolean} - True if the provider is supported.
+ */
+export function isSupportedSoftphoneProvider(provider) {
+    return providers.has(provider);
+}
+
+/**
+ * Lists the provider names that getSoftphoneService can resolve.
+ *
+ * @returns {Array<string>} - Supported provider names.
+ */
+export function getSupportedSoftphoneProviders() {
+    return [...providers.keys()];
 }
\ No newline at end of file
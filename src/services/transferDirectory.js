@@ -0,0 +1,114 @@
+/**
+ * Transfer directory: the provider's transfer endpoints (Amazon Connect quick connects) and
+ * the host's `transferNumbers`, grouped by type and filtered by a search query.
+ */
+
+/**
+ * Types of transfer endpoint.
+ * @type {Readonly<{AGENT: string, QUEUE: string, PHONE_NUMBER: string}>}
+ */
+export const ENDPOINT_TYPES = Object.freeze({
+    AGENT: 'agent',
+    QUEUE: 'queue',
+    PHONE_NUMBER: 'phone-number'
+});
+
+/**
+ * @typedef {Object} TransferEndpoint
+ * @property {string} endpointId - Provider endpoint ID, passed to `transferToEndpoint`.
+ * @property {string} name - Display name.
+ * @property {string} type - One of ENDPOINT_TYPES.
+ * @property {string|null} phoneNumber - Number of phone number endpoints.
+ */
+
+/**
+ * @typedef {Object} DirectoryEntry
+ * @property {string} key - Unique key for rendering.
+ * @property {string} name - Display name.
+ * @property {string} type - One of ENDPOINT_TYPES.
+ * @property {string|null} phoneNumber - Number, if any.
+ * @property {TransferEndpoint|null} endpoint - The provider endpoint; null for favorites.
+ * @property {Object|null} transferNumber - The `transferNumbers` entry; null for provider endpoints.
+ */
+
+/**
+ * @typedef {Object} DirectoryGroup
+ * @property {string} id - `favorites` or one of ENDPOINT_TYPES.
+ * @property {string} label - Heading shown above the group.
+ * @property {Array<DirectoryEntry>} entries - Entries, sorted by name.
+ */
+
+const GROUPS = [
+    { id: 'favorites', label: 'Favorites' },
+    { id: ENDPOINT_TYPES.AGENT, label: 'Agents' },
+    { id: ENDPOINT_TYPES.QUEUE, label: 'Queues' },
+    { id: ENDPOINT_TYPES.PHONE_NUMBER, label: 'Phone Numbers' }
+];
+
+const digitsOf = value => String(value || '').replace(/\D/g, '');
+
+/**
+ * Whether an entry matches a search query: by name, or by number when the query looks like one.
+ * @param {DirectoryEntry} entry - The entry.
+ * @param {string} query - The query, as typed.
+ * @returns {boolean} True if the entry matches; every entry matches an empty query.
+ */
+function matches(entry, query) {
+    const text = query.trim().toLowerCase();
+    if (!text) {
+        return true;
+    }
+
+    if (/^[\d\s()+-]+$/.test(text) && digitsOf(text) && digitsOf(entry.phoneNumber).includes(digitsOf(text))) {
+        return true;
+    }
+
+    return entry.name.toLowerCase().includes(text);
+}
+
+/**
+ * Group transfer endpoints and favorites for the directory. Phone number endpoints that are
+ * already favorites are listed once, as favorites.
+ * @param {Array<TransferEndpoint>} endpoints - Endpoints from the provider's `getTransferEndpoints`.
+ * @param {Array<Object>} [favorites] - The `transferNumbers` prop (`{ description, phoneNumber, warm? }`).
+ * @param {string} [query] - Search query.
+ * @returns {Array<DirectoryGroup>} Non-empty groups, favorites first.
+ */
+export function buildTransferDirectory(endpoints, favorites = [], query = '') {
+    const favoriteNumbers = favorites.map(favorite => digitsOf(favorite.phoneNumber));
+
+    const entries = [
+        ...favorites.map(favorite => ({
+            key: `favorite:${favorite.phoneNumber}`,
+            group: 'favorites',
+            name: favorite.description || favorite.phoneNumber,
+            type: ENDPOINT_TYPES.PHONE_NUMBER,
+            phoneNumber: favorite.phoneNumber,
+            endpoint: null,
+            transferNumber: favorite
+        })),
+        ...endpoints
+            .filter(endpoint => endpoint.type !== ENDPOINT_TYPES.PHONE_NUMBER
+                || !favoriteNumbers.includes(digitsOf(endpoint.phoneNumber)))
+            .map(endpoint => ({
+                key: endpoint.endpointId,
+                group: endpoint.type,
+                name: endpoint.name,
+                type: endpoint.type,
+                phoneNumber: endpoint.phoneNumber || null,
+                endpoint,
+                transferNumber: null
+            }))
+    ].filter(entry => matches(entry, query));
+
+    return GROUPS
+        .map(({ id, label }) => ({
+            id,
+            label,
+            entries: entries
+                .filter(entry => entry.group === id)
+                .sort((a, b) => (id === 'favorites' ? 0 : a.name.localeCompare(b.name)))
+                .map(({ group, ...entry }) => entry)
+        }))
+        .filter(group => group.entries.length);
+}
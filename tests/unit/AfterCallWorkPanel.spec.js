@@ -0,0 +1,68 @@
+import { shallowMount } from '@vue/test-utils'
+import AfterCallWorkPanel from '../../src/components/AfterCallWorkPanel.vue'
+
+describe('AfterCallWorkPanel.vue', () => {
+    const dispositionCodes = [
+        { id: 'resolved', label: 'Issue Resolved' },
+        { id: 'callback', label: 'Callback Required' }
+    ]
+
+    it('counts down the time left in after-call work', () => {
+        const wrapper = shallowMount(AfterCallWorkPanel, { propsData: { remainingTime: 25, duration: 95 } })
+
+        expect(wrapper.find('[title="Time remaining"]').text()).toBe('00:00:25')
+        expect(wrapper.find('[title="Time remaining"]').classes()).toContain('tw-text-red-600')
+    })
+
+    it('shows the time spent when after-call work has no limit', () => {
+        const wrapper = shallowMount(AfterCallWorkPanel, { propsData: { duration: 95 } })
+
+        expect(wrapper.find('[title="Time in after call work"]').text()).toBe('00:01:35')
+    })
+
+    it('requires a disposition before completing', async () => {
+        const wrapper = shallowMount(AfterCallWorkPanel, { propsData: { dispositionCodes } })
+        const button = wrapper.find('[title="Complete and go Available"]')
+
+        expect(button.attributes('disabled')).toBe('disabled')
+
+        await wrapper.find('select').setValue('callback')
+        await wrapper.find('textarea').setValue('  Call back after 5pm ')
+        await button.trigger('click')
+
+        expect(wrapper.emitted('complete')).toEqual([[{ dispositionId: 'callback', notes: 'Call back after 5pm' }]])
+    })
+
+    it('picks a sub-code under a category and requires its note', async () => {
+        const wrapper = shallowMount(AfterCallWorkPanel, {
+            propsData: {
+                dispositionCodes: [
+                    { id: 'sale', label: 'Sale', requiresNote: true, children: [{ id: 'sale_won', label: 'Won' }] }
+                ]
+            }
+        })
+        const button = wrapper.find('[title="Complete and go Available"]')
+
+        await wrapper.find('select').setValue('sale')
+        expect(button.attributes('disabled')).toBe('disabled')
+
+        await wrapper.find('[title="Disposition detail"]').setValue('sale_won')
+        expect(wrapper.find('[title="Notes required"]').exists()).toBe(true)
+        expect(button.attributes('disabled')).toBe('disabled')
+
+        await wrapper.find('textarea').setValue('Annual plan')
+        await button.trigger('click')
+
+        expect(wrapper.emitted('complete')).toEqual([[{ dispositionId: 'sale_won', notes: 'Annual plan' }]])
+    })
+
+    it('completes without a disposition when the provider has none', async () => {
+        const wrapper = shallowMount(AfterCallWorkPanel)
+
+        expect(wrapper.find('select').exists()).toBe(false)
+
+        await wrapper.find('[title="Complete and go Available"]').trigger('click')
+
+        expect(wrapper.emitted('complete')).toEqual([[{ dispositionId: null, notes: '' }]])
+    })
+})
@@ -0,0 +1,44 @@
+import { shallowMount } from '@vue/test-utils'
+import AudioDeviceSettings from '../../src/components/AudioDeviceSettings.vue'
+
+describe('AudioDeviceSettings.vue', () => {
+    const devices = {
+        inputs: [
+            { deviceId: 'default', label: 'Default - Laptop Microphone' },
+            { deviceId: 'headset-mic', label: 'Headset Microphone' }
+        ],
+        outputs: [
+            { deviceId: 'default', label: 'Default - Laptop Speakers' },
+            { deviceId: 'headset', label: 'Headset Earphones' }
+        ]
+    }
+
+    it('shows the devices in use and emits the one picked', async () => {
+        const wrapper = shallowMount(AudioDeviceSettings, {
+            propsData: { devices, selected: { input: 'headset-mic', output: 'headset', ringer: 'default' } }
+        })
+
+        expect(wrapper.find('select[title="Microphone"]').element.value).toBe('headset-mic')
+        expect(wrapper.find('select[title="Ringer"]').element.value).toBe('default')
+
+        await wrapper.find('select[title="Speaker"]').setValue('default')
+
+        expect(wrapper.emitted('select-device')[0]).toEqual([{ kind: 'output', deviceId: 'default' }])
+    })
+
+    it('leaves out the speaker and ringer where the browser cannot choose them', () => {
+        const wrapper = shallowMount(AudioDeviceSettings, {
+            propsData: { devices: { inputs: devices.inputs, outputs: [] } }
+        })
+
+        expect(wrapper.findAll('select').wrappers.map(select => select.attributes('title'))).toEqual(['Microphone'])
+    })
+
+    it('closes', async () => {
+        const wrapper = shallowMount(AudioDeviceSettings, { propsData: { devices } })
+
+        await wrapper.find('button[title="Close Audio Devices"]').trigger('click')
+
+        expect(wrapper.emitted('close')).toHaveLength(1)
+    })
+})
@@ -0,0 +1,49 @@
+import { shallowMount } from '@vue/test-utils'
+import CallHistoryPanel from '../../src/components/CallHistoryPanel.vue'
+
+describe('CallHistoryPanel.vue', () => {
+    const entries = [
+        {
+            id: 'call-2',
+            direction: 'inbound',
+            number: '+15555550199',
+            outcome: 'missed',
+            startedAt: '2025-07-21T15:10:00.000Z',
+            connectedAt: null,
+            endedAt: '2025-07-21T15:10:30.000Z'
+        },
+        {
+            id: 'call-1',
+            direction: 'outbound',
+            number: '+15555550123',
+            outcome: 'ended',
+            startedAt: '2025-07-21T15:00:00.000Z',
+            connectedAt: '2025-07-21T15:00:05.000Z',
+            endedAt: '2025-07-21T15:02:10.000Z'
+        }
+    ]
+
+    it('lists calls with their talk time or as missed', () => {
+        const wrapper = shallowMount(CallHistoryPanel, { propsData: { entries } })
+        const rows = wrapper.findAll('li')
+
+        expect(rows).toHaveLength(2)
+        expect(rows.at(0).text()).toContain('Missed')
+        expect(rows.at(1).text()).toContain('00:02:05')
+    })
+
+    it('emits redial with the entry', async () => {
+        const wrapper = shallowMount(CallHistoryPanel, { propsData: { entries } })
+
+        await wrapper.find('[title="Redial +15555550123"]').trigger('click')
+
+        expect(wrapper.emitted('redial')).toEqual([[entries[1]]])
+    })
+
+    it('shows an empty state without a clear button', () => {
+        const wrapper = shallowMount(CallHistoryPanel)
+
+        expect(wrapper.text()).toContain('No calls yet')
+        expect(wrapper.find('[title="Clear History"]').exists()).toBe(false)
+    })
+})
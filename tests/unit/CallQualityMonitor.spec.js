@@ -0,0 +1,101 @@
+import CallQualityMonitor, { parseCallStats, estimateMos, rateMos } from '../../src/services/diagnostics/CallQualityMonitor'
+
+describe('CallQualityMonitor', () => {
+    // A getStats() report `seconds` into a call of 50 packets a second, `lost` of them lost so far
+    const createReport = (seconds, { lost = 0, jitter = 0.01, rtt = 0.08 } = {}) => {
+        const packets = seconds * 50
+
+        return new Map([
+            ['in', { type: 'inbound-rtp', kind: 'audio', timestamp: seconds * 1000, jitter, packetsReceived: packets - lost, packetsLost: lost, bytesReceived: (packets - lost) * 160 }],
+            ['out', { type: 'outbound-rtp', kind: 'audio', timestamp: seconds * 1000, bytesSent: packets * 160 }],
+            ['video', { type: 'inbound-rtp', kind: 'video', timestamp: seconds * 1000, jitter: 1 }],
+            ['remote', { type: 'remote-inbound-rtp', kind: 'audio', roundTripTime: rtt }]
+        ])
+    }
+
+    const flushPromises = async () => {
+        for (let i = 0; i < 5; i++) {
+            await Promise.resolve()
+        }
+    }
+
+    it('estimates the MOS from latency, jitter and loss', () => {
+        expect(estimateMos({ rtt: 20, jitter: 2, packetLoss: 0 })).toBeCloseTo(4.4, 1)
+        expect(estimateMos({ rtt: 300, jitter: 50, packetLoss: 10 })).toBeLessThan(3)
+        expect(rateMos(4.2)).toBe('good')
+        expect(rateMos(3.5)).toBe('fair')
+        expect(rateMos(2.5)).toBe('poor')
+    })
+
+    it('reads audio jitter, loss, round trip and bitrate since the last sample', () => {
+        const first = parseCallStats(createReport(10))
+        const second = parseCallStats(createReport(12, { lost: 30, jitter: 0.02, rtt: 0.1 }), first.counters)
+
+        expect(first.metrics).toEqual(expect.objectContaining({ jitter: 10, packetLoss: 0, rtt: 80, inboundBitrate: null }))
+        expect(second.metrics).toEqual(expect.objectContaining({ jitter: 20, rtt: 100, outboundBitrate: 64 }))
+        // 30 of the 600 packets so far are lost, all of them in the last two seconds
+        expect(second.metrics.packetLoss).toBe(30)
+        expect(second.metrics.rating).toBe('poor')
+        expect(parseCallStats(new Map([['pair', { type: 'candidate-pair', selected: true }]]))).toBeNull()
+    })
+
+    it('keeps the MOS a provider reports with the inbound audio', () => {
+        const report = createReport(10)
+        report.get('in').mos = 3.2
+
+        expect(parseCallStats(report).metrics).toEqual(expect.objectContaining({ mos: 3.2, rating: 'fair' }))
+    })
+
+    it('warns once a metric stays past its threshold and summarizes the call', async () => {
+        let seconds = 0
+        let lost = 0
+        let lossPerSample = 0
+        const onSample = jest.fn()
+        const onWarning = jest.fn()
+        const monitor = new CallQualityMonitor({
+            getStats: () => Promise.resolve(createReport(seconds += 2, { lost: lost += lossPerSample })),
+            thresholds: { packetLoss: 5 },
+            onSample,
+            onWarning
+        })
+
+        await monitor.sample()
+        // 10 of every 100 packets from now on
+        lossPerSample = 10
+        await monitor.sample()
+        await monitor.sample()
+        await monitor.sample()
+        const summary = monitor.stop()
+
+        expect(onSample).toHaveBeenCalledTimes(4)
+        expect(onWarning).toHaveBeenCalledTimes(2)
+        expect(onWarning).toHaveBeenCalledWith(expect.objectContaining({ metric: 'packetLoss', value: 10, threshold: 5 }))
+        expect(onWarning).toHaveBeenCalledWith(expect.objectContaining({ metric: 'mos', threshold: 3.5 }))
+        expect(summary).toEqual(expect.objectContaining({
+            samples: 4,
+            worst: expect.objectContaining({ packetLoss: 10, rtt: 80 }),
+            warnings: ['packetLoss', 'mos']
+        }))
+        expect(summary.averages.packetLoss).toBe(7.5)
+    })
+
+    it('samples on an interval until stopped, skipping calls without media', async () => {
+        jest.useFakeTimers()
+        const getStats = jest.fn(() => Promise.resolve(null))
+        const monitor = new CallQualityMonitor({ getStats, interval: 1000 })
+
+        monitor.start()
+        for (let i = 0; i < 3; i++) {
+            jest.advanceTimersByTime(1000)
+            await flushPromises()
+        }
+
+        expect(getStats).toHaveBeenCalledTimes(3)
+        expect(monitor.stop()).toBeNull()
+
+        jest.advanceTimersByTime(3000)
+
+        expect(getStats).toHaveBeenCalledTimes(3)
+        jest.useRealTimers()
+    })
+})
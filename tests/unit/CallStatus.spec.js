@@ -0,0 +1,75 @@
+import { shallowMount } from '@vue/test-utils'
+import CallStatus from '../../src/components/CallStatus.vue'
+
+describe('CallStatus.vue', () => {
+    const agentStates = [
+        { name: 'Available', type: 'routable', isRoutable: true },
+        { name: 'Break', type: 'not-routable', isRoutable: false },
+        { name: 'Offline', type: 'offline', isRoutable: false }
+    ]
+
+    const createWrapper = (propsData = {}) => shallowMount(CallStatus, {
+        propsData: {
+            showCcpStatusActions: true,
+            showCcpPopupActions: false,
+            status: 'Available',
+            muted: false,
+            provider: 'mock',
+            agentStates,
+            ...propsData
+        }
+    })
+
+    it('groups the provider\'s states into routable and not routable', () => {
+        const wrapper = createWrapper()
+        const groups = wrapper.findAll('optgroup')
+
+        expect(groups.at(0).attributes('label')).toBe('Routable')
+        expect(groups.at(0).findAll('option').wrappers.map(option => option.text())).toEqual(['Available'])
+        expect(groups.at(1).attributes('label')).toBe('Not Routable')
+        expect(groups.at(1).findAll('option').wrappers.map(option => option.text())).toEqual(['Break', 'Offline'])
+    })
+
+    it('requests the picked state', async () => {
+        const wrapper = createWrapper()
+
+        await wrapper.find('[title="Agent status"]').setValue('Break')
+
+        expect(wrapper.emitted('set-agent-status')).toEqual([['Break']])
+    })
+
+    it('blocks offline states while the agent has a contact', async () => {
+        const wrapper = createWrapper({ status: 'Busy', hasContact: true })
+
+        expect(wrapper.find('option[value="Offline"]').attributes('disabled')).toBe('disabled')
+        expect(wrapper.find('option[value="Busy"]').text()).toBe('Connected')
+
+        await wrapper.find('[title="Agent status"]').setValue('Offline')
+
+        expect(wrapper.emitted('set-agent-status')).toBeUndefined()
+    })
+
+    it('shows the time in the current status', async () => {
+        const wrapper = createWrapper({ statusSince: 1000 })
+
+        await wrapper.setData({ now: 66000 })
+
+        expect(wrapper.find('[title="Time in status"]').text()).toBe('00:01:05')
+        wrapper.destroy()
+    })
+
+    it('shows the call quality during a call', () => {
+        const callQuality = { rating: 'poor', mos: 2.9, jitter: 45, packetLoss: 8, rtt: null }
+        const wrapper = createWrapper({ contactActive: true, callQuality })
+        const indicator = wrapper.find('[title^="Call quality"]')
+
+        expect(indicator.attributes('title')).toBe('Call quality: poor (MOS 2.9, 8% loss, 45 ms jitter)')
+        expect(indicator.classes()).toContain('tw-text-red-600')
+        wrapper.destroy()
+
+        const unsampled = createWrapper({ contactActive: true })
+
+        expect(unsampled.find('[title^="Call quality"]').exists()).toBe(false)
+        unsampled.destroy()
+    })
+})
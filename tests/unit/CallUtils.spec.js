@@ -15,5 +15,32 @@ describe('CallUtils', () => {
         it('handles international numbers', () => {
             expect(CallUtils.normalizeToE164('+442071234567')).toBe('+442071234567')
         })
+
+        it('uses the given country for national numbers', () => {
+            expect(CallUtils.normalizeToE164('020 7123 4567', 'GB')).toBe('+442071234567')
+            expect(CallUtils.normalizeToE164('020 7123 4567', '+44')).toBe('+442071234567')
+        })
+    })
+
+    describe('isValidPhoneNumber', () => {
+        it('validates numbers for their country', () => {
+            expect(CallUtils.isValidPhoneNumber('+44 20 7123 4567')).toBe(true)
+            expect(CallUtils.isValidPhoneNumber('06 12 34 56 78', 'FR')).toBe(true)
+            expect(CallUtils.isValidPhoneNumber('12345')).toBe(false)
+            expect(CallUtils.isValidPhoneNumber('+8613800138000')).toBe(true)
+        })
+    })
+
+    describe('isValidDtmf', () => {
+        it('accepts digits, star, pound and A-D', () => {
+            expect(CallUtils.isValidDtmf('0123456789*#')).toBe(true)
+            expect(CallUtils.isValidDtmf('A')).toBe(true)
+        })
+
+        it('rejects empty strings and other characters', () => {
+            expect(CallUtils.isValidDtmf('')).toBe(false)
+            expect(CallUtils.isValidDtmf('12 3')).toBe(false)
+            expect(CallUtils.isValidDtmf('+1')).toBe(false)
+        })
     })
 })
\ No newline at end of file
@@ -0,0 +1,24 @@
+import { shallowMount } from '@vue/test-utils'
+import ContactAttributesPanel from '../../src/components/ContactAttributesPanel.vue'
+
+describe('ContactAttributesPanel.vue', () => {
+    it('lists the attributes with their labels', () => {
+        const wrapper = shallowMount(ContactAttributesPanel, {
+            propsData: {
+                attributes: [
+                    { key: 'customerId', label: 'Customer ID', value: 'C-1001' },
+                    { key: 'ivrSelection', label: 'Menu choice', value: 'Billing' }
+                ]
+            }
+        })
+
+        expect(wrapper.findAll('dt').wrappers.map(label => label.text())).toEqual(['Customer ID', 'Menu choice'])
+        expect(wrapper.find('[title="Menu choice"] dd').text()).toBe('Billing')
+    })
+
+    it('says when the call has no details', () => {
+        const wrapper = shallowMount(ContactAttributesPanel)
+
+        expect(wrapper.text()).toContain('No details for this call')
+    })
+})
@@ -0,0 +1,40 @@
+import { shallowMount } from '@vue/test-utils'
+import DtmfKeypad from '../../src/components/DtmfKeypad.vue'
+
+describe('DtmfKeypad.vue', () => {
+    const pressKey = (key, options = {}) => {
+        window.dispatchEvent(new KeyboardEvent('keydown', { key, ...options }))
+    }
+
+    it('sends a digit per key and shows what was sent', async () => {
+        const wrapper = shallowMount(DtmfKeypad)
+
+        await wrapper.find('[title="Send 1"]').trigger('click')
+        await wrapper.find('[title="Send #"]').trigger('click')
+
+        expect(wrapper.emitted('send-digits')).toEqual([['1'], ['#']])
+        expect(wrapper.find('[title="Digits sent"]').text()).toBe('1#')
+    })
+
+    it('sends digits typed on the keyboard and closes on Escape', () => {
+        const wrapper = shallowMount(DtmfKeypad)
+
+        pressKey('7')
+        pressKey('*')
+        pressKey('a')
+        pressKey('1', { ctrlKey: true })
+        pressKey('Escape')
+
+        expect(wrapper.emitted('send-digits')).toEqual([['7'], ['*']])
+        expect(wrapper.emitted('close')).toHaveLength(1)
+    })
+
+    it('stops listening to the keyboard once destroyed', () => {
+        const wrapper = shallowMount(DtmfKeypad)
+
+        wrapper.destroy()
+        pressKey('3')
+
+        expect(wrapper.emitted('send-digits')).toBeUndefined()
+    })
+})
@@ -0,0 +1,99 @@
+import { shallowMount } from '@vue/test-utils'
+import MainControlPanel from '../../src/components/MainControlPanel.vue'
+import CallTransferActions from '../../src/components/CallTransferActions.vue'
+import DtmfKeypad from '../../src/components/DtmfKeypad.vue'
+import MicrophoneLevelMeter from '../../src/components/MicrophoneLevelMeter.vue'
+import { NO_CAPABILITIES } from '../../src/services/providers/capabilities'
+
+describe('MainControlPanel.vue', () => {
+    const transferNumbers = [
+        { description: 'Billing', phoneNumber: '+15555550100' },
+        { description: 'Supervisor', phoneNumber: '+15555550101', warm: true }
+    ]
+
+    const createWrapper = (propsData = {}) => {
+        return shallowMount(MainControlPanel, {
+            propsData: {
+                agentStatus: 'Busy',
+                hold: false,
+                muted: false,
+                transferNumbers,
+                ...propsData
+            }
+        })
+    }
+
+    it('shows every action when no capabilities are given', () => {
+        const wrapper = createWrapper()
+
+        expect(wrapper.find('[title="Mute"]').exists()).toBe(true)
+        expect(wrapper.find('[title="Hold"]').exists()).toBe(true)
+        expect(wrapper.findComponent(CallTransferActions).exists()).toBe(true)
+    })
+
+    it('hides actions the provider does not support', () => {
+        const wrapper = createWrapper({ capabilities: { ...NO_CAPABILITIES, mute: true } })
+
+        expect(wrapper.find('[title="Mute"]').exists()).toBe(true)
+        expect(wrapper.find('[title="Hold"]').exists()).toBe(false)
+        expect(wrapper.findComponent(CallTransferActions).exists()).toBe(false)
+        expect(wrapper.find('[title="Hang Up"]').exists()).toBe(true)
+    })
+
+    it('shows the microphone level while it is metered', () => {
+        expect(createWrapper().findComponent(MicrophoneLevelMeter).exists()).toBe(false)
+
+        const meter = createWrapper({ microphoneLevel: 0.5, muted: true }).findComponent(MicrophoneLevelMeter)
+
+        expect(meter.props()).toEqual({ level: 0.5, muted: true })
+    })
+
+    it('toggles between hold and resume', async () => {
+        const wrapper = createWrapper({ hold: true, capabilities: { ...NO_CAPABILITIES, hold: true } })
+
+        await wrapper.find('[title="Resume"]').trigger('click')
+
+        expect(wrapper.emitted('resume-call')).toHaveLength(1)
+    })
+
+    it('opens the keypad and forwards digits when the provider supports DTMF', async () => {
+        const wrapper = createWrapper({ capabilities: { ...NO_CAPABILITIES, dtmf: true } })
+
+        await wrapper.find('[title="Keypad"]').trigger('click')
+        wrapper.findComponent(DtmfKeypad).vm.$emit('send-digits', '5')
+
+        expect(wrapper.emitted('send-digits')).toEqual([['5']])
+        expect(createWrapper({ capabilities: NO_CAPABILITIES }).find('[title="Keypad"]').exists()).toBe(false)
+    })
+
+    it('offers only the transfer numbers the provider can dial', () => {
+        const wrapper = shallowMount(CallTransferActions, {
+            propsData: {
+                transferNumbers,
+                capabilities: { ...NO_CAPABILITIES, coldTransfer: true }
+            }
+        })
+
+        expect(wrapper.vm.availableTransferNumbers).toEqual([transferNumbers[0]])
+    })
+
+    it('offers queue transfers without transfer numbers and forwards the request', () => {
+        const wrapper = createWrapper({
+            transferNumbers: [],
+            capabilities: { ...NO_CAPABILITIES, queueTransfer: true }
+        })
+
+        wrapper.findComponent(CallTransferActions).vm.$emit('show-queue-transfer')
+
+        expect(wrapper.emitted('show-queue-transfer')).toHaveLength(1)
+    })
+
+    it('shows the queue button only when the provider supports queue transfers', () => {
+        const mountActions = capabilities => shallowMount(CallTransferActions, {
+            propsData: { transferNumbers, capabilities }
+        })
+
+        expect(mountActions({ ...NO_CAPABILITIES, coldTransfer: true }).find('[title="Transfer to Queue"]').exists()).toBe(false)
+        expect(mountActions({ ...NO_CAPABILITIES, warmQueueTransfer: true }).find('[title="Transfer to Queue"]').exists()).toBe(true)
+    })
+})
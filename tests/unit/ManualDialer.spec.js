@@ -0,0 +1,50 @@
+import { shallowMount } from '@vue/test-utils'
+import ManualDialer from '../../src/components/ManualDialer.vue'
+
+describe('ManualDialer.vue', () => {
+    const typeNumber = async (wrapper, value) => {
+        const input = wrapper.find('input')
+        input.element.value = value
+        await input.trigger('input')
+        return input
+    }
+
+    it('formats the number as it is typed for the default country', async () => {
+        const wrapper = shallowMount(ManualDialer, { propsData: { defaultCountry: 'GB' } })
+
+        const input = await typeNumber(wrapper, '02071234567')
+
+        expect(wrapper.find('select').element.value).toBe('GB')
+        expect(input.element.value).toBe('0 20 7123 4567')
+    })
+
+    it('switches country when an international number is typed', async () => {
+        const wrapper = shallowMount(ManualDialer)
+
+        await typeNumber(wrapper, '+33123456789')
+
+        expect(wrapper.vm.country).toBe('FR')
+        expect(wrapper.find('input').element.value).toBe('+33 1 23 45 67 89')
+    })
+
+    it('disables calling and explains why while the number is invalid', async () => {
+        const wrapper = shallowMount(ManualDialer)
+
+        await typeNumber(wrapper, '555012')
+
+        expect(wrapper.text()).toContain('Not a valid United States number')
+        expect(wrapper.find('[title="Enter a valid number"]').attributes('disabled')).toBe('disabled')
+    })
+
+    it('dials the E.164 number with the extension', async () => {
+        const wrapper = shallowMount(ManualDialer)
+
+        await typeNumber(wrapper, '2125550123')
+        await wrapper.find('[title="Enter #"]').trigger('click')
+        await wrapper.find('[title="Enter 4"]').trigger('click')
+        await wrapper.find('[title="Enter 2"]').trigger('click')
+        await wrapper.find('[title="Call (212) 555-0123 ext. 42"]').trigger('click')
+
+        expect(wrapper.emitted('placeCall')).toEqual([['+12125550123;ext=42']])
+    })
+})
@@ -0,0 +1,23 @@
+import { shallowMount } from '@vue/test-utils'
+import MicrophoneLevelMeter from '../../src/components/MicrophoneLevelMeter.vue'
+
+describe('MicrophoneLevelMeter.vue', () => {
+    const litColors = wrapper => wrapper.findAll('[role="meter"] span').wrappers
+        .map(segment => segment.classes().find(name => name.startsWith('tw-bg-')))
+        .filter(color => color !== 'tw-bg-gray-200')
+
+    it('lights segments up to the level, red near clipping', () => {
+        const wrapper = shallowMount(MicrophoneLevelMeter, { propsData: { level: 1 } })
+
+        expect(wrapper.find('[role="meter"]').attributes('aria-valuenow')).toBe('100')
+        expect(litColors(wrapper)).toHaveLength(12)
+        expect(litColors(wrapper).slice(-2)).toEqual(['tw-bg-red-500', 'tw-bg-red-500'])
+    })
+
+    it('greys the level out while muted', () => {
+        const wrapper = shallowMount(MicrophoneLevelMeter, { propsData: { level: 0.5, muted: true } })
+
+        expect(litColors(wrapper)).toEqual(Array(6).fill('tw-bg-gray-400'))
+        expect(wrapper.attributes('title')).toBe('Microphone level (muted)')
+    })
+})
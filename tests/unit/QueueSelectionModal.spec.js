@@ -0,0 +1,47 @@
+import { shallowMount } from '@vue/test-utils'
+import QueueSelectionModal from '../../src/components/QueueSelectionModal.vue'
+import { NO_CAPABILITIES } from '../../src/services/providers/capabilities'
+
+describe('QueueSelectionModal.vue', () => {
+    const queues = [
+        { queueId: 'sales', name: 'Sales Queue', availableAgents: 4 },
+        { queueId: 'billing', name: 'Billing Queue', availableAgents: 0 }
+    ]
+
+    const createWrapper = (propsData = {}) => shallowMount(QueueSelectionModal, {
+        propsData: { visible: true, queues, ...propsData }
+    })
+
+    it('lists queues with their available agents', () => {
+        const wrapper = createWrapper()
+        const rows = wrapper.findAll('li')
+
+        expect(rows).toHaveLength(2)
+        expect(rows.at(0).text()).toContain('4 agents available')
+        expect(rows.at(1).text()).toContain('No agents available')
+    })
+
+    it('emits cold and warm transfers with the selected queue', async () => {
+        const wrapper = createWrapper()
+
+        await wrapper.find('[title="Transfer to Sales Queue"]').trigger('click')
+        await wrapper.find('[title="Consult Billing Queue"]').trigger('click')
+
+        expect(wrapper.emitted('transfer')).toEqual([
+            [{ queue: queues[0], warm: false }],
+            [{ queue: queues[1], warm: true }]
+        ])
+    })
+
+    it('offers only the transfer types the provider supports', () => {
+        const wrapper = createWrapper({ capabilities: { ...NO_CAPABILITIES, queueTransfer: true } })
+
+        expect(wrapper.find('[title="Transfer to Sales Queue"]').exists()).toBe(true)
+        expect(wrapper.find('[title="Consult Sales Queue"]').exists()).toBe(false)
+    })
+
+    it('shows loading and empty states', () => {
+        expect(createWrapper({ loading: true }).text()).toContain('Loading queues...')
+        expect(createWrapper({ queues: [] }).text()).toContain('No queues available')
+    })
+})
@@ -15,8 +15,17 @@ jest.mock('../../src/services/softphoneFactory', () => ({
         unmuteConnection: jest.fn(),
         transferCall: jest.fn(),
         endTransferCall: jest.fn(),
-        openLogin: jest.fn()
-    }))
+        openLogin: jest.fn(),
+        destroy: jest.fn(),
+        getAgentStates: jest.fn(() => Promise.resolve([])),
+        getAgentConfiguration: jest.fn(() => Promise.resolve({})),
+        getAgentContacts: jest.fn(() => Promise.resolve([{ contactId: 'contact-123' }])),
+        setAgentState: jest.fn(() => Promise.resolve('Available')),
+        logoutAgent: jest.fn(() => Promise.resolve(true)),
+        getLogs: jest.fn(() => []),
+        getCapabilities: jest.fn(() => ({ mute: true, hold: false, conference: true }))
+    })),
+    isSupportedSoftphoneProvider: jest.fn(provider => ['amazon-connect', 'twilio'].includes(provider))
 }))
 
 describe('Softphone.vue', () => {
@@ -47,6 +56,65 @@ describe('Softphone.vue', () => {
         expect(wrapper.vm.softphone.initialize).toHaveBeenCalled()
     })
 
+    describe('provider', () => {
+        it('initializes the provider passed as a prop with its config', () => {
+            const providerConfig = { token: 'twilio-token' }
+            const wrapper = createWrapper({ provider: 'twilio', providerConfig })
+
+            wrapper.vm.initializeSoftphone()
+
+            expect(getSoftphoneService).toHaveBeenCalledWith('twilio')
+            expect(wrapper.vm.softphone.initialize).toHaveBeenCalledWith(
+                expect.objectContaining({ token: 'twilio-token' })
+            )
+        })
+
+        it('tears down the previous provider when switching at runtime', async () => {
+            const wrapper = createWrapper()
+            wrapper.vm.initializeSoftphone()
+            const previous = wrapper.vm.softphone
+            wrapper.setData({ diagnosticsCompleted: true })
+
+            await wrapper.setProps({ provider: 'twilio' })
+            await new Promise(resolve => setTimeout(resolve))
+
+            expect(previous.destroy).toHaveBeenCalled()
+            expect(getSoftphoneService).toHaveBeenLastCalledWith('twilio')
+        })
+
+        it('waits for the previous provider to be destroyed before starting the next', async () => {
+            const wrapper = createWrapper()
+            wrapper.vm.initializeSoftphone()
+            let destroyed
+            wrapper.vm.softphone.destroy.mockReturnValue(new Promise(resolve => (destroyed = resolve)))
+            wrapper.setData({ diagnosticsCompleted: true })
+
+            await wrapper.setProps({ provider: 'twilio' })
+
+            expect(getSoftphoneService).toHaveBeenCalledTimes(1)
+
+            destroyed()
+            await new Promise(resolve => setTimeout(resolve))
+
+            expect(getSoftphoneService).toHaveBeenCalledTimes(2)
+            expect(getSoftphoneService).toHaveBeenLastCalledWith('twilio')
+        })
+    })
+
+    describe('capabilities', () => {
+        it('resolves the active provider capabilities with host overrides', () => {
+            const wrapper = createWrapper({ providerConfig: { capabilities: { hold: true, conference: false } } })
+            wrapper.vm.initializeSoftphone()
+
+            expect(wrapper.vm.capabilities).toEqual(expect.objectContaining({
+                mute: true,
+                hold: true,
+                conference: false,
+                merge: false
+            }))
+        })
+    })
+
     describe('placeCall', () => {
         it('places outgoing call correctly', () => {
             const wrapper = createWrapper()
@@ -54,25 +122,82 @@ describe('Softphone.vue', () => {
 
             wrapper.vm.placeCall(phoneNumber)
 
-            expect(wrapper.vm.callType).toBe('Outgoing')
+            expect(wrapper.vm.callState).toBe('dialing')
             expect(wrapper.vm.contactActive).toBe(true)
-            expect(wrapper.vm.softphone.placeCall).toHaveBeenCalledWith(phoneNumber)
+            expect(wrapper.vm.softphone.placeCall).toHaveBeenCalledWith(phoneNumber, { extension: null })
         })
     })
 
     describe('handleEndCall', () => {
         it('ends call and resets state', async () => {
             const wrapper = createWrapper()
-            wrapper.setData({
-                contactActive: true,
-                agent: { muted: true }
-            })
+            wrapper.vm.callMachine.send('connect')
 
             await wrapper.vm.handleEndCall()
 
             expect(wrapper.vm.softphone.hangUpCall).toHaveBeenCalled()
+            expect(wrapper.vm.callState).toBe('idle')
             expect(wrapper.vm.contactActive).toBe(false)
         })
+
+        it('waits in after-call work while the provider reports it', async () => {
+            const wrapper = createWrapper()
+            wrapper.vm.callMachine.send('connect')
+            wrapper.vm.handleStatusChange('AfterCallWork')
+            await wrapper.vm.$nextTick()
+
+            expect(wrapper.vm.softphone.hangUpCall).not.toHaveBeenCalled()
+            expect(wrapper.vm.callState).toBe('after-call-work')
+
+            wrapper.vm.handleStatusChange('Available')
+            await wrapper.vm.$nextTick()
+
+            expect(wrapper.vm.callState).toBe('idle')
+            expect(wrapper.emitted()['call-state-changed'].map(([change]) => change.state))
+                .toEqual(['connected', 'after-call-work', 'idle'])
+        })
+
+        it('emits call-ended for each contact reported by the provider', async () => {
+            const wrapper = createWrapper()
+            wrapper.vm.initializeSoftphone()
+
+            wrapper.vm.handleEndCall()
+            await wrapper.vm.$nextTick()
+
+            expect(wrapper.vm.softphone.getAgentContacts).toHaveBeenCalled()
+            expect(wrapper.emitted()['call-ended'][0]).toEqual([{ contactId: 'contact-123', ccpLogs: [], session: null, quality: null }])
+        })
+
+        it('reports each call once when the provider also reports the end', async () => {
+            const wrapper = createWrapper()
+            wrapper.vm.initializeSoftphone()
+            const { onConnecting, onCallEnded } = wrapper.vm.softphone.initialize.mock.calls[0][0]
+            const session = { id: 'contact-123', remoteNumber: '+15555550123', state: 'dialing' }
+
+            onConnecting(session)
+            wrapper.vm.handleEndCall()
+            await wrapper.vm.$nextTick()
+            onCallEnded({ ...session, state: 'ended' })
+
+            expect(wrapper.emitted()['call-started'][0][0]).toEqual(expect.objectContaining({
+                contactId: 'contact-123',
+                patient_phone_number: '+15555550123',
+                session
+            }))
+            expect(wrapper.emitted()['call-ended']).toHaveLength(1)
+            expect(wrapper.emitted()['call-ended'][0][0].session.state).toBe('ended')
+        })
+    })
+
+    describe('agent operations', () => {
+        it('sets the agent state through the active provider', () => {
+            const wrapper = createWrapper()
+            wrapper.vm.initializeSoftphone()
+
+            wrapper.vm.setAgentRoutingState('Available')
+
+            expect(wrapper.vm.softphone.setAgentState).toHaveBeenCalledWith('Available')
+        })
     })
 
     describe('handleMuteAudio', () => {
@@ -107,6 +232,7 @@ describe('Softphone.vue', () => {
     describe('call transfer', () => {
         it('handles call transfer correctly', () => {
             const wrapper = createWrapper()
+            wrapper.vm.callMachine.send('connect')
             const transferNumber = {
                 phoneNumber: '+1234567890',
                 warm: true
@@ -0,0 +1,52 @@
+import { shallowMount } from '@vue/test-utils'
+import TransferDirectory from '../../src/components/TransferDirectory.vue'
+import { NO_CAPABILITIES } from '../../src/services/providers/capabilities'
+
+describe('TransferDirectory.vue', () => {
+    const endpoints = [
+        { endpointId: 'a-1', name: 'Alex Morgan', type: 'agent', phoneNumber: null },
+        { endpointId: 'q-1', name: 'Billing', type: 'queue', phoneNumber: null }
+    ]
+    const favorites = [{ description: 'Supervisor', phoneNumber: '+15555550101', warm: true }]
+
+    const createWrapper = (propsData = {}) => shallowMount(TransferDirectory, {
+        propsData: { endpoints, favorites, ...propsData }
+    })
+
+    it('transfers to favorites with their own transfer type', async () => {
+        const wrapper = createWrapper()
+
+        await wrapper.find('[title="Transfer to Supervisor"]').trigger('click')
+
+        expect(wrapper.emitted('transfer-call')).toEqual([[favorites[0]]])
+    })
+
+    it('transfers to endpoints cold or warm', async () => {
+        const wrapper = createWrapper()
+
+        await wrapper.find('[title="Consult Alex Morgan"]').trigger('click')
+        await wrapper.find('[title="Transfer to Billing"]').trigger('click')
+
+        expect(wrapper.emitted('transfer-endpoint')).toEqual([
+            [{ endpoint: endpoints[0], warm: true }],
+            [{ endpoint: endpoints[1], warm: false }]
+        ])
+    })
+
+    it('uses the queue capabilities for queues', () => {
+        const wrapper = createWrapper({ capabilities: { ...NO_CAPABILITIES, warmTransfer: true, queueTransfer: true } })
+
+        expect(wrapper.find('[title="Consult Alex Morgan"]').exists()).toBe(true)
+        expect(wrapper.find('[title="Consult Billing"]').exists()).toBe(false)
+        expect(wrapper.find('[title="Transfer to Billing"]').exists()).toBe(true)
+    })
+
+    it('filters the directory as the agent types', async () => {
+        const wrapper = createWrapper()
+
+        await wrapper.find('input').setValue('alex')
+
+        expect(wrapper.text()).toContain('Alex Morgan')
+        expect(wrapper.text()).not.toContain('Billing')
+    })
+})
@@ -217,6 +217,53 @@ describe('agentService', () => {
     });
   });
   
+  describe('Audio devices', () => {
+    beforeEach(() => {
+      // initializeAgent reads window.connect, which jsdom does not take from global.window
+      window.connect = {
+        agent: jest.fn(callback => callback(mockAgentInstance))
+      };
+    });
+
+    afterEach(() => {
+      agentService.teardown();
+      delete window.connect;
+    });
+
+    it('should apply devices chosen before login once the agent is available', async () => {
+      // Setup
+      agentService.teardown();
+      Object.assign(mockAgentInstance, {
+        setMicrophoneDevice: jest.fn(),
+        setSpeakerDevice: jest.fn(),
+        setRingerDevice: jest.fn()
+      });
+
+      // Test
+      await agentService.setAudioDevices({ input: 'headset-mic', output: 'headset' });
+      const beforeLogin = mockAgentInstance.setMicrophoneDevice.mock.calls.length;
+      await agentService.initializeAgent({});
+      await agentService.setAudioDevices({ ringer: 'speakers' });
+
+      // Verify
+      expect(beforeLogin).toBe(0);
+      expect(mockAgentInstance.setMicrophoneDevice).toHaveBeenCalledWith('headset-mic');
+      expect(mockAgentInstance.setSpeakerDevice).toHaveBeenCalledWith('headset');
+      expect(mockAgentInstance.setRingerDevice).toHaveBeenCalledWith('speakers');
+      expect(mockAgentInstance.setSpeakerDevice).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject when Streams cannot set audio devices', async () => {
+      // Setup
+      agentService.teardown();
+      await agentService.initializeAgent({});
+
+      // Test & Verify
+      await expect(agentService.setAudioDevices({ input: 'headset-mic' }))
+        .rejects.toThrow('This version of Amazon Connect Streams cannot set audio devices.');
+    });
+  });
+
   describe('CCP logs', () => {
     it('should get CCP logs', () => {
       const logs = agentService.getCcpLogs();
@@ -38,6 +38,39 @@ describe('amazonConnectService', () => {
     process.env.MIX_AWS_CONNECT_URL = 'test.awsapps.com';
   });
 
+  describe('initialize', () => {
+    it('should reject instead of alerting when Streams is not loaded', async () => {
+      // Setup
+      const connect = window.connect;
+      delete window.connect;
+      window.alert = jest.fn();
+
+      // Test & Verify
+      await expect(amazonConnectService.initialize({})).rejects.toThrow('Amazon Connect Streams API not loaded');
+      expect(window.alert).not.toHaveBeenCalled();
+      expect(agentService.initializeAgent).not.toHaveBeenCalled();
+
+      window.connect = connect;
+    });
+
+    it('should silence the CCP ringtone when the softphone rings itself', async () => {
+      // Setup
+      const connect = window.connect;
+      const initCCP = jest.fn();
+      window.connect = { core: { initCCP } };
+
+      // Test
+      await amazonConnectService.initialize({ container: {}, disableRingtone: true });
+
+      // Verify
+      expect(initCCP).toHaveBeenCalledWith({}, expect.objectContaining({
+        softphone: { allowFramedSoftphone: true, disableRingtone: true }
+      }));
+
+      window.connect = connect;
+    });
+  });
+
   describe('holdCall and resumeCall', () => {
     it('should call contactService methods and return their promises', async () => {
       // Setup
@@ -123,4 +156,143 @@ describe('amazonConnectService', () => {
       expect(document.getElementById).toHaveBeenCalledWith('ccpContainer');
     });
   });
+
+  describe('agent operations', () => {
+    it('should delegate agent operations to agentService', async () => {
+      // Setup
+      const states = [{ name: 'Available', type: 'routable', isRoutable: true }];
+      agentService.getAvailableAgentStates.mockResolvedValue(states);
+      agentService.setRoutingState.mockResolvedValue('Available');
+      agentService.logout.mockResolvedValue(true);
+      agentService.getCcpLogs.mockReturnValue(['log1']);
+
+      // Test
+      const statesResult = await amazonConnectService.getAgentStates();
+      const stateResult = await amazonConnectService.setAgentState('Available');
+      const logoutResult = await amazonConnectService.logoutAgent();
+      const logs = amazonConnectService.getLogs();
+
+      // Verify
+      expect(statesResult).toEqual(states);
+      expect(agentService.setRoutingState).toHaveBeenCalledWith('Available');
+      expect(stateResult).toBe('Available');
+      expect(logoutResult).toBe(true);
+      expect(logs).toEqual(['log1']);
+    });
+  });
+
+  describe('quick connects', () => {
+    it('should list quick connects from agent.getEndpoints and transfer to them', async () => {
+      // Setup
+      const endpoints = [
+        { endpointId: 'e-agent', name: 'Alex', type: 'agent' },
+        { endpointId: 'e-queue', name: 'Billing', type: 'queue' },
+        { endpointId: 'e-phone', name: 'Front Desk', type: 'phone_number', phoneNumber: '+15555550100' }
+      ];
+      const agentInstance = {
+        getAllQueueARNs: jest.fn().mockReturnValue(['arn:queue']),
+        getEndpoints: jest.fn((queueARNs, { success }) => success({ endpoints }))
+      };
+      const contactInstance = {
+        addConnection: jest.fn((endpoint, { success }) => success())
+      };
+      agentService.getAgentInstance.mockReturnValue(agentInstance);
+      contactService.getContactInstance.mockReturnValue(contactInstance);
+
+      // Test
+      const directory = await amazonConnectService.getTransferEndpoints();
+      const queues = await amazonConnectService.getAvailableQueues();
+      await amazonConnectService.transferToEndpoint('e-agent', true);
+
+      // Verify
+      expect(agentInstance.getEndpoints).toHaveBeenCalledWith(['arn:queue'], expect.any(Object));
+      expect(directory).toEqual([
+        { endpointId: 'e-agent', name: 'Alex', type: 'agent', phoneNumber: null },
+        { endpointId: 'e-queue', name: 'Billing', type: 'queue', phoneNumber: null },
+        { endpointId: 'e-phone', name: 'Front Desk', type: 'phone-number', phoneNumber: '+15555550100' }
+      ]);
+      expect(queues).toEqual([{ queueId: 'e-queue', name: 'Billing' }]);
+      expect(contactInstance.addConnection).toHaveBeenCalledWith(endpoints[0], expect.any(Object));
+      await expect(amazonConnectService.transferToEndpoint('missing')).rejects.toThrow('Unknown quick connect: missing');
+    });
+
+    it('should cold transfer by adding the quick connect and dropping the agent', async () => {
+      // Setup
+      const endpoints = [{ endpointId: 'e-phone', name: 'Front Desk', type: 'phone_number', phoneNumber: '+15555550100' }];
+      const agentConnection = { destroy: jest.fn(({ success }) => success()) };
+      const contactInstance = {
+        addConnection: jest.fn((endpoint, { success }) => success()),
+        getAgentConnection: jest.fn().mockReturnValue(agentConnection),
+        toggleActiveConnections: jest.fn()
+      };
+      agentService.getAgentInstance.mockReturnValue({
+        getAllQueueARNs: jest.fn().mockReturnValue([]),
+        getEndpoints: jest.fn((queueARNs, { success }) => success({ endpoints }))
+      });
+      contactService.getContactInstance.mockReturnValue(contactInstance);
+      await amazonConnectService.getTransferEndpoints();
+
+      // Test
+      const result = await amazonConnectService.transferToEndpoint('e-phone');
+
+      // Verify
+      expect(result).toBe(false);
+      expect(contactInstance.addConnection).toHaveBeenCalledWith(endpoints[0], expect.any(Object));
+      expect(agentConnection.destroy).toHaveBeenCalled();
+      expect(contactInstance.toggleActiveConnections).not.toHaveBeenCalled();
+    });
+
+    it('should stay on the call when the quick connect cannot be added', async () => {
+      // Setup
+      const endpoints = [{ endpointId: 'e-agent', name: 'Alex', type: 'agent' }];
+      const agentConnection = { destroy: jest.fn() };
+      const contactInstance = {
+        addConnection: jest.fn((endpoint, { failure }) => failure('busy')),
+        getAgentConnection: jest.fn().mockReturnValue(agentConnection)
+      };
+      agentService.getAgentInstance.mockReturnValue({
+        getAllQueueARNs: jest.fn().mockReturnValue([]),
+        getEndpoints: jest.fn((queueARNs, { success }) => success({ endpoints }))
+      });
+      contactService.getContactInstance.mockReturnValue(contactInstance);
+      await amazonConnectService.getTransferEndpoints();
+
+      // Test & Verify
+      await expect(amazonConnectService.transferToEndpoint('e-agent')).rejects.toThrow('Failed to transfer call: busy');
+      expect(agentConnection.destroy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getContactAttributes', () => {
+    it('should flatten the contact flow attributes to their values', async () => {
+      // Setup
+      contactService.getContactInstance.mockReturnValue({
+        getAttributes: jest.fn().mockReturnValue({
+          customerId: { name: 'customerId', value: 'C-1001' },
+          ivrSelection: { name: 'ivrSelection', value: '2' }
+        })
+      });
+
+      // Test
+      const attributes = await amazonConnectService.getContactAttributes();
+
+      // Verify
+      expect(attributes).toEqual({ customerId: 'C-1001', ivrSelection: '2' });
+    });
+  });
+
+  describe('destroy', () => {
+    it('should tear down agent and contact listeners and terminate the CCP', async () => {
+      // Setup
+      window.connect = { core: { terminate: jest.fn() } };
+
+      // Test
+      await amazonConnectService.destroy();
+
+      // Verify
+      expect(agentService.teardown).toHaveBeenCalled();
+      expect(contactService.teardown).toHaveBeenCalled();
+      expect(window.connect.core.terminate).toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,79 @@
+import AudioDeviceManager, { resolveAudioDevice, resolveAudioDevices } from '../../src/services/audioDevices'
+
+describe('audioDevices', () => {
+    const createStorage = (items = {}) => ({
+        getItem: jest.fn(key => items[key] ?? null),
+        setItem: jest.fn((key, value) => { items[key] = value })
+    })
+
+    it('uses the chosen device while it is plugged in, then the default one', () => {
+        const devices = [{ deviceId: 'default' }, { deviceId: 'headset' }]
+
+        expect(resolveAudioDevice(devices, 'headset')).toBe('headset')
+        expect(resolveAudioDevice(devices, 'unplugged')).toBe('default')
+        expect(resolveAudioDevice([{ deviceId: 'speakers' }], null)).toBe('speakers')
+        expect(resolveAudioDevice([], 'headset')).toBe(null)
+        expect(resolveAudioDevices(
+            { inputs: [{ deviceId: 'default' }], outputs: [] },
+            { input: 'headset-mic', output: 'headset', ringer: 'headset' }
+        )).toEqual({ input: 'default', output: null, ringer: null })
+    })
+
+    it('lists microphones and speakers, numbering them until labels are allowed', async () => {
+        const manager = new AudioDeviceManager({
+            mediaDevices: {
+                enumerateDevices: () => Promise.resolve([
+                    { kind: 'audioinput', deviceId: 'default', label: 'Default - Headset Microphone' },
+                    { kind: 'audioinput', deviceId: 'mic-2', label: '' },
+                    { kind: 'videoinput', deviceId: 'camera', label: 'Camera' },
+                    { kind: 'audiooutput', deviceId: 'default', label: 'Default - Speakers' }
+                ])
+            },
+            storage: null
+        })
+
+        expect(await manager.listDevices()).toEqual({
+            inputs: [
+                { deviceId: 'default', label: 'Default - Headset Microphone' },
+                { deviceId: 'mic-2', label: 'Microphone 2' }
+            ],
+            outputs: [{ deviceId: 'default', label: 'Default - Speakers' }]
+        })
+        expect(await new AudioDeviceManager({ mediaDevices: null }).listDevices()).toEqual({ inputs: [], outputs: [] })
+    })
+
+    it('remembers choices in storage', () => {
+        const storage = createStorage()
+        new AudioDeviceManager({ storage }).savePreference('input', 'headset-mic')
+
+        expect(new AudioDeviceManager({ storage }).getPreferences()).toEqual({ input: 'headset-mic', output: null, ringer: null })
+    })
+
+    it('keeps choices for the page when storage is unreadable or full', () => {
+        const storage = createStorage({ 'vue-softphone:audio-devices': '{not json' })
+        storage.setItem.mockImplementation(() => { throw new Error('QuotaExceededError') })
+        jest.spyOn(console, 'warn').mockImplementation(() => {})
+        const manager = new AudioDeviceManager({ storage })
+
+        expect(manager.getPreferences()).toEqual({ input: null, output: null, ringer: null })
+
+        manager.savePreference('output', 'headset')
+
+        expect(manager.getPreferences().output).toBe('headset')
+        console.warn.mockRestore()
+    })
+
+    it('follows devices being plugged in and out until told to stop', () => {
+        const mediaDevices = { addEventListener: jest.fn(), removeEventListener: jest.fn() }
+        const onChange = jest.fn()
+        const stop = new AudioDeviceManager({ mediaDevices, storage: null }).watch(onChange)
+        const [[event, listener]] = mediaDevices.addEventListener.mock.calls
+
+        listener()
+        stop()
+
+        expect(event).toBe('devicechange')
+        expect(onChange).toHaveBeenCalledTimes(1)
+        expect(mediaDevices.removeEventListener).toHaveBeenCalledWith('devicechange', listener)
+    })
+})
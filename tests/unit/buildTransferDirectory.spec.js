@@ -0,0 +1,36 @@
+import { buildTransferDirectory, ENDPOINT_TYPES } from '../../src/services/transferDirectory'
+
+describe('transferDirectory', () => {
+    const endpoints = [
+        { endpointId: 'q-2', name: 'Support', type: ENDPOINT_TYPES.QUEUE, phoneNumber: null },
+        { endpointId: 'q-1', name: 'Billing', type: ENDPOINT_TYPES.QUEUE, phoneNumber: null },
+        { endpointId: 'a-1', name: 'Alex Morgan', type: ENDPOINT_TYPES.AGENT, phoneNumber: null },
+        { endpointId: 'p-1', name: 'Pharmacy', type: ENDPOINT_TYPES.PHONE_NUMBER, phoneNumber: '+15555550150' },
+        { endpointId: 'p-2', name: 'Front Desk', type: ENDPOINT_TYPES.PHONE_NUMBER, phoneNumber: '+15555550100' }
+    ]
+    const favorites = [{ description: 'Front Desk (favorite)', phoneNumber: '+1 555 555 0100' }]
+
+    const names = groups => groups.map(group => [group.id, group.entries.map(entry => entry.name)])
+
+    it('groups endpoints by type after the favorites, sorted by name', () => {
+        expect(names(buildTransferDirectory(endpoints, favorites))).toEqual([
+            ['favorites', ['Front Desk (favorite)']],
+            ['agent', ['Alex Morgan']],
+            ['queue', ['Billing', 'Support']],
+            ['phone-number', ['Pharmacy']]
+        ])
+    })
+
+    it('keeps what favorites and endpoints need to be transferred to', () => {
+        const [favoriteGroup, agentGroup] = buildTransferDirectory(endpoints, favorites)
+
+        expect(favoriteGroup.entries[0]).toEqual(expect.objectContaining({ transferNumber: favorites[0], endpoint: null }))
+        expect(agentGroup.entries[0]).toEqual(expect.objectContaining({ endpoint: endpoints[2], transferNumber: null }))
+    })
+
+    it('searches by name or by number', () => {
+        expect(names(buildTransferDirectory(endpoints, favorites, 'bill'))).toEqual([['queue', ['Billing']]])
+        expect(names(buildTransferDirectory(endpoints, favorites, '555-0150'))).toEqual([['phone-number', ['Pharmacy']]])
+        expect(buildTransferDirectory(endpoints, favorites, 'nobody')).toEqual([])
+    })
+})
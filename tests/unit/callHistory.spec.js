@@ -0,0 +1,121 @@
+import CallHistoryStore, { CallActivity, createCallHistoryEntry } from '../../src/services/callHistory'
+import { createCallSession, updateCallSession } from '../../src/services/callSession'
+
+describe('callHistory', () => {
+    const entry = (id, startedAt, fields = {}) => ({
+        id,
+        provider: 'mock',
+        direction: 'outbound',
+        number: '+15555550123',
+        outcome: 'ended',
+        startedAt,
+        connectedAt: startedAt,
+        endedAt: startedAt,
+        holdSeconds: 0,
+        events: [],
+        disposition: null,
+        ...fields
+    })
+
+    describe('CallActivity', () => {
+        it('adds up hold time and records transfer and conference events', () => {
+            const activity = new CallActivity()
+            const at = seconds => new Date(Date.UTC(2025, 0, 1, 12, 0, seconds))
+
+            activity.record({ from: 'connected', to: 'on-hold', event: 'hold' }, at(0))
+            activity.record({ from: 'on-hold', to: 'connected', event: 'resume' }, at(20))
+            activity.record({ from: 'connected', to: 'on-hold', event: 'hold' }, at(30))
+            activity.record({ from: 'on-hold', to: 'transferring', event: 'transfer' }, at(40))
+
+            expect(activity.getHoldSeconds(at(50))).toBe(30)
+            expect(activity.events.map(event => event.type)).toEqual(['hold', 'resume', 'hold', 'transfer'])
+        })
+
+        it('counts a hold still in progress', () => {
+            const activity = new CallActivity()
+
+            activity.record({ from: 'connected', to: 'on-hold', event: 'hold' }, new Date(0))
+
+            expect(activity.getHoldSeconds(new Date(15000))).toBe(15)
+        })
+    })
+
+    describe('createCallHistoryEntry', () => {
+        it('builds an entry from the ended session and its activity', () => {
+            const session = updateCallSession(createCallSession({
+                id: 'call-1',
+                provider: 'twilio',
+                direction: 'inbound',
+                remoteNumber: '+15555550123',
+                state: 'ringing'
+            }), { state: 'ended' })
+            const activity = new CallActivity()
+            activity.events.push({ type: 'conference', at: session.startedAt })
+
+            expect(createCallHistoryEntry(session, activity)).toEqual(expect.objectContaining({
+                id: 'call-1',
+                provider: 'twilio',
+                direction: 'inbound',
+                number: '+15555550123',
+                outcome: 'ended',
+                endedAt: session.endedAt,
+                holdSeconds: 0,
+                events: [{ type: 'conference', at: session.startedAt }],
+                disposition: null
+            }))
+        })
+    })
+
+    describe('CallHistoryStore', () => {
+        it('keeps calls in memory when IndexedDB is unavailable, newest first', async () => {
+            const store = new CallHistoryStore({ indexedDB: null })
+
+            await store.add(entry('older', '2025-01-01T10:00:00.000Z'))
+            await store.add(entry('newer', '2025-01-01T11:00:00.000Z'))
+
+            expect((await store.list()).map(call => call.id)).toEqual(['newer', 'older'])
+        })
+
+        it('drops the oldest calls beyond the limit', async () => {
+            const store = new CallHistoryStore({ indexedDB: null, limit: 2 })
+
+            await store.add(entry('a', '2025-01-01T10:00:00.000Z'))
+            await store.add(entry('b', '2025-01-01T11:00:00.000Z'))
+            await store.add(entry('c', '2025-01-01T12:00:00.000Z'))
+
+            expect((await store.list()).map(call => call.id)).toEqual(['c', 'b'])
+        })
+
+        it('updates stored calls and ignores unknown ones', async () => {
+            const store = new CallHistoryStore({ indexedDB: null })
+            await store.add(entry('a', '2025-01-01T10:00:00.000Z'))
+
+            const updated = await store.update('a', { disposition: { code: 'resolved' } })
+
+            expect(updated.disposition).toEqual({ code: 'resolved' })
+            expect(await store.update('missing', { disposition: null })).toBeNull()
+        })
+
+        it('falls back to memory when the database cannot be opened', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {})
+            const request = {}
+            const indexedDB = {
+                open: jest.fn(() => {
+                    setTimeout(() => {
+                        request.error = new Error('blocked')
+                        request.onerror()
+                    })
+                    return request
+                })
+            }
+            const store = new CallHistoryStore({ indexedDB })
+
+            await store.add(entry('a', '2025-01-01T10:00:00.000Z'))
+            await store.clear()
+
+            expect(indexedDB.open).toHaveBeenCalledTimes(1)
+            expect(await store.list()).toEqual([])
+            console.warn.mockRestore()
+        })
+    })
+})
@@ -0,0 +1,77 @@
+import {
+    createCallSession,
+    updateCallSession,
+    isCallSessionEnded,
+    CALL_DIRECTIONS,
+    CALL_SESSION_STATES
+} from '../../src/services/callSession'
+
+describe('callSession', () => {
+    const rawCall = { sdk: 'handle' }
+
+    const createSession = (fields = {}) => createCallSession({
+        id: 'call-1',
+        provider: 'mock',
+        direction: CALL_DIRECTIONS.OUTBOUND,
+        remoteNumber: '+15555550123',
+        raw: rawCall,
+        ...fields
+    })
+
+    describe('createCallSession', () => {
+        it('starts outbound calls dialing and inbound calls ringing', () => {
+            expect(createSession().state).toBe(CALL_SESSION_STATES.DIALING)
+            expect(createSession({ direction: CALL_DIRECTIONS.INBOUND }).state).toBe(CALL_SESSION_STATES.RINGING)
+        })
+
+        it('keeps the provider handle out of JSON and enumeration', () => {
+            const session = createSession()
+
+            expect(session.raw).toBe(rawCall)
+            expect(Object.keys(session)).not.toContain('raw')
+            expect(JSON.parse(JSON.stringify(session))).toEqual(expect.objectContaining({
+                id: 'call-1',
+                provider: 'mock',
+                direction: 'outbound',
+                remoteNumber: '+15555550123',
+                queue: null,
+                connectedAt: null,
+                endedAt: null,
+                participants: []
+            }))
+        })
+
+        it('is immutable', () => {
+            const session = createSession()
+
+            expect(Object.isFrozen(session)).toBe(true)
+            expect(Object.isFrozen(session.participants)).toBe(true)
+        })
+    })
+
+    describe('updateCallSession', () => {
+        it('returns a new session and leaves the original untouched', () => {
+            const session = createSession()
+
+            const connected = updateCallSession(session, { state: CALL_SESSION_STATES.CONNECTED })
+
+            expect(session.state).toBe(CALL_SESSION_STATES.DIALING)
+            expect(connected.state).toBe(CALL_SESSION_STATES.CONNECTED)
+            expect(connected.raw).toBe(rawCall)
+        })
+
+        it('stamps connectedAt once and endedAt on terminal states', () => {
+            const connected = updateCallSession(createSession(), { state: CALL_SESSION_STATES.CONNECTED })
+            const held = updateCallSession(connected, { state: CALL_SESSION_STATES.ON_HOLD })
+            const resumed = updateCallSession(held, { state: CALL_SESSION_STATES.CONNECTED })
+            const ended = updateCallSession(resumed, { state: CALL_SESSION_STATES.ENDED })
+
+            expect(connected.connectedAt).not.toBeNull()
+            expect(resumed.connectedAt).toBe(connected.connectedAt)
+            expect(resumed.endedAt).toBeNull()
+            expect(ended.endedAt).not.toBeNull()
+            expect(isCallSessionEnded(ended)).toBe(true)
+            expect(isCallSessionEnded(resumed)).toBe(false)
+        })
+    })
+})
@@ -0,0 +1,103 @@
+import CallStateMachine, {
+    CALL_STATES,
+    CALL_EVENTS,
+    CALL_TRANSITIONS,
+    ACTIVE_CALL_STATES
+} from '../../src/services/callStateMachine'
+
+describe('CallStateMachine', () => {
+    const playEvents = (machine, events) => events.map(event => machine.send(event))
+
+    it('starts idle', () => {
+        expect(new CallStateMachine().state).toBe(CALL_STATES.IDLE)
+    })
+
+    it('rejects unknown initial states', () => {
+        expect(() => new CallStateMachine('talking')).toThrow('Unknown call state: talking')
+    })
+
+    it('defines transitions for every state', () => {
+        expect(Object.keys(CALL_TRANSITIONS).sort()).toEqual(Object.values(CALL_STATES).sort())
+    })
+
+    it('plays out an inbound call through hold, after-call work and back to idle', () => {
+        const machine = new CallStateMachine()
+        const states = []
+        machine.onTransition(({ to }) => states.push(to))
+
+        playEvents(machine, [
+            CALL_EVENTS.INCOMING,
+            CALL_EVENTS.CONNECT,
+            CALL_EVENTS.HOLD,
+            CALL_EVENTS.RESUME,
+            CALL_EVENTS.END,
+            CALL_EVENTS.COMPLETE
+        ])
+
+        expect(states).toEqual(['ringing', 'connected', 'on-hold', 'connected', 'after-call-work', 'idle'])
+    })
+
+    it('returns to idle when a call ends before it connects', () => {
+        const machine = new CallStateMachine()
+
+        playEvents(machine, [CALL_EVENTS.DIAL, CALL_EVENTS.END])
+
+        expect(machine.state).toBe(CALL_STATES.IDLE)
+    })
+
+    it('returns to connected when a transfer or conference ends without the call ending', () => {
+        const machine = new CallStateMachine(CALL_STATES.CONNECTED)
+
+        playEvents(machine, [CALL_EVENTS.TRANSFER, CALL_EVENTS.TRANSFER_END, CALL_EVENTS.CONFERENCE])
+        expect(machine.state).toBe(CALL_STATES.CONFERENCING)
+
+        machine.send(CALL_EVENTS.CONFERENCE_END)
+        expect(machine.state).toBe(CALL_STATES.CONNECTED)
+    })
+
+    it('ignores events the current state does not accept', () => {
+        const machine = new CallStateMachine()
+        const listener = jest.fn()
+        machine.onTransition(listener)
+
+        expect(machine.can(CALL_EVENTS.TRANSFER)).toBe(false)
+        expect(playEvents(machine, [CALL_EVENTS.TRANSFER, CALL_EVENTS.HOLD, CALL_EVENTS.END])).toEqual([false, false, false])
+        expect(machine.state).toBe(CALL_STATES.IDLE)
+        expect(listener).not.toHaveBeenCalled()
+    })
+
+    it('enters after-call work when the provider reports it, even after the call was cleared', () => {
+        const machine = new CallStateMachine()
+
+        machine.send(CALL_EVENTS.AFTER_CALL_WORK)
+
+        expect(machine.state).toBe(CALL_STATES.AFTER_CALL_WORK)
+        expect(machine.can(CALL_EVENTS.END)).toBe(false)
+    })
+
+    it('resets to idle from any state and reports the transition', () => {
+        const machine = new CallStateMachine(CALL_STATES.TRANSFERRING)
+        const listener = jest.fn()
+        machine.onTransition(listener)
+
+        machine.reset()
+
+        expect(machine.state).toBe(CALL_STATES.IDLE)
+        expect(listener).toHaveBeenCalledWith({ from: 'transferring', to: 'idle', event: 'reset' })
+    })
+
+    it('stops notifying listeners once they are removed', () => {
+        const machine = new CallStateMachine()
+        const listener = jest.fn()
+        const remove = machine.onTransition(listener)
+
+        remove()
+        machine.send(CALL_EVENTS.DIAL)
+
+        expect(listener).not.toHaveBeenCalled()
+    })
+
+    it('treats dialing and talking as active calls, but not ringing or after-call work', () => {
+        expect(ACTIVE_CALL_STATES).toEqual(['dialing', 'connected', 'on-hold', 'transferring', 'conferencing'])
+    })
+})
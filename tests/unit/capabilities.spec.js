@@ -0,0 +1,51 @@
+import { NO_CAPABILITIES, resolveCapabilities } from '../../src/services/providers/capabilities'
+import { getSoftphoneService, getSupportedSoftphoneProviders } from '../../src/services/softphoneFactory'
+import capabilitiesMixin from '../../src/mixins/capabilitiesMixin'
+
+describe('capabilities', () => {
+    describe('resolveCapabilities', () => {
+        it('treats missing capabilities as unsupported', () => {
+            expect(resolveCapabilities()).toEqual(NO_CAPABILITIES)
+            expect(resolveCapabilities({ hold: true }).conference).toBe(false)
+        })
+
+        it('applies host overrides over the provider capabilities', () => {
+            const resolved = resolveCapabilities(
+                { hold: false, conference: true },
+                { hold: true, conference: false }
+            )
+
+            expect(resolved.hold).toBe(true)
+            expect(resolved.conference).toBe(false)
+        })
+
+        it('ignores unknown keys and non-boolean values', () => {
+            const resolved = resolveCapabilities({ teleport: true, merge: 'yes' })
+
+            expect(resolved).not.toHaveProperty('teleport')
+            expect(resolved.merge).toBe(false)
+        })
+    })
+
+    it('lets components offer every action until the capabilities are known', () => {
+        const supports = (capabilities, capability) => capabilitiesMixin.methods.supports.call({ capabilities }, capability)
+
+        expect(supports(null, 'conference')).toBe(true)
+        expect(supports(resolveCapabilities({ hold: true }), 'hold')).toBe(true)
+        expect(supports(resolveCapabilities({ hold: true }), 'conference')).toBe(false)
+    })
+
+    it('is published by every built-in provider', () => {
+        getSupportedSoftphoneProviders().forEach(provider => {
+            const capabilities = getSoftphoneService(provider).getCapabilities()
+
+            expect(Object.keys(capabilities).sort()).toEqual(Object.keys(NO_CAPABILITIES).sort())
+        })
+    })
+
+    it('only advertises actions the provider really performs', () => {
+        expect(getSoftphoneService('amazon-connect').getCapabilities().conference).toBe(true)
+        expect(getSoftphoneService('sip').getCapabilities().conference).toBe(false)
+        expect(getSoftphoneService('twilio').getCapabilities().hold).toBe(false)
+    })
+})
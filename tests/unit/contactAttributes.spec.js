@@ -0,0 +1,51 @@
+import {
+    normalizeAttributeFields,
+    formatAttributeValue,
+    getDisplayedAttributes
+} from '../../src/services/contactAttributes'
+
+describe('contactAttributes', () => {
+    const attributes = {
+        customerId: 'C-1001',
+        ivrSelection: '2',
+        callbackNumber: '+15555550123',
+        vip: 'true',
+        balance: '1250.5',
+        internalRoutingKey: 'q-7',
+        notes: ''
+    }
+
+    it('accepts the mapping as a list or as an object keyed by attribute', () => {
+        expect(normalizeAttributeFields({ customerId: 'Customer ID', vip: { label: 'VIP', format: 'boolean' } })).toEqual([
+            { key: 'customerId', label: 'Customer ID', format: 'text', options: null },
+            { key: 'vip', label: 'VIP', format: 'boolean', options: null }
+        ])
+        expect(normalizeAttributeFields([{ key: 'ivrSelection' }, { label: 'No key' }])).toEqual([
+            { key: 'ivrSelection', label: 'ivrSelection', format: 'text', options: null }
+        ])
+        expect(normalizeAttributeFields(null)).toEqual([])
+    })
+
+    it('shows only the listed attributes the contact has, in the mapping\'s order', () => {
+        const fields = normalizeAttributeFields({
+            ivrSelection: { label: 'Menu choice', options: { 1: 'Sales', 2: 'Billing' } },
+            customerId: 'Customer ID',
+            notes: 'Notes',
+            accountType: 'Account type'
+        })
+
+        expect(getDisplayedAttributes(attributes, fields)).toEqual([
+            { key: 'ivrSelection', label: 'Menu choice', value: 'Billing' },
+            { key: 'customerId', label: 'Customer ID', value: 'C-1001' }
+        ])
+        expect(getDisplayedAttributes(null, fields)).toEqual([])
+    })
+
+    it('formats phone numbers, flags and custom values', () => {
+        expect(formatAttributeValue('+15555550123', { format: 'phone' })).toBe('+1 (555) 555-0123')
+        expect(formatAttributeValue('true', { format: 'boolean' })).toBe('Yes')
+        expect(formatAttributeValue('0', { format: 'boolean' })).toBe('No')
+        expect(formatAttributeValue('not a date', { format: 'date' })).toBe('not a date')
+        expect(formatAttributeValue('1250.5', { format: value => `$${Number(value).toFixed(2)}` })).toBe('$1250.50')
+    })
+})
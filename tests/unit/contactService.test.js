@@ -15,6 +15,9 @@ describe('contactService', () => {
   beforeEach(() => {
     // Reset mocks
     jest.clearAllMocks();
+
+    // Forget the contact a previous test handed to contactService
+    contactService.teardown();
     
     // Setup global window.connect mock
     global.window = {
@@ -114,6 +117,61 @@ describe('contactService', () => {
     });
   });
   
+  describe('Call sessions', () => {
+    it('should report new contacts as provider-neutral call sessions', async () => {
+      // Setup
+      const onIncomingCall = jest.fn();
+      window.connect = {
+        contact: jest.fn(),
+        ContactType: { INBOUND: 'inbound' },
+        ConnectionType: { INBOUND: 'inbound', AGENT: 'agent' }
+      };
+      mockContactInstance.getContactId = jest.fn().mockReturnValue('contact-123');
+      mockContactInstance.isInbound = jest.fn().mockReturnValue(true);
+      mockConnection.getEndpoint = jest.fn().mockReturnValue({ phoneNumber: '+15555550123' });
+      await contactService.initializeContact({ onIncomingCall });
+
+      // Test
+      window.connect.contact.mock.calls[0][0](mockContactInstance);
+
+      // Verify
+      expect(onIncomingCall).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'contact-123',
+        provider: 'amazon-connect',
+        direction: 'inbound',
+        remoteNumber: '+15555550123',
+        state: 'ringing'
+      }));
+      expect(onIncomingCall.mock.calls[0][0].participants).toEqual([
+        { id: 'conn-123', role: 'customer', phoneNumber: '+15555550123', state: 'connected' }
+      ]);
+      expect(onIncomingCall.mock.calls[0][0].raw).toBe(mockContactInstance);
+    });
+  });
+
+  describe('DTMF', () => {
+    it('should send digits on the agent connection', async () => {
+      // Setup
+      window.connect = {
+        contact: jest.fn(),
+        ContactType: { INBOUND: 'inbound' },
+        ConnectionType: { INBOUND: 'inbound', AGENT: 'agent' }
+      };
+      mockContactInstance.getContactId = jest.fn().mockReturnValue('contact-123');
+      mockAgentConnection.sendDigits = jest.fn((digits, { success }) => success());
+      await contactService.initializeContact({});
+      window.connect.contact.mock.calls[0][0](mockContactInstance);
+
+      // Test
+      const result = await contactService.sendDigits('123#');
+
+      // Verify
+      expect(result).toBe(true);
+      expect(mockAgentConnection.sendDigits).toHaveBeenCalledWith('123#', expect.any(Object));
+      await expect(contactService.sendDigits('12-3')).rejects.toThrow('Invalid DTMF digits: 12-3');
+    });
+  });
+
   describe('Call transfer functions', () => {
     it('should transfer to a phone number', async () => {
       const result = await contactService.transferToPhoneNumber('123456789');
@@ -192,6 +250,106 @@ describe('contactService', () => {
       expect(mockContactInstance.complete).toHaveBeenCalled();
       expect(result).toBe(true);
     });
+
+    it('should complete After Call Work for the contact that just ended', async () => {
+      // Setup
+      window.connect = {
+        contact: jest.fn(),
+        ContactType: { INBOUND: 'inbound' },
+        ConnectionType: { INBOUND: 'inbound', AGENT: 'agent' }
+      };
+      mockContactInstance.getContactId = jest.fn().mockReturnValue('contact-123');
+      mockContactInstance.isInbound = jest.fn().mockReturnValue(true);
+      mockContactInstance.onEnded = jest.fn();
+      const updateContactAttributes = jest.fn(() => Promise.resolve());
+      agentService.getAgentInstance().setState = jest.fn((state, { success }) => success());
+      await contactService.initializeContact({ updateContactAttributes });
+      window.connect.contact.mock.calls[0][0](mockContactInstance);
+      mockContactInstance.onEnded.mock.calls.forEach(([handler]) => handler());
+
+      // Test
+      const result = await contactService.completeAfterCallWork(
+        { id: 'resolved', label: 'Issue Resolved', category: null, notes: 'Test notes', at: '2026-01-01T00:00:00.000Z' }
+      );
+
+      // Verify
+      expect(result).toBe(true);
+      expect(updateContactAttributes).toHaveBeenCalledWith('contact-123', {
+        dispositionCode: 'resolved',
+        dispositionLabel: 'Issue Resolved',
+        dispositionCategory: '',
+        dispositionNotes: 'Test notes',
+        dispositionTimestamp: '2026-01-01T00:00:00.000Z'
+      });
+      expect(mockContactInstance.complete).toHaveBeenCalled();
+      expect(agentService.getAgentInstance().setState).toHaveBeenCalledWith(
+        { type: 'routable', name: 'Available' },
+        expect.any(Object)
+      );
+    });
+
+    it('should not save a disposition without the updateContactAttributes callback', async () => {
+      // Setup
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      window.connect = {
+        contact: jest.fn(),
+        ContactType: { INBOUND: 'inbound' },
+        ConnectionType: { INBOUND: 'inbound', AGENT: 'agent' }
+      };
+      mockContactInstance.getContactId = jest.fn().mockReturnValue('contact-123');
+      mockContactInstance.isInbound = jest.fn().mockReturnValue(true);
+      await contactService.initializeContact({});
+      window.connect.contact.mock.calls[0][0](mockContactInstance);
+
+      // Test
+      const result = await contactService.setDispositionCode('resolved', 'Test notes');
+
+      // Verify
+      expect(result).toBe(false);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('updateContactAttributes is not set'));
+      warn.mockRestore();
+    });
+
+    it('should update contact attributes through the updateContactAttributes callback', async () => {
+      // Setup
+      window.connect = {
+        contact: jest.fn(),
+        ContactType: { INBOUND: 'inbound' },
+        ConnectionType: { INBOUND: 'inbound', AGENT: 'agent' }
+      };
+      mockContactInstance.getContactId = jest.fn().mockReturnValue('contact-123');
+      mockContactInstance.isInbound = jest.fn().mockReturnValue(true);
+      const updateContactAttributes = jest.fn(() => Promise.resolve());
+      await contactService.initializeContact({ updateContactAttributes });
+      window.connect.contact.mock.calls[0][0](mockContactInstance);
+
+      // Test
+      const result = await contactService.updateContactAttributes({ agentNotes: 'Asked for a refund', tags: ['billing', 'refund'] });
+
+      // Verify
+      expect(updateContactAttributes).toHaveBeenCalledWith('contact-123', {
+        agentNotes: 'Asked for a refund',
+        tags: '["billing","refund"]'
+      });
+      expect(result).toEqual({ agentNotes: 'Asked for a refund', tags: '["billing","refund"]' });
+    });
+
+    it('should reject attribute updates without the updateContactAttributes callback', async () => {
+      // Setup
+      window.connect = {
+        contact: jest.fn(),
+        ContactType: { INBOUND: 'inbound' },
+        ConnectionType: { INBOUND: 'inbound', AGENT: 'agent' }
+      };
+      mockContactInstance.getContactId = jest.fn().mockReturnValue('contact-123');
+      mockContactInstance.isInbound = jest.fn().mockReturnValue(true);
+      await contactService.initializeContact({});
+      window.connect.contact.mock.calls[0][0](mockContactInstance);
+
+      // Test & Verify
+      await expect(contactService.updateContactAttributes({ tags: 'billing' }))
+        .rejects.toThrow('providerConfig.updateContactAttributes is not set');
+    });
   });
   
   describe('Error handling', () => {
@@ -0,0 +1,64 @@
+import { getMissingCrmMethods, openCrmRecord, createCrmCallActivity } from '../../src/services/crm/crmAdapter'
+
+describe('crmAdapter', () => {
+    const record = { id: '003XX', name: 'Ada Lovelace' }
+    const createAdapter = (methods = {}) => ({
+        searchByPhone: jest.fn(() => Promise.resolve([record])),
+        createRecord: jest.fn(),
+        updateRecord: jest.fn(),
+        getRecordUrl: jest.fn(({ id }) => `https://crm.example.com/${id}`),
+        ...methods
+    })
+
+    afterEach(() => {
+        jest.restoreAllMocks()
+    })
+
+    it('lists the methods an adapter is missing', () => {
+        expect(getMissingCrmMethods(createAdapter())).toEqual([])
+        expect(getMissingCrmMethods({ searchByPhone: () => {} })).toEqual(['createRecord', 'updateRecord', 'getRecordUrl'])
+        expect(getMissingCrmMethods(null)).toHaveLength(4)
+    })
+
+    it('opens the record\'s URL in a new window', async () => {
+        const open = jest.spyOn(window, 'open').mockImplementation(() => null)
+
+        expect(await openCrmRecord(createAdapter(), record)).toBe(true)
+        expect(open).toHaveBeenCalledWith('https://crm.example.com/003XX', '_blank', 'noopener')
+        expect(await openCrmRecord(createAdapter({ getRecordUrl: () => null }), record)).toBe(false)
+    })
+
+    it('lets the adapter open the record itself', async () => {
+        const open = jest.spyOn(window, 'open').mockImplementation(() => null)
+        const adapter = createAdapter({ openRecord: jest.fn(() => Promise.resolve(true)) })
+
+        expect(await openCrmRecord(adapter, record)).toBe(true)
+        expect(adapter.openRecord).toHaveBeenCalledWith(record)
+        expect(open).not.toHaveBeenCalled()
+    })
+
+    it('describes an ended call for logging', () => {
+        const session = {
+            id: 'call-1',
+            direction: 'outbound',
+            remoteNumber: '+15555550123',
+            startedAt: '2025-07-21T15:00:00.000Z',
+            connectedAt: '2025-07-21T15:00:05.000Z',
+            endedAt: '2025-07-21T15:02:05.400Z'
+        }
+        const disposition = { id: 'resolved', label: 'Issue Resolved' }
+
+        expect(createCrmCallActivity(session, { disposition, record })).toEqual({
+            contactId: 'call-1',
+            direction: 'outbound',
+            phoneNumber: '+15555550123',
+            startedAt: '2025-07-21T15:00:00.000Z',
+            connectedAt: '2025-07-21T15:00:05.000Z',
+            endedAt: '2025-07-21T15:02:05.400Z',
+            durationSeconds: 120,
+            disposition,
+            record
+        })
+        expect(createCrmCallActivity({ ...session, connectedAt: null }).durationSeconds).toBe(0)
+    })
+})
@@ -0,0 +1,69 @@
+import http from 'http';
+
+/**
+ * A local HTTP server standing in for a CRM's REST API in adapter tests. Routes are
+ * `'METHOD /path'` keys (query strings excluded) mapping to `{ status, body }` or a function of
+ * the request returning one; every request is recorded. `{ status, text }` answers with a body
+ * that is not JSON, as proxies do.
+ */
+export async function startCrmStandIn(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : null
+      };
+      requests.push(request);
+
+      const route = routes[`${req.method} ${url.pathname}`];
+      const { status = 200, body = null, text } = (typeof route === 'function' ? route(request) : route) || { status: 404, body: { message: 'Not found' } };
+
+      if (text !== undefined) {
+        res.writeHead(status, { 'Content-Type': 'text/html' });
+        res.end(text);
+        return;
+      }
+
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(body === null ? '' : JSON.stringify(body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    fetch: standInFetch,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * The part of `fetch` the adapters use, over Node's http module.
+ */
+function standInFetch(url, { method = 'GET', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        statusText: res.statusMessage,
+        text: () => Promise.resolve(text)
+      }));
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+}
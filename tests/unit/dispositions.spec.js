@@ -0,0 +1,68 @@
+import {
+    DEFAULT_DISPOSITION_CODES,
+    resolveDispositionCodes,
+    validateDisposition,
+    createDisposition,
+    toDispositionAttributes
+} from '../../src/services/dispositions'
+
+describe('dispositions', () => {
+    const sales = [
+        { id: 'sale', label: 'Sale', children: [{ id: 'sale_won', label: 'Won' }, { id: 'sale_lost', label: 'Lost' }] },
+        { id: 'complaint', label: 'Complaint', requiresNote: true, children: [{ id: 'billing', label: 'Billing' }] },
+        { id: 'no_answer', label: 'No Answer' }
+    ]
+    const at = new Date('2026-01-01T12:00:00.000Z')
+
+    it('picks the codes for the call\'s queue, by ID or name, falling back to the default list', async () => {
+        const byQueue = { 'queue-sales': sales, Support: [{ id: 'resolved' }], default: DEFAULT_DISPOSITION_CODES }
+
+        expect((await resolveDispositionCodes(byQueue, { queue: { queueId: 'queue-sales', name: 'Sales' } }))[0].id).toBe('sale')
+        expect(await resolveDispositionCodes(byQueue, { queue: { queueId: 'queue-2', name: 'Support' } }))
+            .toEqual([{ id: 'resolved', label: 'resolved', requiresNote: false, children: [] }])
+        expect(await resolveDispositionCodes(byQueue)).toHaveLength(DEFAULT_DISPOSITION_CODES.length)
+    })
+
+    it('loads codes from an async callback', async () => {
+        const load = jest.fn(() => Promise.resolve(sales))
+        const context = { queue: null, session: { id: 'call-1' } }
+
+        const codes = await resolveDispositionCodes(load, context)
+
+        expect(load).toHaveBeenCalledWith(context)
+        expect(codes[1].children[0]).toEqual({ id: 'billing', label: 'Billing', requiresNote: true, children: [] })
+    })
+
+    it('requires a leaf code and the notes it asks for', async () => {
+        const codes = await resolveDispositionCodes(sales)
+
+        expect(validateDisposition(codes, {})).toBe('Select a disposition.')
+        expect(validateDisposition(codes, { dispositionId: 'sale' })).toBe('Select a disposition under Sale.')
+        expect(validateDisposition(codes, { dispositionId: 'billing', notes: ' ' })).toBe('Add a note for Billing.')
+        expect(validateDisposition(codes, { dispositionId: 'unknown' })).toBe('Unknown disposition: unknown')
+        expect(validateDisposition(codes, { dispositionId: 'sale_won' })).toBe(null)
+        expect(validateDisposition([], {})).toBe(null)
+    })
+
+    it('builds the disposition and the attributes saved with the contact', async () => {
+        const codes = await resolveDispositionCodes(sales)
+        const disposition = createDisposition(codes, { dispositionId: 'billing', notes: ' Overcharged ' }, at)
+
+        expect(disposition).toEqual({
+            id: 'billing',
+            label: 'Billing',
+            categoryId: 'complaint',
+            category: 'Complaint',
+            notes: 'Overcharged',
+            at: '2026-01-01T12:00:00.000Z'
+        })
+        expect(toDispositionAttributes(disposition)).toEqual({
+            dispositionCode: 'billing',
+            dispositionLabel: 'Billing',
+            dispositionCategory: 'Complaint',
+            dispositionNotes: 'Overcharged',
+            dispositionTimestamp: '2026-01-01T12:00:00.000Z'
+        })
+        expect(createDisposition(codes, {})).toBe(null)
+    })
+})
@@ -0,0 +1,179 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the HubSpot CRM adapter against a local stand-in for the CRM API
+
+import HubSpotAdapter from '../../src/services/crm/hubspotAdapter';
+import { startCrmStandIn } from './crmStandIn';
+
+describe('HubSpotAdapter', () => {
+  let standIn;
+
+  afterEach(async () => {
+    await standIn?.close();
+  });
+
+  const createAdapter = (routes, options = {}) => startCrmStandIn(routes)
+    .then(server => {
+      standIn = server;
+      return new HubSpotAdapter({
+        getAccessToken: jest.fn(() => 'token-1'),
+        portalId: 123456,
+        baseUrl: server.url,
+        fetch: server.fetch,
+        ...options
+      });
+    });
+
+  test('finds contacts by phone or mobile phone', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      'POST /crm/v3/objects/contacts/search': {
+        body: {
+          total: 1,
+          results: [{ id: '501', properties: { firstname: 'Ada', lastname: 'Lovelace', mobilephone: '+15555550123' } }]
+        }
+      }
+    });
+
+    // Test
+    const records = await adapter.searchByPhone('+15555550123');
+
+    // Verify
+    expect(standIn.requests[0].headers.authorization).toBe('Bearer token-1');
+    expect(standIn.requests[0].body.filterGroups).toEqual([
+      { filters: [{ propertyName: 'hs_searchable_calculated_phone_number', operator: 'EQ', value: '5555550123' }] },
+      { filters: [{ propertyName: 'hs_searchable_calculated_mobile_number', operator: 'EQ', value: '5555550123' }] }
+    ]);
+    expect(records).toEqual([expect.objectContaining({
+      id: '501',
+      type: 'Contact',
+      name: 'Ada Lovelace',
+      phoneNumber: '+15555550123'
+    })]);
+    expect(adapter.getRecordUrl(records[0])).toBe('https://app.hubspot.com/contacts/123456/record/0-1/501');
+  });
+
+  test('finds contacts whose number is stored in a national format', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      'POST /crm/v3/objects/contacts/search': {
+        body: {
+          total: 1,
+          results: [{
+            id: '502',
+            properties: {
+              firstname: 'Grace',
+              phone: '(555) 123-4567',
+              hs_searchable_calculated_phone_number: '5551234567'
+            }
+          }]
+        }
+      }
+    });
+
+    // Test
+    const records = await adapter.searchByPhone('+15551234567');
+
+    // Verify
+    expect(standIn.requests[0].body.filterGroups[0].filters[0]).toEqual({
+      propertyName: 'hs_searchable_calculated_phone_number',
+      operator: 'EQ',
+      value: '5551234567'
+    });
+    expect(records).toEqual([expect.objectContaining({ id: '502', name: 'Grace', phoneNumber: '(555) 123-4567' })]);
+  });
+
+  test('searches numbers from countries without a numbering plan by query', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      'POST /crm/v3/objects/contacts/search': { body: { total: 0, results: [] } }
+    });
+
+    // Test
+    const records = await adapter.searchByPhone('+380441234567');
+
+    // Verify
+    expect(standIn.requests[0].body.query).toBe('380441234567');
+    expect(standIn.requests[0].body.filterGroups).toBeUndefined();
+    expect(records).toEqual([]);
+  });
+
+  test('updates a contact', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      'PATCH /crm/v3/objects/contacts/501': { body: { id: '501', properties: { firstname: 'Ada', email: 'ada@example.com' } } }
+    });
+
+    // Test
+    const record = await adapter.updateRecord('501', { type: 'Contact', email: 'ada@example.com' });
+
+    // Verify
+    expect(standIn.requests[0].body).toEqual({ properties: { email: 'ada@example.com' } });
+    expect(record).toEqual(expect.objectContaining({ id: '501', name: 'Ada', email: 'ada@example.com' }));
+  });
+
+  test('logs the call as an engagement on the contact', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      'POST /crm/v3/objects/calls': { status: 201, body: { id: '9001', properties: {} } }
+    }, { dispositionOutcomes: { resolved: 'f240bbac-87c9-4f6e-bf70-924b57d47db7' } });
+
+    // Test
+    const result = await adapter.logCall({
+      contactId: 'call-1',
+      direction: 'outbound',
+      phoneNumber: '+15555550123',
+      endedAt: '2025-07-21T15:05:00.000Z',
+      durationSeconds: 290,
+      disposition: { id: 'resolved', label: 'Issue Resolved', category: null, notes: 'Refund issued' },
+      record: { id: '501', type: 'Contact' }
+    });
+
+    // Verify
+    expect(result).toEqual({ id: '9001' });
+    expect(standIn.requests[0].body).toEqual({
+      properties: {
+        hs_timestamp: '2025-07-21T15:05:00.000Z',
+        hs_call_title: 'Outbound call to +15555550123',
+        hs_call_direction: 'OUTBOUND',
+        hs_call_duration: '290000',
+        hs_call_status: 'COMPLETED',
+        hs_call_body: 'Issue Resolved\n\nRefund issued',
+        hs_call_to_number: '+15555550123',
+        hs_call_disposition: 'f240bbac-87c9-4f6e-bf70-924b57d47db7'
+      },
+      associations: [{
+        to: { id: '501' },
+        types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 194 }]
+      }]
+    });
+  });
+
+  test('encodes the contact ID in URLs', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      'PATCH /crm/v3/objects/contacts/501%2F..%2F502': { body: { id: '501/../502', properties: { firstname: 'Ada' } } }
+    });
+
+    // Test
+    const record = await adapter.updateRecord('501/../502', { firstname: 'Ada' });
+
+    // Verify
+    expect(record.id).toBe('501/../502');
+    expect(adapter.getRecordUrl(record)).toBe('https://app.hubspot.com/contacts/123456/record/0-1/501%2F..%2F502');
+  });
+
+  test('asks for a fresh token once and reports HubSpot errors', async () => {
+    // Setup
+    const getAccessToken = jest.fn(() => 'expired');
+    const adapter = await createAdapter({
+      'POST /crm/v3/objects/contacts/search': { status: 401, body: { status: 'error', message: 'Authentication credentials not found.' } }
+    }, { getAccessToken });
+
+    // Test & Verify
+    await expect(adapter.searchByPhone('+15555550123'))
+      .rejects.toThrow('HubSpot request failed (401): Authentication credentials not found.');
+    expect(getAccessToken.mock.calls).toEqual([[{ refresh: false }], [{ refresh: true }]]);
+  });
+});
@@ -0,0 +1,92 @@
+import MicrophoneLevelMonitor, { toLevel, SpeechDetector } from '../../src/services/microphoneLevel'
+
+describe('microphoneLevel', () => {
+    const createTrack = () => ({ stop: jest.fn() })
+
+    const createMonitor = (options = {}) => {
+        const track = createTrack()
+        const source = { connect: jest.fn() }
+        const analyser = { getFloatTimeDomainData: jest.fn(samples => samples.fill(0.5)) }
+        const context = {
+            createAnalyser: () => analyser,
+            createMediaStreamSource: jest.fn(() => source),
+            resume: jest.fn(() => Promise.resolve()),
+            close: jest.fn(() => Promise.resolve())
+        }
+        const mediaDevices = { getUserMedia: jest.fn(() => Promise.resolve({ getTracks: () => [track] })) }
+        const monitor = new MicrophoneLevelMonitor({ mediaDevices, createAudioContext: () => context, ...options })
+
+        return { monitor, mediaDevices, context, source, analyser, track }
+    }
+
+    afterEach(() => {
+        jest.useRealTimers()
+    })
+
+    it('scales the level from -60 dBFS to full scale', () => {
+        expect(toLevel(new Float32Array(128))).toBe(0)
+        expect(toLevel([1, -1, 1, -1])).toBe(1)
+        expect(toLevel([0.1, -0.1])).toBeCloseTo(2 / 3)
+        expect(toLevel([])).toBe(0)
+    })
+
+    it('reports speech once per utterance, ignoring short noises and pauses between words', () => {
+        const detector = new SpeechDetector({ threshold: 0.4, minDuration: 600, pause: 400 })
+        const feed = levels => levels.map(([level, at]) => detector.update(level, at))
+
+        // A 200 ms click, then quiet
+        expect(feed([[0.8, 0], [0.8, 200], [0.1, 300], [0.1, 700]])).toEqual([false, false, false, false])
+        // Speech with a 300 ms pause between words
+        expect(feed([[0.6, 1000], [0.6, 1300], [0.1, 1600], [0.6, 1700], [0.6, 2000]])).toEqual([false, false, false, true, false])
+        // A new sentence after a long pause
+        expect(feed([[0.1, 2500], [0.6, 3000], [0.6, 3600]])).toEqual([false, false, true])
+    })
+
+    it('samples the chosen microphone and reports its level and speech', async () => {
+        jest.useFakeTimers()
+        const onLevel = jest.fn()
+        const onSpeech = jest.fn()
+        let now = 0
+        const { monitor, mediaDevices, source, analyser } = createMonitor({ onLevel, onSpeech, now: () => now })
+
+        expect(await monitor.start('headset-mic')).toBe(true)
+
+        for (let i = 0; i < 8; i++) {
+            now += 100
+            jest.advanceTimersByTime(100)
+        }
+
+        expect(mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: { deviceId: { exact: 'headset-mic' } } })
+        expect(source.connect).toHaveBeenCalledWith(analyser)
+        expect(onLevel).toHaveBeenCalledTimes(8)
+        expect(onLevel.mock.calls[0][0]).toBeCloseTo(toLevel([0.5]))
+        expect(onSpeech).toHaveBeenCalledTimes(1)
+    })
+
+    it('releases the microphone when stopped', async () => {
+        jest.useFakeTimers()
+        const onLevel = jest.fn()
+        const { monitor, context, track } = createMonitor({ onLevel })
+        await monitor.start()
+
+        monitor.stop()
+        jest.advanceTimersByTime(1000)
+
+        expect(track.stop).toHaveBeenCalled()
+        expect(context.close).toHaveBeenCalled()
+        expect(onLevel).not.toHaveBeenCalled()
+    })
+
+    it('drops a microphone granted after it was stopped', async () => {
+        const { monitor, mediaDevices, track } = createMonitor()
+
+        const starting = monitor.start()
+        monitor.stop()
+
+        expect(await starting).toBe(false)
+        expect(mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true })
+        expect(track.stop).toHaveBeenCalled()
+        expect(monitor.isSupported()).toBe(true)
+        expect(new MicrophoneLevelMonitor({ mediaDevices: null }).isSupported()).toBe(false)
+    })
+})
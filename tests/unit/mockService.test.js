@@ -0,0 +1,345 @@
+// Test script for mockService.js
+// This tests the simulated provider used for demos and offline development
+
+import mockService from '../../src/services/providers/Mock/mockService';
+
+describe('mockService', () => {
+  let callbacks;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+
+    callbacks = {
+      onStatusChange: jest.fn(),
+      onLoginSuccess: jest.fn(),
+      onIncomingCall: jest.fn(),
+      onConnecting: jest.fn(),
+      onConnected: jest.fn(),
+      onCallAccepted: jest.fn(),
+      onMissed: jest.fn(),
+      onCallEnded: jest.fn(),
+      onMuteChange: jest.fn(),
+      onError: jest.fn()
+    };
+
+    await mockService.initialize({ ...callbacks, loginDelay: 100, ringDelay: 100, answerDelay: 200, ringTimeout: 1000 });
+  });
+
+  afterEach(async () => {
+    await mockService.destroy();
+    jest.useRealTimers();
+  });
+
+  describe('initialization', () => {
+    it('should log the agent in after the login delay', () => {
+      // Test
+      jest.advanceTimersByTime(100);
+
+      // Verify
+      expect(callbacks.onStatusChange).toHaveBeenCalledWith('Available');
+      expect(callbacks.onLoginSuccess).toHaveBeenCalled();
+    });
+
+    it('should ring the agent on an interval when configured', async () => {
+      // Setup
+      await mockService.initialize({ ...callbacks, loginDelay: 0, incomingCallInterval: 5000 });
+
+      // Test
+      jest.advanceTimersByTime(5000);
+
+      // Verify
+      expect(callbacks.onIncomingCall).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cancel pending events on destroy', async () => {
+      // Test
+      await mockService.destroy();
+      jest.advanceTimersByTime(1000);
+
+      // Verify
+      expect(callbacks.onStatusChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('outbound calls', () => {
+    it('should play out connecting and connected', async () => {
+      // Test
+      await mockService.placeCall('+15555550123');
+      jest.advanceTimersByTime(100);
+      const connectingContact = callbacks.onConnecting.mock.calls[0][0];
+      jest.advanceTimersByTime(200);
+
+      // Verify
+      expect(callbacks.onStatusChange).toHaveBeenCalledWith('CallingCustomer');
+      expect(connectingContact.id).toMatch(/^mock-contact-/);
+      expect(connectingContact.state).toBe('dialing');
+      expect(callbacks.onConnected).toHaveBeenCalledWith(expect.objectContaining({ id: connectingContact.id, state: 'connected' }));
+      expect(callbacks.onStatusChange).toHaveBeenLastCalledWith('Busy');
+    });
+
+    it('should fail numbers listed in failNumbers', async () => {
+      // Setup
+      await mockService.initialize({ ...callbacks, ringDelay: 0, answerDelay: 0, failNumbers: ['+15555550199'] });
+
+      // Test
+      await mockService.placeCall('+15555550199');
+      jest.advanceTimersByTime(0);
+
+      // Verify
+      expect(callbacks.onStatusChange).toHaveBeenLastCalledWith('FailedConnectCustomer');
+      expect(callbacks.onConnected).not.toHaveBeenCalled();
+    });
+
+    it('should send the extension as DTMF once the call connects', async () => {
+      // Setup
+      await mockService.initialize({ ...callbacks, ringDelay: 0, answerDelay: 0, extensionDelay: 500 });
+
+      // Test
+      await mockService.placeCall('+15555550123', { extension: '204' });
+      jest.advanceTimersByTime(0);
+      const logged = mockService.getLogs().map(entry => entry.message);
+      jest.advanceTimersByTime(500);
+
+      // Verify
+      expect(callbacks.onConnected).toHaveBeenCalled();
+      expect(logged).not.toContain('Sent digits 204.');
+      expect(mockService.getLogs().pop()).toEqual(expect.objectContaining({ message: 'Sent digits 204.' }));
+    });
+
+    it('should end the call and return to the selected state', async () => {
+      // Setup
+      await mockService.placeCall('+15555550123');
+      jest.advanceTimersByTime(300);
+
+      // Test
+      await mockService.hangUpCall();
+
+      // Verify
+      expect(callbacks.onCallEnded).toHaveBeenCalled();
+      expect(callbacks.onStatusChange).toHaveBeenLastCalledWith('Available');
+      expect((await mockService.getAgentStatistics()).contactsHandled).toBe(1);
+    });
+  });
+
+  describe('scriptable API', () => {
+    it('should simulate an incoming call that the agent accepts', async () => {
+      // Test
+      const contact = mockService.simulateIncomingCall('+15555550123', { accountId: 'ACC-1' });
+      await mockService.acceptIncomingCall();
+      jest.advanceTimersByTime(200);
+
+      // Verify
+      expect(callbacks.onIncomingCall).toHaveBeenCalledWith(contact);
+      expect(contact).toEqual(expect.objectContaining({ direction: 'inbound', remoteNumber: '+15555550123', state: 'ringing' }));
+      expect(callbacks.onCallAccepted).toHaveBeenCalledWith(expect.objectContaining({ id: contact.id, state: 'connected' }));
+      expect(await mockService.getContactAttributes()).toEqual({
+        customerNumber: '+15555550123',
+        accountId: 'ACC-1'
+      });
+    });
+
+    it('should merge updated attributes into the call', async () => {
+      // Setup
+      mockService.simulateIncomingCall('+15555550123', { accountId: 'ACC-1' });
+
+      // Test
+      const attributes = await mockService.updateContactAttributes({ tags: 'billing' });
+
+      // Verify
+      expect(attributes).toEqual({ customerNumber: '+15555550123', accountId: 'ACC-1', tags: 'billing' });
+      expect(await mockService.getContactAttributes()).toEqual(attributes);
+    });
+
+    it('should report unanswered calls as missed', () => {
+      // Test
+      const contact = mockService.simulateIncomingCall();
+      jest.advanceTimersByTime(1000);
+
+      // Verify
+      expect(callbacks.onMissed).toHaveBeenCalledWith(expect.objectContaining({ id: contact.id, state: 'missed' }));
+    });
+
+    it('should end the call when the customer hangs up', async () => {
+      // Setup
+      mockService.simulateIncomingCall();
+      await mockService.acceptIncomingCall();
+      jest.advanceTimersByTime(200);
+
+      // Test
+      const ended = mockService.simulateCustomerHangup();
+
+      // Verify
+      expect(ended).toBe(true);
+      expect(callbacks.onCallEnded).toHaveBeenCalled();
+      expect(await mockService.getAgentContacts()).toEqual([]);
+    });
+
+    it('should run a script of timed steps', async () => {
+      // Test
+      const script = mockService.runScript([
+        { after: 500, action: 'incomingCall', args: ['+15555550123'] },
+        { after: 500, action: 'agentState', args: ['Break'] }
+      ]);
+      jest.advanceTimersByTime(500);
+      const rangAfterFirstStep = callbacks.onIncomingCall.mock.calls.length;
+      jest.advanceTimersByTime(500);
+      await script;
+
+      // Verify
+      expect(rangAfterFirstStep).toBe(1);
+      expect(callbacks.onStatusChange).toHaveBeenLastCalledWith('Break');
+    });
+
+    it('should reject scripts with unknown actions', async () => {
+      // Test & Verify
+      await expect(mockService.runScript([{ action: 'explode' }])).rejects.toThrow('Unknown mock script action: explode');
+    });
+  });
+
+  describe('transfers and conferences', () => {
+    beforeEach(async () => {
+      await mockService.placeCall('+15555550123');
+      jest.advanceTimersByTime(300);
+    });
+
+    it('should warm transfer, then hand the customer over', async () => {
+      // Test
+      const connectionId = await mockService.transferCall('+15555550155', true);
+      jest.advanceTimersByTime(200);
+      const [contact] = await mockService.getAgentContacts();
+      await mockService.endTransferCall(true);
+
+      // Verify
+      expect(contact.connections.find(c => c.connectionId === connectionId).state).toBe('connected');
+      expect(contact.connections.find(c => c.type === 'initial').state).toBe('hold');
+      expect(callbacks.onCallEnded).toHaveBeenCalled();
+    });
+
+    it('should cold transfer to a queue once it answers', async () => {
+      // Test
+      await mockService.transferToQueue('mock-support');
+      jest.advanceTimersByTime(200);
+
+      // Verify
+      expect(callbacks.onCallEnded).toHaveBeenCalled();
+      await expect(mockService.transferToQueue('nope')).rejects.toThrow('Unknown queue: nope');
+    });
+
+    it('should list quick connects and queues in the directory and transfer to them', async () => {
+      // Test
+      const endpoints = await mockService.getTransferEndpoints();
+      const connectionId = await mockService.transferToEndpoint('mock-agent-sam', true);
+
+      // Verify
+      expect(endpoints.map(endpoint => endpoint.type)).toEqual(['agent', 'agent', 'phone-number', 'queue', 'queue', 'queue']);
+      expect(connectionId).toEqual(expect.any(String));
+      await expect(mockService.transferToEndpoint('nope')).rejects.toThrow('Unknown transfer endpoint: nope');
+    });
+
+    it('should conference in a third party and merge', async () => {
+      // Test
+      const connectionId = await mockService.initiateConference('+15555550166');
+      mockService.simulateThirdPartyAnswer();
+      await mockService.mergeConnections();
+      const [contact] = await mockService.getAgentContacts();
+      await mockService.removeFromConference(connectionId);
+      const [afterRemoval] = await mockService.getAgentContacts();
+
+      // Verify
+      expect(contact.connections.map(c => c.state)).toEqual(['connected', 'connected']);
+      expect(afterRemoval.connections).toHaveLength(1);
+    });
+
+    it('should hold, resume and mute', async () => {
+      // Test
+      await mockService.holdCall();
+      await expect(mockService.holdCall()).rejects.toThrow('No connected call available to hold.');
+      await mockService.resumeCall();
+      await mockService.muteConnection();
+
+      // Verify
+      expect(callbacks.onMuteChange).toHaveBeenCalledWith(true);
+    });
+
+    it('should keep the audio devices the agent chose', async () => {
+      // Test
+      await mockService.setAudioDevices({ input: 'headset-mic', output: 'headset' });
+      await mockService.setAudioDevices({ ringer: 'speakers' });
+      const snapshot = await mockService.getAgentSnapshot();
+
+      // Verify
+      expect(snapshot.audioDevices).toEqual({ input: 'headset-mic', output: 'headset', ringer: 'speakers' });
+      expect(mockService.getLogs().pop()).toEqual(expect.objectContaining({ message: 'Audio devices set: ringer speakers.' }));
+    });
+
+    it('should report media statistics of the call under the simulated network conditions', async () => {
+      // Test
+      const report = await mockService.getCallStats();
+      mockService.simulateNetworkConditions({ packetLoss: 10, rtt: 300 });
+      jest.advanceTimersByTime(10000);
+      const degraded = await mockService.getCallStats();
+      await mockService.hangUpCall();
+
+      // Verify
+      const [before, after] = [report, degraded].map(stats => stats.get('inbound-audio'));
+      expect(after.packetsReceived - before.packetsReceived).toBe(450);
+      expect(after.packetsLost - before.packetsLost).toBe(50);
+      expect(after.jitter).toBe(0.004);
+      expect(degraded.get('remote-inbound-audio').roundTripTime).toBe(0.3);
+      expect(await mockService.getCallStats()).toBeNull();
+    });
+
+    it('should log DTMF digits sent to the customer', async () => {
+      // Test
+      await mockService.sendDigits('1#');
+
+      // Verify
+      expect(mockService.getLogs().pop()).toEqual(expect.objectContaining({ message: 'Sent digits 1#.' }));
+      await expect(mockService.sendDigits('')).rejects.toThrow('Invalid DTMF digits');
+    });
+  });
+
+  describe('after-call work', () => {
+    beforeEach(async () => {
+      await mockService.initialize({ ...callbacks, loginDelay: 0, answerDelay: 200, afterCallWork: true, afterCallWorkTimeout: 60000 });
+      mockService.simulateIncomingCall('+15555550123', {}, 'mock-support');
+      await mockService.acceptIncomingCall();
+      jest.advanceTimersByTime(200);
+    });
+
+    it('should enter after-call work and complete it with a disposition', async () => {
+      // Setup
+      await mockService.hangUpCall();
+      jest.advanceTimersByTime(15000);
+
+      // Test
+      const codes = await mockService.getDispositionCodes();
+      const remainingTime = mockService.getAfterCallWorkRemainingTime();
+      const ended = callbacks.onCallEnded.mock.calls[0][0];
+      await mockService.completeAfterCallWork({ id: 'resolved', label: 'Issue Resolved', category: null, notes: 'Refund issued', at: '2026-01-01T00:00:00.000Z' });
+
+      // Verify
+      expect(codes[0]).toEqual({ id: 'resolved', label: 'Issue Resolved' });
+      expect(remainingTime).toBe(45);
+      expect(ended.queue).toEqual({ queueId: 'mock-support', name: 'Support Queue' });
+      expect(ended.raw.attributes).toEqual(expect.objectContaining({ dispositionCode: 'resolved', dispositionNotes: 'Refund issued' }));
+      expect(callbacks.onStatusChange).toHaveBeenCalledWith('AfterCallWork');
+      expect(callbacks.onStatusChange).toHaveBeenLastCalledWith('Available');
+      expect(mockService.getLogs().pop()).toEqual(expect.objectContaining({ message: 'Call with +15555550123 dispositioned as resolved.' }));
+      expect(mockService.getAfterCallWorkRemainingTime()).toBe(-1);
+      await expect(mockService.completeAfterCallWork()).rejects.toThrow('No contact in after-call work.');
+    });
+
+    it('should complete after-call work when it times out', async () => {
+      // Setup
+      await mockService.hangUpCall();
+
+      // Test
+      jest.advanceTimersByTime(60000);
+
+      // Verify
+      expect(callbacks.onStatusChange).toHaveBeenLastCalledWith('Available');
+      expect(mockService.getAfterCallWorkRemainingTime()).toBe(-1);
+    });
+  });
+});
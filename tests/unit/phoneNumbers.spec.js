@@ -0,0 +1,125 @@
+import {
+    COUNTRIES,
+    getCountry,
+    splitExtension,
+    isPbxAddress,
+    parsePhoneNumber,
+    isValidPhoneNumber,
+    formatNationalNumber,
+    formatAsYouType
+} from '../../src/services/phoneNumbers'
+
+describe('phoneNumbers', () => {
+    describe('getCountry', () => {
+        it('finds countries by ISO code or calling code', () => {
+            expect(getCountry('gb').name).toBe('United Kingdom')
+            expect(getCountry('+44').code).toBe('GB')
+            expect(getCountry('XX')).toBeUndefined()
+        })
+
+        it('lists each country once', () => {
+            const codes = COUNTRIES.map(country => country.code)
+            expect(new Set(codes).size).toBe(codes.length)
+        })
+    })
+
+    describe('splitExtension', () => {
+        it('splits the extension formats agents type', () => {
+            expect(splitExtension('+15555550123;ext=42')).toEqual({ number: '+15555550123', extension: '42' })
+            expect(splitExtension('(555) 555-0123 ext. 42')).toEqual({ number: '(555) 555-0123', extension: '42' })
+            expect(splitExtension('555-555-0123 x42')).toEqual({ number: '555-555-0123', extension: '42' })
+            expect(splitExtension('5555550123,42')).toEqual({ number: '5555550123', extension: '42' })
+        })
+
+        it('leaves numbers without an extension alone', () => {
+            expect(splitExtension(' +15555550123 ')).toEqual({ number: '+15555550123', extension: null })
+        })
+    })
+
+    describe('isPbxAddress', () => {
+        it('recognizes SIP URIs and bare extensions', () => {
+            expect(isPbxAddress('sip:1002@pbx.example.com')).toBe(true)
+            expect(isPbxAddress('SIPS:alice@pbx.example.com')).toBe(true)
+            expect(isPbxAddress(' 1001 ')).toBe(true)
+        })
+
+        it('does not treat phone numbers as PBX addresses', () => {
+            expect(isPbxAddress('5555550123')).toBe(false)
+            expect(isPbxAddress('+1001')).toBe(false)
+            expect(isPbxAddress('020 7123 4567')).toBe(false)
+        })
+    })
+
+    describe('parsePhoneNumber', () => {
+        it('parses national numbers for the selected country and drops the trunk prefix', () => {
+            expect(parsePhoneNumber('020 7123 4567', 'GB')).toEqual(expect.objectContaining({
+                nationalNumber: '2071234567',
+                e164: '+442071234567',
+                valid: true
+            }))
+            expect(parsePhoneNumber('1 (212) 555-0123', 'US').e164).toBe('+12125550123')
+        })
+
+        it('takes the country from international numbers', () => {
+            const parsed = parsePhoneNumber('0033 1 23 45 67 89', 'US')
+
+            expect(parsed.country.code).toBe('FR')
+            expect(parsed.e164).toBe('+33123456789')
+            expect(parsed.valid).toBe(true)
+        })
+
+        it('keeps the selected country when it shares the calling code', () => {
+            expect(parsePhoneNumber('+1 416 555 0123', 'CA').country.code).toBe('CA')
+            expect(parsePhoneNumber('+1 416 555 0123', 'GB').country.code).toBe('US')
+        })
+
+        it('returns the extension separately from the E.164 number', () => {
+            const parsed = parsePhoneNumber('+1 212 555 0123 ext. 7', 'US')
+
+            expect(parsed.e164).toBe('+12125550123')
+            expect(parsed.extension).toBe('7')
+        })
+    })
+
+    describe('isValidPhoneNumber', () => {
+        it('validates against the country numbering plan', () => {
+            expect(isValidPhoneNumber('(212) 555-0123', 'US')).toBe(true)
+            expect(isValidPhoneNumber('(012) 555-0123', 'US')).toBe(false)
+            expect(isValidPhoneNumber('0412 345 678', 'AU')).toBe(true)
+            expect(isValidPhoneNumber('0412 345', 'AU')).toBe(false)
+        })
+
+        it('accepts international numbers from countries without a numbering plan by E.164 length', () => {
+            expect(isValidPhoneNumber('+86 138 0013 8000')).toBe(true)
+            expect(isValidPhoneNumber('+48 512 345 678')).toBe(true)
+            expect(isValidPhoneNumber('00971 50 123 4567')).toBe(true)
+            expect(parsePhoneNumber('+971 50 123 4567', 'US')).toEqual(expect.objectContaining({ country: null, e164: '+971501234567' }))
+        })
+
+        it('rejects empty input and numbers too short or too long for E.164', () => {
+            expect(isValidPhoneNumber('')).toBe(false)
+            expect(isValidPhoneNumber('+86 1380')).toBe(false)
+            expect(isValidPhoneNumber('+86 1380 0138 0001 234')).toBe(false)
+        })
+    })
+
+    describe('formatting', () => {
+        it('formats national numbers with the country template', () => {
+            expect(formatNationalNumber('2125550123', 'US')).toBe('(212) 555-0123')
+            expect(formatNationalNumber('7911123456', 'GB')).toBe('7911 123456')
+            expect(formatNationalNumber('2071234567', 'GB')).toBe('20 7123 4567')
+        })
+
+        it('formats partial input as it is typed', () => {
+            expect(formatAsYouType('2125', 'US')).toBe('(212) 5')
+            expect(formatAsYouType('+4420712', 'US')).toBe('+44 20 712')
+            expect(formatAsYouType('0207', 'GB')).toBe('0 20 7')
+            expect(formatAsYouType('+', 'US')).toBe('+')
+        })
+
+        it('keeps extensions, including one still being typed', () => {
+            expect(formatAsYouType('2125550123x', 'US')).toBe('(212) 555-0123 x')
+            expect(formatAsYouType('2125550123x42', 'US')).toBe('(212) 555-0123 ext. 42')
+        })
+    })
+})
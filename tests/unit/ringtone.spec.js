@@ -0,0 +1,77 @@
+import RingtonePlayer, { createDefaultRingtone, DEFAULT_RINGTONE_VOLUME } from '../../src/services/ringtone'
+
+describe('ringtone', () => {
+    const createAudio = () => ({
+        sinkId: '',
+        play: jest.fn(() => Promise.resolve()),
+        pause: jest.fn(),
+        setSinkId: jest.fn(function (sinkId) {
+            this.sinkId = sinkId
+            return Promise.resolve()
+        })
+    })
+
+    it('builds the default ring as a WAV file', () => {
+        const [header, data] = createDefaultRingtone().split(',')
+        const bytes = Buffer.from(data, 'base64')
+
+        expect(header).toBe('data:audio/wav;base64')
+        expect(bytes.toString('ascii', 0, 4)).toBe('RIFF')
+        expect(bytes.toString('ascii', 8, 12)).toBe('WAVE')
+        expect(bytes.readUInt32LE(24)).toBe(8000)
+        // Two seconds of ring, then four of silence
+        expect(bytes.readInt16LE(44 + 2 * 1001)).not.toBe(0)
+        expect(bytes.readInt16LE(44 + 2 * 24001)).toBe(0)
+    })
+
+    it('loops the ringtone at its volume on the ringer device', async () => {
+        const audio = createAudio()
+        const player = new RingtonePlayer({ src: '/sounds/ring.mp3', volume: 0.4, createAudio: () => audio })
+        player.setDevice('speakers')
+
+        expect(await player.play()).toBe(true)
+        expect(audio).toEqual(expect.objectContaining({ src: '/sounds/ring.mp3', volume: 0.4, loop: true, sinkId: 'speakers' }))
+        expect(audio.setSinkId.mock.invocationCallOrder[0]).toBeLessThan(audio.play.mock.invocationCallOrder[0])
+
+        player.stop()
+
+        expect(audio.pause).toHaveBeenCalled()
+        expect(audio.currentTime).toBe(0)
+    })
+
+    it('does not start when stopped while switching devices', async () => {
+        const audio = createAudio()
+        const player = new RingtonePlayer({ createAudio: () => audio })
+        player.setDevice('speakers')
+
+        const playing = player.play()
+        player.stop()
+
+        expect(await playing).toBe(false)
+        expect(audio.play).not.toHaveBeenCalled()
+        expect(audio.volume).toBe(DEFAULT_RINGTONE_VOLUME)
+        expect(audio.src).toBe(createDefaultRingtone())
+    })
+
+    it('reports when the browser refuses to play', async () => {
+        const audio = createAudio()
+        const blocked = Object.assign(new Error('play() failed'), { name: 'NotAllowedError' })
+        audio.play.mockReturnValue(Promise.reject(blocked))
+        const player = new RingtonePlayer({ createAudio: () => audio })
+
+        await expect(player.play()).rejects.toBe(blocked)
+        expect(player.playing).toBe(false)
+    })
+
+    it('changes the ringtone and volume while ringing', async () => {
+        const audio = createAudio()
+        const player = new RingtonePlayer({ createAudio: () => audio })
+        await player.play()
+
+        player.configure({ src: '/sounds/chime.mp3', volume: 2 })
+
+        expect(audio.src).toBe('/sounds/chime.mp3')
+        expect(audio.volume).toBe(1)
+        expect(audio.play).toHaveBeenCalledTimes(2)
+    })
+})
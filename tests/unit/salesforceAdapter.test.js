@@ -0,0 +1,178 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the Salesforce CRM adapter against a local stand-in for the REST API
+
+import SalesforceAdapter from '../../src/services/crm/salesforceAdapter';
+import { startCrmStandIn } from './crmStandIn';
+
+describe('SalesforceAdapter', () => {
+  const api = '/services/data/v59.0';
+  let standIn;
+
+  afterEach(async () => {
+    await standIn?.close();
+    delete globalThis.sforce;
+  });
+
+  const createAdapter = (routes, getAccessToken = jest.fn(() => 'token-1')) => startCrmStandIn(routes)
+    .then(server => {
+      standIn = server;
+      return new SalesforceAdapter({ instanceUrl: `${server.url}/`, getAccessToken, fetch: server.fetch });
+    });
+
+  test('finds callers by phone with SOSL', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      [`GET ${api}/search/`]: {
+        body: {
+          searchRecords: [
+            { attributes: { type: 'Contact' }, Id: '003XX', Name: 'Ada Lovelace', Phone: '+15555550123', Email: 'ada@example.com' }
+          ]
+        }
+      }
+    });
+
+    // Test
+    const records = await adapter.searchByPhone('+15555550123');
+
+    // Verify
+    expect(standIn.requests[0].query.q).toBe(
+      'FIND {\\+15555550123} IN PHONE FIELDS RETURNING Contact(Id, Name, Phone, Email, LastModifiedDate), '
+      + 'Lead(Id, Name, Phone, Email, LastModifiedDate), Account(Id, Name, Phone, LastModifiedDate)'
+    );
+    expect(standIn.requests[0].headers.authorization).toBe('Bearer token-1');
+    expect(records).toEqual([expect.objectContaining({
+      id: '003XX',
+      type: 'Contact',
+      name: 'Ada Lovelace',
+      phoneNumber: '+15555550123',
+      email: 'ada@example.com'
+    })]);
+    expect(adapter.getRecordUrl(records[0])).toBe(`${standIn.url}/lightning/r/Contact/003XX/view`);
+  });
+
+  test('creates a record and reads it back', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      [`POST ${api}/sobjects/Lead/`]: { status: 201, body: { id: '00QXX', success: true, errors: [] } },
+      [`GET ${api}/sobjects/Lead/00QXX`]: { body: { attributes: { type: 'Lead' }, Id: '00QXX', Name: 'Grace Hopper' } }
+    });
+
+    // Test
+    const record = await adapter.createRecord({ type: 'Lead', LastName: 'Hopper', Company: 'Navy' });
+
+    // Verify
+    expect(standIn.requests[0].body).toEqual({ LastName: 'Hopper', Company: 'Navy' });
+    expect(record).toEqual(expect.objectContaining({ id: '00QXX', type: 'Lead', name: 'Grace Hopper' }));
+  });
+
+  test('logs the call as a completed Task on the caller', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      [`POST ${api}/sobjects/Task/`]: { status: 201, body: { id: '00TXX', success: true, errors: [] } }
+    });
+
+    // Test
+    const result = await adapter.logCall({
+      contactId: 'call-1',
+      direction: 'inbound',
+      phoneNumber: '+15555550123',
+      endedAt: '2025-07-21T15:05:00.000Z',
+      durationSeconds: 290,
+      disposition: { id: 'billing', label: 'Billing', category: 'Complaint', notes: 'Overcharged' },
+      record: { id: '003XX', type: 'Contact' }
+    });
+
+    // Verify
+    expect(result).toEqual({ id: '00TXX' });
+    expect(standIn.requests[0].body).toEqual({
+      Subject: 'Inbound call from +15555550123',
+      TaskSubtype: 'Call',
+      Status: 'Completed',
+      ActivityDate: '2025-07-21',
+      CallType: 'Inbound',
+      CallDurationInSeconds: 290,
+      CallObject: 'call-1',
+      CallDisposition: 'Complaint: Billing',
+      Description: 'Overcharged',
+      WhoId: '003XX'
+    });
+  });
+
+  test('asks for a fresh token once when the token is rejected', async () => {
+    // Setup
+    const getAccessToken = jest.fn(({ refresh }) => Promise.resolve(refresh ? 'token-2' : 'token-1'));
+    const adapter = await createAdapter({
+      [`GET ${api}/search/`]: request => (request.headers.authorization === 'Bearer token-2'
+        ? { body: { searchRecords: [] } }
+        : { status: 401, body: [{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }] })
+    }, getAccessToken);
+
+    // Test
+    const records = await adapter.searchByPhone('+15555550123');
+
+    // Verify
+    expect(records).toEqual([]);
+    expect(getAccessToken.mock.calls).toEqual([[{ refresh: false }], [{ refresh: true }]]);
+  });
+
+  test('reports Salesforce errors', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      [`POST ${api}/sobjects/Task/`]: { status: 400, body: [{ message: 'Required fields are missing: [Subject]' }] }
+    });
+
+    // Test & Verify
+    await expect(adapter.logCall({ direction: 'outbound', durationSeconds: 0 }))
+      .rejects.toThrow('Salesforce request failed (400): Required fields are missing: [Subject]');
+  });
+
+  test('reports the HTTP status of errors that are not JSON', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      [`GET ${api}/search/`]: { status: 502, text: '<html><body><h1>502 Bad Gateway</h1></body></html>\n' }
+    });
+
+    // Test & Verify
+    await expect(adapter.searchByPhone('+15555550123'))
+      .rejects.toThrow('Salesforce request failed (502): <html><body><h1>502 Bad Gateway</h1></body></html>');
+  });
+
+  test('encodes record IDs and object names in URLs', async () => {
+    // Setup
+    const adapter = await createAdapter({
+      [`PATCH ${api}/sobjects/Contact/003XX%3Ffields%3DId`]: { status: 204 },
+      [`GET ${api}/sobjects/Contact/003XX%3Ffields%3DId`]: { body: { attributes: { type: 'Contact' }, Id: '003XX?fields=Id', Name: 'Ada Lovelace' } }
+    });
+
+    // Test
+    const record = await adapter.updateRecord('003XX?fields=Id', { Phone: '+15555550123' });
+
+    // Verify
+    expect(standIn.requests.map(request => request.query)).toEqual([{}, {}]);
+    expect(record.name).toBe('Ada Lovelace');
+    expect(adapter.getRecordUrl({ id: '003/XX', type: 'Contact' })).toBe(`${standIn.url}/lightning/r/Contact/003%2FXX/view`);
+  });
+
+  test('pops records through Open CTI when running inside Salesforce', async () => {
+    // Setup
+    const adapter = await createAdapter({});
+    globalThis.sforce = {
+      opencti: {
+        SCREENPOP_TYPE: { SOBJECT: 'sobject' },
+        screenPop: jest.fn(({ callback }) => callback({ success: true }))
+      }
+    };
+
+    // Test
+    const opened = await adapter.openRecord({ id: '003XX', type: 'Contact' });
+
+    // Verify
+    expect(opened).toBe(true);
+    expect(globalThis.sforce.opencti.screenPop).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'sobject',
+      params: { recordId: '003XX' }
+    }));
+  });
+});
@@ -0,0 +1,156 @@
+// Test script for SIP agentService.js
+// This tests the SIP implementation of the agent service
+
+import { EventEmitter } from 'events';
+import agentService from '../../src/services/providers/Sip/agentService';
+
+describe('SIP agentService', () => {
+  let mockUserAgent;
+  let callbacks;
+
+  beforeEach(async () => {
+    // Setup a user agent that emits JsSIP registration events
+    mockUserAgent = new EventEmitter();
+    mockUserAgent.configuration = {
+      uri: { user: '1001', toString: () => 'sip:1001@pbx.example.com' },
+      display_name: 'Agent 1001'
+    };
+    mockUserAgent.register = jest.fn();
+    mockUserAgent.unregister = jest.fn();
+    mockUserAgent.isRegistered = jest.fn().mockReturnValue(true);
+
+    callbacks = {
+      onAgentAvailable: jest.fn(),
+      onStateChange: jest.fn(),
+      onLoginRequired: jest.fn(),
+      onSoftphoneError: jest.fn(),
+      onLogout: jest.fn()
+    };
+
+    window.JsSIP = { C: { causes: { AUTHENTICATION_ERROR: 'Authentication Error' } } };
+
+    await agentService.initializeAgent({ userAgent: mockUserAgent, ...callbacks });
+  });
+
+  afterEach(() => {
+    agentService.teardown();
+    delete window.JsSIP;
+  });
+
+  describe('registration', () => {
+    it('should become available once the line registers', () => {
+      // Test
+      mockUserAgent.emit('registered', {});
+
+      // Verify
+      expect(callbacks.onAgentAvailable).toHaveBeenCalledWith(expect.objectContaining({ username: '1001' }));
+      expect(callbacks.onStateChange).toHaveBeenCalledWith('Available');
+      expect(agentService.getAgentState()).toBe('Available');
+    });
+
+    it('should request login on authentication failures', () => {
+      // Test
+      mockUserAgent.emit('registrationFailed', { cause: 'Authentication Error' });
+      mockUserAgent.emit('registrationFailed', { cause: 'Connection Error' });
+
+      // Verify
+      expect(callbacks.onLoginRequired).toHaveBeenCalledTimes(1);
+      expect(callbacks.onSoftphoneError).toHaveBeenCalledWith(expect.any(Error));
+    });
+
+    it('should remove its listeners on teardown', () => {
+      // Test
+      agentService.teardown();
+
+      // Verify
+      expect(mockUserAgent.listenerCount('registered')).toBe(0);
+      expect(mockUserAgent.listenerCount('registrationFailed')).toBe(0);
+    });
+  });
+
+  describe('agent states', () => {
+    beforeEach(() => {
+      mockUserAgent.emit('registered', {});
+    });
+
+    it('should list the SIP agent states', async () => {
+      // Test
+      const states = await agentService.getAvailableAgentStates();
+
+      // Verify
+      expect(states.map(state => state.name)).toEqual(['Available', 'Away', 'Offline']);
+    });
+
+    it('should stay registered but stop routing when away', async () => {
+      // Test
+      await agentService.setAgentStatus('Away');
+
+      // Verify
+      expect(agentService.getAgentState()).toBe('Away');
+      expect(agentService.isRoutable()).toBe(false);
+      expect(mockUserAgent.unregister).not.toHaveBeenCalled();
+    });
+
+    it('should unregister when going offline', async () => {
+      // Test
+      await agentService.setAgentStatus('Offline');
+
+      // Verify
+      expect(mockUserAgent.unregister).toHaveBeenCalled();
+      expect(agentService.getAgentState()).toBe('Offline');
+    });
+
+    it('should reject unknown states', async () => {
+      // Test & Verify
+      await expect(agentService.setAgentStatus('Lunch')).rejects.toThrow('Invalid agent status: Lunch');
+    });
+
+    it('should report call activity on top of the selected state', () => {
+      // Test
+      agentService.setCallActivity('Busy');
+      const busyState = agentService.getAgentState();
+      agentService.setCallActivity(null);
+
+      // Verify
+      expect(busyState).toBe('Busy');
+      expect(agentService.getAgentState()).toBe('Available');
+    });
+
+    it('should log out by unregistering', async () => {
+      // Test
+      await agentService.logout();
+
+      // Verify
+      expect(mockUserAgent.unregister).toHaveBeenCalled();
+      expect(callbacks.onLogout).toHaveBeenCalled();
+    });
+  });
+
+  describe('statistics and logs', () => {
+    it('should track handled calls', async () => {
+      // Setup
+      mockUserAgent.emit('registered', {});
+
+      // Test
+      agentService.recordContact(60);
+      agentService.recordContact(120);
+      const statistics = await agentService.getAgentStatistics();
+
+      // Verify
+      expect(statistics.contactsHandled).toBe(2);
+      expect(statistics.averageHandleTime).toBe(90);
+    });
+
+    it('should keep a log of SIP events', () => {
+      // Test
+      mockUserAgent.emit('registered', {});
+      agentService.log('warn', 'Something happened');
+
+      // Verify
+      expect(agentService.getCcpLogs().map(entry => entry.message)).toEqual([
+        'SIP line registered.',
+        'Something happened'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,473 @@
+// Test script for SIP contactService.js
+// This tests the SIP implementation of the contact service against a scripted JsSIP stand-in
+
+import { EventEmitter } from 'events';
+import contactService from '../../src/services/providers/Sip/contactService';
+import agentService from '../../src/services/providers/Sip/agentService';
+
+// Mock dependencies
+jest.mock('../../src/services/providers/Sip/agentService');
+
+/**
+ * Minimal stand-in for a JsSIP RTCSession: answering, terminating and re-INVITEs
+ * complete synchronously and emit the same events JsSIP does.
+ */
+class FakeSession extends EventEmitter {
+  constructor(direction, user) {
+    super();
+    this.id = `${direction}-${user}`;
+    this.direction = direction;
+    this.remote_identity = {
+      display_name: 'Caller',
+      uri: { user, toString: () => `sip:${user}@pbx.example.com` }
+    };
+    this.established = false;
+    this.ended = false;
+    this.onHold = false;
+
+    this.answer = jest.fn(() => this.accept());
+    this.terminate = jest.fn(() => this.end('local'));
+    this.hold = jest.fn((options, done) => {
+      if (this.onHold) return false;
+      this.onHold = true;
+      done();
+      return true;
+    });
+    this.unhold = jest.fn((options, done) => {
+      if (!this.onHold) return false;
+      this.onHold = false;
+      done();
+      return true;
+    });
+    this.mute = jest.fn(() => this.emit('muted', {}));
+    this.unmute = jest.fn(() => this.emit('unmuted', {}));
+    this.refer = jest.fn();
+    this.sendDTMF = jest.fn();
+  }
+
+  accept() {
+    this.established = true;
+    this.start_time = new Date(0);
+    this.emit('accepted', {});
+  }
+
+  end(originator) {
+    const wasEstablished = this.established;
+    this.ended = true;
+    this.end_time = new Date(30000);
+    this.emit(wasEstablished ? 'ended' : 'failed', {
+      originator,
+      cause: wasEstablished ? 'Terminated' : 'Canceled'
+    });
+  }
+
+  isEstablished() {
+    return this.established && !this.ended;
+  }
+
+  isEnded() {
+    return this.ended;
+  }
+
+  isOnHold() {
+    return { local: this.onHold, remote: false };
+  }
+}
+
+describe('SIP contactService', () => {
+  let mockUserAgent;
+  let callbacks;
+
+  const receiveCall = (user = '5551234567', headers = {}) => {
+    const session = new FakeSession('incoming', user);
+    mockUserAgent.emit('newRTCSession', { originator: 'remote', session, request: { headers } });
+    return session;
+  };
+
+  const placeConnectedCall = async () => {
+    await contactService.placeCall('5551234567');
+    const session = mockUserAgent.call.mock.results[mockUserAgent.call.mock.results.length - 1].value;
+    session.accept();
+    return session;
+  };
+
+  beforeEach(async () => {
+    // Reset mocks
+    jest.clearAllMocks();
+
+    agentService.isRoutable.mockReturnValue(true);
+    agentService.isAutoAcceptEnabled.mockReturnValue(false);
+
+    // Setup user agent that creates fake sessions for outbound calls
+    mockUserAgent = new EventEmitter();
+    mockUserAgent.call = jest.fn(target => new FakeSession('outgoing', target));
+
+    callbacks = {
+      onIncomingCall: jest.fn(),
+      onConnecting: jest.fn(),
+      onConnected: jest.fn(),
+      onAccepted: jest.fn(),
+      onMissed: jest.fn(),
+      onCallEnded: jest.fn(),
+      onMuteChange: jest.fn(),
+      onError: jest.fn()
+    };
+
+    await contactService.initializeContact({ userAgent: mockUserAgent, iceServers: [], ...callbacks });
+  });
+
+  afterEach(() => {
+    contactService.teardown();
+  });
+
+  describe('incoming calls', () => {
+    it('should offer incoming calls and accept them', async () => {
+      // Test
+      const session = receiveCall();
+      await contactService.acceptContact();
+
+      // Verify
+      expect(callbacks.onIncomingCall).toHaveBeenCalledWith(expect.objectContaining({
+        id: session.id,
+        provider: 'sip',
+        direction: 'inbound',
+        remoteNumber: '5551234567',
+        state: 'ringing'
+      }));
+      expect(session.answer).toHaveBeenCalledWith(expect.objectContaining({
+        mediaConstraints: { audio: true, video: false }
+      }));
+      expect(agentService.setCallActivity).toHaveBeenCalledWith('Busy');
+      expect(callbacks.onAccepted).toHaveBeenCalledWith(expect.objectContaining({ id: session.id, state: 'connected' }));
+    });
+
+    it('should decline with 486 and report the end of the call', async () => {
+      // Setup
+      const session = receiveCall();
+
+      // Test
+      await contactService.declineContact();
+
+      // Verify
+      expect(session.terminate).toHaveBeenCalledWith({ status_code: 486, reason_phrase: 'Busy Here' });
+      expect(callbacks.onMissed).not.toHaveBeenCalled();
+      expect(callbacks.onCallEnded).toHaveBeenCalledWith(expect.objectContaining({ id: session.id, state: 'ended' }));
+      expect(contactService.getContactInstance()).toBeNull();
+    });
+
+    it('should report calls cancelled by the caller as missed', () => {
+      // Setup
+      const session = receiveCall();
+
+      // Test
+      session.end('remote');
+
+      // Verify
+      expect(callbacks.onMissed).toHaveBeenCalledWith(expect.objectContaining({ id: session.id, state: 'missed' }));
+      expect(callbacks.onCallEnded.mock.calls[0][0].endedAt).not.toBeNull();
+    });
+
+    it('should reject calls while already on a call', () => {
+      // Setup
+      receiveCall('5550000001');
+
+      // Test
+      const second = receiveCall('5550000002');
+
+      // Verify
+      expect(second.terminate).toHaveBeenCalledWith({ status_code: 486, reason_phrase: 'Busy Here' });
+      expect(callbacks.onIncomingCall).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject calls while away', () => {
+      // Setup
+      agentService.isRoutable.mockReturnValue(false);
+
+      // Test
+      const session = receiveCall();
+
+      // Verify
+      expect(session.terminate).toHaveBeenCalledWith({ status_code: 486, reason_phrase: 'Busy Here' });
+      expect(callbacks.onIncomingCall).not.toHaveBeenCalled();
+    });
+
+    it('should expose the caller and X- headers as contact attributes', () => {
+      // Test
+      receiveCall('5551234567', {
+        'X-Account-Id': [{ raw: 'ACC-42' }],
+        'Via': [{ raw: 'SIP/2.0/WSS pbx.example.com' }]
+      });
+
+      // Verify
+      expect(contactService.getContactAttributes()).toEqual({
+        callerNumber: '5551234567',
+        callerName: 'Caller',
+        'X-Account-Id': 'ACC-42'
+      });
+    });
+  });
+
+  describe('outbound calls', () => {
+    it('should place a call and report progress', async () => {
+      // Test
+      await contactService.placeCall('5551234567');
+      const session = mockUserAgent.call.mock.results[0].value;
+      session.emit('progress', {});
+      session.accept();
+
+      // Verify
+      expect(mockUserAgent.call).toHaveBeenCalledWith('5551234567', expect.any(Object));
+      expect(agentService.setCallActivity).toHaveBeenCalledWith('CallingCustomer');
+      expect(callbacks.onConnecting).toHaveBeenCalledWith(expect.objectContaining({ id: session.id, state: 'dialing' }));
+      expect(callbacks.onConnected).toHaveBeenCalledWith(expect.objectContaining({ id: session.id, state: 'connected' }));
+      expect(callbacks.onConnected.mock.calls[0][0].raw).toBe(session);
+    });
+
+    it('should refuse a second call while one is active', async () => {
+      // Setup
+      await contactService.placeCall('5551234567');
+
+      // Test & Verify
+      await expect(contactService.placeCall('5557654321')).rejects.toThrow('A call is already in progress.');
+    });
+
+    it('should hang up and record the call', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+
+      // Test
+      await contactService.endContact();
+
+      // Verify
+      expect(session.terminate).toHaveBeenCalled();
+      expect(agentService.recordContact).toHaveBeenCalledWith(30);
+      expect(agentService.setCallActivity).toHaveBeenLastCalledWith(null);
+      expect(callbacks.onCallEnded).toHaveBeenCalledWith(expect.objectContaining({ id: session.id, state: 'ended' }));
+    });
+  });
+
+  describe('hold and mute', () => {
+    it('should hold and resume with re-INVITEs', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+
+      // Test
+      await contactService.holdCall();
+      const heldState = session.isOnHold().local;
+      const heldSession = contactService.getCallSession();
+      await contactService.resumeCall();
+
+      // Verify
+      expect(heldState).toBe(true);
+      expect(heldSession.state).toBe('on-hold');
+      expect(contactService.getCallSession().state).toBe('connected');
+      expect(session.hold).toHaveBeenCalled();
+      expect(session.unhold).toHaveBeenCalled();
+      expect(session.isOnHold().local).toBe(false);
+    });
+
+    it('should reject a hold whose re-INVITE fails', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+      // JsSIP terminates the call when the re-INVITE is rejected
+      session.hold.mockImplementationOnce(() => {
+        setTimeout(() => session.end('local'));
+        return true;
+      });
+
+      // Test & Verify
+      await expect(contactService.holdCall()).rejects.toThrow('Failed to put call on hold: the call ended.');
+      expect(callbacks.onCallEnded).toHaveBeenCalled();
+      expect(session.listenerCount('ended')).toBe(1);
+    });
+
+    it('should reject a resume the remote party never answers', async () => {
+      // Setup
+      jest.useFakeTimers();
+      const session = await placeConnectedCall();
+      await contactService.holdCall();
+      session.unhold.mockImplementationOnce(() => true);
+
+      // Test
+      const resuming = contactService.resumeCall();
+      jest.advanceTimersByTime(35000);
+
+      // Verify
+      await expect(resuming).rejects.toThrow('Failed to resume call: the remote party did not answer.');
+      jest.useRealTimers();
+    });
+
+    it('should reject holding a call that is not established', async () => {
+      // Setup
+      await contactService.placeCall('5551234567');
+
+      // Test & Verify
+      await expect(contactService.holdCall()).rejects.toThrow('No established call available to hold.');
+    });
+
+    it('should mute and unmute the microphone', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+
+      // Test
+      await contactService.muteCall();
+      await contactService.unmuteCall();
+
+      // Verify
+      expect(session.mute).toHaveBeenCalledWith({ audio: true });
+      expect(callbacks.onMuteChange).toHaveBeenNthCalledWith(1, true);
+      expect(callbacks.onMuteChange).toHaveBeenNthCalledWith(2, false);
+    });
+
+    it('should send DTMF digits on the established call', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+
+      // Test
+      await contactService.sendDigits('12#');
+
+      // Verify
+      expect(session.sendDTMF).toHaveBeenCalledWith('12#');
+      await expect(contactService.sendDigits('12x')).rejects.toThrow('Invalid DTMF digits: 12x');
+    });
+  });
+
+  describe('audio devices', () => {
+    afterEach(() => {
+      delete window.navigator.mediaDevices;
+    });
+
+    it('should switch the microphone on the active call and keep it muted', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+      const oldTrack = { kind: 'audio', enabled: false, stop: jest.fn() };
+      const newTrack = { kind: 'audio', enabled: true, stop: jest.fn() };
+      const sender = { track: oldTrack, replaceTrack: jest.fn(() => Promise.resolve()) };
+      session.connection = { getSenders: () => [sender] };
+      window.navigator.mediaDevices = {
+        getUserMedia: jest.fn(() => Promise.resolve({ getAudioTracks: () => [newTrack] }))
+      };
+
+      // Test
+      await contactService.setAudioDevices({ input: 'headset-mic' });
+      await contactService.endContact();
+
+      // Verify
+      expect(window.navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: { deviceId: { exact: 'headset-mic' } }, video: false });
+      expect(sender.replaceTrack).toHaveBeenCalledWith(newTrack);
+      expect(newTrack.enabled).toBe(false);
+      expect(oldTrack.stop).toHaveBeenCalled();
+      expect(newTrack.stop).toHaveBeenCalled();
+    });
+
+    it('should use the chosen microphone for new calls', async () => {
+      // Setup
+      await contactService.setAudioDevices({ input: 'headset-mic', ringer: 'headset' });
+
+      // Test
+      await contactService.placeCall('5551234567');
+
+      // Verify
+      expect(mockUserAgent.call.mock.calls[0][1].mediaConstraints).toEqual({ audio: { deviceId: 'headset-mic' }, video: false });
+    });
+  });
+
+  describe('call stats', () => {
+    it('should read the statistics of the call\'s peer connection', async () => {
+      // Setup
+      const report = new Map();
+      const session = await placeConnectedCall();
+      session.connection = { getStats: jest.fn(() => Promise.resolve(report)) };
+
+      // Test
+      const stats = await contactService.getCallStats();
+      await contactService.endContact();
+
+      // Verify
+      expect(stats).toBe(report);
+      expect(await contactService.getCallStats()).toBeNull();
+    });
+  });
+
+  describe('transfers', () => {
+    it('should blind transfer with REFER and drop once the target answers', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+      session.refer.mockImplementation((target, options) => {
+        options.eventHandlers.requestSucceeded({});
+        options.eventHandlers.accepted({});
+      });
+
+      // Test
+      await contactService.transferToPhoneNumber('2001');
+
+      // Verify
+      expect(session.refer).toHaveBeenCalledWith('2001', expect.any(Object));
+      expect(session.terminate).toHaveBeenCalled();
+      expect(contactService.getContactInstance()).toBeNull();
+    });
+
+    it('should reject a transfer the PBX refuses', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+      session.refer.mockImplementation((target, options) => {
+        options.eventHandlers.requestFailed({ cause: 'Rejected' });
+      });
+
+      // Test & Verify
+      await expect(contactService.transferToPhoneNumber('2001')).rejects.toThrow('Transfer was rejected: Rejected');
+      expect(session.terminate).not.toHaveBeenCalled();
+    });
+
+    it('should consult then complete an attended transfer with Replaces', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+
+      // Test
+      const consultId = await contactService.warmTransferToPhoneNumber('2002');
+      const consult = contactService.getConsultSession();
+      consult.accept();
+      session.refer.mockImplementation((target, options) => {
+        options.eventHandlers.requestSucceeded({});
+        options.eventHandlers.accepted({});
+      });
+      await contactService.completeTransfer();
+
+      // Verify
+      expect(session.hold).toHaveBeenCalled();
+      expect(consultId).toBe(consult.id);
+      expect(session.refer).toHaveBeenCalledWith(consult.remote_identity.uri, expect.objectContaining({ replaces: consult }));
+      expect(consult.terminate).toHaveBeenCalled();
+      expect(session.terminate).toHaveBeenCalled();
+    });
+
+    it('should cancel an attended transfer and resume the caller', async () => {
+      // Setup
+      const session = await placeConnectedCall();
+      await contactService.warmTransferToPhoneNumber('2002');
+      const consult = contactService.getConsultSession();
+
+      // Test
+      await contactService.cancelTransfer();
+
+      // Verify
+      expect(consult.terminate).toHaveBeenCalled();
+      expect(session.unhold).toHaveBeenCalled();
+      expect(contactService.getConsultSession()).toBeNull();
+      expect(contactService.getContactInstance()).toBe(session);
+    });
+
+    it('should list the call and the consultation call', async () => {
+      // Setup
+      await placeConnectedCall();
+      await contactService.warmTransferToPhoneNumber('2002');
+
+      // Test
+      const contacts = contactService.getContacts();
+
+      // Verify
+      expect(contacts.map(contact => contact.connections[0].type)).toEqual(['initial', 'thirdParty']);
+      expect(contacts[0].state).toBe('hold');
+    });
+  });
+});
@@ -0,0 +1,252 @@
+// Test script for sipService.js
+// This tests the SIP-over-WebSocket implementation of the softphone service
+
+import sipService from '../../src/services/providers/Sip/sipService';
+import contactService from '../../src/services/providers/Sip/contactService';
+import agentService from '../../src/services/providers/Sip/agentService';
+
+// Mock dependencies
+jest.mock('../../src/services/providers/Sip/contactService');
+jest.mock('../../src/services/providers/Sip/agentService');
+
+describe('sipService', () => {
+  let mockUserAgent;
+
+  const config = {
+    server: 'wss://pbx.example.com:8089/ws',
+    uri: 'sip:1001@pbx.example.com',
+    password: 'secret',
+    displayName: 'Agent 1001'
+  };
+
+  beforeEach(() => {
+    // Reset mocks
+    jest.clearAllMocks();
+
+    // Setup JsSIP mock
+    mockUserAgent = {
+      start: jest.fn(),
+      stop: jest.fn(),
+      register: jest.fn()
+    };
+
+    window.JsSIP = {
+      WebSocketInterface: jest.fn(url => ({ url })),
+      UA: jest.fn(() => mockUserAgent)
+    };
+
+    // Setup mocks for contactService and agentService
+    agentService.initializeAgent.mockResolvedValue({});
+    contactService.initializeContact.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    delete window.JsSIP;
+  });
+
+  describe('initialization', () => {
+    it('should create and start a registering user agent', async () => {
+      // Test
+      await sipService.initialize({ ...config, onStatusChange: jest.fn() });
+
+      // Verify
+      expect(window.JsSIP.WebSocketInterface).toHaveBeenCalledWith(config.server);
+      expect(window.JsSIP.UA).toHaveBeenCalledWith(expect.objectContaining({
+        uri: config.uri,
+        password: config.password,
+        display_name: config.displayName,
+        register: true
+      }));
+      expect(agentService.initializeAgent).toHaveBeenCalledWith(expect.objectContaining({ userAgent: mockUserAgent }));
+      expect(contactService.initializeContact).toHaveBeenCalledWith(expect.objectContaining({ userAgent: mockUserAgent }));
+      expect(mockUserAgent.start).toHaveBeenCalled();
+    });
+
+    it('should reject if JsSIP is not loaded', async () => {
+      // Setup
+      delete window.JsSIP;
+
+      // Test & Verify
+      await expect(sipService.initialize(config)).rejects.toThrow('JsSIP library not loaded.');
+    });
+
+    it('should reject without a server or URI', async () => {
+      // Test & Verify
+      await expect(sipService.initialize({ uri: config.uri })).rejects.toThrow('requires `server` and `uri`');
+      expect(window.JsSIP.UA).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('call management', () => {
+    it('should delegate calls to contactService', async () => {
+      // Setup
+      contactService.placeCall.mockResolvedValue(true);
+      contactService.endContact.mockResolvedValue(true);
+      contactService.holdCall.mockResolvedValue('Call successfully put on hold.');
+      contactService.resumeCall.mockResolvedValue('Call successfully resumed.');
+      contactService.muteCall.mockResolvedValue(true);
+      contactService.sendDigits.mockResolvedValue(true);
+
+      // Test
+      await sipService.placeCall('5551234567');
+      await sipService.holdCall();
+      await sipService.resumeCall();
+      await sipService.muteConnection();
+      await sipService.sendDigits('1#');
+      await sipService.hangUpCall();
+
+      // Verify
+      expect(contactService.placeCall).toHaveBeenCalledWith('5551234567');
+      expect(contactService.holdCall).toHaveBeenCalled();
+      expect(contactService.resumeCall).toHaveBeenCalled();
+      expect(contactService.muteCall).toHaveBeenCalled();
+      expect(contactService.sendDigits).toHaveBeenCalledWith('1#');
+      expect(contactService.endContact).toHaveBeenCalled();
+    });
+
+    it('should send the extension as DTMF once the call connects', async () => {
+      // Setup
+      jest.useFakeTimers();
+      contactService.placeCall.mockResolvedValue(true);
+      contactService.sendDigits.mockResolvedValue(true);
+      await sipService.initialize({ ...config, extensionDelay: 500 });
+      const contactCallbacks = contactService.initializeContact.mock.calls[0][0];
+
+      // Test
+      await sipService.placeCall('5551234567', { extension: '204' });
+      contactCallbacks.onConnected({ id: 'call-1', state: 'connected' });
+      jest.advanceTimersByTime(499);
+      const sentEarly = contactService.sendDigits.mock.calls.length;
+      jest.advanceTimersByTime(1);
+
+      // Verify
+      expect(contactService.placeCall).toHaveBeenCalledWith('5551234567');
+      expect(sentEarly).toBe(0);
+      expect(contactService.sendDigits).toHaveBeenCalledWith('204');
+      jest.useRealTimers();
+    });
+
+    it('should not send the extension when the call ends first', async () => {
+      // Setup
+      jest.useFakeTimers();
+      contactService.placeCall.mockResolvedValue(true);
+      await sipService.initialize(config);
+      const contactCallbacks = contactService.initializeContact.mock.calls[0][0];
+
+      // Test
+      await sipService.placeCall('5551234567', { extension: '204' });
+      contactCallbacks.onConnected({ id: 'call-1', state: 'connected' });
+      contactCallbacks.onCallEnded({ id: 'call-1', state: 'ended' });
+      jest.runAllTimers();
+
+      // Verify
+      expect(contactService.sendDigits).not.toHaveBeenCalled();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('transfers', () => {
+    it('should route cold and warm transfers', async () => {
+      // Setup
+      contactService.transferToPhoneNumber.mockResolvedValue(true);
+      contactService.warmTransferToPhoneNumber.mockResolvedValue('consult-1');
+
+      // Test
+      await sipService.transferCall('2001');
+      const consultId = await sipService.transferCall('2002', true);
+
+      // Verify
+      expect(contactService.transferToPhoneNumber).toHaveBeenCalledWith('2001');
+      expect(contactService.warmTransferToPhoneNumber).toHaveBeenCalledWith('2002');
+      expect(consultId).toBe('consult-1');
+    });
+
+    it('should complete, end or cancel an attended transfer', async () => {
+      // Setup
+      contactService.completeTransfer.mockResolvedValue(true);
+      contactService.endContact.mockResolvedValue(true);
+      contactService.cancelTransfer.mockResolvedValue(true);
+
+      // Test
+      await sipService.endTransferCall(true);
+      await sipService.endTransferCall();
+      await sipService.restoreCall();
+
+      // Verify
+      expect(contactService.completeTransfer).toHaveBeenCalledTimes(1);
+      expect(contactService.endContact).toHaveBeenCalledTimes(1);
+      expect(contactService.cancelTransfer).toHaveBeenCalledTimes(1);
+    });
+
+    it('should transfer to configured queue extensions', async () => {
+      // Setup
+      const queues = [{ queueId: '600', name: 'Support' }];
+      await sipService.initialize({ ...config, queues });
+      contactService.transferToPhoneNumber.mockResolvedValue(true);
+
+      // Test
+      const availableQueues = await sipService.getAvailableQueues();
+      await sipService.transferToQueue('600');
+
+      // Verify
+      expect(availableQueues).toEqual(queues);
+      expect(contactService.transferToPhoneNumber).toHaveBeenCalledWith('600');
+    });
+
+    it('should reject conference operations', async () => {
+      // Test & Verify
+      await expect(sipService.initiateConference('2001')).rejects.toThrow('not supported');
+      await expect(sipService.mergeConnections()).rejects.toThrow('not supported');
+      await expect(sipService.removeFromConference('c1')).rejects.toThrow('not supported');
+    });
+
+    it('should have an empty transfer directory', async () => {
+      // Test & Verify
+      await expect(sipService.getTransferEndpoints()).resolves.toEqual([]);
+      await expect(sipService.transferToEndpoint('e1')).rejects.toThrow('not supported');
+    });
+
+    it('should have no after-call work', async () => {
+      // Test & Verify
+      await expect(sipService.getDispositionCodes()).resolves.toEqual([]);
+      await expect(sipService.completeAfterCallWork('resolved')).rejects.toThrow('not supported');
+      expect(sipService.getAfterCallWorkRemainingTime()).toBe(-1);
+    });
+  });
+
+  describe('agent operations', () => {
+    it('should delegate agent operations to agentService', async () => {
+      // Setup
+      agentService.getAvailableAgentStates.mockResolvedValue([{ name: 'Available' }]);
+      agentService.setRoutingState.mockResolvedValue('Away');
+      agentService.getAgentSnapshot.mockResolvedValue({ state: 'Available', contacts: [] });
+      contactService.getContacts.mockReturnValue([{ contactId: 'call-1' }]);
+
+      // Test
+      const states = await sipService.getAgentStates();
+      const state = await sipService.setAgentState('Away');
+      const snapshot = await sipService.getAgentSnapshot();
+
+      // Verify
+      expect(states).toEqual([{ name: 'Available' }]);
+      expect(state).toBe('Away');
+      expect(agentService.setRoutingState).toHaveBeenCalledWith('Away');
+      expect(snapshot.contacts).toEqual([{ contactId: 'call-1' }]);
+    });
+  });
+
+  describe('destroy', () => {
+    it('should tear down listeners and stop the user agent', async () => {
+      // Setup
+      await sipService.initialize(config);
+
+      // Test
+      await sipService.destroy();
+
+      // Verify
+      expect(contactService.teardown).toHaveBeenCalled();
+      expect(agentService.teardown).toHaveBeenCalled();
+      expect(mockUserAgent.stop).toHaveBeenCalled();
+    });
+  });
+});
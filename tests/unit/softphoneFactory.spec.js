@@ -1,5 +1,13 @@
-import { getSoftphoneService } from '../../../src/services/softphoneFactory'
-import amazonConnectService from '../../../src/services/providers/AmazonConnect/amazonConnectService'
+import {
+    getSoftphoneService,
+    isSupportedSoftphoneProvider,
+    getSupportedSoftphoneProviders,
+    registerSoftphoneProvider
+} from '../../src/services/softphoneFactory'
+import amazonConnectService from '../../src/services/providers/AmazonConnect/amazonConnectService'
+import twilioService from '../../src/services/providers/Twilio/twilioService'
+import sipService from '../../src/services/providers/Sip/sipService'
+import mockService from '../../src/services/providers/Mock/mockService'
 
 describe('softphoneFactory', () => {
     it('returns amazon connect service for amazon-connect provider', () => {
@@ -7,9 +15,74 @@ describe('softphoneFactory', () => {
         expect(service).toBe(amazonConnectService)
     })
 
+    it('returns twilio service for twilio provider', () => {
+        const service = getSoftphoneService('twilio')
+        expect(service).toBe(twilioService)
+    })
+
+    it('returns sip service for sip provider', () => {
+        const service = getSoftphoneService('sip')
+        expect(service).toBe(sipService)
+    })
+
+    it('returns the simulated service for mock provider', () => {
+        const service = getSoftphoneService('mock')
+        expect(service).toBe(mockService)
+    })
+
     it('throws error for unknown provider', () => {
         expect(() => {
             getSoftphoneService('unknown-provider')
         }).toThrow('Unknown telephony provider: unknown-provider')
     })
+
+    it('reports which providers are supported', () => {
+        expect(isSupportedSoftphoneProvider('amazon-connect')).toBe(true)
+        expect(isSupportedSoftphoneProvider('twilio')).toBe(true)
+        expect(isSupportedSoftphoneProvider('sip')).toBe(true)
+        expect(isSupportedSoftphoneProvider('mock')).toBe(true)
+        expect(isSupportedSoftphoneProvider('unknown-provider')).toBe(false)
+        expect(getSupportedSoftphoneProviders()).toEqual(['amazon-connect', 'twilio', 'sip', 'mock'])
+    })
+
+    describe('registerSoftphoneProvider', () => {
+        // A provider built from every method the built-in Twilio service implements
+        const createProvider = () => Object.keys(twilioService).reduce((service, method) => {
+            service[method] = jest.fn()
+            return service
+        }, {})
+
+        it('registers a provider returned by a factory function', () => {
+            const provider = createProvider()
+
+            registerSoftphoneProvider('in-house', () => provider)
+
+            expect(isSupportedSoftphoneProvider('in-house')).toBe(true)
+            expect(getSoftphoneService('in-house')).toBe(provider)
+        })
+
+        it('accepts the service object itself', () => {
+            const provider = createProvider()
+
+            registerSoftphoneProvider('in-house-object', provider)
+
+            expect(getSoftphoneService('in-house-object')).toBe(provider)
+        })
+
+        it('rejects providers missing interface methods', () => {
+            const provider = createProvider()
+            delete provider.holdCall
+            delete provider.destroy
+
+            expect(() => {
+                registerSoftphoneProvider('incomplete', () => provider)
+            }).toThrow('Telephony provider "incomplete" is missing required methods: holdCall, destroy')
+            expect(isSupportedSoftphoneProvider('incomplete')).toBe(false)
+        })
+
+        it('rejects invalid names and factories', () => {
+            expect(() => registerSoftphoneProvider('', createProvider)).toThrow('non-empty string')
+            expect(() => registerSoftphoneProvider('empty', () => null)).toThrow('did not return a service object')
+        })
+    })
 })
\ No newline at end of file
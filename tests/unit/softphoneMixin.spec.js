@@ -0,0 +1,538 @@
+import { shallowMount } from '@vue/test-utils'
+import softphoneMixin from '../../src/mixins/softphoneMixin'
+import { getSoftphoneService } from '../../src/services/softphoneFactory'
+import AudioDeviceManager from '../../src/services/audioDevices'
+import RingtonePlayer from '../../src/services/ringtone'
+import MicrophoneLevelMonitor from '../../src/services/microphoneLevel'
+import CallQualityMonitor from '../../src/services/diagnostics/CallQualityMonitor'
+
+jest.mock('../../src/services/softphoneFactory', () => ({
+    getSoftphoneService: jest.fn(() => ({
+        initialize: jest.fn(),
+        placeCall: jest.fn(),
+        transferCall: jest.fn(() => Promise.resolve()),
+        sendDigits: jest.fn(() => Promise.resolve()),
+        hangUpCall: jest.fn(),
+        destroy: jest.fn(),
+        getAgentStates: jest.fn(() => Promise.resolve([])),
+        getAgentConfiguration: jest.fn(() => Promise.resolve({})),
+        getAgentContacts: jest.fn(() => Promise.resolve([])),
+        getLogs: jest.fn(() => []),
+        getCapabilities: jest.fn(() => ({ mute: true })),
+        getDispositionCodes: jest.fn(() => Promise.resolve([{ id: 'resolved', label: 'Issue Resolved' }])),
+        completeAfterCallWork: jest.fn(() => Promise.resolve(true)),
+        getAfterCallWorkRemainingTime: jest.fn(() => 90),
+        getContactAttributes: jest.fn(() => Promise.resolve({ customerId: 'C-1001', ivrSelection: '2', routingKey: 'q-7' })),
+        updateContactAttributes: jest.fn(() => Promise.resolve({})),
+        setAudioDevices: jest.fn(() => Promise.resolve(true)),
+        getCallStats: jest.fn(() => Promise.resolve(null))
+    })),
+    isSupportedSoftphoneProvider: jest.fn(provider => ['amazon-connect', 'sip', 'mock'].includes(provider))
+}))
+
+jest.mock('../../src/services/ringtone', () => jest.fn(() => ({
+    play: jest.fn(() => Promise.resolve(true)),
+    stop: jest.fn(),
+    configure: jest.fn(),
+    setDevice: jest.fn(),
+    destroy: jest.fn()
+})))
+
+jest.mock('../../src/services/microphoneLevel', () => jest.fn(() => ({
+    isSupported: jest.fn(() => true),
+    start: jest.fn(() => Promise.resolve(true)),
+    stop: jest.fn()
+})))
+
+jest.mock('../../src/services/diagnostics/CallQualityMonitor', () => jest.fn(() => ({
+    start: jest.fn(),
+    stop: jest.fn(() => null)
+})))
+
+describe('softphoneMixin', () => {
+    // A host component with its own markup, as a team building a custom UI would write it
+    const HeadlessPhone = {
+        mixins: [softphoneMixin],
+        render(h) {
+            return h('div', [h('div', { ref: 'ccpContainer' })])
+        }
+    }
+
+    const createWrapper = (propsData = {}) => shallowMount(HeadlessPhone, {
+        propsData: { provider: 'mock', ...propsData }
+    })
+
+    beforeEach(() => {
+        jest.clearAllMocks()
+    })
+
+    it('exposes agent and call state without any bundled UI', () => {
+        const wrapper = createWrapper()
+
+        expect(wrapper.vm.agent).toEqual({ status: 'Initializing', muted: false })
+        expect(wrapper.vm.callState).toBe('idle')
+        expect(wrapper.vm.contactActive).toBe(false)
+    })
+
+    it('initializes the provider and drives the call state from its callbacks', () => {
+        const wrapper = createWrapper({ providerConfig: { loginDelay: 0 } })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+
+        options.onIncomingCall({ id: 'call-1', remoteNumber: '+15555550123', state: 'ringing' })
+        options.onConnected({ id: 'call-1', remoteNumber: '+15555550123', state: 'connected' })
+
+        expect(getSoftphoneService).toHaveBeenCalledWith('mock')
+        expect(options).toEqual(expect.objectContaining({ loginDelay: 0, container: wrapper.vm.$refs.ccpContainer }))
+        expect(wrapper.vm.callState).toBe('connected')
+        expect(wrapper.vm.callSession.id).toBe('call-1')
+        expect(wrapper.vm.capabilities.mute).toBe(true)
+    })
+
+    it('passes dialled extensions to the provider separately from the number', () => {
+        const wrapper = createWrapper({ defaultCountry: 'GB', providerConfig: { loginDelay: 0 } })
+        wrapper.vm.initializeSoftphone()
+
+        wrapper.vm.placeCall('020 7123 4567 ext. 204')
+
+        expect(wrapper.vm.softphone.placeCall).toHaveBeenCalledWith('+442071234567', { extension: '204' })
+        expect(wrapper.vm.softphone.sendDigits).not.toHaveBeenCalled()
+    })
+
+    it('dials extensions and SIP URIs as entered with the SIP provider', () => {
+        const wrapper = createWrapper({ provider: 'sip', providerConfig: { server: 'wss://pbx.example.com/ws' } })
+        wrapper.vm.initializeSoftphone()
+
+        wrapper.vm.placeCall('1001')
+        wrapper.vm.handleCallTransfer({ phoneNumber: 'sip:1002@pbx.example.com', warm: false })
+
+        expect(wrapper.vm.softphone.placeCall).toHaveBeenCalledWith('1001', { extension: null })
+        expect(wrapper.vm.softphone.transferCall).toHaveBeenCalledWith('sip:1002@pbx.example.com', false)
+    })
+
+    it('keeps bare extensions and SIP URIs out of E.164 with other providers', () => {
+        const wrapper = createWrapper({ providerConfig: { loginDelay: 0 } })
+
+        expect(wrapper.vm.toDialTarget('1001')).toBe('1001')
+        expect(wrapper.vm.toDialTarget('sip:1002@box1')).toBe('sip:1002@box1')
+        expect(wrapper.vm.toDialTarget('(555) 555-0123')).toBe('+15555550123')
+    })
+
+    it('returns to idle when the provider cannot place the call', async () => {
+        const wrapper = createWrapper({ providerConfig: { loginDelay: 0 } })
+        wrapper.vm.toast = jest.fn()
+        wrapper.vm.initializeSoftphone()
+        wrapper.vm.softphone.placeCall.mockImplementation(() => Promise.reject(new Error('Device not ready')))
+
+        wrapper.vm.placeCall('+15555550123 ext. 204')
+
+        expect(wrapper.vm.callState).toBe('dialing')
+
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(wrapper.vm.callState).toBe('idle')
+        expect(wrapper.vm.toast).toHaveBeenCalledWith('Error placing call: Device not ready', 'Call Error', 'danger')
+    })
+
+    it('records finished calls in the call history and redials them', async () => {
+        const wrapper = createWrapper({ providerConfig: { loginDelay: 0 } })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const session = { id: 'call-1', provider: 'mock', direction: 'inbound', remoteNumber: '+15555550123', startedAt: '2025-07-21T15:00:00.000Z' }
+
+        options.onIncomingCall({ ...session, state: 'ringing' })
+        options.onConnected({ ...session, state: 'connected' })
+        options.onCallEnded({ ...session, state: 'ended', endedAt: '2025-07-21T15:05:00.000Z' })
+        await wrapper.vm.$nextTick()
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(wrapper.vm.callHistory).toEqual([expect.objectContaining({
+            id: 'call-1',
+            direction: 'inbound',
+            number: '+15555550123',
+            outcome: 'ended'
+        })])
+
+        wrapper.vm.redial(wrapper.vm.callHistory[0])
+
+        expect(wrapper.vm.softphone.placeCall).toHaveBeenCalledWith('+15555550123')
+    })
+
+    it('completes after-call work with a disposition', async () => {
+        const wrapper = createWrapper({ providerConfig: { loginDelay: 0 } })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const session = { id: 'call-1', provider: 'mock', direction: 'inbound', remoteNumber: '+15555550123', startedAt: '2025-07-21T15:00:00.000Z' }
+
+        options.onIncomingCall({ ...session, state: 'ringing' })
+        options.onConnected({ ...session, state: 'connected' })
+        wrapper.vm.agent.status = 'AfterCallWork'
+        options.onCallEnded({ ...session, state: 'ended', endedAt: '2025-07-21T15:05:00.000Z' })
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(wrapper.vm.afterCallWorkActive).toBe(true)
+        expect(wrapper.vm.afterCallWorkRemainingTime).toBe(90)
+        expect(wrapper.vm.dispositionCodes).toEqual([{ id: 'resolved', label: 'Issue Resolved', requiresNote: false, children: [] }])
+
+        await wrapper.vm.completeAfterCallWork({ dispositionId: 'resolved', notes: 'Refund issued' })
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(wrapper.vm.softphone.completeAfterCallWork).toHaveBeenCalledWith(expect.objectContaining({ id: 'resolved', notes: 'Refund issued' }))
+        expect(wrapper.emitted('call-dispositioned')[0][0]).toEqual(expect.objectContaining({
+            contactId: 'call-1',
+            disposition: expect.objectContaining({ id: 'resolved', label: 'Issue Resolved', notes: 'Refund issued' })
+        }))
+        expect(wrapper.vm.callState).toBe('idle')
+        expect(wrapper.vm.afterCallWorkRemainingTime).toBe(null)
+        expect(wrapper.vm.callHistory[0].disposition).toEqual(expect.objectContaining({ id: 'resolved' }))
+        wrapper.destroy()
+    })
+
+    it('uses the host\'s dispositions for the call\'s queue and enforces required notes', async () => {
+        const dispositions = {
+            'queue-sales': [{ id: 'sale', label: 'Sale', children: [{ id: 'sale_lost', label: 'Lost', requiresNote: true }] }],
+            default: [{ id: 'resolved', label: 'Issue Resolved' }]
+        }
+        const wrapper = createWrapper({ dispositions })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const session = { id: 'call-2', remoteNumber: '+15555550123', queue: { queueId: 'queue-sales', name: 'Sales' } }
+
+        options.onIncomingCall({ ...session, state: 'ringing' })
+        options.onConnected({ ...session, state: 'connected' })
+        wrapper.vm.agent.status = 'AfterCallWork'
+        options.onCallEnded({ ...session, state: 'ended' })
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(wrapper.vm.dispositionCodes[0].children[0]).toEqual({ id: 'sale_lost', label: 'Lost', requiresNote: true, children: [] })
+
+        await wrapper.vm.completeAfterCallWork({ dispositionId: 'sale_lost' })
+        expect(wrapper.vm.softphone.completeAfterCallWork).not.toHaveBeenCalled()
+
+        await wrapper.vm.completeAfterCallWork({ dispositionId: 'sale_lost', notes: 'Chose a competitor' })
+        expect(wrapper.vm.softphone.completeAfterCallWork).toHaveBeenCalledWith(expect.objectContaining({
+            id: 'sale_lost', category: 'Sale', notes: 'Chose a competitor'
+        }))
+        wrapper.destroy()
+    })
+
+    it('refuses to go offline while the agent has a contact', async () => {
+        const wrapper = createWrapper()
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        wrapper.vm.softphone.setAgentState = jest.fn(() => Promise.resolve('Offline'))
+
+        options.onStatusChange('Available')
+        options.onIncomingCall({ id: 'call-1', remoteNumber: '+15555550123', state: 'ringing' })
+        wrapper.vm.setAgentRoutingState('Offline')
+
+        expect(wrapper.vm.agentStatusChangedAt).toEqual(expect.any(Number))
+        expect(wrapper.vm.softphone.getAgentStates).toHaveBeenCalled()
+        expect(wrapper.vm.softphone.setAgentState).not.toHaveBeenCalled()
+    })
+
+    it('looks up the caller in the CRM and opens a single match', async () => {
+        const record = { id: '003XX', name: 'Ada Lovelace' }
+        const crmAdapter = {
+            searchByPhone: jest.fn(() => Promise.resolve([record])),
+            createRecord: jest.fn(),
+            updateRecord: jest.fn(),
+            getRecordUrl: jest.fn(),
+            openRecord: jest.fn(() => true)
+        }
+        const wrapper = createWrapper({ crmAdapter, crmScreenPop: 'open' })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const session = { id: 'call-1', remoteNumber: '+15555550123', state: 'ringing' }
+
+        options.onIncomingCall(session)
+        options.onIncomingCall(session)
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(crmAdapter.searchByPhone).toHaveBeenCalledTimes(1)
+        expect(crmAdapter.searchByPhone).toHaveBeenCalledWith('+15555550123', { session })
+        expect(wrapper.emitted('crm-screen-pop')[0][0]).toEqual({ contactId: 'call-1', records: [record], record, session })
+        expect(wrapper.vm.crmRecords).toEqual([record])
+        expect(crmAdapter.openRecord).toHaveBeenCalledWith(record)
+    })
+
+    it('shows the host\'s contact attributes while the call rings and is connected', async () => {
+        const wrapper = createWrapper({
+            contactAttributeFields: { customerId: 'Customer ID', ivrSelection: { label: 'Menu choice', options: { 2: 'Billing' } } }
+        })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const session = { id: 'call-1', remoteNumber: '+15555550123' }
+
+        options.onIncomingCall({ ...session, state: 'ringing' })
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(wrapper.vm.showContactAttributes).toBe(true)
+        expect(wrapper.vm.displayedContactAttributes).toEqual([
+            { key: 'customerId', label: 'Customer ID', value: 'C-1001' },
+            { key: 'ivrSelection', label: 'Menu choice', value: 'Billing' }
+        ])
+        expect(wrapper.emitted('contact-attributes')[0][0]).toEqual({ customerId: 'C-1001', ivrSelection: '2', routingKey: 'q-7' })
+
+        options.onCallEnded({ ...session, state: 'ended' })
+
+        expect(wrapper.vm.showContactAttributes).toBe(false)
+        expect(wrapper.vm.contactAttributes).toBe(null)
+    })
+
+    it('writes attributes back to the contact', async () => {
+        const wrapper = createWrapper({ contactAttributeFields: { customerId: 'Customer ID', tags: 'Tags' } })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const session = { id: 'call-1', remoteNumber: '+15555550123', state: 'connected' }
+
+        expect(await wrapper.vm.updateContactAttributes({ tags: 'billing' })).toBe(false)
+
+        options.onIncomingCall({ ...session, state: 'ringing' })
+        options.onConnected(session)
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(await wrapper.vm.updateContactAttributes({ tags: 'billing' })).toBe(true)
+        expect(wrapper.vm.softphone.updateContactAttributes).toHaveBeenCalledWith({ tags: 'billing' })
+        expect(wrapper.vm.displayedContactAttributes).toEqual([
+            { key: 'customerId', label: 'Customer ID', value: 'C-1001' },
+            { key: 'tags', label: 'Tags', value: 'billing' }
+        ])
+        expect(wrapper.emitted('contact-attributes-updated')[0][0]).toEqual({ contactId: 'call-1', attributes: { tags: 'billing' }, session })
+    })
+
+    it('logs the call to the CRM with its disposition once after-call work is complete', async () => {
+        const record = { id: '003XX', name: 'Ada Lovelace' }
+        const crmAdapter = {
+            searchByPhone: jest.fn(() => Promise.resolve([record])),
+            createRecord: jest.fn(),
+            updateRecord: jest.fn(),
+            getRecordUrl: jest.fn(),
+            logCall: jest.fn(() => Promise.resolve({ id: '00TXX' }))
+        }
+        const wrapper = createWrapper({ crmAdapter, providerConfig: { loginDelay: 0 } })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const session = { id: 'call-1', provider: 'mock', direction: 'inbound', remoteNumber: '+15555550123', startedAt: '2025-07-21T15:00:00.000Z' }
+
+        options.onIncomingCall({ ...session, state: 'ringing' })
+        options.onConnected({ ...session, state: 'connected', connectedAt: '2025-07-21T15:00:10.000Z' })
+        wrapper.vm.agent.status = 'AfterCallWork'
+        options.onCallEnded({ ...session, state: 'ended', connectedAt: '2025-07-21T15:00:10.000Z', endedAt: '2025-07-21T15:05:00.000Z' })
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(crmAdapter.logCall).not.toHaveBeenCalled()
+
+        await wrapper.vm.completeAfterCallWork({ dispositionId: 'resolved' })
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(crmAdapter.logCall).toHaveBeenCalledWith(expect.objectContaining({
+            contactId: 'call-1',
+            direction: 'inbound',
+            durationSeconds: 290,
+            disposition: expect.objectContaining({ id: 'resolved' }),
+            record
+        }), { session: expect.objectContaining({ id: 'call-1' }) })
+        expect(wrapper.emitted('crm-call-logged')[0][0]).toEqual(expect.objectContaining({ contactId: 'call-1', result: { id: '00TXX' } }))
+        wrapper.destroy()
+    })
+
+    it('falls back to the default devices when the headset is unplugged and back to it when plugged in', async () => {
+        const laptop = [
+            { kind: 'audioinput', deviceId: 'default', label: 'Default - Laptop Microphone' },
+            { kind: 'audiooutput', deviceId: 'default', label: 'Default - Laptop Speakers' }
+        ]
+        const headset = [
+            { kind: 'audioinput', deviceId: 'headset-mic', label: 'Headset Microphone' },
+            { kind: 'audiooutput', deviceId: 'headset', label: 'Headset Earphones' }
+        ]
+        let devices = [...laptop, ...headset]
+        let onDeviceChange
+        const mediaDevices = {
+            enumerateDevices: jest.fn(() => Promise.resolve(devices)),
+            addEventListener: jest.fn((event, listener) => { onDeviceChange = listener }),
+            removeEventListener: jest.fn()
+        }
+        const wrapper = createWrapper({ providerConfig: { capabilities: { audioDevices: true } } })
+        wrapper.vm.audioDeviceManager = new AudioDeviceManager({ mediaDevices, storage: null })
+        wrapper.vm.toast = jest.fn()
+
+        wrapper.vm.initializeSoftphone()
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(wrapper.vm.softphone.setAudioDevices).toHaveBeenCalledWith({ input: 'default', output: 'default', ringer: 'default' })
+
+        await wrapper.vm.setAudioDevice('input', 'headset-mic')
+        await wrapper.vm.setAudioDevice('output', 'headset')
+        devices = laptop
+        onDeviceChange()
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(wrapper.vm.softphone.setAudioDevices).toHaveBeenLastCalledWith({ input: 'default', output: 'default' })
+        expect(wrapper.vm.selectedAudioDevices).toEqual({ input: 'default', output: 'default', ringer: 'default' })
+        expect(wrapper.vm.toast).toHaveBeenCalledWith(
+            'An audio device was disconnected. Now using Default - Laptop Microphone for the microphone, Default - Laptop Speakers for the speaker.',
+            'Audio Devices',
+            'warning'
+        )
+        expect(wrapper.emitted('audio-device-changed').slice(-2).map(([change]) => change)).toEqual([
+            { kind: 'input', deviceId: 'default', reason: 'disconnected' },
+            { kind: 'output', deviceId: 'default', reason: 'disconnected' }
+        ])
+
+        devices = [...laptop, ...headset]
+        onDeviceChange()
+        await new Promise(resolve => setTimeout(resolve))
+
+        expect(wrapper.vm.selectedAudioDevices).toEqual({ input: 'headset-mic', output: 'headset', ringer: 'default' })
+        expect(wrapper.emitted('audio-device-changed').slice(-1)[0][0]).toEqual({ kind: 'output', deviceId: 'headset', reason: 'reconnected' })
+
+        wrapper.destroy()
+        expect(mediaDevices.removeEventListener).toHaveBeenCalledWith('devicechange', expect.any(Function))
+    })
+
+    it('rings while a call rings and stops once it is answered or missed', () => {
+        const wrapper = createWrapper({ ringtone: { src: '/sounds/ring.mp3', volume: 0.5 } })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const ringtone = wrapper.vm.ringtonePlayer
+
+        options.onIncomingCall({ id: 'call-1', remoteNumber: '+15555550123', state: 'ringing' })
+
+        expect(ringtone.play).toHaveBeenCalledTimes(1)
+
+        options.onConnected({ id: 'call-1', remoteNumber: '+15555550123', state: 'connected' })
+        options.onCallEnded({ id: 'call-1', remoteNumber: '+15555550123', state: 'ended' })
+        options.onIncomingCall({ id: 'call-2', remoteNumber: '+15555550124', state: 'ringing' })
+        options.onMissed({ id: 'call-2', remoteNumber: '+15555550124', state: 'missed' })
+
+        expect(RingtonePlayer).toHaveBeenCalledWith({ src: '/sounds/ring.mp3', volume: 0.5 })
+        expect(options.disableRingtone).toBe(true)
+        expect(ringtone.play).toHaveBeenCalledTimes(2)
+        expect(ringtone.stop).toHaveBeenCalledTimes(2)
+    })
+
+    it('leaves ringing to the provider when the ringtone is off', () => {
+        const wrapper = createWrapper({ ringtone: false })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+
+        options.onIncomingCall({ id: 'call-1', remoteNumber: '+15555550123', state: 'ringing' })
+
+        expect(options.disableRingtone).toBe(false)
+        expect(wrapper.vm.ringtonePlayer.play).not.toHaveBeenCalled()
+    })
+
+    it('meters the microphone during calls and warns when the agent speaks while muted', async () => {
+        const wrapper = createWrapper()
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const monitor = wrapper.vm.microphoneMonitor
+        const { onLevel, onSpeech } = MicrophoneLevelMonitor.mock.calls[0][0]
+        const session = { id: 'call-1', remoteNumber: '+15555550123' }
+
+        options.onIncomingCall({ ...session, state: 'ringing' })
+        options.onConnected({ ...session, state: 'connected' })
+        await wrapper.vm.$nextTick()
+        await new Promise(resolve => setTimeout(resolve))
+        onLevel(0.6)
+        onSpeech()
+
+        expect(monitor.start).toHaveBeenCalledWith(null)
+        expect(wrapper.vm.microphoneLevel).toBe(0.6)
+        expect(wrapper.emitted('speaking-while-muted')).toBeUndefined()
+
+        options.onMuteChange(true)
+        onSpeech()
+
+        expect(wrapper.vm.speakingWhileMuted).toBe(true)
+        expect(wrapper.emitted('speaking-while-muted')[0]).toEqual([{ contactId: 'call-1', session: wrapper.vm.callSession }])
+
+        options.onMuteChange(false)
+        await wrapper.vm.$nextTick()
+
+        expect(wrapper.vm.speakingWhileMuted).toBe(false)
+
+        options.onCallEnded({ ...session, state: 'ended' })
+        await wrapper.vm.$nextTick()
+
+        expect(monitor.stop).toHaveBeenCalled()
+        expect(wrapper.vm.microphoneLevel).toBe(null)
+    })
+
+    it('does not meter the microphone when the host turns it off', async () => {
+        const wrapper = createWrapper({ microphoneMeter: false })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+
+        options.onIncomingCall({ id: 'call-1', remoteNumber: '+15555550123', state: 'ringing' })
+        options.onConnected({ id: 'call-1', remoteNumber: '+15555550123', state: 'connected' })
+        await wrapper.vm.$nextTick()
+
+        expect(wrapper.vm.microphoneMonitor.start).not.toHaveBeenCalled()
+        expect(wrapper.vm.microphoneLevel).toBe(null)
+    })
+
+    it('monitors the call quality, warns about it and reports it when the call ends', () => {
+        const toast = jest.fn()
+        const wrapper = shallowMount({ ...HeadlessPhone, methods: { toast } }, {
+            propsData: {
+                provider: 'mock',
+                providerConfig: { capabilities: { callQuality: true } },
+                callQualityMonitoring: { thresholds: { packetLoss: 5 } }
+            }
+        })
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+        const monitor = wrapper.vm.callQualityMonitor
+        const { thresholds, onSample, onWarning } = CallQualityMonitor.mock.calls[0][0]
+        const summary = { samples: 12, rating: 'fair', warnings: ['packetLoss'] }
+        monitor.stop.mockReturnValue(summary)
+
+        options.onIncomingCall({ id: 'call-1', remoteNumber: '+15555550123', state: 'ringing' })
+        options.onConnected({ id: 'call-1', remoteNumber: '+15555550123', state: 'connected' })
+        onSample({ rating: 'poor', mos: 2.9, packetLoss: 8 })
+        onWarning({ metric: 'packetLoss', value: 8, threshold: 5 })
+
+        expect(thresholds).toEqual({ packetLoss: 5 })
+        expect(monitor.start).toHaveBeenCalledTimes(1)
+        expect(wrapper.vm.callQuality).toEqual({ rating: 'poor', mos: 2.9, packetLoss: 8 })
+        expect(toast).toHaveBeenCalledWith(expect.stringContaining('packet loss is 8%'), 'Call Quality', 'warning')
+        expect(wrapper.emitted('call-quality-warning')[0]).toEqual([{
+            contactId: 'call-1',
+            metric: 'packetLoss',
+            value: 8,
+            threshold: 5,
+            session: wrapper.vm.callSession
+        }])
+
+        options.onCallEnded({ id: 'call-1', remoteNumber: '+15555550123', state: 'ended' })
+
+        expect(wrapper.emitted('call-ended')[0][0].quality).toBe(summary)
+        expect(wrapper.vm.callQuality).toBeNull()
+    })
+
+    it('does not monitor the call quality when the provider cannot report it', () => {
+        const wrapper = createWrapper()
+        wrapper.vm.initializeSoftphone()
+        const options = wrapper.vm.softphone.initialize.mock.calls[0][0]
+
+        options.onIncomingCall({ id: 'call-1', remoteNumber: '+15555550123', state: 'ringing' })
+        options.onConnected({ id: 'call-1', remoteNumber: '+15555550123', state: 'connected' })
+        options.onCallEnded({ id: 'call-1', remoteNumber: '+15555550123', state: 'ended' })
+
+        expect(wrapper.vm.callQualityMonitor.start).not.toHaveBeenCalled()
+        expect(wrapper.emitted('call-ended')[0][0].quality).toBeNull()
+    })
+
+    it('lets the host component replace toasts', () => {
+        const notify = jest.fn()
+        const wrapper = shallowMount({ ...HeadlessPhone, methods: { toast: notify } }, {
+            propsData: { provider: 'mock' }
+        })
+
+        wrapper.vm.toast('Call resumed', 'Call Status', 'info')
+
+        expect(notify).toHaveBeenCalledWith('Call resumed', 'Call Status', 'info')
+    })
+})
@@ -71,6 +71,7 @@ describe('Twilio agentService', () => {
     it('should initialize the agent service', async () => {
       // Setup
       const callbacks = {
+        token: 'worker-token',
         onAgentAvailable: jest.fn(),
         onStateChange: jest.fn()
       };
@@ -93,6 +94,18 @@ describe('Twilio agentService', () => {
       // Test & Verify
       await expect(agentService.initializeAgent({})).rejects.toThrow('Twilio TaskRouter SDK not loaded');
     });
+
+    it('should reject without a TaskRouter token', async () => {
+      // Setup
+      const Worker = jest.fn();
+      window.Twilio = { TaskRouter: { Workspace: jest.fn(), Worker } };
+
+      // Test & Verify
+      await expect(agentService.initializeAgent({ onAgentAvailable: jest.fn() }))
+        .rejects.toThrow('Twilio provider requires `workerToken` (a TaskRouter token) in providerConfig.');
+      expect(Worker).not.toHaveBeenCalled();
+      delete window.Twilio;
+    });
   });
   
   describe('agent state management', () => {
@@ -220,6 +233,38 @@ describe('Twilio agentService', () => {
     });
   });
   
+  describe('task attributes', () => {
+    it('should merge attributes into the reserved task', async () => {
+      // Setup
+      mockWorkspaceInstance.tasks = {
+        update: jest.fn((taskSid, params, callback) => callback(null, { sid: taskSid, attributes: JSON.parse(params.Attributes) }))
+      };
+      window.Twilio = {
+        TaskRouter: {
+          Workspace: jest.fn().mockReturnValue(mockWorkspaceInstance),
+          Worker: jest.fn().mockReturnValue(mockWorkerInstance)
+        }
+      };
+      await agentService.initializeAgent({ token: 'worker-token' });
+      const onReservationCreated = mockWorkerInstance.on.mock.calls.find(([event]) => event === 'reservationCreated')[1];
+      onReservationCreated({ task: { sid: 'task1', attributes: { direction: 'inbound' } } });
+
+      // Test
+      const attributes = await agentService.updateTaskAttributes({ dispositionCode: 'resolved' });
+
+      // Verify
+      expect(mockWorkspaceInstance.tasks.update).toHaveBeenCalledWith(
+        'task1',
+        { Attributes: JSON.stringify({ direction: 'inbound', dispositionCode: 'resolved' }) },
+        expect.any(Function)
+      );
+      expect(attributes).toEqual({ direction: 'inbound', dispositionCode: 'resolved' });
+      expect(agentService.getCurrentTask().attributes).toEqual(attributes);
+      agentService.teardown();
+      delete window.Twilio;
+    });
+  });
+
   describe('microphone control', () => {
     it('should mute the microphone', async () => {
       // Setup
@@ -81,6 +81,56 @@ describe('Twilio contactService', () => {
       expect(window.Twilio.Device.on).toHaveBeenCalledWith('incoming', expect.any(Function));
     });
     
+    it('should report incoming and outbound calls as call sessions', async () => {
+      // Setup
+      const callbacks = {
+        onIncomingCall: jest.fn(),
+        onConnected: jest.fn()
+      };
+      window.Twilio = { Device: mockDevice };
+      await contactService.initializeContact(callbacks);
+      const onIncoming = mockDevice.on.mock.calls.find(([event]) => event === 'incoming')[1];
+
+      // Test
+      onIncoming(mockConnection);
+      const outbound = contactService.trackOutboundCall(mockConnection, '+15555550123');
+      mockConnection.on.mock.calls.filter(([event]) => event === 'accept').pop()[1]();
+
+      // Verify
+      expect(callbacks.onIncomingCall).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'call123',
+        provider: 'twilio',
+        direction: 'inbound',
+        remoteNumber: '123456789'
+      }));
+      expect(outbound.direction).toBe('outbound');
+      expect(callbacks.onConnected).toHaveBeenCalledWith(expect.objectContaining({
+        remoteNumber: '+15555550123',
+        state: 'connected'
+      }));
+    });
+    
+    it('should replace the placeholder ID of an outbound call with its CallSid once accepted', async () => {
+      // Setup
+      const callbacks = { onConnected: jest.fn() };
+      window.Twilio = { Device: mockDevice };
+      await contactService.initializeContact(callbacks);
+      const outboundConnection = { ...mockConnection, parameters: new Map(), on: jest.fn() };
+
+      // Test
+      const placed = contactService.trackOutboundCall(outboundConnection, '+15555550123');
+      outboundConnection.parameters.set('CallSid', 'CA123');
+      outboundConnection.on.mock.calls.find(([event]) => event === 'accept')[1]();
+
+      // Verify
+      expect(placed.id).toMatch(/^twilio-call-/);
+      expect(callbacks.onConnected).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'CA123',
+        participants: [expect.objectContaining({ id: 'customer-CA123', state: 'connected' })]
+      }));
+      expect(contactService.getCallSession().id).toBe('CA123');
+    });
+
     it('should reject if Twilio Voice SDK is not loaded', async () => {
       // Setup
       global.window.Twilio.Device = undefined;
@@ -135,6 +185,45 @@ describe('Twilio contactService', () => {
       expect(mockConnection.sendDigits).toHaveBeenCalledWith('*2');
       expect(result).toBe('Call successfully resumed.');
     });
+    
+    it('should send DTMF digits on the active connection', async () => {
+      // Setup
+      contactService.trackOutboundCall(mockConnection, '+15555550123');
+      
+      // Test
+      const result = await contactService.sendDigits('9#');
+      
+      // Verify
+      expect(mockConnection.sendDigits).toHaveBeenCalledWith('9#');
+      expect(result).toBe(true);
+      await expect(contactService.sendDigits('9 #')).rejects.toThrow('Invalid DTMF digits: 9 #');
+    });
+
+    it('should report the latest media sample of the active call as stats', async () => {
+      // Setup
+      contactService.trackOutboundCall(mockConnection, '+15555550123');
+      const onSample = mockConnection.on.mock.calls.find(([event]) => event === 'sample')[1];
+      const before = await contactService.getCallStats();
+
+      // Test
+      onSample({ timestamp: 1000, jitter: 5, rtt: 120, mos: 4.1, totals: { packetsReceived: 48, packetsLost: 2, bytesReceived: 7680, packetsSent: 50, bytesSent: 8000 } });
+      onSample({ timestamp: 2000, jitter: 12, rtt: 150, mos: 3.9, totals: { packetsReceived: 97, packetsLost: 3, bytesReceived: 15520, packetsSent: 100, bytesSent: 16000 } });
+      const report = await contactService.getCallStats();
+
+      // Verify
+      expect(before).toBeNull();
+      expect(report.get('inbound-audio')).toEqual(expect.objectContaining({
+        type: 'inbound-rtp',
+        kind: 'audio',
+        timestamp: 2000,
+        jitter: 0.012,
+        packetsReceived: 97,
+        packetsLost: 3,
+        mos: 3.9
+      }));
+      expect(report.get('outbound-audio')).toEqual(expect.objectContaining({ type: 'outbound-rtp', bytesSent: 16000 }));
+      expect(report.get('remote-inbound-audio')).toEqual(expect.objectContaining({ type: 'remote-inbound-rtp', roundTripTime: 0.15 }));
+    });
   });
   
   describe('disposition codes', () => {
@@ -158,6 +247,36 @@ describe('Twilio contactService', () => {
       expect(result).toBe(true);
     });
   });
+
+  describe('contact attributes', () => {
+    it('should update the task attributes and the connection\'s custom parameters', async () => {
+      // Setup
+      mockConnection.customParameters = new Map([['customerId', 'C-1001']]);
+      contactService.trackOutboundCall(mockConnection, '+15555550123');
+      agentService.getCurrentTask.mockReturnValue({ sid: 'WT123', attributes: {} });
+      agentService.updateTaskAttributes.mockResolvedValue({ tags: 'billing' });
+
+      // Test
+      const result = await contactService.updateContactAttributes({ tags: 'billing' });
+
+      // Verify
+      expect(agentService.updateTaskAttributes).toHaveBeenCalledWith({ tags: 'billing' });
+      expect(result).toEqual({ tags: 'billing' });
+      expect(mockConnection.customParameters.get('customerId')).toBe('C-1001');
+      expect(mockConnection.customParameters.get('tags')).toBe('billing');
+    });
+
+    it('should reject when the call has no task', async () => {
+      // Setup
+      contactService.trackOutboundCall(mockConnection, '+15555550123');
+      agentService.getCurrentTask.mockReturnValue(null);
+
+      // Test & Verify
+      await expect(contactService.updateContactAttributes({ tags: 'billing' }))
+        .rejects.toThrow('the call has no TaskRouter task');
+      expect(agentService.updateTaskAttributes).not.toHaveBeenCalled();
+    });
+  });
   
   describe('after call work', () => {
     it('should enter after call work mode', async () => {
@@ -37,13 +37,14 @@ describe('twilioService', () => {
     // Setup mocks for contactService and agentService
     agentService.initializeAgent.mockResolvedValue({});
     contactService.initializeContact.mockResolvedValue({});
-    contactService._setupConnectionEventListeners = jest.fn();
   });
 
   describe('initialization', () => {
     it('should initialize Twilio service', async () => {
       // Setup
       const options = {
+        token: 'voice-token',
+        workerToken: 'worker-token',
         onStatusChange: jest.fn(),
         onLoginSuccess: jest.fn()
       };
@@ -64,7 +65,14 @@ describe('twilioService', () => {
       
       // Test & Verify
       await expect(twilioService.initialize({})).rejects.toThrow('Twilio SDK not loaded');
-      expect(global.alert).toHaveBeenCalledWith('Twilio SDK not loaded.');
+      expect(global.alert).not.toHaveBeenCalled();
+    });
+
+    it('should reject without a Voice access token', async () => {
+      // Test & Verify
+      await expect(twilioService.initialize({ workerToken: 'worker-token' }))
+        .rejects.toThrow('Twilio provider requires `token` (a Voice access token) in providerConfig.');
+      expect(window.Twilio.Device.setup).not.toHaveBeenCalled();
     });
   });
 
@@ -78,7 +86,7 @@ describe('twilioService', () => {
         To: '123456789',
         Direction: 'outbound'
       });
-      expect(contactService._setupConnectionEventListeners).toHaveBeenCalled();
+      expect(contactService.trackOutboundCall).toHaveBeenCalledWith(expect.any(Object), '123456789');
       expect(result).toBe(true);
     });
     
@@ -204,26 +212,6 @@ describe('twilioService', () => {
       expect(result).toHaveProperty('From', '123456789');
       expect(result).toHaveProperty('dispositionCode', 'resolved');
     });
-    
-    it('should create a CRM record', async () => {
-      // Setup
-      const mockContactInstance = {
-        parameters: new Map([
-          ['CallSid', 'call123']
-        ])
-      };
-      contactService.getContactInstance.mockReturnValue(mockContactInstance);
-      agentService.getAgentInstance.mockReturnValue({ sid: 'agent123' });
-      
-      // Test
-      const result = await twilioService.createCrmRecord({}, { name: 'Test Customer' });
-      
-      // Verify
-      expect(result).toHaveProperty('success', true);
-      expect(result.data).toHaveProperty('name', 'Test Customer');
-      expect(result.data).toHaveProperty('contactId', 'call123');
-      expect(result.data).toHaveProperty('agentId', 'agent123');
-    });
   });
 
   describe('simple operations', () => {
@@ -262,6 +250,8 @@ describe('twilioService', () => {
     it('should handle login', async () => {
       // Setup
       const mockCallbacks = {
+        token: 'voice-token',
+        workerToken: 'worker-token',
         onLoginRequired: jest.fn()
       };
       
@@ -275,4 +265,43 @@ describe('twilioService', () => {
       expect(mockCallbacks.onLoginRequired).toHaveBeenCalled();
     });
   });
+
+  describe('agent operations', () => {
+    it('should delegate agent operations to agentService', async () => {
+      // Setup
+      const states = [{ name: 'Available', type: 'routable', isRoutable: true }];
+      agentService.getAvailableAgentStates.mockResolvedValue(states);
+      agentService.setRoutingState.mockResolvedValue('Available');
+      agentService.logout.mockResolvedValue(true);
+      agentService.getCcpLogs.mockReturnValue(['log1']);
+
+      // Test
+      const statesResult = await twilioService.getAgentStates();
+      const stateResult = await twilioService.setAgentState('Available');
+      const logoutResult = await twilioService.logoutAgent();
+      const logs = twilioService.getLogs();
+
+      // Verify
+      expect(statesResult).toEqual(states);
+      expect(agentService.setRoutingState).toHaveBeenCalledWith('Available');
+      expect(stateResult).toBe('Available');
+      expect(logoutResult).toBe(true);
+      expect(logs).toEqual(['log1']);
+    });
+  });
+
+  describe('destroy', () => {
+    it('should tear down listeners and destroy the Twilio Device', async () => {
+      // Setup
+      window.Twilio = { Device: { destroy: jest.fn() } };
+
+      // Test
+      await twilioService.destroy();
+
+      // Verify
+      expect(contactService.teardown).toHaveBeenCalled();
+      expect(agentService.teardown).toHaveBeenCalled();
+      expect(window.Twilio.Device.destroy).toHaveBeenCalled();
+    });
+  });
 });
\ No newline at end of file